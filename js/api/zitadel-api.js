@@ -17,13 +17,13 @@
  */
 
 import { getAccessToken, isAuthenticated, refreshToken, isTokenExpired } from '../auth/zitadel-auth.js';
-import { AUTH_API } from '../core/env.js';
+import { AUTH_API, API_ENV } from '../core/env.js';
 
 const API_BASE = AUTH_API;
 
 // ─── Authenticated Fetch ─────────────────────────────────────────────────────
 
-async function apiFetch(path) {
+async function apiFetch(path, { method = 'GET', body } = {}) {
   if (!isAuthenticated()) {
     throw new Error('[Zitadel API] User is not authenticated');
   }
@@ -35,11 +35,13 @@ async function apiFetch(path) {
 
   const token = getAccessToken();
   const response = await fetch(`${API_BASE}${path}`, {
-    method: 'GET',
+    method,
     headers: {
       'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    }
+      'Authorization': `Bearer ${token}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    ...(body ? { body: JSON.stringify(body) } : {})
   });
 
   if (!response.ok) {
@@ -82,11 +84,202 @@ export async function fetchUserGrants() {
 }
 
 /**
- * Fetch all project grants.
+ * Fetch all users with grants on the project, one entry per user.
  * Calls GET /users on the API proxy.
- * @returns {Promise<Array>} Array of project grant objects
+ * @returns {Promise<Array>} Array of { userId, userName, preferredLoginName, displayName, email,
+ *   orgId, orgName, roleKeys }
  */
 export async function fetchProjectUsers() {
   const data = await apiFetch('/users');
   return data.result || [];
 }
+
+/**
+ * Create an organisation user with one project role. Zitadel emails them a
+ * link to finish setting up their account.
+ * Calls POST /users on the API proxy, which rejects existing emails and
+ * roles above the caller's own.
+ * @param {{ firstName: string, lastName: string, email: string, phone?: string, roleKey: string }} user
+ * @returns {Promise<Object>} The new user, shaped like fetchProjectUsers entries
+ */
+export async function createOrgUser(user) {
+  const data = await apiFetch('/users', {
+    method: 'POST',
+    body: user
+  });
+  return data.user;
+}
+
+// ─── Org Admins ──────────────────────────────────────────────────────────────
+
+/**
+ * Move a user to another role of ROLE_HIERARCHY (promote or demote).
+ * Calls POST /org-admins/<env>/change on the API proxy, which refuses
+ * changes above the caller's own role, demoting the last admin of an org,
+ * and stale `fromRole` values (409), and records an audit entry.
+ * @param {{ userId: string, fromRole: string|null, toRole: string }} change
+ *   fromRole is the user's highest hierarchy role as last seen
+ * @returns {Promise<Object>} The audit entry for the change
+ */
+export async function changeAdminRole(change) {
+  const data = await apiFetch(`/org-admins/${API_ENV}/change`, {
+    method: 'POST',
+    body: change
+  });
+  return data.entry;
+}
+
+/**
+ * Fetch the org admin audit log, newest first.
+ * Calls GET /org-admins/<env>/audit on the API proxy.
+ * @returns {Promise<Array>} Array of { at, actorId, actor, targetId, target, orgId, fromRole, toRole }
+ */
+export async function fetchAdminAudit() {
+  const data = await apiFetch(`/org-admins/${API_ENV}/audit`);
+  return data.result || [];
+}
+
+// ─── Role Capabilities ───────────────────────────────────────────────────────
+
+/**
+ * Fetch the capability matrix for the roles above 05_org_admin.
+ * Calls GET /role-capabilities/<env> on the API proxy.
+ * @returns {Promise<Object>} { roles: string[], capabilities: [{ key, label }],
+ *   grants: { [roleKey]: string[] }, updatedAt, updatedBy }
+ */
+export async function fetchRoleCapabilities() {
+  return apiFetch(`/role-capabilities/${API_ENV}`);
+}
+
+/**
+ * Save changed matrix cells. Only the listed pairs are touched, so cells
+ * someone else changed meanwhile are kept.
+ * Calls POST /role-capabilities/<env> on the API proxy, which refuses
+ * changes to roles at or above the caller's own.
+ * @param {Array<{ roleKey: string, capability: string, granted: boolean }>} changes
+ * @returns {Promise<Object>} The whole matrix after the save, as fetchRoleCapabilities
+ */
+export async function saveRoleCapabilities(changes) {
+  return apiFetch(`/role-capabilities/${API_ENV}`, {
+    method: 'POST',
+    body: { changes }
+  });
+}
+
+// ─── Org Chart ───────────────────────────────────────────────────────────────
+
+/**
+ * Fetch the stored org chart.
+ * Calls GET /org-chart/<env> on the API proxy.
+ * @returns {Promise<Object>} { people, updatedAt, updatedBy }; people is
+ *   null until a chart has been uploaded
+ */
+export async function fetchOrgChart() {
+  return apiFetch(`/org-chart/${API_ENV}`);
+}
+
+/**
+ * Replace the whole org chart.
+ * Calls POST /org-chart/<env> on the API proxy, which checks the editor
+ * role and refuses (409) when the stored chart is no longer the one at
+ * `baseUpdatedAt`.
+ * @param {Array<Object>} people
+ * @param {string|null} baseUpdatedAt  updatedAt of the chart last read; null when there was none
+ * @returns {Promise<Object>} The stored chart, as fetchOrgChart
+ */
+export async function replaceOrgChart(people, baseUpdatedAt) {
+  return apiFetch(`/org-chart/${API_ENV}`, {
+    method: 'POST',
+    body: { people, baseUpdatedAt }
+  });
+}
+
+// ─── Registries ──────────────────────────────────────────────────────────────
+
+/**
+ * Fetch an organisation registry (master data shared by every user).
+ * Calls GET /<name>/<env> on the API proxy.
+ * @param {'scac'|'invoice-approvers'|'banks'} name
+ * @returns {Promise<Object>} { items: Array, ...what approved tasks add
+ *   to that registry (see the registry module) }
+ */
+export async function fetchRegistry(name) {
+  return apiFetch(`/${name}/${API_ENV}`);
+}
+
+/**
+ * Add or replace registry items; stored items with the same identity are
+ * replaced, everything else is kept.
+ * Calls POST /<name>/<env> on the API proxy, which checks the registry's
+ * editor role.
+ * @param {'scac'|'invoice-approvers'|'banks'} name
+ * @param {Array<Object>} items
+ * @returns {Promise<Array>} The saved items, stamped with updatedAt / updatedBy
+ */
+export async function saveRegistryItems(name, items) {
+  const data = await apiFetch(`/${name}/${API_ENV}`, {
+    method: 'POST',
+    body: { items }
+  });
+  return data.items || [];
+}
+
+// ─── Permission Requests ─────────────────────────────────────────────────────
+
+/**
+ * Apply an approved user-permission-request task as a Zitadel user grant.
+ * Calls POST /permission-requests/<env>/apply on the API proxy, which
+ * re-checks that the task is approved and that the caller may apply it.
+ * @param {string} taskId
+ * @returns {Promise<Object>} { taskId, userId, roleKey, grantId }
+ */
+export async function applyPermissionRequest(taskId) {
+  return apiFetch(`/permission-requests/${API_ENV}/apply`, {
+    method: 'POST',
+    body: { taskId }
+  });
+}
+
+// ─── Guests ──────────────────────────────────────────────────────────────────
+
+/**
+ * Fetch every invited guest with their current status.
+ * Calls GET /guests/<env> on the API proxy. Guests past their expiry date
+ * show as 'expired'; the proxy's scheduled sweep removes their role.
+ * @returns {Promise<Array>} Array of { userId, email, firstName, lastName, roleKey,
+ *   expiresAt, invitedAt, invitedBy, revokedAt, revokedBy, expiredAt,
+ *   status: 'pending'|'active'|'expired'|'revoked' }
+ */
+export async function fetchGuests() {
+  const data = await apiFetch(`/guests/${API_ENV}`);
+  return data.result || [];
+}
+
+/**
+ * Invite an external guest (or re-invite one) with a limited role until
+ * `expiresAt`. Calls POST /guests/<env> on the API proxy.
+ * @param {{ email: string, firstName: string, lastName: string, roleKey: string, expiresAt: string }} invitation
+ *   expiresAt is a YYYY-MM-DD date; access ends after that day (UTC)
+ * @returns {Promise<Object>} The guest record, with status
+ */
+export async function inviteGuest(invitation) {
+  const data = await apiFetch(`/guests/${API_ENV}`, {
+    method: 'POST',
+    body: invitation
+  });
+  return data.guest;
+}
+
+/**
+ * Revoke a guest's access immediately.
+ * Calls POST /guests/<env>/revoke on the API proxy.
+ * @param {string} userId
+ * @returns {Promise<Object>} The guest record, with status 'revoked'
+ */
+export async function revokeGuest(userId) {
+  const data = await apiFetch(`/guests/${API_ENV}/revoke`, {
+    method: 'POST',
+    body: { userId }
+  });
+  return data.guest;
+}
@@ -193,7 +193,7 @@ export function isAuthenticated() {
 
 // ─── Role Management ─────────────────────────────────────────────────────────
 
-const ROLE_HIERARCHY = ['06_guest_user', '05_org_admin', '04_org_audit_admin', '03_org_super_admin', '02_org_owner', '01_system_admin'];
+export const ROLE_HIERARCHY = ['06_guest_user', '05_org_admin', '04_org_audit_admin', '03_org_super_admin', '02_org_owner', '01_system_admin'];
 
 export function getUserRoles() {
   const user = getUserInfo();
@@ -0,0 +1,157 @@
+/**
+ * csv-import.js - Column mapping + validation preview for CSV bulk uploads
+ *
+ * The bulk upload pages share one flow:
+ *   1. the user picks a CSV file (parsed by csv.js),
+ *   2. each target field is mapped to a CSV column — a combobox per field,
+ *      pre-filled by matching header names against the field's aliases,
+ *   3. every data row is mapped to a record and validated by the page,
+ *      and the preview grid shows each row with its errors,
+ *   4. valid rows are committed by the page; rejected rows can be
+ *      downloaded as a CSV with an extra "Errors" column.
+ *
+ * This module owns steps 2–4's DOM; the page supplies the fields, the
+ * per-row validation and the commit.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { makeEngineRow } from '../tasks/task-form.js';
+import { downloadCsv } from './csv.js';
+
+export const NOT_MAPPED = '— Not mapped —';
+
+/**
+ * @typedef {Object} ImportField
+ * @property {string} key
+ * @property {string} label
+ * @property {string[]} [aliases]   Other header names that map to this field
+ *
+ * @typedef {Object} ImportRow
+ * @property {number} line          Line number in the file (header is line 1)
+ * @property {string[]} raw         The row's original fields
+ * @property {Object<string,string>} values   Mapped field values, trimmed
+ * @property {string[]} errors      Empty when the row is valid
+ */
+
+const normaliseHeader = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Combobox items are unique strings, so repeated headers get their column
+// number appended.
+function headerLabels(headers) {
+  return headers.map((header, i) => {
+    const label = header.trim() || `Column ${i + 1}`;
+    const repeated = headers.some((other, j) => j !== i && other.trim() === header.trim());
+    return repeated ? `${label} (column ${i + 1})` : label;
+  });
+}
+
+function guessColumn(field, headers) {
+  const names = [field.key, field.label, ...(field.aliases || [])].map(normaliseHeader);
+  return headers.findIndex((header) => names.includes(normaliseHeader(header)));
+}
+
+/**
+ * Render one combobox per field into `container`, mapping it to a CSV
+ * column. `onChange(mapping)` fires whenever a mapping changes.
+ * Returns { getMapping(), destroy() } — mapping is { fieldKey: columnIndex|-1 }.
+ */
+export function mountColumnMapping(container, { idPrefix, headers, fields, onChange }) {
+  container.innerHTML = '';
+  const labels = headerLabels(headers);
+  const items = [NOT_MAPPED, ...labels];
+  const engines = new Map();
+
+  const getMapping = () => {
+    const mapping = {};
+    engines.forEach((engine, key) => {
+      mapping[key] = labels.indexOf(engine.getValue());
+    });
+    return mapping;
+  };
+
+  fields.forEach((field) => {
+    const id = `${idPrefix}-map-${field.key}`;
+    const { row, mountId } = makeEngineRow(id);
+    row.classList.add('task-form__row--combobox');
+    container.appendChild(row);
+    const guess = guessColumn(field, headers);
+    const engine = componentFactory.createListFloatingLabel(mountId, {
+      id,
+      label: field.label,
+      placeholder: field.label,
+      items,
+      value: guess >= 0 ? labels[guess] : NOT_MAPPED,
+      onChange: () => onChange(getMapping())
+    });
+    engines.set(field.key, engine);
+  });
+
+  return {
+    getMapping,
+    destroy() {
+      engines.forEach((engine) => engine.destroy());
+      container.innerHTML = '';
+    }
+  };
+}
+
+/**
+ * Map data rows to field values. Unmapped fields read as ''.
+ * @returns {ImportRow[]}
+ */
+export function mapRows(rows, mapping) {
+  return rows.map((raw, i) => {
+    const values = {};
+    Object.entries(mapping).forEach(([key, column]) => {
+      values[key] = column >= 0 ? String(raw[column] || '').trim() : '';
+    });
+    return { line: i + 2, raw, values, errors: [] };
+  });
+}
+
+function cell(tag, className, text) {
+  const el = document.createElement(tag);
+  el.className = className;
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const inner = document.createElement(tag === 'th' ? 'h3' : 'p');
+  inner.textContent = text;
+  div.appendChild(inner);
+  el.appendChild(div);
+  return el;
+}
+
+/**
+ * Render the preview grid: line number, one column per `columns` entry
+ * ({ label, value(row) }), then the row's errors. Invalid rows get
+ * .bulk-upload__row--invalid.
+ */
+export function renderPreview(headerRow, tbody, importRows, columns) {
+  headerRow.innerHTML = '';
+  headerRow.appendChild(cell('th', 'table-header-cell', 'Line'));
+  columns.forEach((column) => headerRow.appendChild(cell('th', 'table-header-cell', column.label)));
+  headerRow.appendChild(cell('th', 'table-header-cell', 'Errors'));
+
+  tbody.innerHTML = '';
+  importRows.forEach((row) => {
+    const tr = document.createElement('tr');
+    tr.className = 'table-body-row';
+    tr.classList.toggle('bulk-upload__row--invalid', row.errors.length > 0);
+    tr.appendChild(cell('td', 'table-body-cell', String(row.line)));
+    columns.forEach((column) => tr.appendChild(cell('td', 'table-body-cell', column.value(row) || '—')));
+    tr.appendChild(cell('td', 'table-body-cell bulk-upload__errors', row.errors.join('; ') || 'OK'));
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Download the rejected rows as they appeared in the file, plus an
+ * "Errors" column, so they can be fixed and uploaded again.
+ */
+export function downloadRejectedRows(filename, headers, importRows) {
+  const rejected = importRows.filter((row) => row.errors.length > 0);
+  downloadCsv(filename, [
+    [...headers, 'Errors'],
+    ...rejected.map((row) => [...headers.map((_, i) => row.raw[i] || ''), row.errors.join('; ')])
+  ]);
+}
@@ -0,0 +1,120 @@
+/**
+ * csv.js - CSV parsing and export for the bulk upload pages
+ *
+ * parseCsv() follows RFC 4180 closely enough for spreadsheet exports:
+ *   - a leading UTF-8 BOM is dropped
+ *   - the delimiter is ',' or ';' (detected from the header line unless
+ *     given — European Excel exports use ';')
+ *   - fields may be quoted; "" inside quotes is a literal quote, and
+ *     quoted fields may span lines
+ *   - CRLF, LF and CR line endings; blank lines are skipped
+ *
+ * toCsv() / downloadCsv() write the same format back out (comma
+ * delimited, quoting only where needed) — used for error reports.
+ */
+
+const BOM = '﻿';
+
+/**
+ * Pick ',' or ';' by counting unquoted occurrences on the first line.
+ */
+export function detectDelimiter(text) {
+  let commas = 0;
+  let semicolons = 0;
+  let quoted = false;
+  for (const ch of String(text || '')) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && ch === ',') commas += 1;
+    else if (!quoted && ch === ';') semicolons += 1;
+  }
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into rows of string fields.
+ * @param {string} text
+ * @param {{ delimiter?: ',' | ';' }} [options]
+ * @returns {string[][]}
+ */
+export function parseCsv(text, { delimiter } = {}) {
+  let source = String(text || '');
+  if (source.startsWith(BOM)) source = source.slice(1);
+  const sep = delimiter || detectDelimiter(source);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    // A blank line parses as a single empty field — skip it.
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      endField();
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Read a File (from the upload engine) and parse it.
+ * @param {File} file
+ * @returns {Promise<string[][]>}
+ */
+export async function readCsvFile(file) {
+  return parseCsv(await file.text());
+}
+
+function quoteField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rows of fields to comma-delimited CSV text.
+ * @param {Array<Array<*>>} rows
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(quoteField).join(',')).join('\r\n');
+}
+
+/**
+ * Offer `rows` to the user as a CSV download. The BOM keeps Excel from
+ * misreading non-ASCII characters.
+ */
+export function downloadCsv(filename, rows) {
+  const blob = new Blob([BOM, toCsv(rows), '\r\n'], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -26,7 +26,9 @@
  *   AUTH_API   AWS API Gateway tier — Zitadel proxy (`/users`,
  *              `/roles`, `/user-grants`), font editor
  *              (`/push-font-variables`, `/revert-font-variables`),
- *              security settings (`/push-security-config`).
+ *              security settings (`/push-security-config`), task
+ *              repository (`/tasks/<env>`), permission grants
+ *              (`/permission-requests/<env>/apply`).
  *
  *              prod     -> auth.dynamicsite.io
  *              dev      -> auth-dev.dynamicsite.io
@@ -73,6 +75,13 @@ if (HOST === 'dev.dynamicsite.io') {
 
 export const ENV = _env;
 
+/**
+ * This environment's name in the API proxy's per-environment routes
+ * (`/tasks/<env>`, `/security-settings/<env>`, …), which use the long
+ * names: production | development | sandbox.
+ */
+export const API_ENV = { prod: 'production', dev: 'development', sandbox: 'sandbox' }[ENV];
+
 /**
  * AWS API Gateway base URL for this environment.
  * Each environment has its own API Gateway + Lambda function so a code
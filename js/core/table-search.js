@@ -0,0 +1,109 @@
+// js/core/table-search.js
+//
+// Live search bar for a .table-main. Renders a text_input_component_engine
+// into `container` and, on every keystroke, filters the rows of `tbody` to
+// those whose text contains the query (case-insensitive), wrapping each
+// match in <mark class="search-hit"> and tagging matching rows with
+// .search-matched (styles in _table.scss). Clearing the input restores
+// every row and removes the highlights.
+//
+// Consumers:
+//   - Deployment Index (main.js initializeDeploymentIndexSearch) — static
+//     rows, searched as rendered
+//   - finance/banks — rows re-rendered on sort and edit; the page calls
+//     refresh() after each render so the current query is re-applied
+//
+// Usage:
+//
+//   import { attachTableSearch } from '../core/table-search.js';
+//
+//   const search = attachTableSearch(container, tbody, {
+//     id: 'banks-search-input',
+//     name: 'banks-search'
+//   });
+//   // ...after re-rendering tbody:
+//   search.refresh();
+
+import { text_input_component_engine } from '../engines/text_input_component_engine.js';
+
+const escRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escHtml = (s) => s.replace(/[&<>"']/g, (c) => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+export function attachTableSearch(container, tbody, { id, name, placeholder = 'Search' }) {
+  let rows = [];
+  let rowOriginals = [];
+  let query = '';
+
+  // Cache each row's original cell text so we can rebuild .cell-fit > p contents
+  // (with or without <mark> wrapping) on every keystroke without losing the source.
+  const cacheRows = () => {
+    rows = Array.from(tbody.querySelectorAll('tr.table-body-row'));
+    rowOriginals = rows.map((row) => {
+      const proseTargets = row.querySelectorAll('.cell-fit > p, .cell-fit > h3');
+      return Array.from(proseTargets).map((el) => ({ el, text: el.textContent }));
+    });
+  };
+
+  const applyFilter = () => {
+    const q = query.trim();
+    if (!q) {
+      // Reset: show every row, drop the matched class, restore plain text.
+      rows.forEach((row, i) => {
+        row.style.display = '';
+        row.classList.remove('search-matched');
+        rowOriginals[i].forEach(({ el, text }) => { el.textContent = text; });
+      });
+      return;
+    }
+    const re = new RegExp(escRegex(q), 'gi');
+    rows.forEach((row, i) => {
+      const haystack = rowOriginals[i].map((o) => o.text).join(' ');
+      const matches = re.test(haystack);
+      re.lastIndex = 0; // reset after the test() call
+      row.style.display = matches ? '' : 'none';
+      if (!matches) {
+        // Hidden row: drop the matched class, restore plain text so a future
+        // search starts clean.
+        row.classList.remove('search-matched');
+        rowOriginals[i].forEach(({ el, text }) => { el.textContent = text; });
+        return;
+      }
+      // Visible row: tag it for the size bump and rewrite each prose element
+      // with <mark>-wrapped matches.
+      row.classList.add('search-matched');
+      rowOriginals[i].forEach(({ el, text }) => {
+        el.innerHTML = escHtml(text).replace(re, (m) => `<mark class="search-hit">${escHtml(m)}</mark>`);
+      });
+    });
+  };
+
+  // Instantiate the engine. Second arg is the change handler — fires on input.
+  const engine = new text_input_component_engine(
+    {
+      id,
+      name,
+      placeholder,
+      expandable: false,
+      multiline: false,
+    },
+    (value) => {
+      query = value || '';
+      applyFilter();
+    },
+  );
+  engine.render(container);
+  cacheRows();
+
+  return {
+    engine,
+    // Re-read the rows (after tbody was re-rendered) and re-apply the query.
+    refresh() {
+      cacheRows();
+      applyFilter();
+    },
+    // Rows the current query leaves visible.
+    visibleCount: () => rows.filter((row) => row.style.display !== 'none').length,
+  };
+}
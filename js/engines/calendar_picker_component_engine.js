@@ -9,11 +9,13 @@ class CalendarPickerComponentEngine {
             defaultDate: config.defaultDate || new Date(),
             minDate: config.minDate || null,
             maxDate: config.maxDate || null,
-            firstDayOfWeek: config.firstDayOfWeek || 1, // 1 = Monday
+            firstDayOfWeek: config.firstDayOfWeek ?? 1, // 1 = Monday, 0 = Sunday
             onChange: config.onChange || (() => {}),
             onExpand: config.onExpand || (() => {}),
             expandable: config.expandable !== false,
             monthsToShow: 1, // Start with single month
+            range: false, // true: pick a start and an end day, onChange({ start, end })
+            defaultRange: null, // { start, end } when range is true
             ...config
         };
         
@@ -22,9 +24,19 @@ class CalendarPickerComponentEngine {
         this.viewDate = new Date(this.config.defaultDate);
         this.expanded = false;
         
+        // Range mode: both set once a range is complete, only rangeStart
+        // while the end is still being picked
+        const defaultRange = this.config.defaultRange;
+        this.rangeStart = defaultRange ? this.startOfDay(defaultRange.start) : null;
+        this.rangeEnd = defaultRange ? this.startOfDay(defaultRange.end) : null;
+        if (this.config.range && this.rangeStart) this.viewDate = new Date(this.rangeStart);
+        
         this.monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                           'July', 'August', 'September', 'October', 'November', 'December'];
-        this.dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        // Weekday headers rotated to start on firstDayOfWeek (0 = Sunday)
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const firstDay = this.config.firstDayOfWeek % 7;
+        this.dayNames = [...weekdays.slice(firstDay), ...weekdays.slice(0, firstDay)];
         
         this.init();
     }
@@ -138,14 +150,13 @@ class CalendarPickerComponentEngine {
     }
     
     renderDay(date, monthClass) {
-        const isSelected = this.isSameDay(date, this.selectedDate);
         const isToday = this.isSameDay(date, new Date());
         const isDisabled = this.isDateDisabled(date);
         
         const classes = [
             'calendar-day',
             monthClass,
-            isSelected ? 'selected' : '',
+            ...(this.config.range ? this.rangeClasses(date) : [this.isSameDay(date, this.selectedDate) ? 'selected' : '']),
             isToday ? 'today' : '',
             isDisabled ? 'disabled' : ''
         ].filter(Boolean).join(' ');
@@ -160,6 +171,23 @@ class CalendarPickerComponentEngine {
         `;
     }
     
+    rangeClasses(date) {
+        const isStart = this.rangeStart && this.isSameDay(date, this.rangeStart);
+        const isEnd = this.rangeEnd && this.isSameDay(date, this.rangeEnd);
+        const inRange = this.rangeStart && this.rangeEnd && date > this.rangeStart && date < this.rangeEnd;
+        return [
+            isStart || isEnd ? 'selected' : '',
+            isStart ? 'range-start' : '',
+            isEnd ? 'range-end' : '',
+            inRange ? 'in-range' : ''
+        ];
+    }
+    
+    startOfDay(date) {
+        const day = new Date(date);
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    }
+    
     isSameDay(date1, date2) {
         return date1.getDate() === date2.getDate() &&
                date1.getMonth() === date2.getMonth() &&
@@ -191,7 +219,11 @@ class CalendarPickerComponentEngine {
             const dayButton = e.target.closest('.calendar-day:not(.disabled)');
             if (dayButton) {
                 const date = new Date(dayButton.dataset.date);
-                this.selectDate(date);
+                if (this.config.range) {
+                    this.selectRangeDate(date);
+                } else {
+                    this.selectDate(date);
+                }
             }
         });
         
@@ -256,8 +288,41 @@ class CalendarPickerComponentEngine {
         this.config.onChange(date);
     }
     
+    // Range mode: the first click starts a new range, the second completes
+    // it (swapping the ends when picked backwards) and fires onChange
+    selectRangeDate(date) {
+        if (!this.rangeStart || this.rangeEnd) {
+            this.rangeStart = date;
+            this.rangeEnd = null;
+        } else if (date < this.rangeStart) {
+            this.rangeEnd = this.rangeStart;
+            this.rangeStart = date;
+        } else {
+            this.rangeEnd = date;
+        }
+        
+        this.render();
+        this.attachEventListeners();
+        
+        if (this.rangeEnd) this.config.onChange(this.getRange());
+    }
+    
     getValue() {
-        return this.selectedDate;
+        return this.config.range ? this.getRange() : this.selectedDate;
+    }
+    
+    // { start, end } with both days inclusive, or null while incomplete
+    getRange() {
+        if (!this.rangeStart || !this.rangeEnd) return null;
+        return { start: new Date(this.rangeStart), end: new Date(this.rangeEnd) };
+    }
+    
+    setRange(start, end) {
+        this.rangeStart = this.startOfDay(start);
+        this.rangeEnd = this.startOfDay(end);
+        this.viewDate = new Date(this.rangeStart);
+        this.render();
+        this.attachEventListeners();
     }
     
     setValue(date) {
@@ -405,6 +470,21 @@ class CalendarPickerComponentEngine {
                 box-shadow: 0 2px 4px rgba(59, 130, 246, 0.3);
             }
             
+            .calendar-day.in-range {
+                background: rgba(59, 130, 246, 0.25);
+                border-radius: 0;
+            }
+            
+            .calendar-day.range-start:not(.range-end) {
+                border-top-right-radius: 0;
+                border-bottom-right-radius: 0;
+            }
+            
+            .calendar-day.range-end:not(.range-start) {
+                border-top-left-radius: 0;
+                border-bottom-left-radius: 0;
+            }
+            
             .calendar-day.disabled {
                 color: rgba(255, 255, 255, 0.2);
                 cursor: not-allowed;
@@ -0,0 +1,430 @@
+/**
+ * chart_component_engine.js
+ *
+ * Engine for SVG charts used by the reporting pages. One engine, four
+ * chart types:
+ *
+ *   line       labels along x, one polyline per series, value axis on y
+ *   bar        labels along x, one bar per series in each group
+ *   donut      one arc per segment, total in the middle
+ *   sparkline  a single series as a small line, no axes — for KPI tiles
+ *
+ * Data:
+ *   line / bar / sparkline  { labels: string[], series: [{ name, values: number[], color? }] }
+ *   donut                   { segments: [{ label, value, color? }] }
+ *
+ * `color` names a CSS custom property ('--success-color'); without one
+ * series / segments take the palette in order. Colors and text are read
+ * from the CSS variables at draw time and the chart redraws when the body
+ * data-theme changes, so light / dark stay in step with _themes.scss.
+ *
+ * The click handler receives ({ label, value, series, index }, id) for the
+ * bar, point or segment clicked; charts without a handler are not clickable.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Palette, in series order — CSS custom properties from _variables.scss
+const PALETTE = [
+  '--active-button-start',
+  '--success-color',
+  '--error-color',
+  '--focus-color',
+  '--active-button-end',
+  '--nav-primary'
+];
+
+const SIZES = {
+  line:      { width: 600, height: 240 },
+  bar:       { width: 600, height: 240 },
+  donut:     { width: 240, height: 240 },
+  sparkline: { width: 120, height: 32 }
+};
+
+const MARGIN = { top: 12, right: 12, bottom: 28, left: 44 };
+const MAX_X_LABELS = 8;
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  return el;
+}
+
+// Round `max` up to a 1 / 2 / 5 × 10ⁿ step so the y axis has tidy ticks.
+function niceScale(max, ticks = 4) {
+  if (!(max > 0)) return { max: ticks, step: 1 };
+  const rough = max / ticks;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= rough);
+  return { max: step * ticks, step };
+}
+
+class chart_component_engine {
+  constructor(options = {}, clickHandler = null) {
+    this.options = {
+      id: options.id || `chart-${Date.now()}`,
+      type: options.type || 'line',
+      title: options.title || '',
+      labels: options.labels || [],
+      series: options.series || [],
+      segments: options.segments || [],
+      formatValue: options.formatValue || ((v) => String(Math.round(v * 10) / 10)),
+      emptyText: options.emptyText || 'No data for this period',
+      legend: options.legend !== undefined ? options.legend : options.type !== 'sparkline',
+      ...options
+    };
+
+    this.clickHandler = clickHandler;
+    this.element = null;
+    this.container = null;
+    this.svg = null;
+    this.legendEl = null;
+    this.themeObserver = null;
+
+    console.log(`[chart_component_engine] Initialized ${this.options.type} chart:`, this.options.id);
+  }
+
+  /**
+   * Render the chart into the specified container
+   * @param {string|HTMLElement} container - Container ID or element
+   * @returns {HTMLElement} The chart element
+   */
+  render(container) {
+    const containerEl = typeof container === 'string'
+      ? document.getElementById(container)
+      : container;
+
+    if (!containerEl) {
+      console.error(`[chart_component_engine] Container not found:`, container);
+      return null;
+    }
+
+    this.container = containerEl;
+    this.element = document.createElement('figure');
+    this.element.className = `chart-component chart-component--${this.options.type}`;
+    this.element.id = this.options.id;
+
+    const { width, height } = SIZES[this.options.type] || SIZES.line;
+    this.svg = svgEl('svg', {
+      class: 'chart-component__svg',
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'img',
+      'aria-label': this.options.title || `${this.options.type} chart`
+    });
+    this.element.appendChild(this.svg);
+
+    if (this.options.legend) {
+      this.legendEl = document.createElement('ul');
+      this.legendEl.className = 'chart-component__legend';
+      this.element.appendChild(this.legendEl);
+    }
+
+    this.container.appendChild(this.element);
+    this.draw();
+
+    // Redraw with the other theme's colors when the theme changes.
+    this.themeObserver = new MutationObserver(() => this.draw());
+    this.themeObserver.observe(document.body, { attributes: true, attributeFilter: ['data-theme'] });
+
+    console.log(`[chart_component_engine] Rendered ${this.options.type} chart:`, this.options.id);
+    return this.element;
+  }
+
+  /**
+   * Replace the chart data and redraw.
+   * @param {{ labels?: string[], series?: Array, segments?: Array }} data
+   */
+  setData(data = {}) {
+    ['labels', 'series', 'segments'].forEach((key) => {
+      if (data[key]) this.options[key] = data[key];
+    });
+    this.draw();
+  }
+
+  // ─── Theme ────────────────────────────────────────────────────────────────
+
+  readTheme() {
+    const styles = getComputedStyle(document.body);
+    const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+    const theme = document.body.getAttribute('data-theme') || 'dark';
+    return {
+      text: read(`--text-color-${theme}`, '#ffffff'),
+      color: (name, index) => read(name || PALETTE[index % PALETTE.length], '#6a0dad')
+    };
+  }
+
+  // ─── Drawing ──────────────────────────────────────────────────────────────
+
+  draw() {
+    if (!this.svg) return;
+    this.svg.replaceChildren();
+    if (this.legendEl) this.legendEl.replaceChildren();
+    const theme = this.readTheme();
+
+    if (this.isEmpty()) {
+      const { width, height } = SIZES[this.options.type] || SIZES.line;
+      if (this.options.type !== 'sparkline') {
+        const text = svgEl('text', {
+          x: width / 2,
+          y: height / 2,
+          'text-anchor': 'middle',
+          fill: theme.text,
+          class: 'chart-component__empty'
+        });
+        text.textContent = this.options.emptyText;
+        this.svg.appendChild(text);
+      }
+      return;
+    }
+
+    switch (this.options.type) {
+      case 'bar': this.drawBars(theme); break;
+      case 'donut': this.drawDonut(theme); break;
+      case 'sparkline': this.drawSparkline(theme); break;
+      default: this.drawLines(theme);
+    }
+  }
+
+  isEmpty() {
+    if (this.options.type === 'donut') {
+      return !this.options.segments.some((s) => s.value > 0);
+    }
+    return this.options.labels.length === 0 || this.options.series.length === 0;
+  }
+
+  // Bind a click on `el` to the handler and mark it as interactive.
+  bindClick(el, point) {
+    if (!this.clickHandler) return;
+    el.classList.add('chart-component__target');
+    el.addEventListener('click', () => this.clickHandler(point, this.options.id));
+  }
+
+  addTitle(el, text) {
+    const title = svgEl('title');
+    title.textContent = text;
+    el.appendChild(title);
+  }
+
+  addLegend(items, theme) {
+    if (!this.legendEl) return;
+    items.forEach((item, i) => {
+      const li = document.createElement('li');
+      li.className = 'chart-component__legend-item';
+      const swatch = document.createElement('span');
+      swatch.className = 'chart-component__swatch';
+      swatch.style.background = theme.color(item.color, i);
+      li.appendChild(swatch);
+      li.appendChild(document.createTextNode(item.text));
+      this.legendEl.appendChild(li);
+    });
+  }
+
+  /**
+   * Axes, grid and labels for line / bar charts. Returns the plot area and
+   * the value → y mapping.
+   */
+  drawAxes(theme, max) {
+    const { width, height } = SIZES[this.options.type];
+    const plot = {
+      x: MARGIN.left,
+      y: MARGIN.top,
+      w: width - MARGIN.left - MARGIN.right,
+      h: height - MARGIN.top - MARGIN.bottom
+    };
+    const scale = niceScale(max);
+    const yFor = (v) => plot.y + plot.h - (v / scale.max) * plot.h;
+
+    const grid = svgEl('g', { class: 'chart-component__grid', stroke: theme.text });
+    const axisText = svgEl('g', { class: 'chart-component__axis', fill: theme.text });
+    for (let v = 0; v <= scale.max + scale.step / 2; v += scale.step) {
+      const y = yFor(v);
+      grid.appendChild(svgEl('line', { x1: plot.x, x2: plot.x + plot.w, y1: y, y2: y }));
+      const label = svgEl('text', { x: plot.x - 6, y: y + 4, 'text-anchor': 'end' });
+      label.textContent = this.options.formatValue(v);
+      axisText.appendChild(label);
+    }
+
+    const labels = this.options.labels;
+    const every = Math.ceil(labels.length / MAX_X_LABELS);
+    const slot = plot.w / labels.length;
+    labels.forEach((text, i) => {
+      if (i % every !== 0) return;
+      const label = svgEl('text', {
+        x: plot.x + slot * (i + 0.5),
+        y: plot.y + plot.h + 18,
+        'text-anchor': 'middle'
+      });
+      label.textContent = text;
+      axisText.appendChild(label);
+    });
+
+    this.svg.appendChild(grid);
+    this.svg.appendChild(axisText);
+    return { plot, yFor, slot };
+  }
+
+  seriesMax() {
+    return Math.max(0, ...this.options.series.flatMap((s) => s.values.filter(Number.isFinite)));
+  }
+
+  drawLines(theme) {
+    const { plot, yFor, slot } = this.drawAxes(theme, this.seriesMax());
+    const xFor = (i) => plot.x + slot * (i + 0.5);
+
+    this.options.series.forEach((series, si) => {
+      const color = theme.color(series.color, si);
+      const g = svgEl('g', { class: 'chart-component__series' });
+      // Gaps (null / NaN) split the line rather than dropping to zero.
+      let d = '';
+      let pen = false;
+      series.values.forEach((v, i) => {
+        if (!Number.isFinite(v)) { pen = false; return; }
+        d += `${pen ? 'L' : 'M'}${xFor(i)},${yFor(v)}`;
+        pen = true;
+      });
+      g.appendChild(svgEl('path', { d, fill: 'none', stroke: color, class: 'chart-component__line' }));
+      series.values.forEach((v, i) => {
+        if (!Number.isFinite(v)) return;
+        const dot = svgEl('circle', { cx: xFor(i), cy: yFor(v), r: 3, fill: color, class: 'chart-component__dot' });
+        const label = this.options.labels[i];
+        this.addTitle(dot, `${series.name} · ${label}: ${this.options.formatValue(v)}`);
+        this.bindClick(dot, { label, value: v, series: series.name, index: i });
+        g.appendChild(dot);
+      });
+      this.svg.appendChild(g);
+    });
+    this.addLegend(this.options.series.map((s) => ({ text: s.name, color: s.color })), theme);
+  }
+
+  drawBars(theme) {
+    const { plot, yFor, slot } = this.drawAxes(theme, this.seriesMax());
+    const count = this.options.series.length;
+    const barW = (slot * 0.7) / count;
+
+    this.options.series.forEach((series, si) => {
+      const color = theme.color(series.color, si);
+      const g = svgEl('g', { class: 'chart-component__series' });
+      series.values.forEach((v, i) => {
+        if (!Number.isFinite(v)) return;
+        const y = yFor(v);
+        const bar = svgEl('rect', {
+          x: plot.x + slot * i + slot * 0.15 + barW * si,
+          y,
+          width: Math.max(barW - 1, 1),
+          height: plot.y + plot.h - y,
+          fill: color,
+          class: 'chart-component__bar'
+        });
+        const label = this.options.labels[i];
+        this.addTitle(bar, `${count > 1 ? `${series.name} · ` : ''}${label}: ${this.options.formatValue(v)}`);
+        this.bindClick(bar, { label, value: v, series: series.name, index: i });
+        g.appendChild(bar);
+      });
+      this.svg.appendChild(g);
+    });
+    if (count > 1) {
+      this.addLegend(this.options.series.map((s) => ({ text: s.name, color: s.color })), theme);
+    }
+  }
+
+  drawDonut(theme) {
+    const { width, height } = SIZES.donut;
+    const cx = width / 2;
+    const cy = height / 2;
+    const outer = Math.min(cx, cy) - 8;
+    const inner = outer * 0.62;
+    const segments = this.options.segments;
+    const total = segments.reduce((sum, s) => sum + Math.max(s.value, 0), 0);
+    const point = (r, angle) => [cx + r * Math.sin(angle), cy - r * Math.cos(angle)];
+
+    let start = 0;
+    segments.forEach((segment, i) => {
+      if (!(segment.value > 0)) return;
+      // A full circle cannot be drawn as one arc; stop just short.
+      const sweep = Math.min((segment.value / total) * Math.PI * 2, Math.PI * 2 - 1e-4);
+      const end = start + sweep;
+      const large = sweep > Math.PI ? 1 : 0;
+      const [x1, y1] = point(outer, start);
+      const [x2, y2] = point(outer, end);
+      const [x3, y3] = point(inner, end);
+      const [x4, y4] = point(inner, start);
+      const arc = svgEl('path', {
+        d: `M${x1},${y1}A${outer},${outer} 0 ${large} 1 ${x2},${y2}L${x3},${y3}A${inner},${inner} 0 ${large} 0 ${x4},${y4}Z`,
+        fill: theme.color(segment.color, i),
+        class: 'chart-component__segment'
+      });
+      const share = Math.round((segment.value / total) * 100);
+      this.addTitle(arc, `${segment.label}: ${this.options.formatValue(segment.value)} (${share}%)`);
+      this.bindClick(arc, { label: segment.label, value: segment.value, series: null, index: i });
+      this.svg.appendChild(arc);
+      start = end;
+    });
+
+    const centre = svgEl('text', {
+      x: cx,
+      y: cy + 6,
+      'text-anchor': 'middle',
+      fill: theme.text,
+      class: 'chart-component__total'
+    });
+    centre.textContent = this.options.centerText !== undefined
+      ? this.options.centerText
+      : this.options.formatValue(total);
+    this.svg.appendChild(centre);
+
+    this.addLegend(segments.map((s) => ({
+      text: `${s.label} — ${this.options.formatValue(s.value)}`,
+      color: s.color
+    })), theme);
+  }
+
+  drawSparkline(theme) {
+    const { width, height } = SIZES.sparkline;
+    const series = this.options.series[0];
+    const values = series.values;
+    const finite = values.filter(Number.isFinite);
+    if (finite.length === 0) return;
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    const span = max - min || 1;
+    const step = values.length > 1 ? (width - 4) / (values.length - 1) : 0;
+    const xFor = (i) => 2 + step * i;
+    const yFor = (v) => height - 2 - ((v - min) / span) * (height - 4);
+
+    let d = '';
+    let pen = false;
+    values.forEach((v, i) => {
+      if (!Number.isFinite(v)) { pen = false; return; }
+      d += `${pen ? 'L' : 'M'}${xFor(i)},${yFor(v)}`;
+      pen = true;
+    });
+    const color = theme.color(series.color, 0);
+    const line = svgEl('path', { d, fill: 'none', stroke: color, class: 'chart-component__line' });
+    this.addTitle(line, series.name);
+    this.svg.appendChild(line);
+
+    const last = values.length - 1 - [...values].reverse().findIndex(Number.isFinite);
+    this.svg.appendChild(svgEl('circle', { cx: xFor(last), cy: yFor(values[last]), r: 2.5, fill: color }));
+  }
+
+  /**
+   * Destroy the chart
+   */
+  destroy() {
+    if (this.themeObserver) {
+      this.themeObserver.disconnect();
+      this.themeObserver = null;
+    }
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.container = null;
+    this.svg = null;
+    this.legendEl = null;
+    console.log(`[chart_component_engine] Destroyed:`, this.options.id);
+  }
+}
+
+// Export for ES6 modules
+export { chart_component_engine };
@@ -17,6 +17,7 @@ import { wheel_time_selector_component_engine } from '../engines/wheel_time_sele
 import { wheel_date_picker_component_engine } from '../engines/wheel_date_picker_component_engine.js';
 import { calendar_picker_component_engine } from '../engines/calendar_picker_component_engine.js';
 import { ThreeD_component_engine } from '../engines/threed_component_engine.js';
+import { chart_component_engine } from '../engines/chart_component_engine.js';
 
 import { wheel_selector_component_engine } from '../engines/wheel_selector_component_engine.js';
 import { custom_wheel_selector_engine } from '../engines/custom_wheel_selector_engine.js';
@@ -35,6 +36,7 @@ class ComponentFactory {
     this.calendarInstances = new Map();
     this.wheelSelectorInstances = new Map();
     this.customWheelInstances = new Map();
+    this.chartInstances = new Map();
 
     this.initialized = false;
     
@@ -489,29 +491,34 @@ class ComponentFactory {
 
   /**
    * Create first name input
+   * `overrides` replace the defaults — e.g. a different id, or
+   * storageKey: null for a name that is not the signed-in user's own.
    */
-  createFirstNameInput(containerId = 'first-name-container') {
+  createFirstNameInput(containerId = 'first-name-container', overrides = {}) {
     return this.createTextInput(containerId, {
       id: 'first-name',
       name: 'firstName',
       placeholder: 'Enter first name',
       storageKey: 'userFirstName',
       required: false,
-      expandable: true
+      expandable: true,
+      ...overrides
     });
   }
 
   /**
    * Create last name input
+   * `overrides` as for createFirstNameInput.
    */
-  createLastNameInput(containerId = 'last-name-container') {
+  createLastNameInput(containerId = 'last-name-container', overrides = {}) {
     return this.createTextInput(containerId, {
       id: 'last-name',
       name: 'lastName',
       placeholder: 'Enter last name',
       storageKey: 'userLastName',
       required: false,
-      expandable: true
+      expandable: true,
+      ...overrides
     });
   }
 
@@ -853,6 +860,46 @@ class ComponentFactory {
     }
   }
 
+  /**
+   * Create an SVG chart using chart_component_engine
+   * 
+   * @param {string} containerId - Container element ID
+   * @param {Object} options - Chart options: type ('line' | 'bar' | 'donut' | 'sparkline'), labels, series / segments
+   * @param {Function} clickHandler - Called with ({ label, value, series, index }, id) for the clicked bar, point or segment
+   * @returns {Object} Chart engine instance
+   */
+  createChart(containerId, options = {}, clickHandler = null) {
+    console.log(`[ComponentFactory] Creating chart in container: ${containerId}`);
+    
+    if (!chart_component_engine) {
+      console.error('[ComponentFactory] ERROR: chart_component_engine not available');
+      return null;
+    }
+    
+    try {
+      // Replace any chart already rendered under this id
+      const key = options.id || containerId;
+      if (this.chartInstances.has(key)) {
+        this.chartInstances.get(key).destroy();
+      }
+
+      const chartEngine = new chart_component_engine(options, clickHandler);
+      const element = chartEngine.render(containerId);
+      
+      if (element) {
+        this.chartInstances.set(key, chartEngine);
+        console.log(`[ComponentFactory] Chart created successfully: ${key}`);
+        return chartEngine;
+      } else {
+        console.error(`[ComponentFactory] Failed to render chart in: ${containerId}`);
+        return null;
+      }
+    } catch (error) {
+      console.error('[ComponentFactory] Error creating chart:', error);
+      return null;
+    }
+  }
+
   /**
    * Create profile picture upload
    */
@@ -1004,13 +1051,18 @@ class ComponentFactory {
     }
     
     try {
-      const container = document.getElementById(containerId);
-      if (!container) {
-        console.error(`[ComponentFactory] Container not found: ${containerId}`);
+      // The engine takes (options, changeHandler) and renders on demand
+      const handler = config.onChange || null;
+      const cleanOptions = { ...config, id: config.id || containerId };
+      delete cleanOptions.onChange;
+      
+      const wheelDateEngine = new wheel_date_picker_component_engine(cleanOptions, handler);
+      const element = wheelDateEngine.render(containerId);
+      if (!element) {
+        console.error(`[ComponentFactory] Failed to render wheel date picker in: ${containerId}`);
         return null;
       }
       
-      const wheelDateEngine = new wheel_date_picker_component_engine(container, config.id || containerId, config);
       const key = config.id || containerId;
       this.wheelDateInstances.set(key, wheelDateEngine);
       console.log(`[ComponentFactory] Wheel date picker created successfully: ${key}`);
@@ -0,0 +1,160 @@
+/**
+ * bank-registry.js
+ *
+ * The banks master data shown on finance/banks: every bank finance has
+ * approved for payments, with its SWIFT/BIC, local routing codes and
+ * verification status. Kept in the environment's data bucket through the
+ * API proxy's 'banks' registry, so finance shares one list (edited on
+ * finance/banks, bulk-loaded from finance/upload-banks).
+ *
+ * Editing requires BANK_EDITOR_ROLE — the same role that approves bank
+ * validation tasks — and is checked again by the proxy.
+ */
+
+import { hasMinimumRole } from '../auth/zitadel-auth.js';
+import { fetchRegistry, saveRegistryItems } from '../api/zitadel-api.js';
+import { getTaskType } from '../tasks/task-types.js';
+import { countryName } from '../tasks/task-form.js';
+import {
+  getSupportedCountryCodes,
+  makeBicValidator,
+  validateAbaRouting,
+  validateSortCode,
+  normaliseBankValue
+} from '../tasks/bank-rules.js';
+
+export const BANK_EDITOR_ROLE = getTaskType('bank-validation').approverRole;
+
+export const BANK_STATUSES = [
+  { key: 'active',       label: 'Active' },
+  { key: 'under-review', label: 'Under review' },
+  { key: 'inactive',     label: 'Inactive' }
+];
+
+/**
+ * @typedef {Object} Bank
+ * @property {string} id
+ * @property {string} name
+ * @property {string} country          ISO 3166-1 alpha-2
+ * @property {string} swiftBic         8 or 11 characters, upper case ('' if none)
+ * @property {string[]} routingCodes   Local clearing codes (ABA, sort code, …)
+ * @property {'active'|'under-review'|'inactive'} status
+ * @property {string|null} lastVerified   yyyy-mm-dd
+ * @property {string} updatedAt        ISO-8601 UTC
+ * @property {string} updatedBy
+ */
+
+export function getBankStatus(keyOrLabel) {
+  return BANK_STATUSES.find((s) => s.key === keyOrLabel || s.label === keyOrLabel) || null;
+}
+
+export function canEditBanks() {
+  return hasMinimumRole(BANK_EDITOR_ROLE);
+}
+
+/**
+ * Label for a country's local routing codes.
+ */
+export function routingCodeLabel(country) {
+  if (country === 'US') return 'ABA routing numbers';
+  if (country === 'GB') return 'Sort codes';
+  return 'Routing / clearing codes';
+}
+
+/**
+ * Validate one routing code for `country`. Returns a message or null.
+ */
+export function validateRoutingCode(country, rawValue) {
+  if (country === 'US') return validateAbaRouting(rawValue);
+  if (country === 'GB') return validateSortCode(rawValue);
+  const value = String(rawValue || '').replace(/[\s-]/g, '');
+  if (!value) return 'Required';
+  return /^[A-Za-z0-9]{3,15}$/.test(value) ? null : 'Routing codes are 3–15 letters or digits';
+}
+
+/**
+ * Split a comma / semicolon separated list of routing codes.
+ */
+export function parseRoutingCodes(raw) {
+  return String(raw || '').split(/[,;]/).map((c) => c.trim()).filter(Boolean);
+}
+
+/**
+ * Check a bank's fields. Returns { field: message } for each problem
+ * (empty when valid). Shared by the edit form and bulk upload.
+ */
+export function validateBank({ name, country, swiftBic, routingCodes, status, lastVerified }) {
+  const errors = {};
+  if (!String(name || '').trim()) errors.name = 'Required';
+  if (!getSupportedCountryCodes().includes(country)) errors.country = 'Unknown country';
+  if (String(swiftBic || '').trim()) {
+    const bicError = makeBicValidator(country)(swiftBic);
+    if (bicError) errors.swiftBic = bicError;
+  }
+  const routingError = (routingCodes || [])
+    .map((code) => validateRoutingCode(country, code))
+    .find(Boolean);
+  if (routingError) errors.routingCodes = routingError;
+  if (!String(swiftBic || '').trim() && (routingCodes || []).length === 0) {
+    errors.swiftBic = 'Give a SWIFT/BIC or at least one routing code';
+  }
+  if (!getBankStatus(status)) errors.status = 'Unknown status';
+  if (lastVerified && !/^\d{4}-\d{2}-\d{2}$/.test(lastVerified)) errors.lastVerified = 'Use yyyy-mm-dd';
+  return errors;
+}
+
+/**
+ * Normalised copy of a bank's fields for storage.
+ */
+export function normaliseBank(bank) {
+  return {
+    name: String(bank.name || '').trim(),
+    country: bank.country,
+    swiftBic: normaliseBankValue('bic', bank.swiftBic),
+    routingCodes: (bank.routingCodes || []).map((code) =>
+      normaliseBankValue(bank.country === 'GB' ? 'sortCode' : 'routingNumber', code)),
+    status: getBankStatus(bank.status).key,
+    lastVerified: bank.lastVerified || null
+  };
+}
+
+export function bankCountryLabel(bank) {
+  return `${countryName(bank.country)} (${bank.country})`;
+}
+
+function newBankId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `bank-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Every bank, sorted by name.
+ */
+export async function listBanks() {
+  const { items = [] } = await fetchRegistry('banks');
+  return items.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getBank(id) {
+  return (await listBanks()).find((b) => b.id === id) || null;
+}
+
+/**
+ * Add (no `id`) or replace (matching `id`) banks. Fields are validated and
+ * normalised; the first invalid bank throws before anything is saved.
+ * Resolves with the stored banks (updatedAt / updatedBy set by the proxy).
+ */
+export async function saveBanks(banks) {
+  if (!canEditBanks()) {
+    throw new Error(`[Banks] Editing banks requires the ${BANK_EDITOR_ROLE} role or higher`);
+  }
+  const drafts = banks.map((bank) => {
+    const errors = validateBank(bank);
+    const [field] = Object.keys(errors);
+    if (field) throw new Error(`[Banks] ${bank.name || 'Bank'}: ${field} — ${errors[field]}`);
+    return { id: bank.id || newBankId(), ...normaliseBank(bank) };
+  });
+  return saveRegistryItems('banks', drafts);
+}
@@ -0,0 +1,422 @@
+/**
+ * banks.js
+ *
+ * finance/banks — the banks master data table (bank-registry.js).
+ *
+ *   - Shared .table-main markup with the live search-and-highlight bar
+ *     (core/table-search.js) and sortable column headers.
+ *   - Clicking a row opens the detail drawer. Users with the bank editor
+ *     role can switch it to an edit form (and add new banks); everyone
+ *     else sees the details read-only.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { attachTableSearch } from '../core/table-search.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  validateAll,
+  countryName,
+  setFormStatus,
+  renderActionButton
+} from '../tasks/task-form.js';
+import { getSupportedCountryCodes } from '../tasks/bank-rules.js';
+import { formatUserDate, getFirstDayIndex } from '../settings/userDatePreferences.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+import {
+  BANK_EDITOR_ROLE,
+  BANK_STATUSES,
+  getBankStatus,
+  canEditBanks,
+  routingCodeLabel,
+  parseRoutingCodes,
+  validateBank,
+  bankCountryLabel,
+  listBanks,
+  saveBanks
+} from './bank-registry.js';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+// yyyy-mm-dd ↔ local calendar date.
+function parseIsoDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const formatVerified = (bank) => (bank.lastVerified ? formatUserDate(parseIsoDate(bank.lastVerified)) : 'Never');
+
+// ─── Sorting ────────────────────────────────────────────────────────────────
+
+const statusOrder = (bank) => BANK_STATUSES.findIndex((s) => s.key === bank.status);
+
+// Column key (th[data-sort-key]) → comparable value.
+const SORT_VALUES = {
+  name: (b) => b.name.toLowerCase(),
+  country: (b) => countryName(b.country).toLowerCase(),
+  swiftBic: (b) => b.swiftBic,
+  routingCodes: (b) => b.routingCodes[0] || '',
+  status: statusOrder,
+  lastVerified: (b) => b.lastVerified || ''
+};
+
+function compareBanks(key, direction) {
+  const value = SORT_VALUES[key];
+  return (a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    const order = typeof va === 'number' ? va - vb : va.localeCompare(vb);
+    return (order || a.name.localeCompare(b.name)) * direction;
+  };
+}
+
+// ─── Table rows ─────────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function buildRow(bank, onOpen) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-queue__row';
+  tr.dataset.bankId = bank.id;
+  tr.tabIndex = 0;
+  tr.appendChild(textCell(bank.name));
+  tr.appendChild(textCell(bankCountryLabel(bank)));
+  tr.appendChild(textCell(bank.swiftBic || '—'));
+  tr.appendChild(textCell(bank.routingCodes.join(', ') || '—'));
+  tr.appendChild(textCell(getBankStatus(bank.status).label));
+  tr.appendChild(textCell(formatVerified(bank)));
+  tr.addEventListener('click', () => onOpen(bank.id));
+  tr.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') onOpen(bank.id);
+  });
+  return tr;
+}
+
+function renderDetails(listEl, bank) {
+  listEl.innerHTML = '';
+  const add = (label, value) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    listEl.appendChild(dt);
+    listEl.appendChild(dd);
+  };
+  add('Country', bankCountryLabel(bank));
+  add('SWIFT / BIC', bank.swiftBic || '—');
+  add(routingCodeLabel(bank.country), bank.routingCodes.join(', ') || '—');
+  add('Status', getBankStatus(bank.status).label);
+  add('Last verified', formatVerified(bank));
+  add('Last changed', `${formatLocalTimestamp(bank.updatedAt)} by ${bank.updatedBy}`);
+}
+
+// ─── Edit form ──────────────────────────────────────────────────────────────
+
+/**
+ * Render the edit form for `bank` (null for a new bank) into `formEl`.
+ * Returns { validate(), getBank(), destroy() }.
+ */
+function renderEditForm(formEl, bank) {
+  formEl.innerHTML = '';
+  const engines = [];
+
+  const nameToCode = new Map();
+  const countryItems = getSupportedCountryCodes()
+    .map((code) => ({ code, label: `${countryName(code)} (${code})` }))
+    .sort((a, b) => a.label.localeCompare(b.label))
+    .map(({ code, label }) => {
+      nameToCode.set(label, code);
+      return label;
+    });
+
+  const addText = (key, label, value) => {
+    const id = `bank-edit-${key}`;
+    const { row, mountId } = makeEngineRow(id);
+    formEl.appendChild(row);
+    const engine = componentFactory.createTextInputFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder: label,
+      value,
+      expandable: false
+    });
+    engines.push(engine);
+    return engine;
+  };
+
+  const addCombobox = (key, label, items, value) => {
+    const id = `bank-edit-${key}`;
+    const { row, mountId } = makeEngineRow(id);
+    row.classList.add('task-form__row--combobox');
+    formEl.appendChild(row);
+    const engine = componentFactory.createListFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder: label,
+      items,
+      value
+    });
+    engines.push(engine);
+    return engine;
+  };
+
+  const nameEngine = addText('name', 'Bank name', bank ? bank.name : '');
+  const countryEngine = addCombobox('country', 'Country', countryItems, bank ? bankCountryLabel(bank) : '');
+  const swiftEngine = addText('swift', 'SWIFT / BIC', bank ? bank.swiftBic : '');
+  const routingEngine = addText('routing', 'Routing codes (comma-separated)', bank ? bank.routingCodes.join(', ') : '');
+  const statusEngine = addCombobox('status', 'Status', BANK_STATUSES.map((s) => s.label),
+    getBankStatus(bank ? bank.status : 'active').label);
+
+  let lastVerified = bank && bank.lastVerified ? parseIsoDate(bank.lastVerified) : new Date();
+  const calendarRow = document.createElement('div');
+  calendarRow.className = 'task-form__row task-form__row--calendar';
+  const calendarTitle = document.createElement('h3');
+  calendarTitle.textContent = 'Last verified';
+  const calendarMount = document.createElement('div');
+  calendarMount.id = 'bank-edit-verified';
+  calendarRow.appendChild(calendarTitle);
+  calendarRow.appendChild(calendarMount);
+  formEl.appendChild(calendarRow);
+  componentFactory.createCalendarPicker(calendarMount.id, {
+    id: 'bank-edit-verified-picker',
+    label: 'Last verified',
+    defaultDate: lastVerified,
+    firstDayOfWeek: getFirstDayIndex(),
+    expandable: false,
+    onChange: (date) => { lastVerified = date; }
+  });
+
+  const draft = () => ({
+    id: bank ? bank.id : undefined,
+    name: nameEngine.getValue(),
+    country: nameToCode.get(countryEngine.getValue()) || '',
+    swiftBic: swiftEngine.getValue(),
+    routingCodes: parseRoutingCodes(routingEngine.getValue()),
+    status: (getBankStatus(statusEngine.getValue()) || {}).key,
+    lastVerified: isoDate(lastVerified)
+  });
+  // Each field's message comes from the registry's whole-bank check.
+  const fieldValidator = (field) => () => validateBank(draft())[field] || null;
+
+  const runs = [
+    attachValidator(nameEngine.element, fieldValidator('name'), INVALID_CLASS),
+    attachValidator(countryEngine.element, fieldValidator('country'), INVALID_CLASS),
+    attachValidator(swiftEngine.element, fieldValidator('swiftBic'), INVALID_CLASS),
+    attachValidator(routingEngine.element, fieldValidator('routingCodes'), INVALID_CLASS),
+    attachValidator(statusEngine.element, fieldValidator('status'), INVALID_CLASS)
+  ];
+
+  return {
+    validate: () => validateAll(runs),
+    getBank: draft,
+    destroy() {
+      engines.forEach((engine) => engine.destroy());
+      formEl.innerHTML = '';
+    }
+  };
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for finance/banks.
+ */
+export function initializeBanks() {
+  const root = document.getElementById('banks');
+  const tbody = document.getElementById('banks-body');
+  const headerRow = document.getElementById('banks-header-row');
+  const searchEl = document.getElementById('banks-search');
+  const emptyEl = document.getElementById('banks-empty');
+  const drawer = document.getElementById('banks-drawer');
+  if (!root || !tbody || !headerRow || !searchEl || !emptyEl || !drawer) {
+    console.error('[Banks] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Banks] init');
+
+  const titleEl = document.getElementById('banks-drawer-title');
+  const detailsEl = document.getElementById('banks-drawer-fields');
+  const formEl = document.getElementById('banks-drawer-form');
+  const permissionEl = document.getElementById('banks-drawer-permission');
+  const drawerStatusEl = document.getElementById('banks-drawer-status');
+  const editSlot = document.getElementById('banks-action-edit');
+  const saveSlot = document.getElementById('banks-action-save');
+  const cancelSlot = document.getElementById('banks-action-cancel');
+
+  const editable = canEditBanks();
+  const sort = { key: 'name', direction: 1 };
+  let banks = [];           // last list loaded from the proxy
+  let openBankId = null;    // null while closed or adding
+  let editor = null;        // renderEditForm controller while editing
+
+  // ── Table ──
+  const search = attachTableSearch(searchEl, tbody, { id: 'banks-search-input', name: 'banks-search' });
+
+  const findBank = (id) => banks.find((b) => b.id === id) || null;
+
+  const renderTable = () => {
+    const sorted = [...banks].sort(compareBanks(sort.key, sort.direction));
+    tbody.innerHTML = '';
+    sorted.forEach((bank) => tbody.appendChild(buildRow(bank, openDrawer)));
+    tbody.querySelectorAll('.task-queue__row').forEach((r) => {
+      r.classList.toggle('task-queue__row--open', r.dataset.bankId === openBankId);
+    });
+    search.refresh();
+    emptyEl.hidden = banks.length > 0;
+    emptyEl.textContent = 'No banks on record.';
+  };
+
+  const load = async () => {
+    try {
+      banks = await listBanks();
+    } catch (err) {
+      console.error('[Banks] Failed to load banks:', err);
+      tbody.innerHTML = '';
+      emptyEl.hidden = false;
+      emptyEl.textContent = `Could not load banks: ${err.message}`;
+      return;
+    }
+    renderTable();
+  };
+
+  // ── Sortable headers ──
+  const headers = Array.from(headerRow.querySelectorAll('th[data-sort-key]'));
+  const renderSortState = () => {
+    headers.forEach((th) => {
+      const active = th.dataset.sortKey === sort.key;
+      th.setAttribute('aria-sort', active ? (sort.direction === 1 ? 'ascending' : 'descending') : 'none');
+    });
+  };
+  headers.forEach((th) => {
+    th.classList.add('table-header-cell--sortable');
+    th.tabIndex = 0;
+    const activate = () => {
+      sort.direction = sort.key === th.dataset.sortKey ? -sort.direction : 1;
+      sort.key = th.dataset.sortKey;
+      renderSortState();
+      renderTable();
+    };
+    th.addEventListener('click', activate);
+    th.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        activate();
+      }
+    });
+  });
+
+  // ── Drawer ──
+  const setMode = (mode) => {
+    const editing = mode === 'edit';
+    detailsEl.hidden = editing;
+    formEl.hidden = !editing;
+    editSlot.hidden = editing || !editable;
+    saveSlot.hidden = !editing;
+    cancelSlot.hidden = !editing;
+  };
+
+  const stopEditing = () => {
+    if (editor) editor.destroy();
+    editor = null;
+  };
+
+  const closeDrawer = () => {
+    stopEditing();
+    openBankId = null;
+    drawer.hidden = true;
+    tbody.querySelectorAll('.task-queue__row--open').forEach((r) => r.classList.remove('task-queue__row--open'));
+  };
+
+  function openDrawer(id) {
+    const bank = findBank(id);
+    if (!bank) {
+      closeDrawer();
+      return;
+    }
+    stopEditing();
+    openBankId = id;
+    titleEl.textContent = bank.name;
+    renderDetails(detailsEl, bank);
+    permissionEl.hidden = editable;
+    permissionEl.textContent = editable ? '' : `Editing banks requires the ${BANK_EDITOR_ROLE} role or higher.`;
+    setFormStatus(drawerStatusEl, '', null);
+    setMode('view');
+    tbody.querySelectorAll('.task-queue__row').forEach((r) => {
+      r.classList.toggle('task-queue__row--open', r.dataset.bankId === id);
+    });
+    drawer.hidden = false;
+  }
+
+  const startEditing = (bank) => {
+    stopEditing();
+    setFormStatus(drawerStatusEl, '', null);
+    setMode('edit');
+    editor = renderEditForm(formEl, bank);
+  };
+
+  const save = async () => {
+    if (!editor) return;
+    if (!editor.validate()) {
+      setFormStatus(drawerStatusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+    let saved;
+    try {
+      [saved] = await saveBanks([editor.getBank()]);
+    } catch (err) {
+      console.error('[Banks] Save failed:', err);
+      setFormStatus(drawerStatusEl, err.message, 'error');
+      return;
+    }
+    await load();
+    openDrawer(saved.id);
+    setFormStatus(drawerStatusEl, 'Saved.', 'success');
+  };
+
+  renderActionButton('banks-action-close', { id: 'banks-action-close-btn', text: 'Close' }, closeDrawer);
+  renderActionButton('banks-action-edit', { id: 'banks-action-edit-btn', text: 'Edit' }, () => {
+    const bank = openBankId && findBank(openBankId);
+    if (bank) startEditing(bank);
+  });
+  renderActionButton('banks-action-save', { id: 'banks-action-save-btn', text: 'Save' }, save);
+  renderActionButton('banks-action-cancel', { id: 'banks-action-cancel-btn', text: 'Cancel' }, () => {
+    if (openBankId) openDrawer(openBankId);
+    else closeDrawer();
+  });
+
+  drawer.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDrawer();
+  });
+
+  // ── Add bank (editors only) ──
+  if (editable) {
+    renderActionButton('banks-add', { id: 'banks-add-btn', text: 'Add Bank' }, () => {
+      openBankId = null;
+      titleEl.textContent = 'New bank';
+      permissionEl.hidden = true;
+      tbody.querySelectorAll('.task-queue__row--open').forEach((r) => r.classList.remove('task-queue__row--open'));
+      drawer.hidden = false;
+      startEditing(null);
+    });
+  }
+
+  renderSortState();
+  load();
+}
@@ -0,0 +1,186 @@
+/**
+ * invoice-approver-registry.js
+ *
+ * Invoice approval chains, as shown on finance/invoice-approvers. A chain
+ * is the ordered list of approvers an invoice passes through, scoped to a
+ * cost center or a vendor.
+ *
+ * The effective chain for a scope is the newest of the following, both
+ * read through the API proxy's 'invoice-approvers' registry so every user
+ * sees the same chains:
+ *   - stored chains — kept in the environment's data bucket (bulk
+ *     uploads), and
+ *   - approved 'change-invoice-approver' tasks — the approved request's
+ *     proposed chain (task.data.after) replaces the scope's chain. The
+ *     proxy reads these from every user's tasks.
+ *
+ * Saving chains requires CHAIN_EDITOR_ROLE — the role that approves chain
+ * changes — and is checked again by the proxy.
+ */
+
+import { hasMinimumRole } from '../auth/zitadel-auth.js';
+import { fetchRegistry, saveRegistryItems } from '../api/zitadel-api.js';
+import { getTaskType } from '../tasks/task-types.js';
+
+export const CHAIN_EDITOR_ROLE = getTaskType('change-invoice-approver').approverRole;
+
+export const SCOPE_TYPES = [
+  { key: 'cost-center', label: 'Cost center' },
+  { key: 'vendor',      label: 'Vendor' }
+];
+
+/**
+ * @typedef {Object} ChainApprover
+ * @property {string|null} userId   Zitadel user id, or null for a name
+ *                                  typed in without a directory match
+ * @property {string} name          Login name shown in the chain
+ * @property {number} [threshold]   Spend this approver can sign off on
+ *                                  (bulk-uploaded chains); thresholds
+ *                                  rise along the chain
+ *
+ * @typedef {Object} ApproverChain
+ * @property {'cost-center'|'vendor'} scopeType
+ * @property {string} scope         Cost center code or vendor name
+ * @property {ChainApprover[]} approvers   In approval order
+ * @property {string} updatedAt     ISO-8601 UTC
+ * @property {'registry'|'task'} source
+ */
+
+export function getScopeType(keyOrLabel) {
+  return SCOPE_TYPES.find((t) => t.key === keyOrLabel || t.label === keyOrLabel) || null;
+}
+
+export function canEditApproverChains() {
+  return hasMinimumRole(CHAIN_EDITOR_ROLE);
+}
+
+// Case-insensitive identity for a scope, e.g. "vendor:acme ltd".
+export function chainKey(scopeType, scope) {
+  return `${scopeType}:${String(scope || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Every effective chain, sorted by scope type then scope.
+ */
+export async function listApproverChains() {
+  const byKey = new Map();
+  const keep = (chain) => {
+    const key = chainKey(chain.scopeType, chain.scope);
+    const existing = byKey.get(key);
+    if (!existing || existing.updatedAt < chain.updatedAt) byKey.set(key, chain);
+  };
+
+  const { items = [], approved = [] } = await fetchRegistry('invoice-approvers');
+  items.forEach((c) => keep({ ...c, source: 'registry' }));
+  approved.forEach((c) => keep({ ...c, source: 'task' }));
+
+  return Array.from(byKey.values()).sort((a, b) =>
+    a.scopeType.localeCompare(b.scopeType) || a.scope.localeCompare(b.scope));
+}
+
+/**
+ * The effective chain for one scope, or null when none is on record.
+ */
+export async function getApproverChain(scopeType, scope) {
+  const key = chainKey(scopeType, scope);
+  return (await listApproverChains()).find((c) => chainKey(c.scopeType, c.scope) === key) || null;
+}
+
+/**
+ * Add or replace stored chains by scope. Returns the number written.
+ */
+export async function saveApproverChains(chains) {
+  if (!canEditApproverChains()) {
+    throw new Error(`[Invoice Approvers] Editing approval chains requires the ${CHAIN_EDITOR_ROLE} role or higher`);
+  }
+  const saved = await saveRegistryItems('invoice-approvers', chains.map((c) => ({
+    scopeType: c.scopeType,
+    scope: c.scope.trim(),
+    approvers: c.approvers
+  })));
+  return saved.length;
+}
+
+/**
+ * Parse a spend threshold: "25,000", "$25 000" and "25000.00" all read as
+ * 25000; anything else is NaN.
+ */
+export function parseThreshold(raw) {
+  const value = String(raw || '').replace(/[\s,$€£¥]/g, '');
+  return /^\d+(\.\d+)?$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Why a chain's thresholds are unusable, or null when they are fine.
+ * Thresholds are optional, but a chain that uses them needs one on every
+ * step, rising along the chain.
+ */
+export function chainThresholdError(approvers) {
+  if (!approvers.some((a) => a.threshold != null)) return null;
+  for (let i = 0; i < approvers.length; i++) {
+    const { name, threshold } = approvers[i];
+    if (threshold == null) return `${name} (step ${i + 1}) needs a spend threshold`;
+    const previous = approvers[i - 1];
+    if (previous && threshold <= previous.threshold) {
+      return `${name} (step ${i + 1}) needs a threshold above ${previous.threshold.toLocaleString()}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Display form of a spend threshold: "up to 25,000".
+ */
+export function formatThreshold(threshold) {
+  return `up to ${Number(threshold).toLocaleString()}`;
+}
+
+/**
+ * Display form of a chain: "alice → bob → carol", with thresholds where
+ * set: "alice (up to 5,000) → bob (up to 25,000)".
+ */
+export function formatChain(approvers) {
+  return approvers && approvers.length > 0
+    ? approvers.map((a) => (a.threshold == null ? a.name : `${a.name} (${formatThreshold(a.threshold)})`)).join(' → ')
+    : '(none)';
+}
+
+/**
+ * Step-by-step diff of two chains (longest common subsequence on approver
+ * names). Returns { before, after }, each a list of
+ * { approver, change } where change is 'same', 'removed' (before only) or
+ * 'added' (after only). An approver who moved shows as removed + added.
+ */
+export function diffChains(before, after) {
+  const same = (a, b) => a.name.toLowerCase() === b.name.toLowerCase();
+  const n = before.length;
+  const m = after.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = same(before[i], after[j])
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const keptBefore = new Set(); // indices into `before`
+  const keptAfter = new Set();  // indices into `after`
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (same(before[i], after[j])) {
+      keptBefore.add(i);
+      keptAfter.add(j);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return {
+    before: before.map((approver, i) => ({ approver, change: keptBefore.has(i) ? 'same' : 'removed' })),
+    after: after.map((approver, j) => ({ approver, change: keptAfter.has(j) ? 'same' : 'added' }))
+  };
+}
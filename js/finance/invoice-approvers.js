@@ -0,0 +1,79 @@
+/**
+ * invoice-approvers.js
+ *
+ * finance/invoice-approvers — read-only table of the effective invoice
+ * approval chain for each cost center and vendor
+ * (invoice-approver-registry.js). Re-renders when tasks change, so an
+ * approved chain change appears without a reload.
+ */
+
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+import { onTasksChanged } from '../tasks/task-repository.js';
+import { setFormStatus } from '../tasks/task-form.js';
+import { listApproverChains, getScopeType, formatChain } from './invoice-approver-registry.js';
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for finance/invoice-approvers.
+ */
+export function initializeInvoiceApprovers() {
+  const root = document.getElementById('invoice-approvers');
+  const tbody = document.getElementById('invoice-approvers-body');
+  const emptyEl = document.getElementById('invoice-approvers-empty');
+  const statusEl = document.getElementById('invoice-approvers-status');
+  if (!root || !tbody || !emptyEl || !statusEl) {
+    console.error('[Invoice Approvers] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Invoice Approvers] init');
+
+  const render = async () => {
+    let chains;
+    try {
+      chains = await listApproverChains();
+    } catch (err) {
+      console.error('[Invoice Approvers] Failed to load chains:', err);
+      setFormStatus(statusEl, `Could not load approval chains: ${err.message}`, 'error');
+      return;
+    }
+
+    tbody.innerHTML = '';
+    chains.forEach((chain) => {
+      const tr = document.createElement('tr');
+      tr.className = 'table-body-row';
+      const type = getScopeType(chain.scopeType);
+      tr.appendChild(textCell(type ? type.label : chain.scopeType));
+      tr.appendChild(textCell(chain.scope));
+      tr.appendChild(textCell(formatChain(chain.approvers)));
+      tr.appendChild(textCell(formatLocalTimestamp(chain.updatedAt)));
+      tbody.appendChild(tr);
+    });
+    emptyEl.hidden = chains.length > 0;
+    emptyEl.textContent = 'No approval chains on record.';
+  };
+
+  const unsubscribe = onTasksChanged(() => {
+    if (!root.isConnected) {
+      unsubscribe();
+      return;
+    }
+    render();
+  });
+
+  render();
+}
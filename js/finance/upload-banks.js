@@ -0,0 +1,258 @@
+/**
+ * upload-banks.js
+ *
+ * finance/upload-banks — bulk-load the banks master data from a CSV file.
+ *
+ *   1. The CSV (quoted fields, BOM, ',' or ';') is parsed in the browser.
+ *   2. Each bank field is mapped to a column; headers such as "SWIFT" or
+ *      "Sort code" are matched automatically.
+ *   3. Every row is checked with the registry's validateBank plus
+ *      duplicate routing code / SWIFT checks, within the file and against
+ *      banks already on record. The preview grid shows each row's errors.
+ *   4. Import commits only the valid rows (adding new banks, updating
+ *      ones matched by SWIFT/BIC or by name and country); rejected rows
+ *      can be downloaded with their errors.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { readCsvFile } from '../core/csv.js';
+import {
+  mountColumnMapping,
+  mapRows,
+  renderPreview,
+  downloadRejectedRows
+} from '../core/csv-import.js';
+import { setFormStatus, renderActionButton } from '../tasks/task-form.js';
+import {
+  BANK_EDITOR_ROLE,
+  BANK_STATUSES,
+  getBankStatus,
+  canEditBanks,
+  parseRoutingCodes,
+  validateBank,
+  bankCountryLabel,
+  listBanks,
+  saveBanks
+} from './bank-registry.js';
+
+const BANK_FIELDS = [
+  { key: 'name',         label: 'Bank name',     aliases: ['bank', 'institution'] },
+  { key: 'country',      label: 'Country',       aliases: ['country code', 'iso country'] },
+  { key: 'swiftBic',     label: 'SWIFT / BIC',   aliases: ['swift', 'bic', 'swift code', 'bic code'] },
+  { key: 'routingCodes', label: 'Routing codes', aliases: ['routing code', 'routing number', 'routing numbers', 'aba', 'sort code', 'sort codes', 'clearing code'] },
+  { key: 'status',       label: 'Status',        aliases: [] },
+  { key: 'lastVerified', label: 'Last verified', aliases: ['verified', 'verified on'] }
+];
+
+const fieldLabel = (key) => BANK_FIELDS.find((f) => f.key === key).label;
+
+// Routing codes / BICs compare without spaces or dashes.
+const compact = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+// Status cells may hold the key or the label, in any case; blank means active.
+function statusKey(raw) {
+  if (!raw) return 'active';
+  const match = BANK_STATUSES.find((s) => s.key === raw.toLowerCase() || s.label.toLowerCase() === raw.toLowerCase());
+  return match ? match.key : raw;
+}
+
+/**
+ * Turn a mapped row into a bank draft and collect its errors. Each row is
+ * matched to an existing bank (same SWIFT/BIC, else same name and
+ * country) so a re-upload updates instead of duplicating.
+ */
+function validateRows(importRows, existing) {
+  const bySwift = new Map(existing.filter((b) => b.swiftBic).map((b) => [b.swiftBic, b]));
+  const byName = new Map(existing.map((b) => [`${b.country}:${b.name.toLowerCase()}`, b]));
+  const routingOwners = new Map();
+  existing.forEach((bank) => bank.routingCodes.forEach((code) => {
+    routingOwners.set(`${bank.country}:${compact(code)}`, bank);
+  }));
+  const seenRouting = new Map();
+  const seenSwift = new Map();
+  const seenName = new Map();
+
+  importRows.forEach((row) => {
+    const { values } = row;
+    const draft = {
+      name: values.name,
+      country: values.country.toUpperCase(),
+      swiftBic: values.swiftBic,
+      routingCodes: parseRoutingCodes(values.routingCodes),
+      status: statusKey(values.status),
+      lastVerified: values.lastVerified || null
+    };
+    const match = (draft.swiftBic && bySwift.get(compact(draft.swiftBic)))
+      || byName.get(`${draft.country}:${draft.name.toLowerCase()}`);
+    if (match) draft.id = match.id;
+    row.bank = draft;
+    row.action = match ? 'Update' : 'Add';
+
+    const errors = validateBank(draft);
+    if (errors.country) errors.country = values.country ? `Unknown country code "${values.country}"` : 'Required';
+    row.errors = Object.entries(errors).map(([key, msg]) => `${fieldLabel(key)}: ${msg}`);
+
+    const nameKey = `${draft.country}:${draft.name.toLowerCase()}`;
+    if (seenName.has(nameKey)) row.errors.push(`${draft.name} duplicates line ${seenName.get(nameKey)}`);
+    else seenName.set(nameKey, row.line);
+    if (draft.swiftBic) {
+      const swift = compact(draft.swiftBic);
+      if (seenSwift.has(swift)) row.errors.push(`SWIFT / BIC ${draft.swiftBic} duplicates line ${seenSwift.get(swift)}`);
+      else seenSwift.set(swift, row.line);
+    }
+    draft.routingCodes.forEach((code) => {
+      const key = `${draft.country}:${compact(code)}`;
+      const owner = routingOwners.get(key);
+      if (seenRouting.has(key)) {
+        row.errors.push(`Routing code ${code} duplicates line ${seenRouting.get(key)}`);
+      } else if (owner && owner.id !== draft.id) {
+        row.errors.push(`Routing code ${code} already belongs to ${owner.name}`);
+      } else {
+        seenRouting.set(key, row.line);
+      }
+    });
+  });
+  return importRows;
+}
+
+const PREVIEW_COLUMNS = [
+  { label: 'Action',        value: (row) => row.action },
+  { label: 'Bank',          value: (row) => row.bank.name },
+  { label: 'Country',       value: (row) => (row.errors.length ? row.bank.country : bankCountryLabel(row.bank)) },
+  { label: 'SWIFT / BIC',   value: (row) => row.bank.swiftBic },
+  { label: 'Routing Codes', value: (row) => row.bank.routingCodes.join(', ') },
+  { label: 'Status',        value: (row) => (getBankStatus(row.bank.status) || { label: row.bank.status }).label },
+  { label: 'Last Verified', value: (row) => row.bank.lastVerified }
+];
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for finance/upload-banks.
+ */
+export function initializeUploadBanks() {
+  const root = document.getElementById('upload-banks');
+  const mappingSection = document.getElementById('upload-banks-mapping');
+  const mappingEl = document.getElementById('upload-banks-mapping-fields');
+  const previewEl = document.getElementById('upload-banks-preview');
+  const headerRow = document.getElementById('upload-banks-preview-header');
+  const tbody = document.getElementById('upload-banks-preview-body');
+  const summaryEl = document.getElementById('upload-banks-summary');
+  const permissionEl = document.getElementById('upload-banks-permission');
+  const statusEl = document.getElementById('upload-banks-status');
+  const importSlot = document.getElementById('upload-banks-import');
+  const downloadSlot = document.getElementById('upload-banks-download');
+  if (!root || !mappingSection || !mappingEl || !previewEl || !headerRow || !tbody || !summaryEl || !permissionEl || !statusEl || !importSlot || !downloadSlot) {
+    console.error('[Upload Banks] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Upload Banks] init');
+
+  const editable = canEditBanks();
+  permissionEl.hidden = editable;
+  permissionEl.textContent = editable ? '' : `Importing banks requires the ${BANK_EDITOR_ROLE} role or higher. You can still check a file.`;
+
+  let headers = [];
+  let dataRows = [];
+  let importRows = [];
+  let mapping = null;       // mountColumnMapping controller for the current file
+  let renderToken = 0;      // ignore bank lists that arrive after a newer refresh
+
+  const validRows = () => importRows.filter((row) => row.errors.length === 0);
+
+  const refreshPreview = async () => {
+    const token = ++renderToken;
+    let existing;
+    try {
+      existing = await listBanks();
+    } catch (err) {
+      console.error('[Upload Banks] Failed to load banks:', err);
+      setFormStatus(statusEl, `Could not load banks: ${err.message}`, 'error');
+      return;
+    }
+    if (token !== renderToken || !mapping) return;
+
+    importRows = validateRows(mapRows(dataRows, mapping.getMapping()), existing);
+    renderPreview(headerRow, tbody, importRows, PREVIEW_COLUMNS);
+    const valid = validRows().length;
+    const rejected = importRows.length - valid;
+    summaryEl.textContent = `${importRows.length} rows — ${valid} valid, ${rejected} with errors.`;
+    importSlot.hidden = !editable || valid === 0;
+    downloadSlot.hidden = rejected === 0;
+  };
+
+  const loadFile = async (file) => {
+    setFormStatus(statusEl, '', null);
+    if (mapping) mapping.destroy();
+    mapping = null;
+    renderToken++;
+    mappingSection.hidden = true;
+    previewEl.hidden = true;
+    if (!file) return;
+
+    let rows;
+    try {
+      rows = await readCsvFile(file);
+    } catch (err) {
+      console.error('[Upload Banks] Could not read file:', err);
+      setFormStatus(statusEl, `Could not read ${file.name}.`, 'error');
+      return;
+    }
+    if (rows.length < 2) {
+      setFormStatus(statusEl, `${file.name} has no data rows below the header.`, 'error');
+      return;
+    }
+    [headers, ...dataRows] = rows;
+
+    // Unhide before mounting — the comboboxes measure their container.
+    mappingSection.hidden = false;
+    previewEl.hidden = false;
+    mapping = mountColumnMapping(mappingEl, {
+      idPrefix: 'upload-banks',
+      headers,
+      fields: BANK_FIELDS,
+      onChange: refreshPreview
+    });
+    refreshPreview();
+  };
+
+  componentFactory.createFileUpload('upload-banks-file', {
+    id: 'upload-banks-csv',
+    text: 'Drag & Drop a CSV File or Click to Browse',
+    acceptedFiles: '.csv,text/csv',
+    multiple: false,
+    maxSize: 5 * 1024 * 1024, // 5MB
+    icon: '📊'
+  }, (files, errors) => {
+    if (errors && errors.length > 0) {
+      setFormStatus(statusEl, errors.join(' '), 'error');
+      return;
+    }
+    loadFile(files[0]);
+  });
+
+  renderActionButton('upload-banks-import', { id: 'upload-banks-import-btn', text: 'Import Valid Rows' }, async () => {
+    const rows = validRows();
+    if (rows.length === 0) return;
+    try {
+      await saveBanks(rows.map((row) => row.bank));
+    } catch (err) {
+      console.error('[Upload Banks] Import failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+    const added = rows.filter((row) => row.action === 'Add').length;
+    const rejected = importRows.length - rows.length;
+    await refreshPreview();
+    setFormStatus(statusEl,
+      `Imported ${rows.length} banks (${added} added, ${rows.length - added} updated).`
+      + (rejected ? ` ${rejected} rows were rejected — download them to fix and upload again.` : ''),
+      'success');
+  });
+
+  renderActionButton('upload-banks-download', { id: 'upload-banks-download-btn', text: 'Download Rejected Rows' }, () => {
+    downloadRejectedRows('bank-upload-errors.csv', headers, importRows);
+  });
+}
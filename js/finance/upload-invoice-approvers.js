@@ -0,0 +1,367 @@
+/**
+ * upload-invoice-approvers.js
+ *
+ * finance/upload-invoice-approvers — bulk-load cost center approval chains
+ * (invoice-approver-registry.js) from a CSV file with one row per approver.
+ *
+ *   1. The CSV is parsed in the browser and its columns mapped to cost
+ *      center, step, approver email and spend threshold.
+ *   2. Rows are grouped into one chain per cost center (ordered by step,
+ *      or file order without a step column) and checked: every approver
+ *      must be a project user (fetchProjectUsers), thresholds must rise
+ *      along the chain and no approver may appear twice. A chain with any
+ *      bad row is rejected whole.
+ *   3. Valid chains that differ from the current ones are shown before /
+ *      after (diffChains); Import saves just those. Rejected rows can be
+ *      downloaded with their errors.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { isAuthenticated } from '../auth/zitadel-auth.js';
+import { fetchProjectUsers } from '../api/zitadel-api.js';
+import { readCsvFile } from '../core/csv.js';
+import {
+  mountColumnMapping,
+  mapRows,
+  renderPreview,
+  downloadRejectedRows
+} from '../core/csv-import.js';
+import { setFormStatus, renderActionButton } from '../tasks/task-form.js';
+import {
+  chainKey,
+  listApproverChains,
+  saveApproverChains,
+  CHAIN_EDITOR_ROLE,
+  canEditApproverChains,
+  parseThreshold,
+  formatThreshold,
+  diffChains
+} from './invoice-approver-registry.js';
+
+const CHAIN_FIELDS = [
+  { key: 'costCenter', label: 'Cost center',     aliases: ['cost centre', 'cost center code', 'cc'] },
+  { key: 'step',       label: 'Step',            aliases: ['order', 'sequence', 'level'] },
+  { key: 'approver',   label: 'Approver email',  aliases: ['approver', 'email', 'e-mail'] },
+  { key: 'threshold',  label: 'Spend threshold', aliases: ['threshold', 'limit', 'approval limit', 'amount'] }
+];
+
+/**
+ * Directory of project users by lower-case email, or null when it could
+ * not be loaded (no session, API failure).
+ */
+async function loadUsersByEmail() {
+  if (!isAuthenticated()) return null;
+  try {
+    const users = await fetchProjectUsers();
+    return new Map(users.filter((u) => u.email).map((u) => [u.email.toLowerCase(), u]));
+  } catch (err) {
+    console.warn('[Upload Invoice Approvers] Could not load users:', err);
+    return null;
+  }
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+function checkRow(row, users, stepMapped) {
+  const { values } = row;
+  const errors = [];
+  if (!values.costCenter) errors.push('Cost center: Required');
+
+  row.user = null;
+  if (!values.approver) errors.push('Approver email: Required');
+  else if (!users) errors.push('Approver email: Could not check — user directory unavailable');
+  else {
+    row.user = users.get(values.approver.toLowerCase()) || null;
+    if (!row.user) errors.push(`Approver email: ${values.approver} is not a project user`);
+  }
+
+  row.threshold = parseThreshold(values.threshold);
+  if (Number.isNaN(row.threshold)) errors.push('Spend threshold: Enter an amount');
+  else if (row.threshold <= 0) errors.push('Spend threshold: Must be above zero');
+
+  row.step = stepMapped ? Number(values.step) : null;
+  if (stepMapped && !(Number.isInteger(row.step) && row.step > 0 && /^\d+$/.test(values.step))) {
+    errors.push('Step: Use a whole number from 1');
+  }
+  row.errors = errors;
+}
+
+/**
+ * Group rows into chains by cost center and check each chain. Returns the
+ * chains, each { scope, rows, valid }.
+ */
+function checkChains(importRows, users, stepMapped) {
+  importRows.forEach((row) => checkRow(row, users, stepMapped));
+
+  const byScope = new Map();
+  importRows.filter((row) => row.values.costCenter).forEach((row) => {
+    const key = chainKey('cost-center', row.values.costCenter);
+    if (!byScope.has(key)) byScope.set(key, { scope: row.values.costCenter, rows: [] });
+    byScope.get(key).rows.push(row);
+  });
+
+  const chains = Array.from(byScope.values());
+  chains.forEach((chain) => {
+    // Array.prototype.sort is stable, so equal steps keep file order.
+    if (stepMapped) chain.rows.sort((a, b) => (a.step || 0) - (b.step || 0));
+
+    const seenSteps = new Map();
+    const seenApprovers = new Map();
+    let previous = null;    // last row with a usable threshold
+    chain.rows.forEach((row, i) => {
+      row.position = i + 1;
+      if (stepMapped && row.step) {
+        if (seenSteps.has(row.step)) row.errors.push(`Step: ${row.step} duplicates line ${seenSteps.get(row.step)}`);
+        else seenSteps.set(row.step, row.line);
+      }
+      const email = row.values.approver.toLowerCase();
+      if (email) {
+        if (seenApprovers.has(email)) row.errors.push(`Approver email: Already in this chain at line ${seenApprovers.get(email)}`);
+        else seenApprovers.set(email, row.line);
+      }
+      if (!Number.isNaN(row.threshold)) {
+        if (previous && row.threshold <= previous.threshold) {
+          row.errors.push(`Spend threshold: Must be above ${previous.threshold.toLocaleString()} (line ${previous.line})`);
+        }
+        previous = row;
+      }
+    });
+
+    const badLines = chain.rows.filter((row) => row.errors.length > 0).map((row) => row.line);
+    chain.valid = badLines.length === 0;
+    if (!chain.valid) {
+      chain.rows
+        .filter((row) => row.errors.length === 0)
+        .forEach((row) => row.errors.push(`Chain rejected — see line ${badLines.join(', ')}`));
+    }
+  });
+  return chains;
+}
+
+const approverName = (user) => user.preferredLoginName || user.userName || user.displayName || user.email;
+
+const toApprovers = (chain) => chain.rows.map((row) => ({
+  userId: row.user.userId || null,
+  name: approverName(row.user),
+  threshold: row.threshold
+}));
+
+function sameChain(a, b) {
+  return a.length === b.length && a.every((approver, i) =>
+    approver.name.toLowerCase() === b[i].name.toLowerCase() && approver.threshold === b[i].threshold);
+}
+
+// ─── Before / after ─────────────────────────────────────────────────────────
+
+function renderChainList(listEl, steps, other) {
+  listEl.innerHTML = '';
+  if (steps.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'task-chain__step task-chain__step--empty';
+    li.textContent = 'No approvers';
+    listEl.appendChild(li);
+    return;
+  }
+  steps.forEach(({ approver, change }) => {
+    // A kept approver whose threshold moved is marked as changed.
+    const counterpart = change === 'same'
+      ? other.find((a) => a.name.toLowerCase() === approver.name.toLowerCase())
+      : null;
+    const moved = counterpart && counterpart.threshold !== approver.threshold;
+    const li = document.createElement('li');
+    li.className = `task-chain__step task-chain__step--${moved ? 'changed' : change}`;
+    li.textContent = approver.threshold == null
+      ? approver.name
+      : `${approver.name} — ${formatThreshold(approver.threshold)}`;
+    listEl.appendChild(li);
+  });
+}
+
+function renderChainDiff(container, { scope, before, after }) {
+  const section = document.createElement('section');
+  section.className = 'bulk-upload__chain';
+  const heading = document.createElement('h3');
+  heading.textContent = `Cost center ${scope} — ${before.length === 0 ? 'new chain' : 'changed'}`;
+  section.appendChild(heading);
+
+  const grid = document.createElement('div');
+  grid.className = 'task-chain';
+  const diff = diffChains(before, after);
+  [['Current chain', diff.before, after], ['Uploaded chain', diff.after, before]].forEach(([title, steps, other]) => {
+    const column = document.createElement('div');
+    column.className = 'task-chain__column';
+    const h3 = document.createElement('h3');
+    h3.textContent = title;
+    const list = document.createElement('ol');
+    list.className = 'task-chain__steps';
+    renderChainList(list, steps, other);
+    column.appendChild(h3);
+    column.appendChild(list);
+    grid.appendChild(column);
+  });
+  section.appendChild(grid);
+  container.appendChild(section);
+}
+
+const PREVIEW_COLUMNS = [
+  { label: 'Cost Center',     value: (row) => row.values.costCenter },
+  { label: 'Step',            value: (row) => (row.position ? String(row.position) : '') },
+  { label: 'Approver',        value: (row) => (row.user ? `${approverName(row.user)} (${row.values.approver})` : row.values.approver) },
+  { label: 'Spend Threshold', value: (row) => (Number.isNaN(row.threshold) ? row.values.threshold : formatThreshold(row.threshold)) }
+];
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for finance/upload-invoice-approvers.
+ */
+export function initializeUploadInvoiceApprovers() {
+  const root = document.getElementById('upload-approvers');
+  const mappingSection = document.getElementById('upload-approvers-mapping');
+  const mappingEl = document.getElementById('upload-approvers-mapping-fields');
+  const previewEl = document.getElementById('upload-approvers-preview');
+  const headerRow = document.getElementById('upload-approvers-preview-header');
+  const tbody = document.getElementById('upload-approvers-preview-body');
+  const summaryEl = document.getElementById('upload-approvers-summary');
+  const changesEl = document.getElementById('upload-approvers-changes');
+  const diffEl = document.getElementById('upload-approvers-diff');
+  const downloadSlot = document.getElementById('upload-approvers-download');
+  const importSlot = document.getElementById('upload-approvers-import');
+  const permissionEl = document.getElementById('upload-approvers-permission');
+  const statusEl = document.getElementById('upload-approvers-status');
+  if (!root || !mappingSection || !mappingEl || !previewEl || !headerRow || !tbody || !summaryEl
+    || !changesEl || !diffEl || !downloadSlot || !importSlot || !permissionEl || !statusEl) {
+    console.error('[Upload Invoice Approvers] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Upload Invoice Approvers] init');
+
+  const editable = canEditApproverChains();
+  permissionEl.hidden = editable;
+  permissionEl.textContent = editable ? '' : `Importing approval chains requires the ${CHAIN_EDITOR_ROLE} role or higher. You can still check a file.`;
+  importSlot.hidden = !editable;
+
+  const usersReady = loadUsersByEmail();
+
+  let headers = [];
+  let dataRows = [];
+  let importRows = [];
+  let changed = [];         // { scope, before, after } for chains Import would write
+  let mapping = null;       // mountColumnMapping controller for the current file
+  let renderToken = 0;      // ignore stale async renders
+
+  const refreshPreview = async () => {
+    const token = ++renderToken;
+    const columns = mapping.getMapping();
+    const rows = mapRows(dataRows, columns);
+    let users;
+    let current;
+    try {
+      [users, current] = await Promise.all([usersReady, listApproverChains()]);
+    } catch (err) {
+      console.error('[Upload Invoice Approvers] Failed to load current chains:', err);
+      setFormStatus(statusEl, `Could not load the current chains: ${err.message}`, 'error');
+      return;
+    }
+    if (token !== renderToken) return;
+
+    const chains = checkChains(rows, users, columns.step >= 0);
+    importRows = rows;
+    renderPreview(headerRow, tbody, importRows, PREVIEW_COLUMNS);
+
+    const currentByKey = new Map(current.map((c) => [chainKey(c.scopeType, c.scope), c.approvers]));
+    const valid = chains.filter((chain) => chain.valid);
+    changed = valid
+      .map((chain) => ({
+        scope: chain.scope,
+        before: currentByKey.get(chainKey('cost-center', chain.scope)) || [],
+        after: toApprovers(chain)
+      }))
+      .filter(({ before, after }) => !sameChain(before, after));
+
+    const rejectedRows = importRows.filter((row) => row.errors.length > 0).length;
+    summaryEl.textContent = `${importRows.length} rows in ${chains.length} chains — `
+      + `${valid.length} valid (${changed.length} changed, ${valid.length - changed.length} unchanged), `
+      + `${chains.length - valid.length} rejected.`;
+    downloadSlot.hidden = rejectedRows === 0;
+
+    diffEl.innerHTML = '';
+    changed.forEach((change) => renderChainDiff(diffEl, change));
+    changesEl.hidden = changed.length === 0;
+  };
+
+  const loadFile = async (file) => {
+    setFormStatus(statusEl, '', null);
+    if (mapping) mapping.destroy();
+    mapping = null;
+    renderToken++;
+    mappingSection.hidden = true;
+    previewEl.hidden = true;
+    changesEl.hidden = true;
+    if (!file) return;
+
+    let rows;
+    try {
+      rows = await readCsvFile(file);
+    } catch (err) {
+      console.error('[Upload Invoice Approvers] Could not read file:', err);
+      setFormStatus(statusEl, `Could not read ${file.name}.`, 'error');
+      return;
+    }
+    if (rows.length < 2) {
+      setFormStatus(statusEl, `${file.name} has no data rows below the header.`, 'error');
+      return;
+    }
+    [headers, ...dataRows] = rows;
+
+    // Unhide before mounting — the comboboxes measure their container.
+    mappingSection.hidden = false;
+    previewEl.hidden = false;
+    mapping = mountColumnMapping(mappingEl, {
+      idPrefix: 'upload-approvers',
+      headers,
+      fields: CHAIN_FIELDS,
+      onChange: refreshPreview
+    });
+    refreshPreview();
+  };
+
+  componentFactory.createFileUpload('upload-approvers-file', {
+    id: 'upload-approvers-csv',
+    text: 'Drag & Drop a CSV File or Click to Browse',
+    acceptedFiles: '.csv,text/csv',
+    multiple: false,
+    maxSize: 5 * 1024 * 1024, // 5MB
+    icon: '📊'
+  }, (files, errors) => {
+    if (errors && errors.length > 0) {
+      setFormStatus(statusEl, errors.join(' '), 'error');
+      return;
+    }
+    loadFile(files[0]);
+  });
+
+  renderActionButton('upload-approvers-import', { id: 'upload-approvers-import-btn', text: 'Import Changed Chains' }, async () => {
+    if (changed.length === 0) return;
+    let count;
+    try {
+      count = await saveApproverChains(changed.map(({ scope, after }) => ({
+        scopeType: 'cost-center',
+        scope,
+        approvers: after
+      })));
+    } catch (err) {
+      console.error('[Upload Invoice Approvers] Import failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+    await refreshPreview();
+    setFormStatus(statusEl, `Imported ${count} approval chains.`, 'success');
+  });
+
+  renderActionButton('upload-approvers-download', { id: 'upload-approvers-download-btn', text: 'Download Rejected Rows' }, () => {
+    downloadRejectedRows('invoice-approver-upload-errors.csv', headers, importRows);
+  });
+}
@@ -0,0 +1,120 @@
+/**
+ * scac-registry.js
+ *
+ * The organisation's SCAC list, as managed by the logistics pages.
+ *
+ * The list is the union of two sources, both read through the API proxy's
+ * 'scac' registry so every user sees the same codes:
+ *   - stored entries — carriers added directly to the registry (kept in
+ *     the environment's data bucket), and
+ *   - approved 'create-scac' tasks — a SCAC request joins the list as
+ *     soon as an approver accepts it, without a separate import step.
+ *     The proxy reads these from every user's tasks.
+ *
+ * Stored entries win when both sources hold the same code.
+ *
+ * Carriers are active unless a stored entry marks them suspended. Saving
+ * requires SCAC_EDITOR_ROLE, checked again by the proxy.
+ */
+
+import { hasMinimumRole } from '../auth/zitadel-auth.js';
+import { fetchRegistry, saveRegistryItems } from '../api/zitadel-api.js';
+import { getTaskType } from '../tasks/task-types.js';
+import { normaliseScac, getCarrierType } from './scac-rules.js';
+
+export const SCAC_EDITOR_ROLE = getTaskType('create-scac').approverRole;
+
+export const SCAC_STATUSES = [
+  { key: 'active',    label: 'Active' },
+  { key: 'suspended', label: 'Suspended' }
+];
+
+/**
+ * @typedef {Object} ScacEntry
+ * @property {string} scac
+ * @property {string} carrierName
+ * @property {string} carrierType    CARRIER_TYPES key
+ * @property {string} [contactName]
+ * @property {string} [contactEmail]
+ * @property {string} [contactPhone]
+ * @property {'active'|'suspended'} status
+ * @property {string} addedAt        ISO-8601 UTC
+ * @property {'registry'|'task'} source
+ */
+
+export function getScacStatus(keyOrLabel) {
+  return SCAC_STATUSES.find((s) => s.key === keyOrLabel || s.label === keyOrLabel) || null;
+}
+
+export function canEditScacs() {
+  return hasMinimumRole(SCAC_EDITOR_ROLE);
+}
+
+/**
+ * An approved request's field values ({ key: value }, as the proxy sends
+ * them) as a list entry.
+ */
+function entryFromTask(fields) {
+  // Tasks record the carrier type's label for approvers; the list keeps keys.
+  const type = getCarrierType(fields.carrierType);
+  return {
+    scac: normaliseScac(fields.scac),
+    carrierName: fields.carrierName || '',
+    carrierType: type ? type.key : fields.carrierType || '',
+    contactName: fields.contactName || '',
+    contactEmail: fields.contactEmail || '',
+    contactPhone: fields.contactPhone || '',
+    status: 'active',
+    addedAt: fields.updatedAt,
+    source: 'task'
+  };
+}
+
+function mergeEntries({ items = [], approved = [] }) {
+  const byCode = new Map();
+  approved.forEach((fields) => {
+    const entry = entryFromTask(fields);
+    if (entry.scac) byCode.set(entry.scac, entry);
+  });
+  items.forEach((e) => byCode.set(e.scac, { ...e, status: e.status || 'active', source: 'registry' }));
+  return Array.from(byCode.values()).sort((a, b) => a.scac.localeCompare(b.scac));
+}
+
+/**
+ * Every SCAC on the list, sorted by code.
+ */
+export async function listScacs() {
+  return mergeEntries(await fetchRegistry('scac'));
+}
+
+/**
+ * Add or replace stored entries by code. Returns the number written.
+ */
+export async function saveScacs(entries) {
+  if (!canEditScacs()) {
+    throw new Error(`[SCAC Registry] Editing the SCAC list requires the ${SCAC_EDITOR_ROLE} role or higher`);
+  }
+  const now = new Date().toISOString();
+  const saved = await saveRegistryItems('scac', entries.map((e) => {
+    const { source, ...entry } = e;
+    return { ...entry, scac: normaliseScac(e.scac), addedAt: e.addedAt || now };
+  }));
+  return saved.length;
+}
+
+/**
+ * Codes that a new request may not reuse: everything on the list plus
+ * codes already requested in open (draft or submitted) SCAC tasks, by any
+ * user. Resolves to Map<code, reason>.
+ */
+export async function getTakenScacs() {
+  const registry = await fetchRegistry('scac');
+  const taken = new Map();
+  mergeEntries(registry).forEach((e) => taken.set(e.scac, `already registered to ${e.carrierName || 'another carrier'}`));
+  (registry.requested || []).forEach(({ scac, requester }) => {
+    if (scac && !taken.has(scac)) {
+      taken.set(scac, `already requested by ${requester || 'another user'} (awaiting approval)`);
+    }
+  });
+  return taken;
+}
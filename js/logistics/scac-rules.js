@@ -0,0 +1,67 @@
+/**
+ * scac-rules.js
+ *
+ * Standard Carrier Alpha Code (SCAC) format rules shared by the Create
+ * SCAC request form and the logistics SCAC pages.
+ *
+ * A SCAC is 2–4 uppercase Latin letters. NMFTA reserves three final
+ * letters for equipment owners rather than carriers:
+ *
+ *   …U  intermodal freight containers (ISO 6346 owner codes)
+ *   …X  privately owned railcars
+ *   …Z  truck chassis and trailers
+ *
+ * so a code ending in one of those must belong to the matching carrier
+ * type, and those carrier types must use a four-letter code with their
+ * suffix.
+ */
+
+export const CARRIER_TYPES = [
+  { key: 'motor',        label: 'Motor carrier' },
+  { key: 'rail',         label: 'Rail carrier' },
+  { key: 'ocean',        label: 'Ocean carrier' },
+  { key: 'air',          label: 'Air carrier' },
+  { key: 'forwarder',    label: 'Freight forwarder / NVOCC' },
+  { key: 'container',    label: 'Container owner', suffix: 'U' },
+  { key: 'private-rail', label: 'Private railcar owner', suffix: 'X' },
+  { key: 'chassis',      label: 'Chassis / trailer owner', suffix: 'Z' }
+];
+
+const RESERVED_SUFFIXES = new Map(
+  CARRIER_TYPES.filter((t) => t.suffix).map((t) => [t.suffix, t])
+);
+
+export function getCarrierType(keyOrLabel) {
+  return CARRIER_TYPES.find((t) => t.key === keyOrLabel || t.label === keyOrLabel) || null;
+}
+
+/**
+ * Canonical form: trimmed, uppercased, inner whitespace removed.
+ */
+export function normaliseScac(raw) {
+  return String(raw || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Validate a SCAC, optionally against a carrier type. Returns a message or
+ * null (task-form validator contract).
+ */
+export function validateScac(raw, carrierType = null) {
+  const code = normaliseScac(raw);
+  if (!code) return 'Required';
+  if (!/^[A-Z]+$/.test(code)) return 'SCAC codes contain letters only';
+  if (code.length < 2 || code.length > 4) return 'SCAC codes are 2–4 letters';
+
+  if (carrierType && carrierType.suffix) {
+    if (code.length !== 4 || !code.endsWith(carrierType.suffix)) {
+      return `${carrierType.label} codes are 4 letters ending in ${carrierType.suffix}`;
+    }
+    return null;
+  }
+
+  const reserved = code.length === 4 ? RESERVED_SUFFIXES.get(code[3]) : null;
+  if (reserved) {
+    return `Codes ending in ${reserved.suffix} are reserved for ${reserved.label.toLowerCase()}s`;
+  }
+  return null;
+}
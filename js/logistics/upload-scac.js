@@ -0,0 +1,368 @@
+/**
+ * upload-scac.js
+ *
+ * logistics/upload-scac — bulk-load carriers into the SCAC list
+ * (scac-registry.js) from a CSV or JSON file.
+ *
+ *   1. The file is read in the browser: CSV through csv.js, JSON as an
+ *      array of carrier objects (or { carriers: [...] }) whose keys act as
+ *      column headers. Columns are then mapped to carrier fields.
+ *   2. Each row is checked: carrier name and type present, the SCAC valid
+ *      for that type (scac-rules.js), no code twice in the file.
+ *   3. Valid rows are compared with the list. Two kinds of conflict need
+ *      a decision before Import:
+ *        - code taken   the code is registered to a different carrier
+ *        - recoded      the carrier is registered under a different code
+ *      Keep existing drops the row, Overwrite applies it (a recoded
+ *      carrier's old code is suspended), Skip leaves it out and lists it
+ *      in the rejected rows download.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { parseCsv } from '../core/csv.js';
+import {
+  mountColumnMapping,
+  mapRows,
+  renderPreview,
+  downloadRejectedRows
+} from '../core/csv-import.js';
+import { makeEngineRow, setFormStatus, renderActionButton } from '../tasks/task-form.js';
+import { CARRIER_TYPES, normaliseScac, validateScac } from './scac-rules.js';
+import { SCAC_STATUSES, SCAC_EDITOR_ROLE, canEditScacs, listScacs, saveScacs } from './scac-registry.js';
+
+const CARRIER_FIELDS = [
+  { key: 'scac',         label: 'SCAC',          aliases: ['code', 'scac code', 'carrier code'] },
+  { key: 'carrierName',  label: 'Carrier name',  aliases: ['carrier', 'name'] },
+  { key: 'carrierType',  label: 'Carrier type',  aliases: ['type'] },
+  { key: 'status',       label: 'Status',        aliases: [] },
+  { key: 'contactName',  label: 'Contact name',  aliases: ['contact'] },
+  { key: 'contactEmail', label: 'Contact email', aliases: ['email', 'e-mail'] },
+  { key: 'contactPhone', label: 'Contact phone', aliases: ['phone', 'telephone'] }
+];
+
+const RESOLUTIONS = [
+  { key: 'keep',      label: 'Keep existing' },
+  { key: 'overwrite', label: 'Overwrite' },
+  { key: 'skip',      label: 'Skip' }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Key or label, any case.
+function findOption(options, raw) {
+  const value = String(raw || '').trim().toLowerCase();
+  return options.find((o) => o.key === value || o.label.toLowerCase() === value) || null;
+}
+
+// ─── Reading ────────────────────────────────────────────────────────────────
+
+/**
+ * JSON carriers as CSV-style rows: the first row lists every key seen.
+ */
+function parseJsonCarriers(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.carriers) ? data.carriers : null;
+  if (!list) throw new Error('Expected an array of carriers');
+  const headers = [];
+  list.forEach((item) => Object.keys(item || {}).forEach((key) => {
+    if (!headers.includes(key)) headers.push(key);
+  }));
+  return [headers, ...list.map((item) => headers.map((key) => (item && item[key] != null ? String(item[key]) : '')))];
+}
+
+async function readCarrierFile(file) {
+  const text = await file.text();
+  const isJson = /\.json$/i.test(file.name) || /^[\s\uFEFF]*[[{]/.test(text);
+  return isJson ? parseJsonCarriers(text.replace(/^\uFEFF/, '')) : parseCsv(text);
+}
+
+// ─── Validation + conflicts ─────────────────────────────────────────────────
+
+function describeConflict(row) {
+  const { entry, conflict } = row;
+  return conflict.kind === 'code-taken'
+    ? `${entry.scac} is registered to ${conflict.existing.carrierName}; the file gives it to ${entry.carrierName}.`
+    : `${entry.carrierName} is registered as ${conflict.existing.scac}; the file gives it ${entry.scac}.`;
+}
+
+function validateRows(importRows, existing) {
+  const byCode = new Map(existing.map((e) => [e.scac, e]));
+  const seenCodes = new Map();
+
+  importRows.forEach((row) => {
+    const { values } = row;
+    const type = findOption(CARRIER_TYPES, values.carrierType);
+    const status = values.status ? findOption(SCAC_STATUSES, values.status) : SCAC_STATUSES[0];
+    const entry = {
+      scac: normaliseScac(values.scac),
+      carrierName: values.carrierName,
+      carrierType: type ? type.key : values.carrierType,
+      status: status ? status.key : values.status,
+      contactName: values.contactName,
+      contactEmail: values.contactEmail,
+      contactPhone: values.contactPhone
+    };
+    row.entry = entry;
+    row.conflict = null;
+
+    const errors = [];
+    if (!entry.carrierName) errors.push('Carrier name: Required');
+    if (!values.carrierType) errors.push('Carrier type: Required');
+    else if (!type) errors.push(`Carrier type: Unknown type "${values.carrierType}"`);
+    const scacError = validateScac(entry.scac, type);
+    if (scacError) errors.push(`SCAC: ${scacError}`);
+    if (!status) errors.push(`Status: Unknown status "${values.status}"`);
+    if (entry.contactEmail && !EMAIL_PATTERN.test(entry.contactEmail)) errors.push('Contact email: Enter a valid email address');
+    if (entry.scac) {
+      if (seenCodes.has(entry.scac)) errors.push(`SCAC: ${entry.scac} duplicates line ${seenCodes.get(entry.scac)}`);
+      else seenCodes.set(entry.scac, row.line);
+    }
+    row.errors = errors;
+    if (errors.length > 0) {
+      row.action = 'Rejected';
+      return;
+    }
+
+    const sameCode = byCode.get(entry.scac);
+    const sameCarrier = existing.find((e) => sameName(e.carrierName, entry.carrierName) && e.scac !== entry.scac);
+    if (sameCode && !sameName(sameCode.carrierName, entry.carrierName)) {
+      row.conflict = { kind: 'code-taken', existing: sameCode };
+    } else if (!sameCode && sameCarrier) {
+      row.conflict = { kind: 'recoded', existing: sameCarrier };
+    }
+    row.existing = sameCode || null;
+    row.action = row.conflict ? 'Conflict' : sameCode ? 'Update' : 'Add';
+  });
+  return importRows;
+}
+
+const PREVIEW_COLUMNS = [
+  { label: 'Action',       value: (row) => row.action },
+  { label: 'SCAC',         value: (row) => row.entry.scac },
+  { label: 'Carrier',      value: (row) => row.entry.carrierName },
+  { label: 'Carrier Type', value: (row) => (findOption(CARRIER_TYPES, row.entry.carrierType) || { label: row.entry.carrierType }).label },
+  { label: 'Status',       value: (row) => (findOption(SCAC_STATUSES, row.entry.status) || { label: row.entry.status }).label },
+  { label: 'Contact',      value: (row) => [row.entry.contactName, row.entry.contactEmail].filter(Boolean).join(' — ') }
+];
+
+/**
+ * Entries to write for the valid rows under the chosen resolutions.
+ */
+function planImport(importRows, resolutions) {
+  const writes = [];
+  importRows.filter((row) => row.errors.length === 0).forEach((row) => {
+    const { entry, conflict } = row;
+    if (!conflict) {
+      writes.push(row.existing ? { ...entry, addedAt: row.existing.addedAt } : entry);
+      return;
+    }
+    if (resolutions.get(row.line) !== 'overwrite') return;
+    writes.push(entry);
+    // The carrier moves to its new code; the old one stays on record, suspended.
+    if (conflict.kind === 'recoded') writes.push({ ...conflict.existing, status: 'suspended' });
+  });
+  return writes;
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for logistics/upload-scac.
+ */
+export function initializeUploadScac() {
+  const root = document.getElementById('upload-scac');
+  const mappingSection = document.getElementById('upload-scac-mapping');
+  const mappingEl = document.getElementById('upload-scac-mapping-fields');
+  const previewEl = document.getElementById('upload-scac-preview');
+  const headerRow = document.getElementById('upload-scac-preview-header');
+  const tbody = document.getElementById('upload-scac-preview-body');
+  const summaryEl = document.getElementById('upload-scac-summary');
+  const downloadSlot = document.getElementById('upload-scac-download');
+  const resolveEl = document.getElementById('upload-scac-resolve');
+  const conflictsEl = document.getElementById('upload-scac-conflicts');
+  const actionsEl = document.getElementById('upload-scac-actions');
+  const permissionEl = document.getElementById('upload-scac-permission');
+  const statusEl = document.getElementById('upload-scac-status');
+  if (!root || !mappingSection || !mappingEl || !previewEl || !headerRow || !tbody || !summaryEl
+    || !downloadSlot || !resolveEl || !conflictsEl || !actionsEl || !permissionEl || !statusEl) {
+    console.error('[Upload SCAC] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Upload SCAC] init');
+
+  const editable = canEditScacs();
+  permissionEl.hidden = editable;
+  permissionEl.textContent = editable ? '' : `Importing carriers requires the ${SCAC_EDITOR_ROLE} role or higher. You can still check a file.`;
+
+  let headers = [];
+  let dataRows = [];
+  let importRows = [];
+  let mapping = null;             // mountColumnMapping controller for the current file
+  let conflictEngines = [];
+  const resolutions = new Map();  // line → RESOLUTIONS key
+  let renderToken = 0;            // ignore stale async renders
+
+  const conflictRows = () => importRows.filter((row) => row.conflict);
+  const skippedRows = () => conflictRows().filter((row) => resolutions.get(row.line) === 'skip');
+
+  const updateSummary = () => {
+    const valid = importRows.filter((row) => row.errors.length === 0).length;
+    const conflicts = conflictRows().length;
+    const open = conflictRows().filter((row) => !resolutions.has(row.line)).length;
+    summaryEl.textContent = `${importRows.length} rows — ${valid} valid (${conflicts} in conflict`
+      + `${open ? `, ${open} undecided` : ''}), ${importRows.length - valid} rejected.`;
+    downloadSlot.hidden = valid === importRows.length && skippedRows().length === 0;
+    actionsEl.hidden = !editable || valid === 0;
+  };
+
+  const renderConflicts = () => {
+    conflictEngines.forEach((engine) => engine.destroy());
+    conflictEngines = [];
+    conflictsEl.innerHTML = '';
+    const rows = conflictRows();
+    // Unhide before mounting — the comboboxes measure their container.
+    resolveEl.hidden = rows.length === 0;
+    rows.forEach((row) => {
+      const section = document.createElement('div');
+      section.className = 'bulk-upload__conflict';
+      const text = document.createElement('p');
+      text.textContent = `Line ${row.line}: ${describeConflict(row)}`;
+      section.appendChild(text);
+      conflictsEl.appendChild(section);
+
+      const id = `upload-scac-resolve-${row.line}`;
+      const { row: fieldRow, mountId } = makeEngineRow(id);
+      fieldRow.classList.add('task-form__row--combobox');
+      section.appendChild(fieldRow);
+      const current = RESOLUTIONS.find((r) => r.key === resolutions.get(row.line));
+      conflictEngines.push(componentFactory.createListFloatingLabel(mountId, {
+        id,
+        label: 'Resolution',
+        placeholder: 'Resolution',
+        items: RESOLUTIONS.map((r) => r.label),
+        value: current ? current.label : '',
+        onChange: (label) => {
+          const choice = RESOLUTIONS.find((r) => r.label === label);
+          if (label !== '' && !choice) return;   // still typing
+          if (choice) resolutions.set(row.line, choice.key);
+          else resolutions.delete(row.line);
+          updateSummary();
+        }
+      }));
+    });
+  };
+
+  const refreshPreview = async () => {
+    const token = ++renderToken;
+    let existing;
+    try {
+      existing = await listScacs();
+    } catch (err) {
+      console.error('[Upload SCAC] Failed to load the SCAC list:', err);
+      setFormStatus(statusEl, `Could not load the SCAC list: ${err.message}`, 'error');
+      return;
+    }
+    if (token !== renderToken) return;
+
+    importRows = validateRows(mapRows(dataRows, mapping.getMapping()), existing);
+    resolutions.clear();
+    renderPreview(headerRow, tbody, importRows, PREVIEW_COLUMNS);
+    renderConflicts();
+    updateSummary();
+  };
+
+  const reset = () => {
+    if (mapping) mapping.destroy();
+    mapping = null;
+    renderToken++;
+    importRows = [];
+    resolutions.clear();
+    renderConflicts();
+    mappingSection.hidden = true;
+    previewEl.hidden = true;
+    actionsEl.hidden = true;
+  };
+
+  const loadFile = async (file) => {
+    setFormStatus(statusEl, '', null);
+    reset();
+    if (!file) return;
+
+    let rows;
+    try {
+      rows = await readCarrierFile(file);
+    } catch (err) {
+      console.error('[Upload SCAC] Could not read file:', err);
+      setFormStatus(statusEl, `Could not read ${file.name}: ${err.message}`, 'error');
+      return;
+    }
+    if (rows.length < 2) {
+      setFormStatus(statusEl, `${file.name} has no carriers.`, 'error');
+      return;
+    }
+    [headers, ...dataRows] = rows;
+
+    mappingSection.hidden = false;
+    previewEl.hidden = false;
+    mapping = mountColumnMapping(mappingEl, {
+      idPrefix: 'upload-scac',
+      headers,
+      fields: CARRIER_FIELDS,
+      onChange: refreshPreview
+    });
+    refreshPreview();
+  };
+
+  componentFactory.createFileUpload('upload-scac-file', {
+    id: 'upload-scac-input',
+    text: 'Drag & Drop a CSV or JSON File or Click to Browse',
+    acceptedFiles: '.csv,.json,text/csv,application/json',
+    multiple: false,
+    maxSize: 5 * 1024 * 1024, // 5MB
+    icon: '🚚'
+  }, (files, errors) => {
+    if (errors && errors.length > 0) {
+      setFormStatus(statusEl, errors.join(' '), 'error');
+      return;
+    }
+    loadFile(files[0]);
+  });
+
+  renderActionButton('upload-scac-import', { id: 'upload-scac-import-btn', text: 'Import' }, async () => {
+    const open = conflictRows().filter((row) => !resolutions.has(row.line));
+    if (open.length > 0) {
+      setFormStatus(statusEl,
+        `Choose keep existing, overwrite or skip for every conflict (line ${open.map((r) => r.line).join(', ')}).`,
+        'error');
+      return;
+    }
+    const writes = planImport(importRows, resolutions);
+    if (writes.length === 0) {
+      setFormStatus(statusEl, 'Nothing to import — every row was rejected, kept or skipped.', 'error');
+      return;
+    }
+    let count;
+    try {
+      count = await saveScacs(writes);
+    } catch (err) {
+      console.error('[Upload SCAC] Import failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+    await refreshPreview();
+    setFormStatus(statusEl, `Saved ${count} SCAC entries.`, 'success');
+  });
+
+  renderActionButton('upload-scac-download', { id: 'upload-scac-download-btn', text: 'Download Rejected Rows' }, () => {
+    const skipped = new Set(skippedRows());
+    downloadRejectedRows('scac-upload-errors.csv', headers, importRows.map((row) => (
+      skipped.has(row) ? { ...row, errors: [`Skipped — ${describeConflict(row)}`] } : row
+    )));
+  });
+}
@@ -0,0 +1,369 @@
+/**
+ * view-scac.js
+ *
+ * logistics/view-scac — the organisation's SCAC list (scac-registry.js).
+ *
+ *   - Fuzzy search over carrier name and code: each search term must
+ *     appear in the name or code, or be one typo away from a word of the
+ *     name or from the code ("maersk" finds "Maersk Line", "MAEU"; "mearsk"
+ *     still does).
+ *   - Carrier type and status filters (multi-selects), sortable headers,
+ *     an Active / Suspended badge per row, and a contact detail row on
+ *     selection.
+ *   - Export writes the rows currently shown to CSV.
+ *   - The router rebuilds the page on every visit, so the view state
+ *     (search, filters, sort, expanded row, scroll position) is kept in
+ *     sessionStorage and restored on the next initialisation.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { downloadCsv } from '../core/csv.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+import { onTasksChanged } from '../tasks/task-repository.js';
+import { setFormStatus, renderActionButton } from '../tasks/task-form.js';
+import { CARRIER_TYPES, getCarrierType } from './scac-rules.js';
+import { SCAC_STATUSES, getScacStatus, listScacs } from './scac-registry.js';
+
+const VIEW_STATE_KEY = 'scacViewState';
+
+const DEFAULT_VIEW = {
+  query: '',
+  types: [],
+  statuses: [],
+  sortKey: 'scac',
+  sortDirection: 1,
+  openScac: null,
+  scrollTop: 0
+};
+
+function readViewState() {
+  try {
+    const raw = sessionStorage.getItem(VIEW_STATE_KEY);
+    return raw ? { ...DEFAULT_VIEW, ...JSON.parse(raw) } : { ...DEFAULT_VIEW };
+  } catch (err) {
+    console.warn('[View SCAC] Stored view state unreadable; using defaults', err);
+    return { ...DEFAULT_VIEW };
+  }
+}
+
+function writeViewState(view) {
+  try {
+    sessionStorage.setItem(VIEW_STATE_KEY, JSON.stringify(view));
+  } catch (_) {
+    // ignore — the view just won't be restored
+  }
+}
+
+const carrierTypeLabel = (entry) => {
+  const type = getCarrierType(entry.carrierType);
+  return type ? type.label : entry.carrierType || '—';
+};
+
+const statusLabel = (entry) => (getScacStatus(entry.status) || SCAC_STATUSES[0]).label;
+
+// ─── Fuzzy search ───────────────────────────────────────────────────────────
+
+const fold = (text) => String(text || '').toLowerCase();
+
+// Edit distance counting a swap of neighbouring letters as one edit
+// (optimal string alignment), so "mearsk" is one typo from "maersk".
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// One typo allowed from four characters on; shorter terms must match exactly.
+function termMatches(term, entry) {
+  const name = fold(entry.carrierName);
+  const code = fold(entry.scac);
+  if (name.includes(term) || code.includes(term)) return true;
+  if (term.length < 4) return false;
+  const words = [code, ...name.split(/[^a-z0-9]+/).filter(Boolean)];
+  return words.some((word) => editDistance(term, word.slice(0, term.length + 1)) <= 1
+    || editDistance(term, word.slice(0, term.length)) <= 1);
+}
+
+function matchesQuery(entry, query) {
+  const terms = fold(query).split(/\s+/).filter(Boolean);
+  return terms.every((term) => termMatches(term, entry));
+}
+
+// ─── Sorting ────────────────────────────────────────────────────────────────
+
+const SORT_VALUES = {
+  scac: (e) => e.scac,
+  carrierName: (e) => fold(e.carrierName),
+  carrierType: (e) => fold(carrierTypeLabel(e)),
+  status: (e) => e.status,
+  addedAt: (e) => e.addedAt || ''
+};
+
+function compareEntries(key, direction) {
+  const value = SORT_VALUES[key] || SORT_VALUES.scac;
+  return (a, b) => (value(a).localeCompare(value(b)) || a.scac.localeCompare(b.scac)) * direction;
+}
+
+// ─── Rows ───────────────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function badgeCell(entry) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const badge = document.createElement('span');
+  badge.className = `scac-view__badge scac-view__badge--${entry.status}`;
+  badge.textContent = statusLabel(entry);
+  td.appendChild(badge);
+  return td;
+}
+
+function buildRow(entry, isOpen, onToggle) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-queue__row';
+  if (isOpen) tr.classList.add('task-queue__row--open');
+  tr.dataset.scac = entry.scac;
+  tr.tabIndex = 0;
+  tr.setAttribute('aria-expanded', String(isOpen));
+  tr.appendChild(textCell(entry.scac));
+  tr.appendChild(textCell(entry.carrierName || '—'));
+  tr.appendChild(textCell(carrierTypeLabel(entry)));
+  tr.appendChild(badgeCell(entry));
+  tr.appendChild(textCell(entry.addedAt ? formatLocalTimestamp(entry.addedAt) : '—'));
+  tr.addEventListener('click', () => onToggle(entry.scac));
+  tr.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') onToggle(entry.scac);
+  });
+  return tr;
+}
+
+function buildDetailRow(entry, columns) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-visibility__detail';
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  td.colSpan = columns;
+
+  const dl = document.createElement('dl');
+  dl.className = 'task-form__preview';
+  const add = (label, value) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value || '—';
+    dl.appendChild(dt);
+    dl.appendChild(dd);
+  };
+  add('Contact', entry.contactName);
+  add('Email', entry.contactEmail);
+  add('Phone', entry.contactPhone);
+  add('Source', entry.source === 'task' ? 'Approved Create SCAC request' : 'SCAC registry');
+  td.appendChild(dl);
+  tr.appendChild(td);
+  return tr;
+}
+
+function exportRows(entries) {
+  return [
+    ['SCAC', 'Carrier', 'Carrier Type', 'Status', 'Contact', 'Email', 'Phone', 'Added'],
+    ...entries.map((e) => [
+      e.scac,
+      e.carrierName,
+      carrierTypeLabel(e),
+      statusLabel(e),
+      e.contactName,
+      e.contactEmail,
+      e.contactPhone,
+      e.addedAt
+    ])
+  ];
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for logistics/view-scac.
+ */
+export function initializeViewScac() {
+  const root = document.getElementById('view-scac');
+  const tbody = document.getElementById('view-scac-body');
+  const headerRow = document.getElementById('view-scac-header-row');
+  const scrollEl = document.getElementById('view-scac-scroll');
+  const emptyEl = document.getElementById('view-scac-empty');
+  const statusEl = document.getElementById('view-scac-status');
+  if (!root || !tbody || !headerRow || !scrollEl || !emptyEl || !statusEl) {
+    console.error('[View SCAC] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[View SCAC] init');
+
+  const view = readViewState();
+  const columns = headerRow.querySelectorAll('th').length;
+  let entries = [];
+  let visible = [];
+  let restoreScroll = true;   // first render after init puts the scroll back
+
+  const save = () => writeViewState(view);
+
+  const renderTable = () => {
+    visible = entries
+      .filter((e) =>
+        (view.types.length === 0 || view.types.includes(e.carrierType))
+        && (view.statuses.length === 0 || view.statuses.includes(e.status))
+        && matchesQuery(e, view.query))
+      .sort(compareEntries(view.sortKey, view.sortDirection));
+
+    tbody.innerHTML = '';
+    visible.forEach((entry) => {
+      const isOpen = entry.scac === view.openScac;
+      tbody.appendChild(buildRow(entry, isOpen, toggle));
+      if (isOpen) tbody.appendChild(buildDetailRow(entry, columns));
+    });
+    emptyEl.hidden = visible.length > 0;
+    emptyEl.textContent = entries.length === 0
+      ? 'No carriers on the SCAC list yet.'
+      : 'No carriers match the current search and filters.';
+
+    if (restoreScroll) {
+      restoreScroll = false;
+      scrollEl.scrollTop = view.scrollTop;
+    }
+  };
+
+  const load = async () => {
+    try {
+      entries = await listScacs();
+    } catch (err) {
+      console.error('[View SCAC] Failed to load the SCAC list:', err);
+      setFormStatus(statusEl, `Could not load the SCAC list: ${err.message}`, 'error');
+      return;
+    }
+    setFormStatus(statusEl, '', null);
+    renderTable();
+  };
+
+  function toggle(scac) {
+    view.openScac = view.openScac === scac ? null : scac;
+    save();
+    renderTable();
+  }
+
+  // ── Search + filters ──
+  componentFactory.createTextInputFloatingLabel('view-scac-search', {
+    id: 'view-scac-search-input',
+    label: 'Search carrier or SCAC',
+    placeholder: 'Search carrier or SCAC',
+    value: view.query,
+    expandable: false,
+    onChange: (value) => {
+      view.query = value || '';
+      save();
+      renderTable();
+    }
+  });
+
+  componentFactory.createMultiSelect('view-scac-filter-type', {
+    id: 'view-scac-type-filter',
+    options: CARRIER_TYPES.map((t) => ({ value: t.key, text: t.label })),
+    selectedValues: [...view.types]
+  }, (values) => {
+    view.types = [...values];
+    save();
+    renderTable();
+  });
+
+  componentFactory.createMultiSelect('view-scac-filter-status', {
+    id: 'view-scac-status-filter',
+    options: SCAC_STATUSES.map((s) => ({ value: s.key, text: s.label })),
+    selectedValues: [...view.statuses]
+  }, (values) => {
+    view.statuses = [...values];
+    save();
+    renderTable();
+  });
+
+  // ── Sortable headers ──
+  const headers = Array.from(headerRow.querySelectorAll('th[data-sort-key]'));
+  const renderSortState = () => {
+    headers.forEach((th) => {
+      const active = th.dataset.sortKey === view.sortKey;
+      th.setAttribute('aria-sort', active ? (view.sortDirection === 1 ? 'ascending' : 'descending') : 'none');
+    });
+  };
+  headers.forEach((th) => {
+    th.classList.add('table-header-cell--sortable');
+    th.tabIndex = 0;
+    const activate = () => {
+      view.sortDirection = view.sortKey === th.dataset.sortKey ? -view.sortDirection : 1;
+      view.sortKey = th.dataset.sortKey;
+      save();
+      renderSortState();
+      renderTable();
+    };
+    th.addEventListener('click', activate);
+    th.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        activate();
+      }
+    });
+  });
+
+  // ── Scroll position (saved once per frame while scrolling) ──
+  let scrollQueued = false;
+  scrollEl.addEventListener('scroll', () => {
+    if (scrollQueued) return;
+    scrollQueued = true;
+    requestAnimationFrame(() => {
+      scrollQueued = false;
+      view.scrollTop = scrollEl.scrollTop;
+      save();
+    });
+  });
+
+  // ── Export ──
+  renderActionButton('view-scac-export', { id: 'view-scac-export-btn', text: 'Export CSV' }, () => {
+    if (visible.length === 0) {
+      setFormStatus(statusEl, 'Nothing to export — no carriers match the current view.', 'error');
+      return;
+    }
+    downloadCsv('scac-registry.csv', exportRows(visible));
+    setFormStatus(statusEl, `Exported ${visible.length} carriers.`, 'success');
+  });
+
+  // Approved Create SCAC requests join the list; unsubscribe once the page
+  // has been swapped out.
+  const unsubscribe = onTasksChanged(() => {
+    if (!root.isConnected) {
+      unsubscribe();
+      return;
+    }
+    load();
+  });
+
+  renderSortState();
+  load();
+}
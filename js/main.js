@@ -46,6 +46,81 @@ import { initializeSecuritySettings } from './security/security-settings.js';
 // Tasks — Address Validations subpage
 import { initializeAddressValidations } from './tasks/address-validations.js';
 
+// Tasks — Bank Validations subpage
+import { initializeBankValidations } from './tasks/bank-validations.js';
+
+// Tasks — TIN Validations subpage
+import { initializeTinValidations } from './tasks/tin-validations.js';
+
+// Tasks — Create SCAC subpage
+import { initializeCreateScac } from './tasks/create-scac.js';
+
+// Tasks — Change Payment Terms subpage
+import { initializeChangePaymentTerms } from './tasks/change-payment-terms.js';
+
+// Tasks — Change Invoice Approver subpage
+import { initializeChangeInvoiceApprover } from './tasks/change-invoice-approver.js';
+
+// Tasks — Vendor Request subpage
+import { initializeVendorRequest } from './tasks/vendor-request.js';
+
+// Tasks — User Permission Request subpage
+import { initializeUserPermissionRequest } from './tasks/user-permission-request.js';
+
+// Finance — Invoice Approvers subpage
+import { initializeInvoiceApprovers } from './finance/invoice-approvers.js';
+
+// Finance — Upload Invoice Approvers subpage
+import { initializeUploadInvoiceApprovers } from './finance/upload-invoice-approvers.js';
+
+// Logistics — View SCAC subpage
+import { initializeViewScac } from './logistics/view-scac.js';
+
+// Logistics — Upload SCAC subpage
+import { initializeUploadScac } from './logistics/upload-scac.js';
+
+// Users — View Org Chart subpage
+import { initializeOrgChart } from './users/org-chart.js';
+
+// Users — Upload Org Chart subpage
+import { initializeUploadOrgChart } from './users/upload-org-chart.js';
+
+// Users — Guests subpage
+import { initializeGuests } from './users/guests.js';
+
+// Users — Create Org Users subpage
+import { initializeCreateOrgUsers } from './users/create-org-users.js';
+
+// Users — Create Org Users by Email subpage
+import { initializeCreateOrgUsersEmail } from './users/create-org-users-email.js';
+
+// Users — Org Admins subpage
+import { initializeOrgAdmins } from './users/org-admins.js';
+
+// Users — Org Roles Above Admin subpage
+import { initializeOrgRolesAboveAdmin } from './users/org-roles-above-admin.js';
+
+// Reporting — Individual Metrics subpage
+import { initializeIndividualMetrics } from './reporting/individual-metrics.js';
+
+// Reporting — Team Metrics subpage
+import { initializeTeamMetrics } from './reporting/team-metrics.js';
+
+// Reporting — Organisation Metrics subpage
+import { initializeOrganisationMetrics } from './reporting/organisation-metrics.js';
+
+// Finance — Banks subpage
+import { initializeBanks } from './finance/banks.js';
+
+// Finance — Upload Banks subpage
+import { initializeUploadBanks } from './finance/upload-banks.js';
+
+// Tasks — Approve queue subpage
+import { initializeApproveQueue } from './tasks/approve-queue.js';
+
+// Tasks — Visibility dashboard subpage
+import { initializeTaskVisibility } from './tasks/task-visibility.js';
+
 function isUserAuthenticated() {
   return isAuthenticated();
 }
@@ -108,6 +183,9 @@ import { initSlinkySleeve } from './backgrounds/slinky-sleeve.js';
 // Deployment Index — JSON-driven client-side renderer
 import { renderDeploymentIndex } from './deployment-index-renderer.js';
 
+// Live table search + highlight (Deployment Index, finance tables)
+import { attachTableSearch } from './core/table-search.js';
+
 // Make factory and cleanup registration available for pages that need it
 window.componentFactory = componentFactory;
 window.registerPageCleanup = registerPageCleanup;
@@ -1065,9 +1143,9 @@ async function initializeDeploymentIndexPage(subsubpage) {
 }
 
 // ─── Deployment Index search bar (any sub-subpage) ──────────────────────────
-// Renders a text_input_component_engine into the per-environment search slot
-// (#deployment-index-search-{development|sandbox|production}) and wires its
-// live change handler to filter and highlight rows in the adjacent .table-main.
+// Renders the shared table search bar (core/table-search.js) into the
+// per-environment search slot (#deployment-index-search-{development|sandbox|production})
+// and wires it to filter and highlight rows in the adjacent .table-main.
 // Idempotent: if the bar is already rendered (e.g. router fires subpageLoaded
 // twice), we skip re-init.
 function initializeDeploymentIndexSearch(subsubpage) {
@@ -1084,64 +1162,10 @@ function initializeDeploymentIndexSearch(subsubpage) {
     return;
   }
 
-  // Cache each row's original cell text so we can rebuild .cell-fit > p contents
-  // (with or without <mark> wrapping) on every keystroke without losing the source.
-  const rows = Array.from(tbody.querySelectorAll('tr.table-body-row'));
-  const rowOriginals = rows.map((row) => {
-    const proseTargets = row.querySelectorAll('.cell-fit > p, .cell-fit > h3');
-    return Array.from(proseTargets).map((el) => ({ el, text: el.textContent }));
+  attachTableSearch(container, tbody, {
+    id: `deployment-index-search-input-${subsubpage}`,
+    name: `deployment-index-search-${subsubpage}`,
   });
-
-  const escRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const escHtml = (s) => s.replace(/[&<>"']/g, (c) => (
-    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
-  ));
-
-  const applyFilter = (query) => {
-    const q = (query || '').trim();
-    if (!q) {
-      // Reset: show every row, drop the matched class, restore plain text.
-      rows.forEach((row, i) => {
-        row.style.display = '';
-        row.classList.remove('search-matched');
-        rowOriginals[i].forEach(({ el, text }) => { el.textContent = text; });
-      });
-      return;
-    }
-    const re = new RegExp(escRegex(q), 'gi');
-    rows.forEach((row, i) => {
-      const haystack = rowOriginals[i].map((o) => o.text).join(' ');
-      const matches = re.test(haystack);
-      re.lastIndex = 0; // reset after the test() call
-      row.style.display = matches ? '' : 'none';
-      if (!matches) {
-        // Hidden row: drop the matched class, restore plain text so a future
-        // search starts clean.
-        row.classList.remove('search-matched');
-        rowOriginals[i].forEach(({ el, text }) => { el.textContent = text; });
-        return;
-      }
-      // Visible row: tag it for the size bump and rewrite each prose element
-      // with <mark>-wrapped matches.
-      row.classList.add('search-matched');
-      rowOriginals[i].forEach(({ el, text }) => {
-        el.innerHTML = escHtml(text).replace(re, (m) => `<mark class="search-hit">${escHtml(m)}</mark>`);
-      });
-    });
-  };
-
-  // Instantiate the engine. Second arg is the change handler — fires on input.
-  const engine = new text_input_component_engine(
-    {
-      id: `deployment-index-search-input-${subsubpage}`,
-      name: `deployment-index-search-${subsubpage}`,
-      placeholder: 'Search',
-      expandable: false,
-      multiline: false,
-    },
-    (value) => applyFilter(value),
-  );
-  engine.render(container);
   console.log(`[Deployment Index] Search bar initialised (${subsubpage})`);
 }
 
@@ -1270,28 +1294,6 @@ async function initializeSystemRoles() {
   }
 }
 
-// ─── Org Roles Above Admin (display-only table) ──────────────────────────────
-
-function initializeOrgRolesAboveAdmin() {
-  if (!window.componentFactory) {
-    console.error('[Org Roles Above Admin] ComponentFactory not available');
-    return;
-  }
-
-  // Render a default circle button into each .table-button-slot
-  const slots = document.querySelectorAll('.table-button-slot');
-  slots.forEach((slot) => {
-    if (!slot.id) return;
-    componentFactory.createButton(slot.id, {
-      id: `${slot.id}-btn`,
-      text: '•', // Triggers circle mode in button_component_engine
-      active: false,
-    });
-  });
-
-  console.log(`[Org Roles Above Admin] Rendered ${slots.length} circle buttons`);
-}
-
 // Subpage-specific initialization — fires when router loads subpage/sub-subpage content
 document.addEventListener('subpageLoaded', (e) => {
   const { page, subpage } = e.detail;
@@ -1361,8 +1363,26 @@ document.addEventListener('subpageLoaded', (e) => {
         console.log('[main.js] Initializing system roles (users/system-roles)');
         initializeSystemRoles();
       } else if (subpage === 'org-roles-above-admin') {
-        console.log('[main.js] Initializing org roles above admin table (users/org-roles-above-admin)');
+        console.log('[main.js] Initializing org roles above admin matrix (users/org-roles-above-admin)');
         initializeOrgRolesAboveAdmin();
+      } else if (subpage === 'view-org-chart') {
+        console.log('[main.js] Initializing org chart (users/view-org-chart)');
+        initializeOrgChart();
+      } else if (subpage === 'upload-org-chart') {
+        console.log('[main.js] Initializing org chart upload (users/upload-org-chart)');
+        initializeUploadOrgChart();
+      } else if (subpage === 'guests') {
+        console.log('[main.js] Initializing guests (users/guests)');
+        initializeGuests();
+      } else if (subpage === 'create-org-users') {
+        console.log('[main.js] Initializing create org users form (users/create-org-users)');
+        initializeCreateOrgUsers();
+      } else if (subpage === 'create-org-users-email') {
+        console.log('[main.js] Initializing bulk invite by email (users/create-org-users-email)');
+        initializeCreateOrgUsersEmail();
+      } else if (subpage === 'org-admins') {
+        console.log('[main.js] Initializing org admins (users/org-admins)');
+        initializeOrgAdmins();
       }
     });
   }
@@ -1370,9 +1390,84 @@ document.addEventListener('subpageLoaded', (e) => {
   // Tasks subpages
   if (page === 'tasks') {
     requestAnimationFrame(() => {
-      if (subpage === 'create' && e.detail.subsubpage === 'address-validations') {
+      if (subpage === 'approve') {
+        console.log('[main.js] Initializing Approve queue (tasks/approve)');
+        initializeApproveQueue();
+      } else if (subpage === 'visibility') {
+        console.log('[main.js] Initializing Task Visibility (tasks/visibility)');
+        initializeTaskVisibility();
+      } else if (subpage === 'create' && e.detail.subsubpage === 'address-validations') {
         console.log('[main.js] Initializing Address Validations (tasks/create/address-validations)');
         initializeAddressValidations();
+      } else if (subpage === 'create' && e.detail.subsubpage === 'bank-validations') {
+        console.log('[main.js] Initializing Bank Validations (tasks/create/bank-validations)');
+        initializeBankValidations();
+      } else if (subpage === 'create' && e.detail.subsubpage === 'tin-validations') {
+        console.log('[main.js] Initializing TIN Validations (tasks/create/tin-validations)');
+        initializeTinValidations();
+      } else if (subpage === 'create' && e.detail.subsubpage === 'create-scac') {
+        console.log('[main.js] Initializing Create SCAC (tasks/create/create-scac)');
+        initializeCreateScac();
+      } else if (subpage === 'create' && e.detail.subsubpage === 'change-payment-terms') {
+        console.log('[main.js] Initializing Change Payment Terms (tasks/create/change-payment-terms)');
+        initializeChangePaymentTerms();
+      } else if (subpage === 'create' && e.detail.subsubpage === 'change-invoice-approver') {
+        console.log('[main.js] Initializing Change Invoice Approver (tasks/create/change-invoice-approver)');
+        initializeChangeInvoiceApprover();
+      } else if (subpage === 'create' && e.detail.subsubpage === 'vendor-request') {
+        console.log('[main.js] Initializing Vendor Request (tasks/create/vendor-request)');
+        initializeVendorRequest();
+      } else if (subpage === 'create' && e.detail.subsubpage === 'user-permission-request') {
+        console.log('[main.js] Initializing User Permission Request (tasks/create/user-permission-request)');
+        initializeUserPermissionRequest();
+      }
+    });
+  }
+
+  // Logistics subpages
+  if (page === 'logistics') {
+    requestAnimationFrame(() => {
+      if (subpage === 'view-scac') {
+        console.log('[main.js] Initializing View SCAC (logistics/view-scac)');
+        initializeViewScac();
+      } else if (subpage === 'upload-scac') {
+        console.log('[main.js] Initializing Upload SCAC (logistics/upload-scac)');
+        initializeUploadScac();
+      }
+    });
+  }
+
+  // Finance subpages
+  if (page === 'finance') {
+    requestAnimationFrame(() => {
+      if (subpage === 'invoice-approvers') {
+        console.log('[main.js] Initializing Invoice Approvers (finance/invoice-approvers)');
+        initializeInvoiceApprovers();
+      } else if (subpage === 'upload-invoice-approvers') {
+        console.log('[main.js] Initializing Upload Invoice Approvers (finance/upload-invoice-approvers)');
+        initializeUploadInvoiceApprovers();
+      } else if (subpage === 'banks') {
+        console.log('[main.js] Initializing Banks (finance/banks)');
+        initializeBanks();
+      } else if (subpage === 'upload-banks') {
+        console.log('[main.js] Initializing Upload Banks (finance/upload-banks)');
+        initializeUploadBanks();
+      }
+    });
+  }
+
+  // Reporting subpages
+  if (page === 'reporting') {
+    requestAnimationFrame(() => {
+      if (subpage === 'individual-metrics') {
+        console.log('[main.js] Initializing Individual Metrics (reporting/individual-metrics)');
+        initializeIndividualMetrics();
+      } else if (subpage === 'team-metrics') {
+        console.log('[main.js] Initializing Team Metrics (reporting/team-metrics)');
+        initializeTeamMetrics();
+      } else if (subpage === 'organisation-metrics') {
+        console.log('[main.js] Initializing Organisation Metrics (reporting/organisation-metrics)');
+        initializeOrganisationMetrics();
       }
     });
   }
@@ -0,0 +1,188 @@
+/**
+ * individual-metrics.js
+ *
+ * reporting/individual-metrics — the signed-in user's own task metrics over
+ * a selectable date range (task-metrics.js):
+ *
+ *   1. Range        preset combobox; "Custom range" shows From / To wheel
+ *                   date pickers
+ *   2. KPI tiles    submitted, decided, median turnaround, SLA met — each
+ *                   with a sparkline across the range
+ *   3. Throughput   line chart: tasks you submitted and tasks you decided
+ *   4. Turnaround   bar chart: median hours from submission to your decision
+ *   5. SLA          donut: your decisions within / past SLA, plus open tasks
+ *                   assigned to you that are already overdue
+ *
+ * Charts are chart_component_engine instances; they follow the theme and
+ * redraw when tasks change.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { listTasks, currentRequester, onTasksChanged } from '../tasks/task-repository.js';
+import { summariseTasks, slaRate, formatHours } from './task-metrics.js';
+import { mountDateRange, formatRange } from './metrics-range.js';
+import { setFormStatus } from '../tasks/task-form.js';
+
+// KPI tiles: headline value from the totals, sparkline from the buckets.
+const KPIS = [
+  {
+    key: 'submitted',
+    label: 'Submitted',
+    value: (t) => String(t.submitted),
+    spark: (b) => b.submitted
+  },
+  {
+    key: 'decided',
+    label: 'Decided',
+    value: (t) => String(t.decided),
+    spark: (b) => b.decided
+  },
+  {
+    key: 'turnaround',
+    label: 'Median Turnaround',
+    value: (t) => formatHours(t.turnaround),
+    spark: (b) => b.turnaround
+  },
+  {
+    key: 'sla',
+    label: 'SLA Met',
+    value: (t) => (t.slaRate === null ? '—' : `${Math.round(t.slaRate)}%`),
+    spark: (b) => slaRate(b.met, b.missed)
+  }
+];
+
+function buildKpiTile(kpi, idPrefix) {
+  const tile = document.createElement('div');
+  tile.className = 'metrics__kpi';
+  const label = document.createElement('h3');
+  label.textContent = kpi.label;
+  const value = document.createElement('p');
+  value.className = 'metrics__kpi-value';
+  value.id = `${idPrefix}-${kpi.key}-value`;
+  const spark = document.createElement('div');
+  spark.className = 'metrics__kpi-spark';
+  spark.id = `${idPrefix}-${kpi.key}-spark`;
+  tile.appendChild(label);
+  tile.appendChild(value);
+  tile.appendChild(spark);
+  return tile;
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for reporting/individual-metrics.
+ */
+export function initializeIndividualMetrics() {
+  const root = document.getElementById('individual-metrics');
+  const rangeEl = document.getElementById('individual-metrics-range');
+  const customEl = document.getElementById('individual-metrics-custom');
+  const periodEl = document.getElementById('individual-metrics-period');
+  const kpisEl = document.getElementById('individual-metrics-kpis');
+  const statusEl = document.getElementById('individual-metrics-status');
+  if (!root || !rangeEl || !customEl || !periodEl || !kpisEl || !statusEl) {
+    console.error('[Individual Metrics] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Individual Metrics] init');
+
+  const me = currentRequester();
+
+  // ── 1. Range ──
+  const { currentRange } = mountDateRange({
+    idPrefix: 'individual-metrics',
+    rangeEl,
+    customEl,
+    onChange: () => render()
+  });
+
+  // ── 2. KPI tiles ──
+  KPIS.forEach((kpi) => kpisEl.appendChild(buildKpiTile(kpi, 'individual-metrics')));
+  const sparks = KPIS.map((kpi) => componentFactory.createChart(`individual-metrics-${kpi.key}-spark`, {
+    id: `individual-metrics-${kpi.key}-sparkline`,
+    type: 'sparkline',
+    title: `${kpi.label} trend`
+  }));
+
+  // ── 3–5. Charts ──
+  const throughputChart = componentFactory.createChart('individual-metrics-throughput', {
+    id: 'individual-metrics-throughput-chart',
+    type: 'line',
+    title: 'Tasks submitted and decided',
+    formatValue: (v) => String(Math.round(v))
+  });
+  const turnaroundChart = componentFactory.createChart('individual-metrics-turnaround', {
+    id: 'individual-metrics-turnaround-chart',
+    type: 'bar',
+    title: 'Median hours from submission to decision',
+    formatValue: formatHours
+  });
+  const slaChart = componentFactory.createChart('individual-metrics-sla', {
+    id: 'individual-metrics-sla-chart',
+    type: 'donut',
+    title: 'Decisions within SLA',
+    formatValue: (v) => String(Math.round(v))
+  });
+  const charts = [...sparks, throughputChart, turnaroundChart, slaChart].filter(Boolean);
+
+  async function render() {
+    let tasks;
+    try {
+      tasks = await listTasks();
+    } catch (err) {
+      console.error('[Individual Metrics] Failed to load tasks:', err);
+      setFormStatus(statusEl, `Could not load tasks: ${err.message}`, 'error');
+      return;
+    }
+    setFormStatus(statusEl, '', null);
+
+    const { from, to } = currentRange();
+    const { buckets, totals } = summariseTasks(tasks, {
+      from,
+      to,
+      isSubmitter: (task) => task.requester && task.requester.sub === me.sub,
+      isDecider: (name) => name === me.name
+    });
+    periodEl.textContent = formatRange({ from, to });
+
+    const labels = buckets.map((b) => b.label);
+    KPIS.forEach((kpi, i) => {
+      document.getElementById(`individual-metrics-${kpi.key}-value`).textContent = kpi.value(totals);
+      if (sparks[i]) sparks[i].setData({ labels, series: [{ name: kpi.label, values: buckets.map(kpi.spark) }] });
+    });
+
+    throughputChart.setData({
+      labels,
+      series: [
+        { name: 'Submitted', values: buckets.map((b) => b.submitted) },
+        { name: 'Decided', values: buckets.map((b) => b.decided), color: '--success-color' }
+      ]
+    });
+    turnaroundChart.setData({
+      labels,
+      series: [{ name: 'Median turnaround', values: buckets.map((b) => b.turnaround) }]
+    });
+    slaChart.setData({
+      segments: [
+        { label: 'Within SLA', value: totals.met, color: '--success-color' },
+        { label: 'Past SLA', value: totals.missed, color: '--error-color' },
+        { label: 'Open and overdue', value: totals.overdue, color: '--focus-color' }
+      ]
+    });
+  }
+
+  // Live updates; unsubscribe and release the charts once the page has
+  // been swapped out.
+  const unsubscribe = onTasksChanged(() => {
+    if (!root.isConnected) {
+      unsubscribe();
+      charts.forEach((chart) => chart.destroy());
+      return;
+    }
+    render();
+  });
+
+  render();
+}
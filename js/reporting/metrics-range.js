@@ -0,0 +1,93 @@
+/**
+ * metrics-range.js
+ *
+ * The date range control shared by the reporting/* pages: a preset
+ * combobox (DATE_RANGES) plus "Custom range", which shows From / To wheel
+ * date pickers. The range is half-open, [from, to), in local days.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { DATE_RANGES, rangeFor } from './task-metrics.js';
+import { makeEngineRow } from '../tasks/task-form.js';
+import { formatUserDate } from '../settings/userDatePreferences.js';
+
+const CUSTOM_RANGE = 'Custom range';
+const DEFAULT_RANGE = '30d';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * "1-Oct-2026 – 30-Oct-2026" for a [from, to) range, in the user's date format.
+ */
+export function formatRange({ from, to }) {
+  return `${formatUserDate(from)} – ${formatUserDate(new Date(to.getTime() - DAY_MS))}`;
+}
+
+/**
+ * Mount the range control. `rangeEl` receives the combobox, `customEl` the
+ * date pickers (hidden unless "Custom range" is picked). `onChange` runs
+ * whenever the range changes — not on mount, so render once yourself.
+ * @returns {{ currentRange: () => { from: Date, to: Date } }}
+ */
+export function mountDateRange({ idPrefix, rangeEl, customEl, onChange }) {
+  let rangeKey = DEFAULT_RANGE;
+  let mounted = false;
+
+  const rangeRow = makeEngineRow(`${idPrefix}-range-select`);
+  rangeRow.row.classList.add('task-form__row--combobox');
+  rangeEl.appendChild(rangeRow.row);
+  const rangeEngine = componentFactory.createListFloatingLabel(rangeRow.mountId, {
+    id: `${idPrefix}-range-select`,
+    label: 'Date range',
+    placeholder: 'Date range',
+    items: [...DATE_RANGES.map((r) => r.label), CUSTOM_RANGE]
+  }, (value) => {
+    if (value === CUSTOM_RANGE) {
+      rangeKey = null;
+    } else {
+      const preset = DATE_RANGES.find((r) => r.label === value);
+      if (!preset) return;     // still typing
+      rangeKey = preset.key;
+    }
+    customEl.hidden = rangeKey !== null;
+    if (mounted) onChange();
+  });
+
+  const addDatePicker = (id, label, date) => {
+    const { row, mountId } = makeEngineRow(id);
+    const hint = document.createElement('p');
+    hint.className = 'task-form__hint';
+    hint.textContent = label;
+    row.prepend(hint);
+    customEl.appendChild(row);
+    return componentFactory.createWheelDatePicker(mountId, {
+      id,
+      format: 'dd-MMM-yyyy',
+      value: isoDate(date),
+      yearRange: 2,
+      onChange: () => onChange()
+    });
+  };
+  const today = startOfDay(new Date());
+  const fromEngine = addDatePicker(`${idPrefix}-from`, 'From', new Date(today.getTime() - 29 * DAY_MS));
+  const toEngine = addDatePicker(`${idPrefix}-to`, 'To (inclusive)', today);
+
+  const currentRange = () => {
+    if (rangeKey) return rangeFor(rangeKey);
+    const from = startOfDay(fromEngine.getDate());
+    const to = new Date(startOfDay(toEngine.getDate()).getTime() + DAY_MS);
+    return from < to ? { from, to } : { from: new Date(to.getTime() - DAY_MS), to };
+  };
+
+  rangeEngine.selectItem(DATE_RANGES.find((r) => r.key === DEFAULT_RANGE).label);
+  mounted = true;
+  return { currentRange };
+}
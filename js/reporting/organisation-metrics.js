@@ -0,0 +1,585 @@
+/**
+ * organisation-metrics.js
+ *
+ * reporting/organisation-metrics — org-wide task metrics for leadership,
+ * each compared against an earlier period (task-metrics.js):
+ *
+ *   1. Period          comparison combobox (this month vs last month, YoY,
+ *                      year to date, custom) and a range calendar picker;
+ *                      picking days in the calendar switches to a custom
+ *                      range
+ *   2. KPIs            submitted, decided, median turnaround, SLA met,
+ *                      rejection rate and open backlog, each with a trend
+ *                      arrow against the comparison period
+ *   3. By department   the requester's department from the org chart
+ *                      (org-chart-registry.js)
+ *   4. By category     the task type's category (task-types.js)
+ *
+ * Every view exports to CSV and prints on its own; Print Report prints the
+ * whole page. Printing marks the target and leaves the rest of the page to
+ * the @media print rules in _metrics.scss.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { downloadCsv } from '../core/csv.js';
+import { listTasks, onTasksChanged } from '../tasks/task-repository.js';
+import { getTaskType } from '../tasks/task-types.js';
+import { getOrgChart } from '../users/org-chart-registry.js';
+import {
+  submittedAt,
+  decisionOf,
+  turnaroundHours,
+  slaOutcome,
+  openAt,
+  median,
+  slaRate,
+  formatHours
+} from './task-metrics.js';
+import { formatRange } from './metrics-range.js';
+import { makeEngineRow, setFormStatus, renderActionButton } from '../tasks/task-form.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRINTING_CLASS = 'metrics-printing';
+const PRINT_TARGET_CLASS = 'metrics__print-target';
+
+const fold = (text) => String(text || '').trim().toLowerCase();
+
+// ─── Periods ────────────────────────────────────────────────────────────────
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function minDate(a, b) {
+  return a < b ? a : b;
+}
+
+function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Comparison presets. `periods(today, custom)` returns the current and
+ * previous [from, to) ranges; month and year presets run to date, and
+ * their previous period is cut to the same number of days so partial
+ * periods compare fairly. `custom` is the calendar's { from, to }.
+ */
+const COMPARISONS = [
+  {
+    key: 'month',
+    label: 'This month vs last month',
+    current: 'This month',
+    previous: 'Last month',
+    periods: (today) => {
+      const from = new Date(today.getFullYear(), today.getMonth(), 1);
+      const prevFrom = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+      return {
+        current: { from, to: new Date(today.getTime() + DAY_MS) },
+        previous: { from: prevFrom, to: minDate(new Date(prevFrom.getFullYear(), prevFrom.getMonth(), today.getDate() + 1), from) }
+      };
+    }
+  },
+  {
+    key: 'month-yoy',
+    label: 'This month vs same month last year',
+    current: 'This month',
+    previous: 'Same month last year',
+    periods: (today) => {
+      const prevFrom = new Date(today.getFullYear() - 1, today.getMonth(), 1);
+      const prevEnd = new Date(today.getFullYear() - 1, today.getMonth() + 1, 1);
+      return {
+        current: { from: new Date(today.getFullYear(), today.getMonth(), 1), to: new Date(today.getTime() + DAY_MS) },
+        previous: { from: prevFrom, to: minDate(new Date(today.getFullYear() - 1, today.getMonth(), today.getDate() + 1), prevEnd) }
+      };
+    }
+  },
+  {
+    key: 'ytd',
+    label: 'Year to date vs last year',
+    current: 'Year to date',
+    previous: 'Last year to date',
+    periods: (today) => {
+      const prevFrom = new Date(today.getFullYear() - 1, 0, 1);
+      const prevEnd = new Date(today.getFullYear(), 0, 1);
+      return {
+        current: { from: new Date(today.getFullYear(), 0, 1), to: new Date(today.getTime() + DAY_MS) },
+        previous: { from: prevFrom, to: minDate(new Date(today.getFullYear() - 1, today.getMonth(), today.getDate() + 1), prevEnd) }
+      };
+    }
+  },
+  {
+    key: 'custom-previous',
+    label: 'Custom range vs previous period',
+    custom: true,
+    current: 'Selected range',
+    previous: 'Previous period',
+    periods: (today, { from, to }) => ({
+      current: { from, to },
+      previous: { from: new Date(from.getTime() - (to - from)), to: from }
+    })
+  },
+  {
+    key: 'custom-yoy',
+    label: 'Custom range vs same period last year',
+    custom: true,
+    current: 'Selected range',
+    previous: 'Same period last year',
+    periods: (today, { from, to }) => ({
+      current: { from, to },
+      previous: {
+        from: new Date(from.getFullYear() - 1, from.getMonth(), from.getDate()),
+        to: new Date(to.getFullYear() - 1, to.getMonth(), to.getDate())
+      }
+    })
+  }
+];
+
+const DEFAULT_COMPARISON = 'month';
+
+// ─── Metrics ────────────────────────────────────────────────────────────────
+
+const count = (value) => String(Math.round(value));
+const percent = (value) => (value === null ? '—' : `${Math.round(value)}%`);
+
+/**
+ * KPIs shown as tiles and as breakdown columns. `better` says which way a
+ * change is good ('higher' / 'lower'); `rate` values change in percentage
+ * points rather than percent.
+ */
+const KPIS = [
+  { key: 'submitted', label: 'Submitted', csv: 'Submitted', format: count, better: null },
+  { key: 'decided', label: 'Decided', csv: 'Decided', format: count, better: 'higher' },
+  { key: 'turnaround', label: 'Median Turnaround', csv: 'Median turnaround (hours)', format: formatHours, better: 'lower' },
+  { key: 'sla', label: 'SLA Met', csv: 'SLA met (%)', format: percent, better: 'higher', rate: true },
+  { key: 'rejection', label: 'Rejection Rate', csv: 'Rejection rate (%)', format: percent, better: 'lower', rate: true },
+  { key: 'open', label: 'Open at Period End', csv: 'Open at period end', format: count, better: 'lower' }
+];
+
+/**
+ * Per-group counters for `tasks` over [from, to), keyed by `groupOf(task)`.
+ * Submissions and decisions count when they fall inside the range; open
+ * tasks are those still waiting on a decision when it ends.
+ */
+function collect(tasks, { from, to }, groupOf, now) {
+  const groups = new Map();
+  const statsFor = (key) => {
+    if (!groups.has(key)) groups.set(key, { submitted: 0, decided: 0, rejected: 0, hours: [], met: 0, missed: 0, open: 0 });
+    return groups.get(key);
+  };
+
+  tasks.forEach((task) => {
+    const key = groupOf(task);
+    const submitted = submittedAt(task);
+    if (submitted && submitted >= from && submitted < to) statsFor(key).submitted += 1;
+
+    const decision = decisionOf(task);
+    const decidedAt = decision ? new Date(decision.at) : null;
+    if (decidedAt && decidedAt >= from && decidedAt < to) {
+      const stats = statsFor(key);
+      stats.decided += 1;
+      if (decision.action === 'rejected') stats.rejected += 1;
+      const hours = turnaroundHours(task);
+      if (hours !== null) stats.hours.push(hours);
+      const outcome = slaOutcome(task, now);
+      if (outcome === 'met' || outcome === 'missed') stats[outcome] += 1;
+    }
+
+    if (openAt(task, minDate(to, now))) statsFor(key).open += 1;
+  });
+  return groups;
+}
+
+/**
+ * KPI values (keyed as KPIS) from one group's counters; null where there
+ * is nothing to measure.
+ */
+function kpiValues(stats) {
+  if (!stats) return { submitted: 0, decided: 0, turnaround: null, sla: null, rejection: null, open: 0 };
+  return {
+    submitted: stats.submitted,
+    decided: stats.decided,
+    turnaround: median(stats.hours),
+    sla: slaRate(stats.met, stats.missed),
+    rejection: stats.decided ? (stats.rejected / stats.decided) * 100 : null,
+    open: stats.open
+  };
+}
+
+/**
+ * Trend of `current` against `previous` for a KPI.
+ * @returns {{ arrow: string, text: string, tone: 'good' | 'bad' | 'flat' }}
+ */
+function trendOf(kpi, current, previous) {
+  if (current === null || previous === null) return { arrow: '', text: 'No comparison', tone: 'flat' };
+  const diff = current - previous;
+  if (Math.abs(diff) < 0.05) return { arrow: '▶', text: 'No change', tone: 'flat' };
+
+  const arrow = diff > 0 ? '▲' : '▼';
+  let text;
+  if (kpi.rate) {
+    text = `${Math.abs(Math.round(diff))} pts`;
+  } else if (previous === 0) {
+    text = 'New';
+  } else {
+    text = `${Math.abs(Math.round((diff / previous) * 100))}%`;
+  }
+  const tone = !kpi.better ? 'flat' : (diff > 0) === (kpi.better === 'higher') ? 'good' : 'bad';
+  return { arrow, text, tone };
+}
+
+function trendSpan(trend) {
+  const span = document.createElement('span');
+  span.className = `metrics__trend metrics__trend--${trend.tone}`;
+  span.textContent = trend.arrow ? `${trend.arrow} ${trend.text}` : trend.text;
+  return span;
+}
+
+const csvValue = (value) => (value === null ? '' : Math.round(value * 10) / 10);
+
+// ─── Breakdown rows ─────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function kpiCell(kpi, current, previous) {
+  const td = textCell(kpi.format(current[kpi.key]));
+  const p = td.querySelector('p');
+  p.appendChild(document.createTextNode(' '));
+  p.appendChild(trendSpan(trendOf(kpi, current[kpi.key], previous[kpi.key])));
+  p.title = `Previously ${kpi.format(previous[kpi.key])}`;
+  return td;
+}
+
+function buildBreakdownRow(row) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row';
+  tr.appendChild(textCell(row.group));
+  KPIS.forEach((kpi) => tr.appendChild(kpiCell(kpi, row.current, row.previous)));
+  return tr;
+}
+
+// ─── Printing ───────────────────────────────────────────────────────────────
+
+/**
+ * Print `el` on its own: the body class switches on the print rules, which
+ * hide everything but the marked target. Both are cleared after printing.
+ */
+function printSection(el) {
+  el.classList.add(PRINT_TARGET_CLASS);
+  document.body.classList.add(PRINTING_CLASS);
+  window.addEventListener('afterprint', () => {
+    el.classList.remove(PRINT_TARGET_CLASS);
+    document.body.classList.remove(PRINTING_CLASS);
+  }, { once: true });
+  window.print();
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for reporting/organisation-metrics.
+ */
+export function initializeOrganisationMetrics() {
+  const root = document.getElementById('organisation-metrics');
+  const comparisonEl = document.getElementById('organisation-metrics-comparison');
+  const periodEl = document.getElementById('organisation-metrics-period');
+  const kpisEl = document.getElementById('organisation-metrics-kpis');
+  const statusEl = document.getElementById('organisation-metrics-status');
+  const views = {
+    summary: document.getElementById('organisation-metrics-summary'),
+    departments: document.getElementById('organisation-metrics-departments'),
+    categories: document.getElementById('organisation-metrics-categories')
+  };
+  const departmentsBody = document.getElementById('organisation-metrics-departments-body');
+  const departmentsEmptyEl = document.getElementById('organisation-metrics-departments-empty');
+  const categoriesBody = document.getElementById('organisation-metrics-categories-body');
+  const categoriesEmptyEl = document.getElementById('organisation-metrics-categories-empty');
+  if (!root || !comparisonEl || !periodEl || !kpisEl || !statusEl
+    || !views.summary || !views.departments || !views.categories
+    || !departmentsBody || !departmentsEmptyEl || !categoriesBody || !categoriesEmptyEl) {
+    console.error('[Organisation Metrics] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Organisation Metrics] init');
+
+  // Task identities (name or email) → department, from the org chart
+  let orgChart;             // undefined until loaded, null when none has been uploaded
+  const departmentByIdentity = new Map();
+  const loadOrgChart = async () => {
+    orgChart = await getOrgChart();
+    ((orgChart && orgChart.people) || []).forEach((person) => {
+      const department = person.department || 'No department';
+      departmentByIdentity.set(fold(person.email), department);
+      if (person.name) departmentByIdentity.set(fold(person.name), department);
+    });
+  };
+  const departmentOf = (task) =>
+    departmentByIdentity.get(fold(task.requester && task.requester.name)) || 'Not in org chart';
+  const categoryOf = (task) => getTaskType(task.type).category;
+
+  let comparison = COMPARISONS.find((c) => c.key === DEFAULT_COMPARISON);
+  let calendar = null;      // range calendar picker
+  let model = null;         // latest computed metrics
+  let mounted = false;
+
+  const lastDay = ({ to }) => new Date(to.getTime() - DAY_MS);
+
+  // Custom comparisons use the calendar's range — which presets keep in
+  // step with their own — falling back to this month while it is
+  // half picked.
+  const currentPeriods = () => {
+    const today = startOfDay(new Date());
+    const picked = calendar && calendar.getRange();
+    const custom = picked
+      ? { from: picked.start, to: new Date(picked.end.getTime() + DAY_MS) }
+      : COMPARISONS[0].periods(today).current;
+    return comparison.periods(today, custom);
+  };
+
+  // ── 1. Period ──
+  // The calendar's onChange needs comparisonEngine, created just below;
+  // it only runs once the user picks days.
+  const initial = currentPeriods().current;
+  calendar = componentFactory.createCalendarPicker('organisation-metrics-calendar', {
+    id: 'organisation-metrics-calendar-picker',
+    label: 'Date range',
+    range: true,
+    maxDate: startOfDay(new Date()),
+    defaultRange: { start: initial.from, end: lastDay(initial) },
+    onChange: () => {
+      if (comparison.custom) {
+        render();
+      } else {
+        comparisonEngine.selectItem(COMPARISONS.find((c) => c.custom).label);
+      }
+    }
+  });
+
+  const comparisonRow = makeEngineRow('organisation-metrics-comparison-select');
+  comparisonRow.row.classList.add('task-form__row--combobox');
+  comparisonEl.appendChild(comparisonRow.row);
+  const comparisonEngine = componentFactory.createListFloatingLabel(comparisonRow.mountId, {
+    id: 'organisation-metrics-comparison-select',
+    label: 'Compare',
+    placeholder: 'Compare',
+    items: COMPARISONS.map((c) => c.label)
+  }, (value) => {
+    const picked = COMPARISONS.find((c) => c.label === value);
+    if (!picked) return;     // still typing
+    comparison = picked;
+    // Presets show their own range in the calendar
+    const { current } = currentPeriods();
+    if (!comparison.custom && calendar) calendar.setRange(current.from, lastDay(current));
+    if (mounted) render();
+  });
+
+  // ── 2. KPIs ──
+  const kpiTiles = {};
+  KPIS.forEach((kpi) => {
+    const tile = document.createElement('div');
+    tile.className = 'metrics__kpi';
+    const label = document.createElement('h3');
+    label.textContent = kpi.label;
+    const value = document.createElement('p');
+    value.className = 'metrics__kpi-value';
+    const trend = document.createElement('p');
+    trend.className = 'metrics__kpi-trend';
+    tile.appendChild(label);
+    tile.appendChild(value);
+    tile.appendChild(trend);
+    kpisEl.appendChild(tile);
+    kpiTiles[kpi.key] = { value, trend };
+  });
+
+  // ── 3–4. Breakdowns ──
+  let chartKpi = KPIS[0];
+  const metricRow = makeEngineRow('organisation-metrics-breakdown-metric');
+  metricRow.row.classList.add('task-form__row--combobox');
+  comparisonEl.appendChild(metricRow.row);
+  componentFactory.createListFloatingLabel(metricRow.mountId, {
+    id: 'organisation-metrics-breakdown-metric',
+    label: 'Breakdown chart',
+    placeholder: 'Breakdown chart',
+    items: KPIS.map((k) => k.label)
+  }, (value) => {
+    const picked = KPIS.find((k) => k.label === value);
+    if (!picked) return;
+    chartKpi = picked;
+    if (mounted) renderBreakdownCharts();
+  }).selectItem(chartKpi.label);
+
+  const breakdownChart = (key, title) => componentFactory.createChart(`organisation-metrics-${key}-chart`, {
+    id: `organisation-metrics-${key}-bars`,
+    type: 'bar',
+    title,
+    formatValue: (v) => chartKpi.format(v)
+  });
+  const departmentsChart = breakdownChart('departments', 'By department, current vs comparison period');
+  const categoriesChart = breakdownChart('categories', 'By task category, current vs comparison period');
+  const charts = [departmentsChart, categoriesChart].filter(Boolean);
+
+  /**
+   * Both periods' KPIs overall and per department / category, sorted by
+   * current submissions.
+   */
+  const compute = (tasks, periods) => {
+    const now = new Date();
+    const overall = () => 'all';
+    const breakdown = (groupOf) => {
+      const current = collect(tasks, periods.current, groupOf, now);
+      const previous = collect(tasks, periods.previous, groupOf, now);
+      return [...new Set([...current.keys(), ...previous.keys()])]
+        .map((group) => ({ group, current: kpiValues(current.get(group)), previous: kpiValues(previous.get(group)) }))
+        .sort((a, b) => b.current.submitted - a.current.submitted || a.group.localeCompare(b.group));
+    };
+    return {
+      periods,
+      summary: {
+        current: kpiValues(collect(tasks, periods.current, overall, now).get('all')),
+        previous: kpiValues(collect(tasks, periods.previous, overall, now).get('all'))
+      },
+      departments: breakdown(departmentOf),
+      categories: breakdown(categoryOf)
+    };
+  };
+
+  const renderBreakdownCharts = () => {
+    if (!model) return;
+    [[departmentsChart, model.departments], [categoriesChart, model.categories]].forEach(([chart, rows]) => {
+      if (!chart) return;
+      chart.setData({
+        labels: rows.map((r) => r.group),
+        series: [
+          { name: comparison.current, values: rows.map((r) => r.current[chartKpi.key]) },
+          { name: comparison.previous, values: rows.map((r) => r.previous[chartKpi.key]), color: '--focus-color' }
+        ]
+      });
+    });
+  };
+
+  const renderBreakdownTable = (rows, body, emptyEl, emptyText) => {
+    body.innerHTML = '';
+    rows.forEach((row) => body.appendChild(buildBreakdownRow(row)));
+    emptyEl.hidden = rows.length > 0;
+    emptyEl.textContent = emptyText;
+  };
+
+  async function render() {
+    if (orgChart === undefined) {
+      try {
+        await loadOrgChart();
+      } catch (err) {
+        console.error('[Organisation Metrics] Failed to load the org chart:', err);
+        setFormStatus(statusEl, `Could not load the org chart: ${err.message}`, 'error');
+        return;
+      }
+    }
+    let tasks;
+    try {
+      tasks = await listTasks();
+    } catch (err) {
+      console.error('[Organisation Metrics] Failed to load tasks:', err);
+      setFormStatus(statusEl, `Could not load tasks: ${err.message}`, 'error');
+      return;
+    }
+    setFormStatus(statusEl, '', null);
+
+    model = compute(tasks, currentPeriods());
+    const periodText = `${comparison.current}: ${formatRange(model.periods.current)} · `
+      + `${comparison.previous}: ${formatRange(model.periods.previous)}`;
+    periodEl.textContent = periodText;
+    root.querySelectorAll('.metrics__view-period').forEach((el) => { el.textContent = periodText; });
+
+    KPIS.forEach((kpi) => {
+      const current = model.summary.current[kpi.key];
+      const previous = model.summary.previous[kpi.key];
+      const tile = kpiTiles[kpi.key];
+      tile.value.textContent = kpi.format(current);
+      tile.trend.innerHTML = '';
+      tile.trend.appendChild(trendSpan(trendOf(kpi, current, previous)));
+      tile.trend.appendChild(document.createTextNode(` vs ${kpi.format(previous)}`));
+    });
+
+    renderBreakdownCharts();
+    renderBreakdownTable(model.departments, departmentsBody, departmentsEmptyEl, orgChart
+      ? 'No tasks in either period.'
+      : 'No org chart has been uploaded yet — departments come from users/upload-org-chart.');
+    renderBreakdownTable(model.categories, categoriesBody, categoriesEmptyEl, 'No tasks in either period.');
+  }
+
+  // ── Export and print ──
+  const fileSuffix = () => {
+    const { current } = model.periods;
+    return `${isoDate(current.from)}_${isoDate(lastDay(current))}`;
+  };
+  const periodColumns = (label) => [
+    `${label} (${comparison.current})`,
+    `${label} (${comparison.previous})`
+  ];
+
+  const breakdownCsv = (groupLabel, rows) => [
+    [groupLabel, ...KPIS.flatMap((kpi) => periodColumns(kpi.csv))],
+    ...rows.map((row) => [row.group, ...KPIS.flatMap((kpi) => [csvValue(row.current[kpi.key]), csvValue(row.previous[kpi.key])])])
+  ];
+
+  const exports = {
+    summary: () => [
+      ['Metric', ...periodColumns('Value'), 'Change'],
+      ...KPIS.map((kpi) => {
+        const current = model.summary.current[kpi.key];
+        const previous = model.summary.previous[kpi.key];
+        const trend = trendOf(kpi, current, previous);
+        return [kpi.csv, csvValue(current), csvValue(previous), trend.arrow ? `${trend.arrow} ${trend.text}` : trend.text];
+      })
+    ],
+    departments: () => breakdownCsv('Department', model.departments),
+    categories: () => breakdownCsv('Category', model.categories)
+  };
+
+  Object.keys(views).forEach((key) => {
+    renderActionButton(`organisation-metrics-${key}-export`, { id: `organisation-metrics-${key}-export-btn`, text: 'Export CSV' }, () => {
+      if (!model) {
+        setFormStatus(statusEl, 'Nothing to export — metrics are still loading.', 'error');
+        return;
+      }
+      downloadCsv(`organisation-metrics-${key}-${fileSuffix()}.csv`, exports[key]());
+      setFormStatus(statusEl, `Exported ${key === 'summary' ? 'the KPIs' : `the ${key} breakdown`}.`, 'success');
+    });
+    renderActionButton(`organisation-metrics-${key}-print`, { id: `organisation-metrics-${key}-print-btn`, text: 'Print' }, () => {
+      printSection(views[key]);
+    });
+  });
+  renderActionButton('organisation-metrics-print', { id: 'organisation-metrics-print-btn', text: 'Print Report' }, () => {
+    printSection(root);
+  });
+
+  // Live updates; unsubscribe and release the charts once the page has
+  // been swapped out.
+  const unsubscribe = onTasksChanged(() => {
+    if (!root.isConnected) {
+      unsubscribe();
+      charts.forEach((c) => c.destroy());
+      return;
+    }
+    render();
+  });
+
+  comparisonEngine.selectItem(comparison.label);
+  mounted = true;
+  render();
+}
@@ -0,0 +1,233 @@
+/**
+ * task-metrics.js
+ *
+ * Task metrics shared by the reporting/* pages, computed from task records
+ * (task-schema.js) over a date range:
+ *
+ *   throughput   tasks submitted and tasks decided (approved / rejected)
+ *   turnaround   hours from submission to decision (median)
+ *   SLA          decisions made within the task type's slaHours
+ *                (task-types.js) are met, later ones missed; open tasks
+ *                already past their SLA are overdue
+ *   backlog age  how long open (submitted) tasks have been waiting
+ *   open at      whether a task was waiting on a decision at a given time
+ *
+ * Who counts is up to the caller: `isSubmitter(task)` picks the tasks whose
+ * submissions are counted, `isDecider(name)` the history entries (and open
+ * assignees) whose decisions are counted.
+ */
+
+import { getTaskType } from '../tasks/task-types.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DATE_RANGES = [
+  { key: '7d',   label: 'Last 7 days',    days: 7 },
+  { key: '30d',  label: 'Last 30 days',   days: 30 },
+  { key: '90d',  label: 'Last 90 days',   days: 90 },
+  { key: '365d', label: 'Last 12 months', days: 365 }
+];
+
+const DECISIONS = ['approved', 'rejected'];
+
+// Backlog aging buckets for open tasks, by hours waiting (upper bound exclusive)
+export const AGE_BUCKETS = [
+  { key: 'day',   label: '< 1 day',   maxHours: 24 },
+  { key: 'days',  label: '1–3 days',  maxHours: 72 },
+  { key: 'week',  label: '3–7 days',  maxHours: 168 },
+  { key: 'weeks', label: '1–2 weeks', maxHours: 336 },
+  { key: 'older', label: '2+ weeks',  maxHours: Infinity }
+];
+
+// ─── Dates ──────────────────────────────────────────────────────────────────
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * { from, to } for a DATE_RANGES preset, ending today (local time). `to`
+ * is exclusive: the start of tomorrow.
+ */
+export function rangeFor(key, now = new Date()) {
+  const preset = DATE_RANGES.find((r) => r.key === key) || DATE_RANGES[1];
+  const to = new Date(startOfDay(now).getTime() + DAY_MS);
+  return { from: new Date(to.getTime() - preset.days * DAY_MS), to };
+}
+
+/**
+ * Buckets covering [from, to): days up to a month, weeks up to six months,
+ * calendar months beyond.
+ */
+export function bucketsFor(from, to) {
+  const days = Math.round((to - from) / DAY_MS);
+  const buckets = [];
+  if (days > 183) {
+    let start = new Date(from.getFullYear(), from.getMonth(), 1);
+    while (start < to) {
+      const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+      buckets.push({
+        start: start < from ? from : start,
+        end: end > to ? to : end,
+        label: start.toLocaleDateString(undefined, { month: 'short', year: '2-digit' })
+      });
+      start = end;
+    }
+    return buckets;
+  }
+  const step = days > 31 ? 7 : 1;
+  for (let start = from; start < to;) {
+    const end = new Date(Math.min(start.getTime() + step * DAY_MS, to.getTime()));
+    buckets.push({
+      start,
+      end,
+      label: start.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })
+    });
+    start = end;
+  }
+  return buckets;
+}
+
+// ─── Per-task facts ─────────────────────────────────────────────────────────
+
+/**
+ * When the task was (last) submitted — a rejected task sent back to draft
+ * and resubmitted is timed from the resubmission.
+ */
+export function submittedAt(task) {
+  const entries = (task.history || []).filter((h) => h.action === 'submitted');
+  if (entries.length) return new Date(entries[entries.length - 1].at);
+  return task.status === 'draft' ? null : new Date(task.createdAt);
+}
+
+/**
+ * The approve / reject history entry for the task, or null while open.
+ */
+export function decisionOf(task) {
+  const entries = (task.history || []).filter((h) => DECISIONS.includes(h.action));
+  return entries.length ? entries[entries.length - 1] : null;
+}
+
+export function turnaroundHours(task) {
+  const submitted = submittedAt(task);
+  const decision = decisionOf(task);
+  if (!submitted || !decision) return null;
+  return Math.max(new Date(decision.at) - submitted, 0) / HOUR_MS;
+}
+
+/**
+ * 'met' | 'missed' for decided tasks, 'overdue' | 'open' for submitted
+ * ones, null for drafts and tasks closed without a decision.
+ */
+export function slaOutcome(task, now = new Date()) {
+  const slaHours = getTaskType(task.type).slaHours;
+  const hours = turnaroundHours(task);
+  if (hours !== null) return hours <= slaHours ? 'met' : 'missed';
+  const submitted = submittedAt(task);
+  if (task.status !== 'submitted' || !submitted) return null;
+  return (now - submitted) / HOUR_MS > slaHours ? 'overdue' : 'open';
+}
+
+/**
+ * The AGE_BUCKETS entry for an open task, or null when it is not waiting
+ * on a decision.
+ */
+export function ageBucketOf(task, now = new Date()) {
+  const submitted = submittedAt(task);
+  if (task.status !== 'submitted' || !submitted) return null;
+  const hours = (now - submitted) / HOUR_MS;
+  return AGE_BUCKETS.find((b) => hours < b.maxHours);
+}
+
+/**
+ * Whether the task was waiting on a decision at `at`: submitted before it,
+ * and neither decided since that submission nor closed before it.
+ */
+export function openAt(task, at) {
+  const submitted = submittedAt(task);
+  if (!submitted || submitted >= at) return false;
+  const decision = decisionOf(task);
+  if (decision && new Date(decision.at) >= submitted && new Date(decision.at) < at) return false;
+  return !(task.history || []).some((h) => h.action === 'closed' && new Date(h.at) < at);
+}
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Share of decided tasks that met their SLA, 0–100, or null when nothing
+ * was decided.
+ */
+export function slaRate(met, missed) {
+  return met + missed ? (met / (met + missed)) * 100 : null;
+}
+
+/**
+ * Hours as "5.5 h" below two days, otherwise "3.2 d".
+ */
+export function formatHours(hours) {
+  if (hours === null || !Number.isFinite(hours)) return '—';
+  return hours < 48 ? `${Math.round(hours * 10) / 10} h` : `${Math.round((hours / 24) * 10) / 10} d`;
+}
+
+// ─── Summary ────────────────────────────────────────────────────────────────
+
+/**
+ * Metrics for `tasks` over [from, to).
+ * @returns {{
+ *   buckets: Array<{ label, submitted, decided, turnaround, met, missed }>,
+ *   totals: { submitted, decided, turnaround, met, missed, overdue, slaRate },
+ *   decided: Array<{ task, decision, hours, outcome }>
+ * }} turnaround values are median hours (null when nothing was decided)
+ */
+export function summariseTasks(tasks, { from, to, isSubmitter = () => true, isDecider = () => true, now = new Date() }) {
+  const buckets = bucketsFor(from, to).map((b) => ({ ...b, submitted: 0, decided: 0, hours: [], met: 0, missed: 0 }));
+  const bucketAt = (date) => buckets.find((b) => date >= b.start && date < b.end);
+  const decided = [];
+  let overdue = 0;
+
+  tasks.forEach((task) => {
+    const submitted = submittedAt(task);
+    if (submitted && isSubmitter(task)) {
+      const bucket = bucketAt(submitted);
+      if (bucket) bucket.submitted += 1;
+    }
+
+    const decision = decisionOf(task);
+    if (decision) {
+      const bucket = bucketAt(new Date(decision.at));
+      if (!bucket || !isDecider(decision.by)) return;
+      const hours = turnaroundHours(task);
+      const outcome = slaOutcome(task, now);
+      bucket.decided += 1;
+      bucket.hours.push(hours);
+      bucket[outcome] += 1;
+      decided.push({ task, decision, hours, outcome });
+      return;
+    }
+
+    if (slaOutcome(task, now) === 'overdue' && isDecider(task.assignee)) overdue += 1;
+  });
+
+  const sum = (key) => buckets.reduce((total, b) => total + b[key], 0);
+  const met = sum('met');
+  const missed = sum('missed');
+  return {
+    buckets: buckets.map(({ hours, ...b }) => ({ ...b, turnaround: median(hours) })),
+    totals: {
+      submitted: sum('submitted'),
+      decided: sum('decided'),
+      turnaround: median(decided.map((d) => d.hours)),
+      met,
+      missed,
+      overdue,
+      slaRate: slaRate(met, missed)
+    },
+    decided
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * team-metrics.js
+ *
+ * reporting/team-metrics — task metrics for everyone below the signed-in
+ * user in the org chart (org-chart-registry.js), for managers.
+ *
+ *   1. Range and filters   date range (metrics-range.js), member and task
+ *                          type multi-selects; empty means everyone / every
+ *                          type
+ *   2. KPI tiles           team size, open tasks, median approval time,
+ *                          rejection rate
+ *   3. Charts              open tasks per member (assigned to / requested
+ *                          by), median approval time by task type,
+ *                          approved vs rejected, backlog aging
+ *   4. Drill-down          clicking a bar or segment lists the tasks behind
+ *                          it below the charts
+ *
+ * Open tasks and backlog aging are the current backlog; approval time and
+ * rejections count decisions team members made within the range. Tasks
+ * record people by name or email (task-repository currentRequester), so
+ * members are matched on either.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { getUserInfo } from '../auth/zitadel-auth.js';
+import { listTasks, onTasksChanged } from '../tasks/task-repository.js';
+import { TASK_TYPES, getTaskType } from '../tasks/task-types.js';
+import { getOrgChart, buildOrgTree, personId } from '../users/org-chart-registry.js';
+import {
+  AGE_BUCKETS,
+  ageBucketOf,
+  decisionOf,
+  turnaroundHours,
+  submittedAt,
+  median,
+  formatHours
+} from './task-metrics.js';
+import { mountDateRange, formatRange } from './metrics-range.js';
+import { setFormStatus, renderActionButton } from '../tasks/task-form.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  closed: 'Closed'
+};
+
+const fold = (text) => String(text || '').trim().toLowerCase();
+
+/**
+ * Everyone below `node` in the org tree, depth first.
+ */
+function teamBelow(node) {
+  return node.children.flatMap((child) => [child.person, ...teamBelow(child)]);
+}
+
+// ─── Drill-down rows ────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function buildTaskRow(task, now) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row';
+  const hours = turnaroundHours(task);
+  const submitted = submittedAt(task);
+  const timing = hours !== null
+    ? `Decided in ${formatHours(hours)}`
+    : submitted && task.status === 'submitted'
+      ? `Waiting ${formatHours((now - submitted) / HOUR_MS)}`
+      : '—';
+  tr.appendChild(textCell(task.title));
+  tr.appendChild(textCell(getTaskType(task.type).label));
+  tr.appendChild(textCell(STATUS_LABELS[task.status] || task.status));
+  tr.appendChild(textCell(task.requester ? task.requester.name : '—'));
+  tr.appendChild(textCell((decisionOf(task) || {}).by || task.assignee || 'Any approver'));
+  tr.appendChild(textCell(timing));
+  return tr;
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for reporting/team-metrics.
+ */
+export async function initializeTeamMetrics() {
+  const root = document.getElementById('team-metrics');
+  const rangeEl = document.getElementById('team-metrics-range');
+  const customEl = document.getElementById('team-metrics-custom');
+  const periodEl = document.getElementById('team-metrics-period');
+  const dashboardEl = document.getElementById('team-metrics-dashboard');
+  const kpisEl = document.getElementById('team-metrics-kpis');
+  const drillEl = document.getElementById('team-metrics-drilldown');
+  const drillTitleEl = document.getElementById('team-metrics-drilldown-title');
+  const drillBody = document.getElementById('team-metrics-drilldown-body');
+  const drillEmptyEl = document.getElementById('team-metrics-drilldown-empty');
+  const statusEl = document.getElementById('team-metrics-status');
+  if (!root || !rangeEl || !customEl || !periodEl || !dashboardEl || !kpisEl
+    || !drillEl || !drillTitleEl || !drillBody || !drillEmptyEl || !statusEl) {
+    console.error('[Team Metrics] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Team Metrics] init');
+
+  // ── Team from the org chart ──
+  let chart;
+  try {
+    chart = await getOrgChart();
+  } catch (err) {
+    console.error('[Team Metrics] Failed to load the org chart:', err);
+    dashboardEl.hidden = true;
+    rangeEl.parentElement.hidden = true;
+    setFormStatus(statusEl, `Could not load the org chart: ${err.message}`, 'error');
+    return;
+  }
+  const myId = personId((getUserInfo() || {}).email);
+  const myNode = chart ? buildOrgTree(chart.people).byId.get(myId) : null;
+  const team = myNode ? teamBelow(myNode) : [];
+  if (team.length === 0) {
+    dashboardEl.hidden = true;
+    rangeEl.parentElement.hidden = true;
+    setFormStatus(statusEl, !chart
+      ? 'No org chart has been uploaded yet — team membership comes from users/upload-org-chart.'
+      : 'Nobody reports to you in the org chart.', 'error');
+    return;
+  }
+
+  // Task identities (name or email) → team member
+  const memberByIdentity = new Map();
+  team.forEach((person) => {
+    memberByIdentity.set(fold(person.email), person);
+    if (person.name) memberByIdentity.set(fold(person.name), person);
+  });
+  const memberOf = (identity) => memberByIdentity.get(fold(identity)) || null;
+
+  let memberFilter = [];    // member ids; empty = whole team
+  let typeFilter = [];      // task type keys; empty = every type
+  let model = null;         // latest computed metrics
+  let drill = null;         // { title, pick: (model) => tasks }
+
+  const inFilter = (person) => person && (memberFilter.length === 0 || memberFilter.includes(person.id));
+  const typeMatches = (task) => typeFilter.length === 0 || typeFilter.includes(task.type);
+
+  // ── 1. Range and filters ──
+  const { currentRange } = mountDateRange({
+    idPrefix: 'team-metrics',
+    rangeEl,
+    customEl,
+    onChange: () => render()
+  });
+
+  componentFactory.createMultiSelect('team-metrics-filter-member', {
+    id: 'team-metrics-member-filter',
+    options: team.map((p) => ({ value: p.id, text: p.name })),
+    selectedValues: []
+  }, (values) => {
+    memberFilter = [...values];
+    render();
+  });
+
+  componentFactory.createMultiSelect('team-metrics-filter-type', {
+    id: 'team-metrics-type-filter',
+    options: Object.entries(TASK_TYPES).map(([value, t]) => ({ value, text: t.label })),
+    selectedValues: []
+  }, (values) => {
+    typeFilter = [...values];
+    render();
+  });
+
+  // ── 2. KPI tiles ──
+  const kpiValues = {};
+  [
+    { key: 'members', label: 'Team Members' },
+    { key: 'open', label: 'Open Tasks' },
+    { key: 'approval', label: 'Median Approval Time' },
+    { key: 'rejection', label: 'Rejection Rate' }
+  ].forEach((kpi) => {
+    const tile = document.createElement('div');
+    tile.className = 'metrics__kpi';
+    const label = document.createElement('h3');
+    label.textContent = kpi.label;
+    const value = document.createElement('p');
+    value.className = 'metrics__kpi-value';
+    tile.appendChild(label);
+    tile.appendChild(value);
+    kpisEl.appendChild(tile);
+    kpiValues[kpi.key] = value;
+  });
+
+  // ── 4. Drill-down ──
+  const renderDrill = () => {
+    drillEl.hidden = !drill;
+    if (!drill) return;
+    const tasks = drill.pick(model);
+    const now = new Date();
+    drillTitleEl.textContent = `${drill.title} (${tasks.length})`;
+    drillBody.innerHTML = '';
+    tasks.forEach((task) => drillBody.appendChild(buildTaskRow(task, now)));
+    drillEmptyEl.hidden = tasks.length > 0;
+    drillEmptyEl.textContent = 'No tasks match any more.';
+  };
+
+  const drillInto = (title, pick) => {
+    drill = { title, pick };
+    renderDrill();
+    drillEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  renderActionButton('team-metrics-drilldown-clear', { id: 'team-metrics-drilldown-clear-btn', text: 'Close' }, () => {
+    drill = null;
+    renderDrill();
+  });
+
+  // ── 3. Charts ──
+  const openChart = componentFactory.createChart('team-metrics-open', {
+    id: 'team-metrics-open-chart',
+    type: 'bar',
+    title: 'Open tasks per member',
+    formatValue: (v) => String(Math.round(v))
+  }, ({ index, series }) => {
+    const row = model.members[index];
+    const key = series === 'Assigned' ? 'assigned' : 'requested';
+    drillInto(`Open tasks ${key === 'assigned' ? 'assigned to' : 'requested by'} ${row.person.name}`,
+      (m) => (m.members.find((r) => r.person.id === row.person.id) || { [key]: [] })[key]);
+  });
+
+  const approvalChart = componentFactory.createChart('team-metrics-approval', {
+    id: 'team-metrics-approval-chart',
+    type: 'bar',
+    title: 'Median approval time by task type',
+    formatValue: formatHours
+  }, ({ index }) => {
+    const type = model.types[index].type;
+    drillInto(`${getTaskType(type).label} tasks approved by the team`,
+      (m) => (m.types.find((t) => t.type === type) || { tasks: [] }).tasks);
+  });
+
+  const decisionChart = componentFactory.createChart('team-metrics-decisions', {
+    id: 'team-metrics-decisions-chart',
+    type: 'donut',
+    title: 'Approved and rejected by the team',
+    formatValue: (v) => String(Math.round(v))
+  }, ({ label }) => {
+    const action = label === 'Rejected' ? 'rejected' : 'approved';
+    drillInto(`Tasks ${action} by the team`, (m) => m.decided.filter((t) => decisionOf(t).action === action));
+  });
+
+  const agingChart = componentFactory.createChart('team-metrics-aging', {
+    id: 'team-metrics-aging-chart',
+    type: 'bar',
+    title: 'Open team tasks by time waiting',
+    formatValue: (v) => String(Math.round(v))
+  }, ({ index }) => {
+    const bucket = AGE_BUCKETS[index];
+    drillInto(`Open team tasks waiting ${bucket.label}`, (m) => m.aging[index]);
+  });
+
+  const charts = [openChart, approvalChart, decisionChart, agingChart].filter(Boolean);
+
+  /**
+   * Everything the charts and the drill-down read, for the current range
+   * and filters.
+   */
+  const compute = (tasks, { from, to }) => {
+    const now = new Date();
+    const scoped = tasks.filter(typeMatches);
+
+    const members = team
+      .filter((p) => inFilter(p))
+      .map((person) => ({ person, assigned: [], requested: [] }));
+    const rowFor = (person) => members.find((r) => r.person === person);
+    const open = [];
+    scoped.filter((t) => t.status === 'submitted').forEach((task) => {
+      const assignee = memberOf(task.assignee);
+      const requester = memberOf(task.requester && task.requester.name);
+      if (inFilter(assignee)) rowFor(assignee).assigned.push(task);
+      if (inFilter(requester)) rowFor(requester).requested.push(task);
+      if (inFilter(assignee) || inFilter(requester)) open.push(task);
+    });
+
+    const decided = scoped.filter((task) => {
+      const decision = decisionOf(task);
+      if (!decision || !inFilter(memberOf(decision.by))) return false;
+      const at = new Date(decision.at);
+      return at >= from && at < to;
+    });
+    const approved = decided.filter((t) => decisionOf(t).action === 'approved');
+    const types = Object.keys(TASK_TYPES)
+      .map((type) => {
+        const typeTasks = approved.filter((t) => t.type === type);
+        return { type, tasks: typeTasks, median: median(typeTasks.map(turnaroundHours)) };
+      })
+      .filter((t) => t.tasks.length > 0);
+
+    const aging = AGE_BUCKETS.map(() => []);
+    open.forEach((task) => {
+      const bucket = ageBucketOf(task, now);
+      if (bucket) aging[AGE_BUCKETS.indexOf(bucket)].push(task);
+    });
+
+    return { members, open, decided, approved, types, aging };
+  };
+
+  async function render() {
+    let tasks;
+    try {
+      tasks = await listTasks();
+    } catch (err) {
+      console.error('[Team Metrics] Failed to load tasks:', err);
+      setFormStatus(statusEl, `Could not load tasks: ${err.message}`, 'error');
+      return;
+    }
+    setFormStatus(statusEl, '', null);
+
+    const range = currentRange();
+    periodEl.textContent = formatRange(range);
+    model = compute(tasks, range);
+
+    const rejected = model.decided.length - model.approved.length;
+    kpiValues.members.textContent = String(model.members.length);
+    kpiValues.open.textContent = String(model.open.length);
+    kpiValues.approval.textContent = formatHours(median(model.approved.map(turnaroundHours)));
+    kpiValues.rejection.textContent = model.decided.length
+      ? `${Math.round((rejected / model.decided.length) * 100)}%`
+      : '—';
+
+    openChart.setData({
+      labels: model.members.map((r) => r.person.name),
+      series: [
+        { name: 'Assigned', values: model.members.map((r) => r.assigned.length) },
+        { name: 'Requested', values: model.members.map((r) => r.requested.length), color: '--focus-color' }
+      ]
+    });
+    approvalChart.setData({
+      labels: model.types.map((t) => getTaskType(t.type).label),
+      series: [{ name: 'Median approval time', values: model.types.map((t) => t.median) }]
+    });
+    decisionChart.setData({
+      segments: [
+        { label: 'Approved', value: model.approved.length, color: '--success-color' },
+        { label: 'Rejected', value: rejected, color: '--error-color' }
+      ]
+    });
+    agingChart.setData({
+      labels: AGE_BUCKETS.map((b) => b.label),
+      series: [{ name: 'Open tasks', values: model.aging.map((list) => list.length) }]
+    });
+    renderDrill();
+  }
+
+  // Live updates; unsubscribe and release the charts once the page has
+  // been swapped out.
+  const unsubscribe = onTasksChanged(() => {
+    if (!root.isConnected) {
+      unsubscribe();
+      charts.forEach((c) => c.destroy());
+      return;
+    }
+    render();
+  });
+
+  render();
+}
@@ -0,0 +1,63 @@
+// userDatePreferences.js — the user's first-day-of-week and date-format
+// preferences, as declared in UserSettingsConfig.timeDate.
+//
+// The config names the storage key, allowed values and default for each
+// preference; this module reads the stored value (falling back to the
+// default when unset or unrecognised) and formats dates to match. Used by
+// the tasks/create forms that preview dates and by calendar pickers that
+// need to start their week on the user's chosen day.
+
+import '../core/user-settings-config.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// firstDayOfWeek values → JS getDay() index (Sunday = 0).
+const DAY_INDEX = { sunday: 0, monday: 1, saturday: 6 };
+
+// Read a timeDate preference, validated against the config's value list.
+function readPreference(name) {
+  const setting = window.UserSettingsConfig.timeDate[name];
+  let stored = null;
+  try {
+    stored = localStorage.getItem(setting.storageKey);
+  } catch (_) {
+    /* localStorage may be blocked in some contexts — use the default */
+  }
+  return setting.values.includes(stored) ? stored : setting.defaultValue;
+}
+
+// 'monday' | 'sunday' | 'saturday'
+export function getFirstDayOfWeek() {
+  return readPreference('firstDayOfWeek');
+}
+
+// First day of week as a getDay() index — what calendar_picker's
+// `firstDayOfWeek` option expects.
+export function getFirstDayIndex() {
+  return DAY_INDEX[getFirstDayOfWeek()];
+}
+
+// 'dd-mmm-yyyy' | 'yyyymmdd'
+export function getDateFormat() {
+  return readPreference('dateFormat');
+}
+
+// Format a local calendar date in the user's date format.
+// Example: 2026-03-05 -> "05-Mar-2026" (dd-mmm-yyyy) or "20260305" (yyyymmdd)
+export function formatUserDate(date, format = getDateFormat()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const yyyy = date.getFullYear();
+  const dd = pad(date.getDate());
+  if (format === 'yyyymmdd') {
+    return `${yyyy}${pad(date.getMonth() + 1)}${dd}`;
+  }
+  return `${dd}-${MONTHS[date.getMonth()]}-${yyyy}`;
+}
+
+// Start of the week containing `date`, honouring the first-day preference.
+export function startOfUserWeek(date, firstDayIndex = getFirstDayIndex()) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const offset = (start.getDay() - firstDayIndex + 7) % 7;
+  start.setDate(start.getDate() - offset);
+  return start;
+}
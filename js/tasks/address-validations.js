@@ -32,6 +32,7 @@
  */
 
 import { COMMON_COUNTRIES, getOverride } from './country-overrides.js';
+import { attachValidator, makeRequiredValidator, countryName } from './task-form.js';
 import { componentFactory } from '../factory/ComponentFactory.js';
 
 // libaddressinput metadata endpoints (Google's public service, CORS-enabled).
@@ -115,24 +116,6 @@ async function fetchCountryCodes() {
   }
 }
 
-/**
- * Resolve a human-readable country name from an ISO 3166-1 alpha-2 code,
- * using the browser's built-in Intl.DisplayNames. Falls back to the code
- * itself if Intl.DisplayNames is unavailable.
- */
-function countryName(code) {
-  try {
-    if (typeof Intl !== 'undefined' && typeof Intl.DisplayNames === 'function') {
-      const dn = new Intl.DisplayNames(['en'], { type: 'region' });
-      const name = dn.of(code);
-      if (name && name !== code) return name;
-    }
-  } catch (_) {
-    // ignore — fall through to code
-  }
-  return code;
-}
-
 /**
  * Build the three groups for the country dropdown:
  *   - pinned: the single US entry (or empty if US not in master list)
@@ -314,56 +297,8 @@ function makePostalValidator(metadata, required) {
   };
 }
 
-/**
- * Generic required-field validator — returns "Required" if empty, null
- * otherwise. Used for non-postal fields (region, city, district).
- */
-function makeRequiredValidator(required) {
-  return (rawValue) => {
-    const value = (rawValue || '').trim();
-    if (!value && required) return 'Required';
-    return null;
-  };
-}
-
-/**
- * Attach validation to a control: run the validator on blur, surface the
- * result via the paired error span, toggle the invalid class on the input,
- * and clear the error as soon as the user starts correcting it.
- */
-function attachValidator(control, validator) {
-  // Look up the error span lazily — at attach time the row may not yet be
-  // in the document (renderFields appends the whole form at the end), so
-  // getElementById would return null. Reading it on each call means we
-  // always get the live element once the form is mounted.
-  const getErrEl = () => document.getElementById(`${control.id}-error`);
-
-  const run = () => {
-    const msg = validator(control.value);
-    const errEl = getErrEl();
-    if (msg) {
-      control.classList.add('address-validator__field-input--invalid');
-      if (errEl) errEl.textContent = msg;
-    } else {
-      control.classList.remove('address-validator__field-input--invalid');
-      if (errEl) errEl.textContent = '';
-    }
-  };
-
-  control.addEventListener('blur', run);
-  control.addEventListener('input', () => {
-    // Clear invalid styling the moment the user starts typing. Re-runs on
-    // the next blur.
-    control.classList.remove('address-validator__field-input--invalid');
-    const errEl = getErrEl();
-    if (errEl) errEl.textContent = '';
-  });
-  // On <select> change, validate immediately — selects don't fire blur
-  // reliably after a keyboard pick.
-  if (control.tagName === 'SELECT') {
-    control.addEventListener('change', run);
-  }
-}
+// Invalid-state class the shared validator toggles on address inputs.
+const INVALID_CLASS = 'address-validator__field-input--invalid';
 
 /**
  * Build a single labelled row (label + form control) — the unit used by
@@ -455,6 +390,10 @@ function makeRegionControl(metadata, override) {
 
 /**
  * Render the full address-fields stack in fixed biggest → smallest order.
+ *
+ * Returns { runs } — the validator run functions for every rendered field
+ * (the city entry always calls the current city field's validator, since
+ * the city row re-renders on region change).
  */
 function renderFields(container, code, metadata) {
   container.innerHTML = '';
@@ -466,6 +405,11 @@ function renderFields(container, code, metadata) {
   const form = document.createElement('div');
   form.className = 'address-validator__form';
 
+  const runs = [];
+  let cityRun = () => null;
+  let regionEngine = null;
+  let cityEngine = null;
+
   // Engine-backed inits are captured here and run AFTER the form is
   // appended to the container — the engine needs its mount point to be
   // in the DOM for getComputedStyle / width measurement to work.
@@ -530,7 +474,7 @@ function renderFields(container, code, metadata) {
       });
 
       deferredInits.push(() => {
-        componentFactory.createListFloatingLabel(placeholderId, {
+        const engine = componentFactory.createListFloatingLabel(placeholderId, {
           id: 'addr-field-region',
           label: labels.region,
           placeholder: labels.region,
@@ -545,6 +489,10 @@ function renderFields(container, code, metadata) {
             if (form._renderCityField) form._renderCityField(regionCode);
           },
         });
+        if (engine && engine.element) {
+          regionEngine = engine;
+          runs.push(attachValidator(engine.element, makeRequiredValidator(regionRequired), INVALID_CLASS));
+        }
       });
     } else if (allValues.length > 0) {
       // (b) Single Region combobox — no categories.
@@ -579,7 +527,7 @@ function renderFields(container, code, metadata) {
         });
 
       deferredInits.push(() => {
-        componentFactory.createListFloatingLabel(placeholderId, {
+        const engine = componentFactory.createListFloatingLabel(placeholderId, {
           id: 'addr-field-region',
           label: labels.region,
           placeholder: labels.region,
@@ -588,6 +536,10 @@ function renderFields(container, code, metadata) {
             // Strict-mode commit. See note above for required-validation.
           },
         });
+        if (engine && engine.element) {
+          regionEngine = engine;
+          runs.push(attachValidator(engine.element, makeRequiredValidator(regionRequired), INVALID_CLASS));
+        }
       });
     } else {
       // (c) Free-form text input.
@@ -598,7 +550,7 @@ function renderFields(container, code, metadata) {
         required: regionRequired,
         control,
       }));
-      attachValidator(control, makeRequiredValidator(regionRequired));
+      runs.push(attachValidator(control, makeRequiredValidator(regionRequired), INVALID_CLASS));
     }
   }
 
@@ -640,8 +592,9 @@ function renderFields(container, code, metadata) {
       required: postalRequired,
       control:  input
     }));
-    attachValidator(input, makePostalValidator(metadata, postalRequired));
+    runs.push(attachValidator(input, makePostalValidator(metadata, postalRequired), INVALID_CLASS));
   }
+  runs.push(() => cityRun());
 
   container.appendChild(form);
 
@@ -655,6 +608,8 @@ function renderFields(container, code, metadata) {
     if (!cityRow) return;
     cityRow.innerHTML = '';
     cityRow.classList.remove('address-validator__row--combobox');
+    cityRun = () => null;
+    cityEngine = null;
 
     const regionOverride =
       override && override.regionFieldOverrides && regionCode
@@ -673,7 +628,7 @@ function renderFields(container, code, metadata) {
       cityRow.appendChild(cell);
       cityRow.classList.add('address-validator__row--combobox');
 
-      componentFactory.createListFloatingLabel(placeholderId, {
+      const engine = componentFactory.createListFloatingLabel(placeholderId, {
         id: 'addr-field-city',
         label: cityOverride.label || labels.city,
         placeholder: cityOverride.label || labels.city,
@@ -683,6 +638,10 @@ function renderFields(container, code, metadata) {
           // city yet — postal stays as the country default.
         },
       });
+      if (engine && engine.element) {
+        cityEngine = engine;
+        cityRun = attachValidator(engine.element, makeRequiredValidator(true), INVALID_CLASS);
+      }
     } else if (cityOverride && cityOverride.fixed) {
       // Auto-filled, read-only text input (e.g. DC → 'Washington').
       const input = document.createElement('input');
@@ -712,7 +671,7 @@ function renderFields(container, code, metadata) {
         control: input,
       });
       while (built.firstChild) cityRow.appendChild(built.firstChild);
-      attachValidator(input, makeRequiredValidator(cityRequired));
+      cityRun = attachValidator(input, makeRequiredValidator(cityRequired), INVALID_CLASS);
     }
   };
 
@@ -731,6 +690,46 @@ function renderFields(container, code, metadata) {
   // emit codes that map to overrides — they keep the default city.
   // Stash on the form element so the region init closure can find it.
   form._renderCityField = renderCityField;
+
+  // Restore previously read values (see readAddressValues). Region goes
+  // first — a categorised region pick can re-render the city field.
+  const fill = (values) => {
+    const setInput = (id, value) => {
+      const el = document.getElementById(id);
+      if (el && !el.readOnly) el.value = value || '';
+    };
+    if (values.region) {
+      if (regionEngine) regionEngine.selectItem(values.region);
+      else setInput('addr-field-region', values.region);
+    }
+    setInput('addr-field-district', values.district);
+    if (cityEngine) {
+      if (values.city) cityEngine.selectItem(values.city);
+    } else {
+      setInput('addr-field-city', values.city);
+    }
+    setInput('addr-field-postal', values.postal);
+  };
+
+  return { runs, fill };
+}
+
+/**
+ * Read the rendered address fields. Missing rows read as ''.
+ */
+function readAddressValues() {
+  const read = (id) => {
+    const el = document.getElementById(id);
+    if (!el) return '';
+    if (el.tagName === 'SELECT') return el.value ? el.options[el.selectedIndex].text : '';
+    return el.value.trim();
+  };
+  return {
+    region: read('addr-field-region'),
+    district: read('addr-field-district'),
+    city: read('addr-field-city'),
+    postal: read('addr-field-postal')
+  };
 }
 
 /**
@@ -769,45 +768,103 @@ function mergeRegionsByCode(primary, supplemental) {
 }
 
 /**
- * Main initialisation entry point — called from main.js on subpageLoaded
- * for tasks/create/address-validations.
+ * Mount the country picker into `countryContainerId` and the address
+ * fields into `fieldsEl`. Shared by this page and the vendor onboarding
+ * wizard. Field ids are fixed ('address-country-list', 'addr-field-*'),
+ * so only one address section can be mounted per page.
+ *
+ * Resolves (once the country list has loaded) to a controller:
+ *   validate()         country chosen and every rendered field valid
+ *   getFields()        task fields ({ key, label, value })
+ *   getValues()        raw values (for drafts)
+ *   setValues(v)       async — selects the country, waits for its fields,
+ *                      then fills them
+ *   reset()            clear the country (and with it the fields)
  */
-export async function initializeAddressValidations() {
-  console.log('[address-validations] init');
-
-  const containerEl = document.getElementById('address-country-container');
-  const fieldsEl = document.getElementById('address-fields-container');
-  if (!containerEl || !fieldsEl) {
-    console.error('[address-validations] Required DOM nodes missing.');
-    return;
-  }
-
+export async function mountAddressSection({ countryContainerId, fieldsEl }) {
   // 1. Fetch the master country list and build the combobox feed.
   const codes = await fetchCountryCodes();
   const { pinned, common, all } = buildCountryGroups(codes);
   const { items, nameToCode } = buildCountryComboboxData(pinned, common, all);
 
+  // The latest country render; setValues waits on it before filling.
+  let rendered = Promise.resolve({ runs: [], fill: () => {} });
+  let currentCode = null;
+
   // 2. Render the country picker as a list_floating_label_component_engine
   //    combobox. The engine handles typeahead filter, keyboard nav, and the
   //    floating label. Selection callback fires with the country NAME — we
   //    look up the ISO code for libaddressinput's per-country metadata fetch.
-  componentFactory.createListFloatingLabel('address-country-container', {
+  const countryEngine = componentFactory.createListFloatingLabel(countryContainerId, {
     id: 'address-country-list',
     label: 'Country',
     placeholder: 'Country',
     items,
-    onChange: async (name) => {
-      const code = nameToCode.get(name);
+    onChange: (name) => {
+      const code = nameToCode.get(name) || null;
+      currentCode = code;
       if (!code) {
         // No selection (or selection cleared) — empty the fields area.
         fieldsEl.innerHTML = '';
+        rendered = Promise.resolve({ runs: [], fill: () => {} });
         return;
       }
       fieldsEl.innerHTML = '<p class="address-validator__hint">Loading fields…</p>';
-      const metadata = await fetchCountryMetadata(code);
-      renderFields(fieldsEl, code, metadata);
+      rendered = fetchCountryMetadata(code).then((metadata) => {
+        // Ignore a stale response if the user has since picked another country.
+        if (code !== currentCode) return rendered;
+        return renderFields(fieldsEl, code, metadata);
+      });
     },
   });
 
   console.log(`[address-validations] ready — ${items.length} countries available via combobox`);
+
+  return {
+    getCountryCode: () => currentCode,
+    async validate() {
+      const { runs } = await rendered;
+      const countryOk = Boolean(currentCode);
+      const fieldsOk = runs.reduce((ok, run) => (run() ? false : ok), true);
+      return countryOk && fieldsOk;
+    },
+    getFields() {
+      const v = readAddressValues();
+      return [
+        { key: 'country', label: 'Country', value: countryEngine.getValue() },
+        { key: 'region', label: 'Region', value: v.region },
+        { key: 'district', label: 'District', value: v.district },
+        { key: 'city', label: 'City', value: v.city },
+        { key: 'postalCode', label: 'Postal code', value: v.postal }
+      ].filter((f) => f.key === 'country' || f.value);
+    },
+    getValues() {
+      return { country: countryEngine.getValue(), ...readAddressValues() };
+    },
+    async setValues(values = {}) {
+      countryEngine.selectItem(nameToCode.has(values.country) ? values.country : '');
+      const { fill } = await rendered;
+      fill(values);
+    },
+    reset() {
+      countryEngine.selectItem('');
+    }
+  };
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/create/address-validations.
+ */
+export async function initializeAddressValidations() {
+  console.log('[address-validations] init');
+
+  const containerEl = document.getElementById('address-country-container');
+  const fieldsEl = document.getElementById('address-fields-container');
+  if (!containerEl || !fieldsEl) {
+    console.error('[address-validations] Required DOM nodes missing.');
+    return;
+  }
+
+  await mountAddressSection({ countryContainerId: 'address-country-container', fieldsEl });
 }
@@ -0,0 +1,337 @@
+/**
+ * approve-queue.js
+ *
+ * tasks/approve — the queue of submitted tasks awaiting a decision.
+ *
+ *   - Table of every task in the 'submitted' state, newest first, using the
+ *     shared .table-main markup.
+ *   - Type and requester filters (list_floating_label comboboxes).
+ *   - Clicking a row opens the detail drawer: submitted fields, attachments,
+ *     a comment box, a reassign-to picker, and Approve / Reject / Reassign
+ *     buttons (button_component_engine).
+ *
+ * Rules:
+ *   - Each task type has a minimum approver role (task-types.js). Users
+ *     below it can read the task but the action buttons are disabled.
+ *   - Reject requires a comment. Reassign requires an assignee.
+ *   - Approving a user permission request also applies the grant through
+ *     the API proxy (permission-grants.js). If that fails the task stays
+ *     approved and can be applied later from the request page.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { isAuthenticated } from '../auth/zitadel-auth.js';
+import { fetchUserGrants } from '../api/zitadel-api.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+import { listTasks, getTask, updateTask, transitionTask, onTasksChanged } from './task-repository.js';
+import { TASK_TYPES, getTaskType, canApprove } from './task-types.js';
+import { makeEngineRow, setFormStatus, renderActionButton } from './task-form.js';
+import { applyPermissionGrant } from './permission-grants.js';
+
+const ALL_TYPES = 'All types';
+const ALL_REQUESTERS = 'All requesters';
+
+// ─── Table rows ─────────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function buildRow(task, onOpen) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-queue__row';
+  tr.dataset.taskId = task.id;
+  tr.tabIndex = 0;
+  tr.appendChild(textCell(formatLocalTimestamp(task.createdAt)));
+  tr.appendChild(textCell(getTaskType(task.type).label));
+  tr.appendChild(textCell(task.title));
+  tr.appendChild(textCell(task.requester ? task.requester.name : '—'));
+  tr.appendChild(textCell(task.assignee || 'Any approver'));
+  tr.addEventListener('click', () => onOpen(task.id));
+  tr.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') onOpen(task.id);
+  });
+  return tr;
+}
+
+// ─── Drawer content ─────────────────────────────────────────────────────────
+
+function renderDrawerFields(listEl, task) {
+  listEl.innerHTML = '';
+  const add = (label, value) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    listEl.appendChild(dt);
+    listEl.appendChild(dd);
+  };
+
+  add('Type', getTaskType(task.type).label);
+  add('Requester', task.requester ? task.requester.name : '—');
+  add('Submitted', formatLocalTimestamp(task.createdAt));
+  add('Assigned to', task.assignee || 'Any approver');
+  (task.fields || []).forEach(({ label, value }) => add(label, value || '—'));
+  if (task.attachments && task.attachments.length > 0) {
+    add('Attachments', task.attachments.map((a) => a.name).join(', '));
+  }
+}
+
+/**
+ * Load reassignment candidates from the project's user grants. Best-effort:
+ * unauthenticated sessions or API failures leave the picker free-text only.
+ */
+async function loadAssignees(engine) {
+  if (!isAuthenticated()) return;
+  try {
+    const grants = await fetchUserGrants();
+    const names = Array.from(new Set(
+      grants
+        .map((g) => g.preferredLoginName || g.userName || g.displayName)
+        .filter(Boolean)
+    )).sort((a, b) => a.localeCompare(b));
+    engine.setItems(names, { clearValue: false });
+  } catch (err) {
+    console.warn('[Approve Queue] Could not load assignees:', err);
+  }
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/approve.
+ */
+export function initializeApproveQueue() {
+  const root = document.getElementById('approve-queue');
+  const tbody = document.getElementById('approve-queue-body');
+  const emptyEl = document.getElementById('approve-queue-empty');
+  const queueStatusEl = document.getElementById('approve-queue-status');
+  const drawer = document.getElementById('approve-drawer');
+  if (!root || !tbody || !emptyEl || !queueStatusEl || !drawer) {
+    console.error('[Approve Queue] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Approve Queue] init');
+
+  const titleEl = document.getElementById('approve-drawer-title');
+  const fieldsEl = document.getElementById('approve-drawer-fields');
+  const permissionEl = document.getElementById('approve-drawer-permission');
+  const drawerStatusEl = document.getElementById('approve-drawer-status');
+  const commentSlot = document.getElementById('approve-drawer-comment');
+  const assigneeSlot = document.getElementById('approve-drawer-assignee');
+
+  const filters = { type: null, requester: null };
+  let openTaskId = null;
+
+  // ── Queue table ──
+  const renderQueue = async () => {
+    let pending;
+    try {
+      pending = await listTasks({ status: 'submitted' });
+    } catch (err) {
+      console.error('[Approve Queue] Failed to load tasks:', err);
+      setFormStatus(queueStatusEl, `Could not load tasks: ${err.message}`, 'error');
+      return;
+    }
+    const visible = pending.filter((t) =>
+      (!filters.type || t.type === filters.type)
+      && (!filters.requester || (t.requester && t.requester.name === filters.requester))
+    );
+
+    tbody.innerHTML = '';
+    visible.forEach((task) => tbody.appendChild(buildRow(task, openDrawer)));
+    emptyEl.hidden = visible.length > 0;
+    emptyEl.textContent = pending.length === 0
+      ? 'No tasks awaiting approval.'
+      : 'No tasks match the current filters.';
+
+    // Requester filter tracks whoever currently has pending tasks.
+    const requesters = Array.from(new Set(pending.map((t) => t.requester && t.requester.name).filter(Boolean)))
+      .sort((a, b) => a.localeCompare(b));
+    requesterFilter.setItems([ALL_REQUESTERS, '', ...requesters], { clearValue: false });
+  };
+
+  // ── Filters ──
+  const typeLabelToKey = new Map(Object.entries(TASK_TYPES).map(([key, t]) => [t.label, key]));
+  componentFactory.createListFloatingLabel('approve-filter-type', {
+    id: 'approve-filter-type-list',
+    label: 'Task type',
+    placeholder: 'Task type',
+    value: ALL_TYPES,
+    items: [ALL_TYPES, '', ...typeLabelToKey.keys()],
+    onChange: (label) => {
+      filters.type = typeLabelToKey.get(label) || null;
+      renderQueue();
+    }
+  });
+
+  const requesterFilter = componentFactory.createListFloatingLabel('approve-filter-requester', {
+    id: 'approve-filter-requester-list',
+    label: 'Requester',
+    placeholder: 'Requester',
+    value: ALL_REQUESTERS,
+    items: [ALL_REQUESTERS],
+    onChange: (name) => {
+      filters.requester = name && name !== ALL_REQUESTERS ? name : null;
+      renderQueue();
+    }
+  });
+
+  // ── Drawer controls (created once, re-pointed at the open task) ──
+  const commentRow = makeEngineRow('approve-comment');
+  commentSlot.appendChild(commentRow.row);
+  const commentEngine = componentFactory.createTextInputFloatingLabel(commentRow.mountId, {
+    id: 'approve-comment',
+    label: 'Comment',
+    placeholder: 'Comment (required to reject)'
+  });
+  const commentErrEl = document.getElementById('approve-comment-error');
+
+  const assigneeRow = makeEngineRow('approve-assignee');
+  assigneeRow.row.classList.add('task-form__row--combobox');
+  assigneeSlot.appendChild(assigneeRow.row);
+  const assigneeEngine = componentFactory.createListFloatingLabel(assigneeRow.mountId, {
+    id: 'approve-assignee',
+    label: 'Reassign to',
+    placeholder: 'Reassign to',
+    items: [],
+    strict: false
+  });
+  const assigneeErrEl = document.getElementById('approve-assignee-error');
+  loadAssignees(assigneeEngine);
+
+  const clearDrawerErrors = () => {
+    commentErrEl.textContent = '';
+    assigneeErrEl.textContent = '';
+    setFormStatus(drawerStatusEl, '', null);
+  };
+
+  const closeDrawer = () => {
+    openTaskId = null;
+    drawer.hidden = true;
+    tbody.querySelectorAll('.task-queue__row--open').forEach((r) => r.classList.remove('task-queue__row--open'));
+  };
+
+  async function openDrawer(id) {
+    const task = await getTask(id);
+    if (!task) {
+      renderQueue();
+      return;
+    }
+    openTaskId = id;
+    titleEl.textContent = task.title;
+    renderDrawerFields(fieldsEl, task);
+    commentEngine.setValue('');
+    commentEngine.updateLabelFloatedState();
+    assigneeEngine.setValue('');
+    assigneeEngine.updateLabelFloatedState();
+    clearDrawerErrors();
+
+    const permitted = canApprove(task.type);
+    actionButtons.forEach((b) => (permitted ? b.enable() : b.disable()));
+    permissionEl.hidden = permitted;
+    permissionEl.textContent = permitted
+      ? ''
+      : `Approving ${getTaskType(task.type).label.toLowerCase()} tasks requires the ${getTaskType(task.type).approverRole} role or higher.`;
+
+    tbody.querySelectorAll('.task-queue__row').forEach((r) => {
+      r.classList.toggle('task-queue__row--open', r.dataset.taskId === id);
+    });
+    drawer.hidden = false;
+  }
+
+  // ── Actions ──
+  const act = async (kind) => {
+    if (!openTaskId) return;
+    const task = await getTask(openTaskId);
+    if (!task || task.status !== 'submitted') {
+      setFormStatus(drawerStatusEl, 'This task is no longer pending.', 'error');
+      renderQueue();
+      return;
+    }
+    if (!canApprove(task.type)) {
+      setFormStatus(drawerStatusEl, 'You do not have permission to act on this task.', 'error');
+      return;
+    }
+
+    clearDrawerErrors();
+    const comment = commentEngine.getValue().trim();
+
+    try {
+      if (kind === 'approve') {
+        await transitionTask(task.id, 'approved', { comment });
+      } else if (kind === 'reject') {
+        if (!comment) {
+          commentErrEl.textContent = 'A comment is required to reject';
+          return;
+        }
+        await transitionTask(task.id, 'rejected', { comment });
+      } else if (kind === 'reassign') {
+        const assignee = assigneeEngine.getValue().trim();
+        if (!assignee) {
+          assigneeErrEl.textContent = 'Choose who to reassign to';
+          return;
+        }
+        await updateTask(task.id, { assignee }, {
+          action: 'reassigned',
+          comment: comment ? `Reassigned to ${assignee} — ${comment}` : `Reassigned to ${assignee}`
+        });
+      }
+    } catch (err) {
+      console.error(`[Approve Queue] ${kind} failed:`, err);
+      setFormStatus(drawerStatusEl, err.message, 'error');
+      return;
+    }
+
+    const verb = { approve: 'Approved', reject: 'Rejected', reassign: 'Reassigned' }[kind];
+    closeDrawer();
+    setFormStatus(queueStatusEl, `${verb}: ${task.title}`, 'success');
+
+    if (kind === 'approve' && task.type === 'user-permission-request') {
+      try {
+        await applyPermissionGrant(task.id);
+        setFormStatus(queueStatusEl, `Approved and granted: ${task.title}`, 'success');
+      } catch (err) {
+        console.error('[Approve Queue] Grant failed:', err);
+        setFormStatus(queueStatusEl, `Approved, but the grant could not be applied: ${err.message}`, 'error');
+      }
+    }
+  };
+
+  const actionButtons = [
+    renderActionButton('approve-action-approve', { id: 'approve-action-approve-btn', text: 'Approve' }, () => act('approve')),
+    renderActionButton('approve-action-reject', { id: 'approve-action-reject-btn', text: 'Reject' }, () => act('reject')),
+    renderActionButton('approve-action-reassign', { id: 'approve-action-reassign-btn', text: 'Reassign' }, () => act('reassign'))
+  ];
+  renderActionButton('approve-action-close', { id: 'approve-action-close-btn', text: 'Close' }, closeDrawer);
+
+  drawer.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDrawer();
+  });
+
+  // Live updates: re-render whenever any task changes (including this
+  // page's own optimistic writes and their rollbacks). Unsubscribe once
+  // the page has been swapped out of the DOM.
+  const unsubscribe = onTasksChanged(({ task }) => {
+    if (!root.isConnected) {
+      unsubscribe();
+      return;
+    }
+    renderQueue();
+    if (openTaskId && task && task.id === openTaskId && task.status !== 'submitted') closeDrawer();
+  });
+
+  renderQueue();
+}
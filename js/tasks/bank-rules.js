@@ -0,0 +1,184 @@
+/**
+ * bank-rules.js
+ *
+ * Per-country bank account rules for the Bank Validations form. Mirrors
+ * country-overrides.js: a small registry keyed by ISO 3166-1 alpha-2 code
+ * plus a lookup helper, so the form never hard-codes country behaviour.
+ *
+ * Each country resolves to one of four schemes:
+ *
+ *   iban       — IBAN (length + mod-97 checksum) and BIC. Every country in
+ *                IBAN_LENGTHS that has no explicit override.
+ *   aba        — US: ABA routing number (3-7-1 checksum) + account number.
+ *   sort-code  — GB: six-digit sort code + eight-digit account number.
+ *   generic    — everything else: free-form account number + BIC.
+ *
+ * Validators follow the task-form contract: `(rawValue) => string|null`.
+ */
+
+// IBAN total length per country (SWIFT IBAN registry).
+export const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22,
+  BR: 29, CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20,
+  EG: 29, ES: 24, FI: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18,
+  GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IS: 26, IT: 27, JO: 30,
+  KW: 30, KZ: 20, LB: 28, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MD: 24,
+  ME: 22, MK: 19, MR: 27, MT: 31, MU: 30, NL: 18, NO: 15, PK: 24, PL: 28,
+  PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, SA: 24, SE: 24, SI: 19, SK: 24,
+  SM: 27, TN: 24, TR: 26, UA: 29, VG: 24, XK: 20
+};
+
+// Non-IBAN countries offered in the country picker (generic scheme unless
+// overridden below).
+const NON_IBAN_COUNTRIES = [
+  'US', 'CA', 'AU', 'NZ', 'JP', 'CN', 'HK', 'SG', 'IN', 'KR', 'TW', 'MX',
+  'AR', 'CL', 'CO', 'PE', 'ZA', 'NG', 'KE', 'MA', 'TH', 'VN', 'ID', 'PH', 'MY'
+];
+
+// Country-specific overrides. Anything not listed falls back to `iban`
+// (if the country issues IBANs) or `generic`.
+export const BANK_RULES = {
+  US: {
+    scheme: 'aba',
+    routingLabel: 'ABA routing number',
+    accountLabel: 'Account number'
+  },
+  GB: {
+    scheme: 'sort-code',
+    sortCodeLabel: 'Sort code',
+    accountLabel: 'Account number'
+  }
+};
+
+/**
+ * Resolve the rule for a country code. Always returns an object with at
+ * least `scheme`.
+ */
+export function getBankRule(code) {
+  if (BANK_RULES[code]) return BANK_RULES[code];
+  if (IBAN_LENGTHS[code]) return { scheme: 'iban', ibanLength: IBAN_LENGTHS[code] };
+  return { scheme: 'generic' };
+}
+
+/**
+ * Every country code the bank form offers: IBAN issuers plus the listed
+ * non-IBAN countries, deduped.
+ */
+export function getSupportedCountryCodes() {
+  return Array.from(new Set([...Object.keys(IBAN_LENGTHS), ...NON_IBAN_COUNTRIES]));
+}
+
+// Strip the separators people type into bank numbers.
+function compact(rawValue) {
+  return String(rawValue || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * ISO 13616 mod-97 check. Letters become two-digit numbers (A=10 … Z=35)
+ * after moving the first four characters to the end; the result mod 97
+ * must be 1. Processed in chunks so it never overflows a double.
+ */
+export function ibanChecksumValid(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const digits = rearranged.replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i += 7) {
+    remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * ABA routing checksum: weights 3-7-1 repeated across the nine digits;
+ * the weighted sum must be a multiple of 10.
+ */
+export function abaChecksumValid(routing) {
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+  const sum = routing
+    .split('')
+    .reduce((acc, d, i) => acc + Number(d) * weights[i], 0);
+  return sum % 10 === 0;
+}
+
+export function makeIbanValidator(countryCode) {
+  return (rawValue) => {
+    const iban = compact(rawValue);
+    if (!iban) return 'Required';
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban)) return 'IBAN must start with a country code and two check digits';
+    if (countryCode && iban.slice(0, 2) !== countryCode) {
+      return `IBAN must start with ${countryCode}`;
+    }
+    const expected = IBAN_LENGTHS[iban.slice(0, 2)];
+    if (!expected) return 'Unknown IBAN country';
+    if (iban.length !== expected) return `IBAN must be ${expected} characters`;
+    if (!ibanChecksumValid(iban)) return 'IBAN checksum does not match';
+    return null;
+  };
+}
+
+export function makeBicValidator(countryCode) {
+  return (rawValue) => {
+    const bic = compact(rawValue);
+    if (!bic) return 'Required';
+    if (!/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic)) {
+      return 'BIC must be 8 or 11 characters (e.g. DEUTDEFF)';
+    }
+    if (countryCode && bic.slice(4, 6) !== countryCode) {
+      return `BIC country (${bic.slice(4, 6)}) does not match ${countryCode}`;
+    }
+    return null;
+  };
+}
+
+export function validateAbaRouting(rawValue) {
+  const routing = compact(rawValue);
+  if (!routing) return 'Required';
+  if (!/^\d{9}$/.test(routing)) return 'Routing number must be 9 digits';
+  // First two digits identify the Federal Reserve district / thrift range.
+  const prefix = Number(routing.slice(0, 2));
+  const validPrefix = prefix <= 12 || (prefix >= 21 && prefix <= 32)
+    || (prefix >= 61 && prefix <= 72) || prefix === 80;
+  if (!validPrefix) return 'Routing number prefix is not a valid Federal Reserve range';
+  if (!abaChecksumValid(routing)) return 'Routing number checksum does not match';
+  return null;
+}
+
+export function validateSortCode(rawValue) {
+  const value = String(rawValue || '').trim();
+  if (!value) return 'Required';
+  if (!/^\d{2}[-\s]?\d{2}[-\s]?\d{2}$/.test(value)) return 'Sort code must be six digits (e.g. 12-34-56)';
+  return null;
+}
+
+export function validateUkAccountNumber(rawValue) {
+  const value = compact(rawValue);
+  if (!value) return 'Required';
+  if (!/^\d{8}$/.test(value)) return 'Account number must be 8 digits';
+  return null;
+}
+
+export function validateUsAccountNumber(rawValue) {
+  const value = compact(rawValue);
+  if (!value) return 'Required';
+  if (!/^\d{4,17}$/.test(value)) return 'Account number must be 4–17 digits';
+  return null;
+}
+
+export function validateGenericAccountNumber(rawValue) {
+  const value = compact(rawValue);
+  if (!value) return 'Required';
+  if (!/^[A-Z0-9]{4,34}$/.test(value)) return 'Account number must be 4–34 letters or digits';
+  return null;
+}
+
+/**
+ * Normalise a bank number for storage (no spaces / dashes, upper case).
+ * Sort codes are stored in the conventional NN-NN-NN form.
+ */
+export function normaliseBankValue(key, rawValue) {
+  const value = compact(rawValue);
+  if (key === 'sortCode' && value.length === 6) {
+    return `${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+  }
+  return value;
+}
@@ -0,0 +1,299 @@
+/**
+ * bank-validations.js
+ *
+ * tasks/create/bank-validations — capture a vendor's bank details, validate
+ * them client-side against per-country rules (bank-rules.js), and submit
+ * them as a 'bank-validation' task that lands in the Approve queue.
+ *
+ * Layout (top → bottom):
+ *   1. Account holder         floating-label text input
+ *   2. Bank country           list_floating_label combobox, 'Name (CODE)'
+ *   3. Scheme fields          re-rendered when a country is committed;
+ *                             values carry over while the scheme is the same:
+ *                               iban      → IBAN, BIC
+ *                               aba       → ABA routing, account number
+ *                               sort-code → sort code, account number
+ *                               generic   → account number, BIC
+ *   4. Supporting documents   file upload (bank letter, voided cheque, …)
+ *   5. Submit
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  countryName,
+  setFormStatus,
+  renderSubmitButton
+} from './task-form.js';
+import {
+  getBankRule,
+  getSupportedCountryCodes,
+  makeIbanValidator,
+  makeBicValidator,
+  validateAbaRouting,
+  validateSortCode,
+  validateUkAccountNumber,
+  validateUsAccountNumber,
+  validateGenericAccountNumber,
+  normaliseBankValue
+} from './bank-rules.js';
+import { createTask } from './task-repository.js';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+/**
+ * Field specs per scheme. `key` is the stored field key, `label` doubles
+ * as the floating label and the label shown to approvers.
+ */
+function schemeFields(code) {
+  const rule = getBankRule(code);
+  switch (rule.scheme) {
+    case 'iban':
+      return [
+        { key: 'iban', label: 'IBAN', validator: makeIbanValidator(code) },
+        { key: 'bic', label: 'BIC / SWIFT', validator: makeBicValidator(code) }
+      ];
+    case 'aba':
+      return [
+        { key: 'routingNumber', label: rule.routingLabel, validator: validateAbaRouting },
+        { key: 'accountNumber', label: rule.accountLabel, validator: validateUsAccountNumber }
+      ];
+    case 'sort-code':
+      return [
+        { key: 'sortCode', label: rule.sortCodeLabel, validator: validateSortCode },
+        { key: 'accountNumber', label: rule.accountLabel, validator: validateUkAccountNumber }
+      ];
+    default:
+      return [
+        { key: 'accountNumber', label: 'Account number', validator: validateGenericAccountNumber },
+        { key: 'bic', label: 'BIC / SWIFT', validator: makeBicValidator(code) }
+      ];
+  }
+}
+
+/**
+ * Render a floating-label text input plus its error slot into `parent`,
+ * wire the validator, and return { engine, run }.
+ */
+function renderTextField(parent, fieldId, label, validator) {
+  const { row, mountId } = makeEngineRow(fieldId);
+  parent.appendChild(row);
+  const engine = componentFactory.createTextInputFloatingLabel(mountId, {
+    id: fieldId,
+    label,
+    placeholder: label,
+    expandable: false
+  });
+  if (!engine || !engine.element) {
+    console.error(`[Bank Validations] Failed to render field ${fieldId}`);
+    return { engine: null, run: () => null };
+  }
+  return { engine, run: attachValidator(engine.element, validator, INVALID_CLASS) };
+}
+
+/**
+ * Mount the bank-details fields — account holder, bank country and the
+ * country's scheme fields — into `commonEl` / `schemeEl`. Shared by this
+ * page and the vendor onboarding wizard. Field ids are `${idPrefix}-<key>`.
+ *
+ * Returns a controller:
+ *   validate()      run every validator; true when all pass
+ *   getFields()     the task fields ({ key, label, value }), normalised
+ *   getValues()     raw values keyed by field key (for drafts)
+ *   setValues(v)    restore values from getValues()
+ *   reset()         clear everything
+ */
+export function mountBankSection({ commonEl, schemeEl, idPrefix = 'bank-field' }) {
+  // ── Country feed: 'Name (CODE)', alphabetical ──
+  const nameToCode = new Map();
+  const countryItems = getSupportedCountryCodes()
+    .map((code) => ({ code, name: countryName(code) }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ code, name }) => {
+      const display = `${name} (${code})`;
+      nameToCode.set(display, code);
+      return display;
+    });
+
+  // ── Account holder ──
+  const holder = renderTextField(
+    commonEl,
+    `${idPrefix}-holder`,
+    'Account holder',
+    makeRequiredValidator(true)
+  );
+
+  // ── Scheme fields (declared before the country picker so its
+  // ── onChange can re-render them) ──
+  let schemeState = { code: null, fields: [] };
+  // Values of the last rendered scheme fields, restored when the next
+  // country uses the same scheme (correcting the country, or clearing and
+  // retyping it, keeps the IBAN / account details already entered).
+  let carried = null;       // { scheme, values }
+
+  const renderSchemeFields = (code) => {
+    if (schemeState.fields.length) {
+      const values = {};
+      schemeState.fields.forEach(({ key, engine }) => { if (engine) values[key] = engine.getValue(); });
+      carried = { scheme: getBankRule(schemeState.code).scheme, values };
+    }
+    schemeState.fields.forEach(({ engine }) => engine && engine.destroy());
+    schemeEl.innerHTML = '';
+    schemeState = { code, fields: [] };
+    if (!code) return;
+
+    schemeState.fields = schemeFields(code).map((spec) => ({
+      ...spec,
+      ...renderTextField(schemeEl, `${idPrefix}-${spec.key}`, spec.label, spec.validator)
+    }));
+    if (carried && carried.scheme === getBankRule(code).scheme) {
+      schemeState.fields.forEach(({ key, engine }) => {
+        if (!engine || !carried.values[key]) return;
+        engine.setValue(carried.values[key]);
+        engine.updateLabelFloatedState();
+      });
+    }
+  };
+
+  // ── Bank country ──
+  const countryRow = makeEngineRow(`${idPrefix}-country`);
+  countryRow.row.classList.add('task-form__row--combobox');
+  commonEl.appendChild(countryRow.row);
+  const countryEngine = componentFactory.createListFloatingLabel(countryRow.mountId, {
+    id: `${idPrefix}-country`,
+    label: 'Bank country',
+    placeholder: 'Bank country',
+    items: countryItems,
+    // Fires per keystroke too: only a committed country (an exact item, or
+    // cleared) re-renders, so partial text and the blur revert to the last
+    // selection leave the scheme fields alone.
+    onChange: (display) => {
+      if (display !== '' && !nameToCode.has(display)) return;
+      const code = nameToCode.get(display) || null;
+      if (code !== schemeState.code) renderSchemeFields(code);
+    }
+  });
+  const runCountry = countryEngine && countryEngine.element
+    ? attachValidator(
+      countryEngine.element,
+      (value) => (nameToCode.has(value) ? null : 'Select a bank country'),
+      INVALID_CLASS
+    )
+    : () => null;
+
+  return {
+    getCountryCode: () => schemeState.code,
+    validate() {
+      const runs = [holder.run, runCountry, ...schemeState.fields.map((f) => f.run)];
+      return validateAll(runs) && Boolean(schemeState.code);
+    },
+    getFields() {
+      return [
+        { key: 'accountHolder', label: 'Account holder', value: holder.engine.getValue().trim() },
+        { key: 'bankCountry', label: 'Bank country', value: countryEngine.getValue() },
+        ...schemeState.fields.map(({ key, label, engine }) => ({
+          key,
+          label,
+          value: normaliseBankValue(key, engine.getValue())
+        }))
+      ];
+    },
+    getValues() {
+      const values = { accountHolder: holder.engine.getValue(), bankCountry: countryEngine.getValue() };
+      schemeState.fields.forEach(({ key, engine }) => { values[key] = engine.getValue(); });
+      return values;
+    },
+    setValues(values = {}) {
+      holder.engine.setValue(values.accountHolder || '');
+      holder.engine.updateLabelFloatedState();
+      // Selecting the country renders its scheme fields synchronously.
+      carried = null;
+      countryEngine.selectItem(nameToCode.has(values.bankCountry) ? values.bankCountry : '');
+      schemeState.fields.forEach(({ key, engine }) => {
+        engine.setValue(values[key] || '');
+        engine.updateLabelFloatedState();
+      });
+    },
+    reset() {
+      // Clearing the country also clears the scheme fields via its onChange.
+      holder.engine.setValue('');
+      holder.engine.updateLabelFloatedState();
+      countryEngine.selectItem('');
+      carried = null;
+    }
+  };
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/create/bank-validations.
+ */
+export function initializeBankValidations() {
+  const form = document.getElementById('bank-validation-form');
+  const commonEl = document.getElementById('bank-common-fields');
+  const schemeEl = document.getElementById('bank-scheme-fields');
+  const statusEl = document.getElementById('bank-form-status');
+  if (!form || !commonEl || !schemeEl || !statusEl) {
+    console.error('[Bank Validations] Required DOM nodes missing.');
+    return;
+  }
+  if (form.dataset.initialized === 'true') return;
+  form.dataset.initialized = 'true';
+
+  console.log('[Bank Validations] init');
+
+  // ── 1–3. Holder, country, scheme fields ──
+  const bank = mountBankSection({ commonEl, schemeEl });
+
+  // ── 4. Supporting documents ──
+  const uploadEngine = componentFactory.createFileUpload('bank-documents-container', {
+    id: 'bank-documents',
+    text: 'Supporting Documents (bank letter, voided cheque)',
+    acceptedFiles: '.pdf,.png,.jpg,.jpeg',
+    multiple: true,
+    maxFiles: 5,
+    maxSize: 10 * 1024 * 1024, // 10MB
+    icon: '📄'
+  }, (_files, errors) => {
+    if (errors && errors.length > 0) setFormStatus(statusEl, errors.join(' '), 'error');
+  });
+
+  // ── 5. Submit ──
+  const submit = async () => {
+    if (!bank.validate()) {
+      setFormStatus(statusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+
+    const fields = bank.getFields();
+    const holderName = fields.find((f) => f.key === 'accountHolder').value;
+    const attachments = (uploadEngine ? uploadEngine.getFiles() : [])
+      .map(({ name, size, type }) => ({ name, size, type }));
+
+    try {
+      await createTask({
+        type: 'bank-validation',
+        title: `Bank details — ${holderName} (${bank.getCountryCode()})`,
+        fields,
+        attachments
+      });
+    } catch (err) {
+      console.error('[Bank Validations] Submit failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+
+    // Reset for the next request.
+    bank.reset();
+    if (uploadEngine) uploadEngine.clearFiles();
+    setFormStatus(statusEl, 'Submitted — the request is now in the Approve queue.', 'success');
+  };
+
+  renderSubmitButton('bank-submit-container', {
+    id: 'bank-submit',
+    text: 'Submit for Validation'
+  }, submit);
+}
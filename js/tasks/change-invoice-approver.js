@@ -0,0 +1,380 @@
+/**
+ * change-invoice-approver.js
+ *
+ * tasks/create/change-invoice-approver — propose a new invoice approval
+ * chain for a cost center or vendor and submit it as a
+ * 'change-invoice-approver' task. Once approved, the proposed chain
+ * becomes the scope's chain on finance/invoice-approvers
+ * (invoice-approver-registry.js).
+ *
+ * Layout (top → bottom):
+ *   1. Scope type          combobox — Cost center / Vendor
+ *   2. Scope               combobox (free text allowed) — known scopes of
+ *                          that type; choosing one loads its current chain
+ *   3. Edit                approver picker (Zitadel project users via
+ *                          fetchProjectUsers), spend threshold, a change
+ *                          picker (add at end, insert before / replace /
+ *                          remove a step), and Apply / Reset buttons.
+ *                          Chains that use thresholds (bulk uploaded) need
+ *                          one on every step, rising along the chain.
+ *   4. Before / after      the current and proposed chains side by side,
+ *                          with removed and added steps highlighted
+ *   5. Reason, Submit
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { isAuthenticated } from '../auth/zitadel-auth.js';
+import { fetchProjectUsers } from '../api/zitadel-api.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  setFormStatus,
+  renderActionButton,
+  renderSubmitButton
+} from './task-form.js';
+import { createTask, listTasks } from './task-repository.js';
+import {
+  SCOPE_TYPES,
+  chainKey,
+  listApproverChains,
+  getApproverChain,
+  parseThreshold,
+  chainThresholdError,
+  formatThreshold,
+  formatChain,
+  diffChains
+} from '../finance/invoice-approver-registry.js';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+const ADD_AT_END = 'Add at end';
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Build the change-picker items for the proposed chain. Returns
+ * Map<label, { op, index }>.
+ */
+function chainActions(chain) {
+  const actions = new Map([[ADD_AT_END, { op: 'add', index: chain.length }]]);
+  chain.forEach((a, i) => {
+    const step = `${i + 1}. ${a.name}`;
+    actions.set(`Insert before ${step}`, { op: 'add', index: i });
+    actions.set(`Replace ${step}`, { op: 'replace', index: i });
+    actions.set(`Remove ${step}`, { op: 'remove', index: i });
+  });
+  return actions;
+}
+
+function renderChainList(listEl, steps) {
+  listEl.innerHTML = '';
+  if (steps.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'task-chain__step task-chain__step--empty';
+    li.textContent = 'No approvers';
+    listEl.appendChild(li);
+    return;
+  }
+  steps.forEach(({ approver, change }) => {
+    const li = document.createElement('li');
+    li.className = `task-chain__step task-chain__step--${change}`;
+    li.textContent = approver.threshold == null
+      ? approver.name
+      : `${approver.name} — ${formatThreshold(approver.threshold)}`;
+    listEl.appendChild(li);
+  });
+}
+
+/**
+ * Approver candidates from the project's users. Best-effort: without a
+ * session (or if the API fails) the picker accepts typed names only.
+ * Resolves to Map<name, userId>.
+ */
+async function loadApprovers(engine) {
+  const byName = new Map();
+  if (!isAuthenticated()) return byName;
+  try {
+    const users = await fetchProjectUsers();
+    users.forEach((u) => {
+      const name = u.preferredLoginName || u.userName || u.displayName;
+      if (name) byName.set(name, u.userId || null);
+    });
+    engine.setItems(Array.from(byName.keys()).sort((a, b) => a.localeCompare(b)), { clearValue: false });
+  } catch (err) {
+    console.warn('[Invoice Approver] Could not load users:', err);
+  }
+  return byName;
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/create/change-invoice-approver.
+ */
+export function initializeChangeInvoiceApprover() {
+  const form = document.getElementById('invoice-approver-form');
+  const fieldsEl = document.getElementById('invoice-approver-fields');
+  const editEl = document.getElementById('invoice-approver-edit');
+  const beforeEl = document.getElementById('invoice-approver-before');
+  const afterEl = document.getElementById('invoice-approver-after');
+  const diffStatusEl = document.getElementById('invoice-approver-diff-status');
+  const reasonEl = document.getElementById('invoice-approver-reason');
+  const statusEl = document.getElementById('invoice-approver-form-status');
+  if (!form || !fieldsEl || !editEl || !beforeEl || !afterEl || !diffStatusEl || !reasonEl || !statusEl) {
+    console.error('[Invoice Approver] Required DOM nodes missing.');
+    return;
+  }
+  if (form.dataset.initialized === 'true') return;
+  form.dataset.initialized = 'true';
+
+  console.log('[Invoice Approver] init');
+
+  const state = {
+    scopeType: null,
+    scope: '',
+    current: [],      // ChainApprover[] on record
+    proposed: [],     // ChainApprover[] being edited
+    actions: chainActions([]),
+    users: new Map()  // name → userId
+  };
+
+  const addCombobox = (parent, id, label, items, onChange, extra = {}) => {
+    const { row, mountId } = makeEngineRow(id);
+    row.classList.add('task-form__row--combobox');
+    parent.appendChild(row);
+    return componentFactory.createListFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder: label,
+      items,
+      onChange,
+      ...extra
+    });
+  };
+
+  // ── 4. Before / after ──
+  const isChanged = () =>
+    state.current.length !== state.proposed.length
+    || state.current.some((a, i) =>
+      !sameName(a.name, state.proposed[i].name) || a.threshold !== state.proposed[i].threshold);
+
+  const renderDiff = () => {
+    const { before, after } = diffChains(state.current, state.proposed);
+    renderChainList(beforeEl, before);
+    renderChainList(afterEl, after);
+    diffStatusEl.textContent = isChanged() ? '' : 'No changes yet.';
+    state.actions = chainActions(state.proposed);
+    actionEngine.setItems(Array.from(state.actions.keys()));
+  };
+
+  // ── 1. Scope type + 2. Scope ──
+  let scopeTypeToken = 0;   // ignore stale scope lists
+  let scopeToken = 0;       // ignore stale chain loads
+
+  const loadScope = async () => {
+    const scope = scopeEngine.getValue().trim();
+    state.scope = scope;
+    const token = ++scopeToken;
+    let chain = null;
+    if (state.scopeType && scope) {
+      try {
+        chain = await getApproverChain(state.scopeType.key, scope);
+      } catch (err) {
+        console.error('[Invoice Approver] Failed to load chain:', err);
+        setFormStatus(statusEl, `Could not load the current chain: ${err.message}`, 'error');
+      }
+    }
+    if (token !== scopeToken) return;
+    state.current = chain ? chain.approvers.map((a) => ({ ...a })) : [];
+    state.proposed = state.current.map((a) => ({ ...a }));
+    renderDiff();
+  };
+
+  const scopeTypeEngine = addCombobox(fieldsEl, 'invoice-approver-scope-type', 'Scope', SCOPE_TYPES.map((t) => t.label), async (label) => {
+    const scopeType = SCOPE_TYPES.find((t) => t.label === label) || null;
+    if (label !== '' && !scopeType) return;   // still typing
+    if (scopeType === state.scopeType) return;
+    state.scopeType = scopeType;
+    const token = ++scopeTypeToken;
+    let chains = [];
+    try {
+      chains = scopeType ? await listApproverChains() : [];
+    } catch (err) {
+      console.warn('[Invoice Approver] Could not load chains:', err);
+    }
+    if (token !== scopeTypeToken) return;
+    scopeEngine.setItems(
+      chains.filter((c) => state.scopeType && c.scopeType === state.scopeType.key).map((c) => c.scope)
+    );
+    loadScope();
+  });
+  const runScopeType = attachValidator(
+    scopeTypeEngine.element,
+    (value) => (state.scopeType && value === state.scopeType.label ? null : 'Select cost center or vendor'),
+    INVALID_CLASS
+  );
+
+  // Free text allowed — a scope with no chain yet gets its first one.
+  // The chain loads on blur, not per keystroke.
+  const scopeEngine = addCombobox(fieldsEl, 'invoice-approver-scope', 'Cost center or vendor', [], null, { strict: false });
+  scopeEngine.element.addEventListener('blur', () => {
+    if (scopeEngine.getValue().trim() !== state.scope) loadScope();
+  });
+  const runScope = attachValidator(scopeEngine.element, makeRequiredValidator(true), INVALID_CLASS);
+
+  // ── 3. Edit ──
+  const approverEngine = addCombobox(editEl, 'invoice-approver-user', 'Approver', [], null, { strict: false });
+  const thresholdRow = makeEngineRow('invoice-approver-threshold');
+  editEl.appendChild(thresholdRow.row);
+  const thresholdEngine = componentFactory.createTextInputFloatingLabel(thresholdRow.mountId, {
+    id: 'invoice-approver-threshold',
+    label: 'Spend threshold',
+    placeholder: 'Spend threshold',
+    expandable: false
+  });
+  const actionEngine = addCombobox(editEl, 'invoice-approver-action', 'Change', [ADD_AT_END], null);
+  const approverErrEl = document.getElementById('invoice-approver-user-error');
+  const thresholdErrEl = document.getElementById('invoice-approver-threshold-error');
+  const actionErrEl = document.getElementById('invoice-approver-action-error');
+  loadApprovers(approverEngine).then((users) => { state.users = users; });
+
+  const applyChange = () => {
+    approverErrEl.textContent = '';
+    thresholdErrEl.textContent = '';
+    actionErrEl.textContent = '';
+    const action = state.actions.get(actionEngine.getValue());
+    if (!action) {
+      actionErrEl.textContent = 'Choose a change';
+      return;
+    }
+
+    const next = [...state.proposed];
+    if (action.op === 'remove') {
+      next.splice(action.index, 1);
+    } else {
+      const name = approverEngine.getValue().trim();
+      if (!name) {
+        approverErrEl.textContent = 'Choose an approver';
+        return;
+      }
+      const duplicate = next.findIndex((a) => sameName(a.name, name));
+      if (duplicate !== -1 && !(action.op === 'replace' && duplicate === action.index)) {
+        approverErrEl.textContent = `${name} is already step ${duplicate + 1}`;
+        return;
+      }
+      // A replaced step keeps its threshold unless a new one is given.
+      const rawThreshold = thresholdEngine.getValue().trim();
+      let threshold = action.op === 'replace' ? next[action.index].threshold : undefined;
+      if (rawThreshold) {
+        threshold = parseThreshold(rawThreshold);
+        if (Number.isNaN(threshold) || threshold <= 0) {
+          thresholdErrEl.textContent = 'Enter an amount above zero';
+          return;
+        }
+      } else if (threshold == null && next.some((a) => a.threshold != null)) {
+        thresholdErrEl.textContent = 'This chain uses spend thresholds — enter one';
+        return;
+      }
+      const approver = { userId: state.users.get(name) || null, name };
+      if (threshold != null) approver.threshold = threshold;
+      next.splice(action.index, action.op === 'replace' ? 1 : 0, approver);
+    }
+
+    state.proposed = next;
+    approverEngine.setValue('');
+    approverEngine.updateLabelFloatedState();
+    thresholdEngine.setValue('');
+    thresholdEngine.updateLabelFloatedState();
+    renderDiff();
+    actionEngine.selectItem(ADD_AT_END);
+  };
+
+  renderActionButton('invoice-approver-apply', { id: 'invoice-approver-apply-btn', text: 'Apply' }, applyChange);
+  renderActionButton('invoice-approver-reset', { id: 'invoice-approver-reset-btn', text: 'Reset' }, () => {
+    state.proposed = state.current.map((a) => ({ ...a }));
+    renderDiff();
+  });
+
+  // ── 5. Reason ──
+  const reasonRow = makeEngineRow('invoice-approver-reason-field');
+  reasonEl.appendChild(reasonRow.row);
+  const reasonEngine = componentFactory.createTextInputFloatingLabel(reasonRow.mountId, {
+    id: 'invoice-approver-reason-field',
+    label: 'Reason for change',
+    placeholder: 'Reason for change',
+    expandable: false
+  });
+  const runReason = attachValidator(reasonEngine.element, makeRequiredValidator(true), INVALID_CLASS);
+
+  renderDiff();
+
+  // ── Submit ──
+  const submit = async () => {
+    if (!validateAll([runScopeType, runScope, runReason])) {
+      setFormStatus(statusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+    // The scope may have been typed without leaving the field.
+    if (scopeEngine.getValue().trim() !== state.scope) {
+      await loadScope();
+      setFormStatus(statusEl, 'Loaded the current chain for this scope — review the change and submit again.', 'error');
+      return;
+    }
+    if (!isChanged()) {
+      setFormStatus(statusEl, 'The proposed chain is the same as the current chain.', 'error');
+      return;
+    }
+    if (state.proposed.length === 0) {
+      setFormStatus(statusEl, 'The chain needs at least one approver.', 'error');
+      return;
+    }
+    const thresholdError = chainThresholdError(state.proposed);
+    if (thresholdError) {
+      setFormStatus(statusEl, `${thresholdError}.`, 'error');
+      return;
+    }
+
+    const key = chainKey(state.scopeType.key, state.scope);
+    try {
+      const open = await listTasks({ type: 'change-invoice-approver', status: ['draft', 'submitted'] });
+      if (open.some((t) => t.data && chainKey(t.data.scopeType, t.data.scope) === key)) {
+        setFormStatus(statusEl, `A change for ${state.scope} is already awaiting approval.`, 'error');
+        return;
+      }
+
+      await createTask({
+        type: 'change-invoice-approver',
+        title: `Invoice approvers — ${state.scopeType.label} ${state.scope}`,
+        fields: [
+          { key: 'scopeType', label: 'Scope', value: state.scopeType.label },
+          { key: 'scope', label: state.scopeType.label, value: state.scope },
+          { key: 'chainBefore', label: 'Current chain', value: formatChain(state.current) },
+          { key: 'chainAfter', label: 'Proposed chain', value: formatChain(state.proposed) },
+          { key: 'reason', label: 'Reason', value: reasonEngine.getValue().trim() }
+        ],
+        data: {
+          scopeType: state.scopeType.key,
+          scope: state.scope,
+          before: state.current,
+          after: state.proposed
+        }
+      });
+    } catch (err) {
+      console.error('[Invoice Approver] Submit failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+
+    reasonEngine.setValue('');
+    reasonEngine.updateLabelFloatedState();
+    scopeEngine.setValue('');
+    scopeEngine.updateLabelFloatedState();
+    await loadScope();
+    setFormStatus(statusEl, 'Submitted — the request is now in the Approve queue.', 'success');
+  };
+
+  renderSubmitButton('invoice-approver-submit-container', {
+    id: 'invoice-approver-submit',
+    text: 'Submit Approver Change'
+  }, submit);
+}
@@ -0,0 +1,332 @@
+/**
+ * change-payment-terms.js
+ *
+ * tasks/create/change-payment-terms — request new payment terms for a
+ * vendor from an effective date, and submit it as a 'change-payment-terms'
+ * task for approval.
+ *
+ * Layout (top → bottom):
+ *   1. Vendor              list_floating_label combobox (free text allowed),
+ *                          suggesting vendors from approved vendor requests
+ *   2. Current terms       optional combobox
+ *   3. New terms           combobox — Net 15/30/45/60, 2/10 Net 30, EOM,
+ *                          Custom. Custom reveals net days + optional
+ *                          early-payment discount fields.
+ *   4. Effective date      calendar_picker_component_engine
+ *   5. Preview             sample invoice date (calendar picker) and the
+ *                          resulting discount deadline, due date and the
+ *                          payment week, updated live. Dates use the
+ *                          user's date-format and first-day-of-week
+ *                          preferences (UserSettingsConfig.timeDate).
+ *   6. Submit
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  setFormStatus,
+  renderSubmitButton
+} from './task-form.js';
+import { createTask, listTasks } from './task-repository.js';
+import { taskFieldValue } from './task-schema.js';
+import { PAYMENT_TERMS, getPaymentTerm, makeCustomTerm, computeTermSchedule } from './payment-terms.js';
+import { formatUserDate, getFirstDayIndex, startOfUserWeek } from '../settings/userDatePreferences.js';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+const today = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+// yyyy-mm-dd from a local calendar date — stored on the task so approvers
+// in other zones and formats read the same day.
+function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Integer-in-range validator for the custom term fields.
+function makeIntegerValidator(min, max, { required = true } = {}) {
+  return (raw) => {
+    const value = (raw || '').trim();
+    if (!value) return required ? 'Required' : null;
+    if (!/^\d+$/.test(value)) return 'Whole number of days';
+    const n = Number(value);
+    if (n < min() || n > max()) return `Between ${min()} and ${max()}`;
+    return null;
+  };
+}
+
+function validatePercent(raw) {
+  const value = (raw || '').trim();
+  if (!value) return null;
+  if (!/^\d{1,2}(\.\d{1,2})?$/.test(value) || Number(value) <= 0) return 'A percentage between 0 and 100';
+  return null;
+}
+
+/**
+ * Vendor names from approved vendor requests. Best-effort — the combobox
+ * still accepts any name.
+ */
+async function loadVendors(engine) {
+  try {
+    const approved = await listTasks({ type: 'vendor-request', status: ['approved', 'closed'] });
+    const names = Array.from(new Set(
+      approved
+        .filter((t) => t.history.some((h) => h.action === 'approved'))
+        .map((t) => taskFieldValue(t, 'vendorName'))
+        .filter(Boolean)
+    )).sort((a, b) => a.localeCompare(b));
+    engine.setItems(names, { clearValue: false });
+  } catch (err) {
+    console.warn('[Payment Terms] Could not load vendors:', err);
+  }
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/create/change-payment-terms.
+ */
+export function initializeChangePaymentTerms() {
+  const form = document.getElementById('payment-terms-form');
+  const fieldsEl = document.getElementById('payment-terms-fields');
+  const customEl = document.getElementById('payment-terms-custom-fields');
+  const previewEl = document.getElementById('payment-terms-preview');
+  const statusEl = document.getElementById('payment-terms-form-status');
+  if (!form || !fieldsEl || !customEl || !previewEl || !statusEl) {
+    console.error('[Payment Terms] Required DOM nodes missing.');
+    return;
+  }
+  if (form.dataset.initialized === 'true') return;
+  form.dataset.initialized = 'true';
+
+  console.log('[Payment Terms] init');
+
+  const firstDayOfWeek = getFirstDayIndex();
+  const termLabels = PAYMENT_TERMS.map((t) => t.label);
+
+  const state = {
+    term: null,
+    custom: null,       // { netDays, discountPercent, discountDays } engines
+    customChecks: [],   // [engine, validator] — silent checks for the preview
+    customRuns: [],
+    effectiveDate: today(),
+    invoiceDate: today()
+  };
+
+  const addCombobox = (id, label, items, onChange, extra = {}) => {
+    const { row, mountId } = makeEngineRow(id);
+    row.classList.add('task-form__row--combobox');
+    fieldsEl.appendChild(row);
+    return componentFactory.createListFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder: label,
+      items,
+      onChange,
+      ...extra
+    });
+  };
+
+  const addTextField = (parent, id, label, placeholder) => {
+    const { row, mountId } = makeEngineRow(id);
+    parent.appendChild(row);
+    return componentFactory.createTextInputFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder,
+      expandable: false
+    });
+  };
+
+  // ── Preview ──
+  const customTermFromFields = () => {
+    if (!state.custom || state.customChecks.some(([engine, check]) => check(engine.getValue()))) return null;
+    const num = (engine) => Number(engine.getValue().trim() || 0);
+    return makeCustomTerm({
+      netDays: num(state.custom.netDays),
+      discountPercent: num(state.custom.discountPercent),
+      discountDays: num(state.custom.discountDays)
+    });
+  };
+
+  const resolvedTerm = () => {
+    if (!state.term) return null;
+    return state.term.key === 'custom' ? customTermFromFields() : state.term;
+  };
+
+  const renderPreview = () => {
+    previewEl.innerHTML = '';
+    const term = resolvedTerm();
+    if (!term) {
+      const p = document.createElement('p');
+      p.className = 'task-form__hint';
+      p.textContent = 'Choose the new terms to preview due dates.';
+      previewEl.appendChild(p);
+      return;
+    }
+
+    const { dueDate, discountDeadline, discountPercent } = computeTermSchedule(term, state.invoiceDate);
+    const add = (label, value) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      previewEl.appendChild(dt);
+      previewEl.appendChild(dd);
+    };
+    add('Terms', term.label);
+    add('Invoice date', formatUserDate(state.invoiceDate));
+    if (discountDeadline) {
+      add(`${discountPercent}% discount if paid by`, formatUserDate(discountDeadline));
+    }
+    add('Due date', formatUserDate(dueDate));
+    add('Payment week starting', formatUserDate(startOfUserWeek(dueDate, firstDayOfWeek)));
+    if (state.invoiceDate < state.effectiveDate) {
+      add('Note', `Invoices dated before ${formatUserDate(state.effectiveDate)} keep the current terms.`);
+    }
+  };
+
+  // ── Custom term fields (shown only for 'Custom') ──
+  const renderCustomFields = (show) => {
+    if (state.custom) Object.values(state.custom).forEach((engine) => engine.destroy());
+    customEl.innerHTML = '';
+    state.custom = null;
+    state.customChecks = [];
+    state.customRuns = [];
+    customEl.hidden = !show;
+    if (!show) return;
+
+    const netDays = addTextField(customEl, 'payment-terms-net-days', 'Net days', 'e.g. 30');
+    const discountPercent = addTextField(customEl, 'payment-terms-discount-percent', 'Discount % (optional)', 'e.g. 2');
+    const discountDays = addTextField(customEl, 'payment-terms-discount-days', 'Discount days', 'e.g. 10');
+    state.custom = { netDays, discountPercent, discountDays };
+
+    const netValue = () => Number(netDays.getValue().trim()) || 1;
+    const validateDiscountDays = (raw) => {
+      // Only required once a discount percentage is given.
+      const required = Boolean(discountPercent.getValue().trim());
+      return makeIntegerValidator(() => 1, () => Math.max(1, netValue() - 1), { required })(raw);
+    };
+    state.customChecks = [
+      [netDays, makeIntegerValidator(() => 1, () => 365)],
+      [discountPercent, validatePercent],
+      [discountDays, validateDiscountDays]
+    ];
+    state.customRuns = state.customChecks.map(([engine, check]) =>
+      attachValidator(engine.element, check, INVALID_CLASS));
+    [netDays, discountPercent, discountDays].forEach((engine) => {
+      engine.element.addEventListener('blur', renderPreview);
+    });
+  };
+
+  // ── 1. Vendor ──
+  // Free text allowed — not every vendor went through a vendor request.
+  const vendorEngine = addCombobox('payment-terms-vendor', 'Vendor', [], null, { strict: false });
+  const runVendor = attachValidator(vendorEngine.element, makeRequiredValidator(true), INVALID_CLASS);
+  loadVendors(vendorEngine);
+
+  // ── 2. Current terms (optional) ──
+  const currentEngine = addCombobox('payment-terms-current', 'Current terms (optional)', termLabels, null);
+
+  // ── 3. New terms ──
+  const termEngine = addCombobox('payment-terms-new', 'New terms', termLabels, (label) => {
+    if (label !== '' && !termLabels.includes(label)) return;   // still typing
+    const term = getPaymentTerm(label);
+    if (term === state.term) return;
+    state.term = term;
+    renderCustomFields(Boolean(term && term.key === 'custom'));
+    renderPreview();
+  });
+  const runTerm = attachValidator(
+    termEngine.element,
+    (value) => {
+      if (!getPaymentTerm(value)) return 'Select the new terms';
+      if (value === currentEngine.getValue() && value !== 'Custom') return 'New terms match the current terms';
+      return null;
+    },
+    INVALID_CLASS
+  );
+
+  // ── 4. Effective date ──
+  componentFactory.createCalendarPicker('payment-terms-effective-date', {
+    id: 'payment-terms-effective-date-picker',
+    label: 'Effective date',
+    defaultDate: state.effectiveDate,
+    minDate: today(),
+    firstDayOfWeek,
+    expandable: false,
+    onChange: (date) => {
+      state.effectiveDate = date;
+      renderPreview();
+    }
+  });
+
+  // ── 5. Preview (sample invoice date) ──
+  componentFactory.createCalendarPicker('payment-terms-invoice-date', {
+    id: 'payment-terms-invoice-date-picker',
+    label: 'Sample invoice date',
+    defaultDate: state.invoiceDate,
+    firstDayOfWeek,
+    expandable: false,
+    onChange: (date) => {
+      state.invoiceDate = date;
+      renderPreview();
+    }
+  });
+  renderPreview();
+
+  // ── 6. Submit ──
+  const submit = async () => {
+    const runs = [runVendor, runTerm, ...state.customRuns];
+    if (!validateAll(runs)) {
+      setFormStatus(statusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+
+    const vendor = vendorEngine.getValue().trim();
+    const term = resolvedTerm();
+    if (!term) {
+      setFormStatus(statusEl, 'Select the new terms.', 'error');
+      return;
+    }
+    const effective = isoDate(state.effectiveDate);
+    const fields = [
+      { key: 'vendorName', label: 'Vendor', value: vendor },
+      { key: 'currentTerms', label: 'Current terms', value: currentEngine.getValue() },
+      { key: 'newTerms', label: 'New terms', value: term.label },
+      { key: 'netDays', label: 'Net days', value: term.eom ? 'End of month' : String(term.netDays) }
+    ];
+    if (term.discount) {
+      fields.push({ key: 'discount', label: 'Early-payment discount', value: `${term.discount.percent}% within ${term.discount.days} days` });
+    }
+    fields.push({ key: 'effectiveDate', label: 'Effective date', value: effective });
+
+    try {
+      await createTask({
+        type: 'change-payment-terms',
+        title: `Payment terms — ${vendor}: ${term.label} from ${effective}`,
+        fields
+      });
+    } catch (err) {
+      console.error('[Payment Terms] Submit failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+
+    vendorEngine.setValue('');
+    vendorEngine.updateLabelFloatedState();
+    currentEngine.selectItem('');
+    termEngine.selectItem('');
+    setFormStatus(statusEl, 'Submitted — the request is now in the Approve queue.', 'success');
+  };
+
+  renderSubmitButton('payment-terms-submit-container', {
+    id: 'payment-terms-submit',
+    text: 'Submit Terms Change'
+  }, submit);
+}
@@ -0,0 +1,190 @@
+/**
+ * create-scac.js
+ *
+ * tasks/create/create-scac — request a new Standard Carrier Alpha Code for
+ * a carrier and submit it as a 'create-scac' task for approval. Once
+ * approved, the code joins the logistics SCAC list (scac-registry.js).
+ *
+ * Layout (top → bottom):
+ *   1. Carrier name        floating-label text input
+ *   2. Carrier type        list_floating_label combobox (scac-rules.js)
+ *   3. SCAC                floating-label text input — 2–4 letters, checked
+ *                          against the carrier type's reserved suffix and
+ *                          for duplicates
+ *   4. Contact name / email / phone
+ *   5. Submit
+ *
+ * Duplicate detection: codes on the SCAC list, or already requested in an
+ * open SCAC task, are rejected. The taken-code map is loaded on init,
+ * refreshed on every tasksChanged event, and re-read before submitting.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  setFormStatus,
+  renderSubmitButton
+} from './task-form.js';
+import { createTask, onTasksChanged } from './task-repository.js';
+import { CARRIER_TYPES, getCarrierType, normaliseScac, validateScac } from '../logistics/scac-rules.js';
+import { getTakenScacs } from '../logistics/scac-registry.js';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?[0-9 ()\-.]{7,20}$/;
+
+function validateEmail(raw) {
+  const value = (raw || '').trim();
+  if (!value) return 'Required';
+  return EMAIL_PATTERN.test(value) ? null : 'Enter a valid email address';
+}
+
+function validatePhone(raw) {
+  const value = (raw || '').trim();
+  if (!value) return null;
+  return PHONE_PATTERN.test(value) ? null : 'Enter a valid phone number';
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/create/create-scac.
+ */
+export function initializeCreateScac() {
+  const form = document.getElementById('scac-request-form');
+  const fieldsEl = document.getElementById('scac-fields');
+  const contactEl = document.getElementById('scac-contact-fields');
+  const statusEl = document.getElementById('scac-form-status');
+  if (!form || !fieldsEl || !contactEl || !statusEl) {
+    console.error('[Create SCAC] Required DOM nodes missing.');
+    return;
+  }
+  if (form.dataset.initialized === 'true') return;
+  form.dataset.initialized = 'true';
+
+  console.log('[Create SCAC] init');
+
+  // Codes a new request may not use → reason. Empty until the first load.
+  let taken = new Map();
+  const refreshTaken = async () => {
+    try {
+      taken = await getTakenScacs();
+    } catch (err) {
+      console.warn('[Create SCAC] Could not load the SCAC list:', err);
+    }
+    return taken;
+  };
+
+  const addTextField = (parent, id, label, placeholder) => {
+    const { row, mountId } = makeEngineRow(id);
+    parent.appendChild(row);
+    return componentFactory.createTextInputFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder,
+      expandable: false
+    });
+  };
+
+  // ── 1. Carrier name ──
+  const nameEngine = addTextField(fieldsEl, 'scac-field-carrier', 'Carrier name', 'Carrier legal name');
+  const runName = attachValidator(nameEngine.element, makeRequiredValidator(true), INVALID_CLASS);
+
+  // ── 2. Carrier type ──
+  const typeRow = makeEngineRow('scac-field-type');
+  typeRow.row.classList.add('task-form__row--combobox');
+  fieldsEl.appendChild(typeRow.row);
+
+  // ── 3. SCAC ──
+  const scacEngine = addTextField(fieldsEl, 'scac-field-code', 'SCAC', 'e.g. ABCD');
+  const validateCode = (raw) => {
+    const format = validateScac(raw, getCarrierType(typeEngine.getValue()));
+    if (format) return format;
+    const reason = taken.get(normaliseScac(raw));
+    return reason ? `${normaliseScac(raw)} is ${reason}` : null;
+  };
+
+  const typeEngine = componentFactory.createListFloatingLabel(typeRow.mountId, {
+    id: 'scac-field-type',
+    label: 'Carrier type',
+    placeholder: 'Carrier type',
+    items: CARRIER_TYPES.map((t) => t.label),
+    onChange: () => {
+      // The reserved-suffix rule depends on the type; re-check a typed code.
+      if (scacEngine.getValue().trim()) runScac();
+    }
+  });
+  const runType = attachValidator(
+    typeEngine.element,
+    (value) => (getCarrierType(value) ? null : 'Select a carrier type'),
+    INVALID_CLASS
+  );
+  const runScac = attachValidator(scacEngine.element, validateCode, INVALID_CLASS);
+
+  // ── 4. Contact ──
+  const contactNameEngine = addTextField(contactEl, 'scac-field-contact-name', 'Contact name', 'Contact name');
+  const contactEmailEngine = addTextField(contactEl, 'scac-field-contact-email', 'Contact email', 'name@carrier.com');
+  const contactPhoneEngine = addTextField(contactEl, 'scac-field-contact-phone', 'Contact phone (optional)', '+1 555 010 0000');
+  const runContactName = attachValidator(contactNameEngine.element, makeRequiredValidator(true), INVALID_CLASS);
+  const runContactEmail = attachValidator(contactEmailEngine.element, validateEmail, INVALID_CLASS);
+  const runContactPhone = attachValidator(contactPhoneEngine.element, validatePhone, INVALID_CLASS);
+
+  const textEngines = [nameEngine, scacEngine, contactNameEngine, contactEmailEngine, contactPhoneEngine];
+
+  // ── 5. Submit ──
+  const submit = async () => {
+    // Re-read the list so a code registered since the page opened is caught.
+    await refreshTaken();
+    const runs = [runName, runType, runScac, runContactName, runContactEmail, runContactPhone];
+    if (!validateAll(runs)) {
+      setFormStatus(statusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+
+    const carrierName = nameEngine.getValue().trim();
+    const scac = normaliseScac(scacEngine.getValue());
+    try {
+      await createTask({
+        type: 'create-scac',
+        title: `SCAC — ${scac} (${carrierName})`,
+        fields: [
+          { key: 'carrierName', label: 'Carrier name', value: carrierName },
+          { key: 'carrierType', label: 'Carrier type', value: typeEngine.getValue() },
+          { key: 'scac', label: 'SCAC', value: scac },
+          { key: 'contactName', label: 'Contact name', value: contactNameEngine.getValue().trim() },
+          { key: 'contactEmail', label: 'Contact email', value: contactEmailEngine.getValue().trim() },
+          { key: 'contactPhone', label: 'Contact phone', value: contactPhoneEngine.getValue().trim() }
+        ]
+      });
+    } catch (err) {
+      console.error('[Create SCAC] Submit failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+
+    textEngines.forEach((engine) => {
+      engine.setValue('');
+      engine.updateLabelFloatedState();
+    });
+    typeEngine.selectItem('');
+    setFormStatus(statusEl, `Submitted — ${scac} is now in the Approve queue.`, 'success');
+  };
+
+  renderSubmitButton('scac-submit-container', {
+    id: 'scac-submit',
+    text: 'Submit SCAC Request'
+  }, submit);
+
+  // Keep the taken-code map current; unsubscribe once the page is gone.
+  const unsubscribe = onTasksChanged(() => {
+    if (!form.isConnected) {
+      unsubscribe();
+      return;
+    }
+    refreshTaken();
+  });
+  refreshTaken();
+}
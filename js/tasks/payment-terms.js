@@ -0,0 +1,65 @@
+/**
+ * payment-terms.js
+ *
+ * Payment terms catalogue and the due-date calculator used by the Change
+ * Payment Terms form's preview.
+ *
+ * Each term is { key, label, netDays, eom?, discount? }:
+ *   netDays   — days after the invoice date the invoice is due
+ *   eom       — due on the last day of the invoice's month instead
+ *   discount  — { percent, days }: early-payment discount available when
+ *               paid within `days` of the invoice date
+ *
+ * 'custom' has no fixed values; the form supplies them (see makeCustomTerm).
+ */
+
+export const PAYMENT_TERMS = [
+  { key: 'net15',       label: 'Net 15',        netDays: 15 },
+  { key: 'net30',       label: 'Net 30',        netDays: 30 },
+  { key: 'net45',       label: 'Net 45',        netDays: 45 },
+  { key: 'net60',       label: 'Net 60',        netDays: 60 },
+  { key: '2-10-net30',  label: '2/10 Net 30',   netDays: 30, discount: { percent: 2, days: 10 } },
+  { key: 'eom',         label: 'EOM',           eom: true },
+  { key: 'custom',      label: 'Custom' }
+];
+
+export function getPaymentTerm(keyOrLabel) {
+  return PAYMENT_TERMS.find((t) => t.key === keyOrLabel || t.label === keyOrLabel) || null;
+}
+
+/**
+ * Build a term from the custom fields. Pass discountPercent/discountDays
+ * as 0 (or omit them) for no discount.
+ */
+export function makeCustomTerm({ netDays, discountPercent = 0, discountDays = 0 }) {
+  const term = { key: 'custom', label: '', netDays };
+  if (discountPercent > 0 && discountDays > 0) {
+    term.discount = { percent: discountPercent, days: discountDays };
+  }
+  term.label = term.discount
+    ? `${discountPercent}/${discountDays} Net ${netDays}`
+    : `Net ${netDays}`;
+  return term;
+}
+
+function addDays(date, days) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/**
+ * Due date and (when the term has one) early-discount deadline for an
+ * invoice dated `invoiceDate`. Dates are local calendar dates.
+ * Returns { dueDate, discountDeadline|null, discountPercent|null }.
+ */
+export function computeTermSchedule(term, invoiceDate) {
+  const dueDate = term.eom
+    ? new Date(invoiceDate.getFullYear(), invoiceDate.getMonth() + 1, 0)
+    : addDays(invoiceDate, term.netDays);
+  return {
+    dueDate,
+    discountDeadline: term.discount ? addDays(invoiceDate, term.discount.days) : null,
+    discountPercent: term.discount ? term.discount.percent : null
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * permission-grants.js
+ *
+ * Rules for 'user-permission-request' tasks, shared by the request form
+ * (tasks/create/user-permission-request) and the Approve queue:
+ *
+ *   - which project roles the signed-in user may request, and
+ *   - applying an approved request as a Zitadel user grant through the API
+ *     proxy, which also records it on the task (data.appliedAt, an
+ *     'applied' history entry) — tasks are only written by their requester
+ *     or approvers, so the record cannot come from the browser.
+ *
+ * A request's `data` is { userId, userName, roleKey, expiresOn|null }.
+ * Zitadel grants themselves do not expire: the proxy records the expiry
+ * when the request is applied and its scheduled sweep removes the role
+ * once the date has passed.
+ */
+
+import { ROLE_HIERARCHY, getHighestRole, hasMinimumRole } from '../auth/zitadel-auth.js';
+import { applyPermissionRequest } from '../api/zitadel-api.js';
+import { getTask, reloadTasks } from './task-repository.js';
+
+// Admins may request any role — the org owner still has to approve it.
+// Everyone else is limited to roles at or below their own highest role.
+export const REQUEST_ANY_ROLE = '05_org_admin';
+
+/**
+ * Position of a role in ROLE_HIERARCHY (higher = more privileged). Custom
+ * project roles outside the hierarchy rank -1, below every built-in role.
+ */
+export function roleRank(roleKey) {
+  return ROLE_HIERARCHY.indexOf(roleKey);
+}
+
+/**
+ * Whether the signed-in user may request `roleKey` (for anyone).
+ */
+export function canRequestRole(roleKey) {
+  if (hasMinimumRole(REQUEST_ANY_ROLE)) return true;
+  return roleRank(roleKey) <= roleRank(getHighestRole());
+}
+
+export function isGrantApplied(task) {
+  return Boolean(task.data && task.data.appliedAt);
+}
+
+/**
+ * Apply an approved request through the API proxy, which records the grant
+ * on the task. The proxy re-checks the task's status and the caller's role.
+ * Resolves with the updated task.
+ */
+export async function applyPermissionGrant(taskId) {
+  await applyPermissionRequest(taskId);
+  await reloadTasks();
+  const task = await getTask(taskId);
+  if (!task) throw new Error(`[Permission Grants] Task not found: ${taskId}`);
+  return task;
+}
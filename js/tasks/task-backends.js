@@ -0,0 +1,238 @@
+/**
+ * task-backends.js
+ *
+ * Storage backends for the task repository. Every backend implements the
+ * same async interface so the repository can swap them freely:
+ *
+ *   list()                             → Promise<Task[]>
+ *   get(id)                            → Promise<Task|null>
+ *   put(task, { expectedUpdatedAt })   → Promise<Task>   (create or replace)
+ *
+ * `expectedUpdatedAt` is the optimistic-concurrency token: when given, the
+ * backend rejects the write if the stored record's updatedAt differs (the
+ * task changed underneath us). Omit it when creating.
+ *
+ * Backends:
+ *   createLocalBackend()  IndexedDB, falling back to localStorage when
+ *                         IndexedDB is unavailable (private mode, old
+ *                         browsers). Offline use and local development.
+ *   createHttpBackend()   The DynamicSite API proxy (AUTH_API) — tasks are
+ *                         shared across users in the same environment.
+ */
+
+import { getAccessToken, isAuthenticated, refreshToken, isTokenExpired } from '../auth/zitadel-auth.js';
+import { AUTH_API, API_ENV } from '../core/env.js';
+
+// Conflict errors carry this code so the repository can tell them apart.
+export const CONFLICT = 'TASK_CONFLICT';
+
+function conflictError(id) {
+  const err = new Error(`[Task Backend] Task ${id} was changed by someone else — reload and try again`);
+  err.code = CONFLICT;
+  return err;
+}
+
+// ─── localStorage ───────────────────────────────────────────────────────────
+
+const STORAGE_KEY = 'taskStore';
+
+function createLocalStorageBackend() {
+  const readAll = () => {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      return raw ? JSON.parse(raw) : [];
+    } catch (err) {
+      console.warn('[Task Backend] Stored tasks unreadable; starting empty', err);
+      return [];
+    }
+  };
+
+  const writeAll = (tasks) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
+    } catch (err) {
+      console.error('[Task Backend] Failed to persist tasks:', err);
+      throw new Error('[Task Backend] Could not save task — browser storage unavailable');
+    }
+  };
+
+  return {
+    name: 'localStorage',
+    async list() {
+      return readAll();
+    },
+    async get(id) {
+      return readAll().find((t) => t.id === id) || null;
+    },
+    async put(task, { expectedUpdatedAt } = {}) {
+      const tasks = readAll();
+      const index = tasks.findIndex((t) => t.id === task.id);
+      if (expectedUpdatedAt && (index === -1 || tasks[index].updatedAt !== expectedUpdatedAt)) {
+        throw conflictError(task.id);
+      }
+      if (index === -1) tasks.push(task);
+      else tasks[index] = task;
+      writeAll(tasks);
+      return task;
+    }
+  };
+}
+
+// ─── IndexedDB ──────────────────────────────────────────────────────────────
+
+const DB_NAME = 'dynamicsite-tasks';
+const DB_VERSION = 1;
+const OBJECT_STORE = 'tasks';
+
+// Promise wrapper for a single IDBRequest.
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OBJECT_STORE)) {
+        db.createObjectStore(OBJECT_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Copy tasks saved by the earlier localStorage-only store into IndexedDB
+ * once, then drop the old key so they aren't imported twice.
+ */
+async function importLegacyTasks(db) {
+  let legacy = [];
+  try {
+    legacy = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (_) {
+    return;
+  }
+  if (!Array.isArray(legacy) || legacy.length === 0) return;
+
+  const tx = db.transaction(OBJECT_STORE, 'readwrite');
+  legacy.forEach((task) => tx.objectStore(OBJECT_STORE).put(task));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  localStorage.removeItem(STORAGE_KEY);
+  console.log(`[Task Backend] Imported ${legacy.length} task(s) from localStorage into IndexedDB`);
+}
+
+function createIndexedDbBackend() {
+  let dbPromise = null;
+  const db = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase().then(async (opened) => {
+        await importLegacyTasks(opened);
+        return opened;
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    name: 'indexedDB',
+    async list() {
+      const store = (await db()).transaction(OBJECT_STORE, 'readonly').objectStore(OBJECT_STORE);
+      return requestToPromise(store.getAll());
+    },
+    async get(id) {
+      const store = (await db()).transaction(OBJECT_STORE, 'readonly').objectStore(OBJECT_STORE);
+      return (await requestToPromise(store.get(id))) || null;
+    },
+    async put(task, { expectedUpdatedAt } = {}) {
+      // Read-check-write inside one readwrite transaction so the
+      // concurrency check can't race another tab.
+      const tx = (await db()).transaction(OBJECT_STORE, 'readwrite');
+      const store = tx.objectStore(OBJECT_STORE);
+      const current = await requestToPromise(store.get(task.id));
+      if (expectedUpdatedAt && (!current || current.updatedAt !== expectedUpdatedAt)) {
+        tx.abort();
+        throw conflictError(task.id);
+      }
+      await requestToPromise(store.put(task));
+      return task;
+    }
+  };
+}
+
+/**
+ * Local backend: IndexedDB when the browser supports it, else localStorage.
+ */
+export function createLocalBackend() {
+  if (typeof indexedDB !== 'undefined') {
+    return createIndexedDbBackend();
+  }
+  console.warn('[Task Backend] IndexedDB unavailable; using localStorage');
+  return createLocalStorageBackend();
+}
+
+// ─── HTTP (API proxy) ───────────────────────────────────────────────────────
+
+async function authenticatedFetch(path, options = {}) {
+  if (!isAuthenticated()) {
+    throw new Error('[Task Backend] User is not authenticated');
+  }
+  if (isTokenExpired()) {
+    await refreshToken();
+  }
+
+  const response = await fetch(`${AUTH_API}${path}`, {
+    ...options,
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${getAccessToken()}`,
+      ...options.headers
+    }
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    if (response.status === 409) {
+      const err = new Error(`[Task Backend] 409: ${errorBody}`);
+      err.code = CONFLICT;
+      throw err;
+    }
+    throw new Error(`[Task Backend] ${response.status}: ${errorBody}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * HTTP backend: GET/POST /tasks/<env> on the API proxy.
+ */
+export function createHttpBackend() {
+  const base = `/tasks/${API_ENV}`;
+
+  return {
+    name: 'http',
+    async list() {
+      const data = await authenticatedFetch(base);
+      return data.tasks || [];
+    },
+    async get(id) {
+      const tasks = await this.list();
+      return tasks.find((t) => t.id === id) || null;
+    },
+    async put(task, { expectedUpdatedAt } = {}) {
+      const data = await authenticatedFetch(base, {
+        method: 'POST',
+        body: JSON.stringify({ task, expectedUpdatedAt: expectedUpdatedAt || null })
+      });
+      return data.task || task;
+    }
+  };
+}
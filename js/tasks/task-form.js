@@ -0,0 +1,161 @@
+/**
+ * task-form.js
+ *
+ * Shared helpers for the tasks/create forms. Every create form follows the
+ * same shape — engine-backed fields, a red error slot under each field,
+ * blur-time validation, and a submit-time pass over every validator — so
+ * the plumbing lives here rather than being re-implemented per form.
+ *
+ * Validators are plain functions `(rawValue) => string|null`: a message
+ * when the value is invalid, null when it is fine.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+
+/**
+ * Attach validation to a control: run the validator on blur, surface the
+ * result via the paired `${control.id}-error` span, toggle `invalidClass`
+ * on the control, and clear the error as soon as the user starts
+ * correcting it.
+ *
+ * Returns the `run` function so callers can force a validation pass (e.g.
+ * on submit). `run` returns the validator's message, or null when valid.
+ */
+export function attachValidator(control, validator, invalidClass) {
+  // Look up the error span lazily — at attach time the row may not yet be
+  // in the document (forms are often appended in one go at the end), so
+  // getElementById would return null. Reading it on each call means we
+  // always get the live element once the form is mounted.
+  const getErrEl = () => document.getElementById(`${control.id}-error`);
+
+  const run = () => {
+    const msg = validator(control.value);
+    const errEl = getErrEl();
+    if (msg) {
+      control.classList.add(invalidClass);
+      if (errEl) errEl.textContent = msg;
+    } else {
+      control.classList.remove(invalidClass);
+      if (errEl) errEl.textContent = '';
+    }
+    return msg;
+  };
+
+  control.addEventListener('blur', run);
+  control.addEventListener('input', () => {
+    // Clear invalid styling the moment the user starts typing. Re-runs on
+    // the next blur.
+    control.classList.remove(invalidClass);
+    const errEl = getErrEl();
+    if (errEl) errEl.textContent = '';
+  });
+  // On <select> change, validate immediately — selects don't fire blur
+  // reliably after a keyboard pick.
+  if (control.tagName === 'SELECT') {
+    control.addEventListener('change', run);
+  }
+
+  return run;
+}
+
+/**
+ * Build a field row for an engine-backed control: an empty mount point the
+ * engine renders into, followed by the error span `attachValidator` writes
+ * to. The engine's control must be created with `id: fieldId` so the two
+ * line up.
+ *
+ * Returns { row, mountId } — append `row` first, then render the engine
+ * into `mountId` (engines measure their container on construction, so it
+ * has to be in the document).
+ */
+export function makeEngineRow(fieldId, blockClass = 'task-form') {
+  const row = document.createElement('div');
+  row.className = `${blockClass}__row`;
+
+  const mount = document.createElement('div');
+  mount.id = `${fieldId}-container`;
+  row.appendChild(mount);
+
+  const errEl = document.createElement('span');
+  errEl.className = `${blockClass}__error`;
+  errEl.id = `${fieldId}-error`;
+  errEl.setAttribute('aria-live', 'polite');
+  row.appendChild(errEl);
+
+  return { row, mountId: mount.id };
+}
+
+/**
+ * Generic required-field validator — returns "Required" if empty, null
+ * otherwise.
+ */
+export function makeRequiredValidator(required = true) {
+  return (rawValue) => {
+    const value = (rawValue || '').trim();
+    if (!value && required) return 'Required';
+    return null;
+  };
+}
+
+/**
+ * Run every validator in `runs` (the functions returned by attachValidator)
+ * and report whether the form is clean. Every validator runs — no early
+ * exit — so all invalid fields light up at once.
+ */
+export function validateAll(runs) {
+  return runs.reduce((ok, run) => (run() ? false : ok), true);
+}
+
+/**
+ * Resolve a human-readable country name from an ISO 3166-1 alpha-2 code
+ * using the browser's built-in Intl.DisplayNames. Falls back to the code
+ * itself if Intl.DisplayNames is unavailable.
+ */
+export function countryName(code) {
+  try {
+    if (typeof Intl !== 'undefined' && typeof Intl.DisplayNames === 'function') {
+      const dn = new Intl.DisplayNames(['en'], { type: 'region' });
+      const name = dn.of(code);
+      if (name && name !== code) return name;
+    }
+  } catch (_) {
+    // ignore — fall through to code
+  }
+  return code;
+}
+
+/**
+ * Write a message to a form's status line. `kind` is 'error', 'success',
+ * or anything else for neutral text.
+ */
+export function setFormStatus(statusEl, message, kind) {
+  statusEl.textContent = message;
+  statusEl.classList.toggle('task-form__status--error', kind === 'error');
+  statusEl.classList.toggle('task-form__status--success', kind === 'success');
+}
+
+/**
+ * Render a momentary action button (Submit, Approve, Reject, …).
+ * button_component_engine toggles its active state on every click; these
+ * actions don't latch, so the toggle is undone before `onClick` runs.
+ */
+export function renderActionButton(containerId, { id, text, value }, onClick) {
+  const button = componentFactory.createButton(containerId, {
+    id,
+    text,
+    value: value || id,
+    active: false,
+    onClick: () => {
+      button.setActive(false);
+      onClick();
+    }
+  });
+  return button;
+}
+
+/**
+ * Render a form's submit button.
+ */
+export function renderSubmitButton(containerId, { id, text }, onSubmit) {
+  return renderActionButton(containerId, { id, text, value: 'submit' }, onSubmit);
+}
@@ -0,0 +1,252 @@
+/**
+ * task-repository.js
+ *
+ * The data layer for every tasks/* page. Create, list, update and
+ * transition tasks through a pluggable backend (task-backends.js), with
+ * the schema and status state machine from task-schema.js enforced on
+ * every write.
+ *
+ * Optimistic updates: the repository keeps an in-memory cache. A write
+ * updates the cache and announces the change immediately, then persists
+ * to the backend. If the backend rejects the write, the cache is rolled
+ * back, a 'rollback' change is announced, and the returned promise
+ * rejects so the caller can surface the error.
+ *
+ * Change events: every cache change dispatches a `tasksChanged`
+ * CustomEvent on document with detail { kind, task }, where kind is
+ * 'created' | 'updated' | 'rollback' | 'reloaded'. Pages subscribe with
+ * onTasksChanged() (returns an unsubscribe function).
+ *
+ * Backend selection: HTTP when the user is signed in and online, local
+ * (IndexedDB / localStorage) otherwise. Set localStorage 'taskBackend' to
+ * 'local' or 'http' to force one, or call setTaskBackend() directly.
+ */
+
+import { getUserInfo, isAuthenticated } from '../auth/zitadel-auth.js';
+import { assertValidTask, canTransition } from './task-schema.js';
+import { createLocalBackend, createHttpBackend } from './task-backends.js';
+
+const BACKEND_OVERRIDE_KEY = 'taskBackend';
+
+let backend = null;
+let cache = null;          // Map<id, Task> once loaded
+let loading = null;        // in-flight load promise
+
+// ─── Backend selection ──────────────────────────────────────────────────────
+
+function resolveDefaultBackend() {
+  const override = localStorage.getItem(BACKEND_OVERRIDE_KEY);
+  if (override === 'local') return createLocalBackend();
+  if (override === 'http') return createHttpBackend();
+  const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+  return isAuthenticated() && online ? createHttpBackend() : createLocalBackend();
+}
+
+/**
+ * Swap the storage backend. Drops the cache so the next read reloads from
+ * the new backend.
+ */
+export function setTaskBackend(newBackend) {
+  backend = newBackend;
+  cache = null;
+  loading = null;
+  console.log(`[Task Repository] Backend set to ${newBackend.name || 'custom'}`);
+}
+
+export function getTaskBackend() {
+  if (!backend) setTaskBackend(resolveDefaultBackend());
+  return backend;
+}
+
+// ─── Cache + events ─────────────────────────────────────────────────────────
+
+function emit(kind, task) {
+  document.dispatchEvent(new CustomEvent('tasksChanged', { detail: { kind, task } }));
+}
+
+/**
+ * Subscribe to task changes. Returns an unsubscribe function — call it
+ * from the page's cleanup so handlers don't outlive the page.
+ */
+export function onTasksChanged(handler) {
+  const listener = (e) => handler(e.detail);
+  document.addEventListener('tasksChanged', listener);
+  return () => document.removeEventListener('tasksChanged', listener);
+}
+
+async function ensureLoaded() {
+  if (cache) return cache;
+  if (!loading) {
+    const source = getTaskBackend();
+    loading = source.list()
+      .then((tasks) => {
+        // Ignore the result if the backend was swapped mid-load.
+        if (source !== backend) return ensureLoaded();
+        cache = new Map(tasks.map((t) => [t.id, t]));
+        return cache;
+      })
+      .catch((err) => {
+        loading = null;
+        throw err;
+      });
+  }
+  return loading;
+}
+
+/**
+ * Re-read everything from the backend (e.g. to pick up other users'
+ * changes on the HTTP backend).
+ */
+export async function reloadTasks() {
+  cache = null;
+  loading = null;
+  await ensureLoaded();
+  emit('reloaded', null);
+}
+
+/**
+ * Write `next` to the cache, announce it, then persist. Rolls the cache
+ * back to `previous` (or removes the entry when creating) if the backend
+ * refuses the write.
+ */
+async function commit(kind, next, previous) {
+  assertValidTask(next);
+  cache.set(next.id, next);
+  emit(kind, next);
+
+  try {
+    const saved = await getTaskBackend().put(next, {
+      expectedUpdatedAt: previous ? previous.updatedAt : undefined
+    });
+    cache.set(saved.id, saved);
+    return saved;
+  } catch (err) {
+    if (previous) cache.set(previous.id, previous);
+    else cache.delete(next.id);
+    emit('rollback', previous || next);
+    console.error(`[Task Repository] ${kind} rolled back for ${next.id}:`, err);
+    throw err;
+  }
+}
+
+// ─── Identity ───────────────────────────────────────────────────────────────
+
+/**
+ * Identity of the signed-in user as recorded on tasks. Falls back to
+ * 'anonymous' so local development without a login still works.
+ */
+export function currentRequester() {
+  const user = getUserInfo() || {};
+  return {
+    sub: user.sub || 'anonymous',
+    name: user.preferred_username || user.email || user.name || 'anonymous'
+  };
+}
+
+function newTaskId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function historyEntry(action, comment) {
+  const entry = { action, by: currentRequester().name, at: new Date().toISOString() };
+  if (comment) entry.comment = comment;
+  return entry;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Create a task. Tasks start as 'submitted' unless `status: 'draft'` is
+ * passed. `data` is an optional structured payload kept alongside the
+ * display fields. Resolves with the stored record.
+ */
+export async function createTask({ type, title, fields = [], attachments = [], data, status = 'submitted' }) {
+  if (status !== 'draft' && status !== 'submitted') {
+    throw new Error(`[Task Repository] New tasks must be draft or submitted, not ${status}`);
+  }
+  await ensureLoaded();
+
+  const requester = currentRequester();
+  const now = new Date().toISOString();
+  const history = [{ action: 'created', by: requester.name, at: now }];
+  if (status === 'submitted') history.push({ action: 'submitted', by: requester.name, at: now });
+
+  const task = {
+    id: newTaskId(),
+    type,
+    title: title || type,
+    status,
+    assignee: null,
+    fields,
+    attachments,
+    ...(data ? { data } : {}),
+    requester,
+    createdAt: now,
+    updatedAt: now,
+    history
+  };
+  return commit('created', task, null);
+}
+
+/**
+ * List tasks, newest first. Optional filters: { type, status, requesterSub }.
+ * `status` may be a single status or an array of statuses.
+ */
+export async function listTasks({ type, status, requesterSub } = {}) {
+  const tasks = Array.from((await ensureLoaded()).values());
+  const statuses = status ? [].concat(status) : null;
+  return tasks
+    .filter((t) => (!type || t.type === type)
+      && (!statuses || statuses.includes(t.status))
+      && (!requesterSub || (t.requester && t.requester.sub === requesterSub)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function getTask(id) {
+  return (await ensureLoaded()).get(id) || null;
+}
+
+/**
+ * Apply non-status `changes` (assignee, fields, title, …) and append a
+ * history entry for `action`. Status changes must go through
+ * transitionTask so the state machine is enforced.
+ */
+export async function updateTask(id, changes, { action = 'updated', comment } = {}) {
+  if ('status' in changes) {
+    throw new Error('[Task Repository] Use transitionTask to change status');
+  }
+  const previous = await getTask(id);
+  if (!previous) throw new Error(`[Task Repository] Task not found: ${id}`);
+
+  const next = {
+    ...previous,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+    history: [...previous.history, historyEntry(action, comment)]
+  };
+  return commit('updated', next, previous);
+}
+
+/**
+ * Move a task to `status`, enforcing STATUS_TRANSITIONS. The history entry
+ * action is the new status name.
+ */
+export async function transitionTask(id, status, { comment, changes = {} } = {}) {
+  const previous = await getTask(id);
+  if (!previous) throw new Error(`[Task Repository] Task not found: ${id}`);
+  if (!canTransition(previous.status, status)) {
+    throw new Error(`[Task Repository] Cannot move task from ${previous.status} to ${status}`);
+  }
+
+  const next = {
+    ...previous,
+    ...changes,
+    status,
+    updatedAt: new Date().toISOString(),
+    history: [...previous.history, historyEntry(status, comment)]
+  };
+  return commit('updated', next, previous);
+}
@@ -0,0 +1,101 @@
+/**
+ * task-schema.js
+ *
+ * Task record schema and status state machine shared by the task
+ * repository and every tasks/* page.
+ *
+ *   draft ──▶ submitted ──▶ approved ──▶ closed
+ *     │           │
+ *     │           └───────▶ rejected ──▶ closed
+ *     └──────────────────────────────────▶ closed   (abandoned draft)
+ *
+ * A rejected task may also go back to draft so the requester can fix and
+ * resubmit it.
+ */
+
+import { TASK_TYPES } from './task-types.js';
+
+/**
+ * @typedef {'draft'|'submitted'|'approved'|'rejected'|'closed'} TaskStatus
+ *
+ * @typedef {Object} TaskField
+ * @property {string} key    Stable field key (e.g. 'iban')
+ * @property {string} label  Display label shown to approvers
+ * @property {string} value  Submitted value, already normalised
+ *
+ * @typedef {Object} TaskHistoryEntry
+ * @property {string} action   'created' | a TaskStatus | 'reassigned' | 'updated' |
+ *                             'applied' (permission grant made)
+ * @property {string} by       Display name of the acting user
+ * @property {string} [byId]   Subject id of the acting user, written by the
+ *                             API proxy (HTTP backend only)
+ * @property {string} at       ISO-8601 UTC timestamp
+ * @property {string} [comment]
+ *
+ * @typedef {Object} Task
+ * @property {string} id
+ * @property {string} type              Key of TASK_TYPES
+ * @property {string} title
+ * @property {TaskStatus} status
+ * @property {string|null} assignee     Approver name, or null for any approver
+ * @property {TaskField[]} fields
+ * @property {{name: string, size: number, type: string}[]} attachments
+ * @property {Object} [data]          Type-specific structured payload for
+ *                                     pages that act on approved tasks;
+ *                                     approvers read `fields`, not this
+ * @property {{sub: string, name: string}} requester
+ * @property {string} createdAt         ISO-8601 UTC
+ * @property {string} updatedAt         ISO-8601 UTC — also the optimistic-concurrency token
+ * @property {TaskHistoryEntry[]} history
+ */
+
+export const TASK_STATUSES = ['draft', 'submitted', 'approved', 'rejected', 'closed'];
+
+// Allowed transitions, keyed by current status.
+export const STATUS_TRANSITIONS = {
+  draft:     ['submitted', 'closed'],
+  submitted: ['approved', 'rejected'],
+  approved:  ['closed'],
+  rejected:  ['closed', 'draft'],
+  closed:    []
+};
+
+export function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Value of the field with `key` on a task, or '' when absent.
+ */
+export function taskFieldValue(task, key) {
+  const field = (task.fields || []).find((f) => f.key === key);
+  return field && field.value ? field.value : '';
+}
+
+const isString = (v) => typeof v === 'string';
+
+/**
+ * Validate a task record against the schema. Throws on the first problem
+ * so malformed records never reach a backend.
+ */
+export function assertValidTask(task) {
+  const fail = (msg) => { throw new Error(`[Task Schema] ${msg}`); };
+
+  if (!task || typeof task !== 'object') fail('Task must be an object');
+  if (!isString(task.id) || !task.id) fail('Task id is required');
+  if (!TASK_TYPES[task.type]) fail(`Unknown task type: ${task.type}`);
+  if (!isString(task.title)) fail('Task title must be a string');
+  if (!TASK_STATUSES.includes(task.status)) fail(`Unknown task status: ${task.status}`);
+  if (task.assignee !== null && !isString(task.assignee)) fail('Assignee must be a string or null');
+  if (!Array.isArray(task.fields)) fail('Task fields must be an array');
+  task.fields.forEach((f, i) => {
+    if (!f || !isString(f.key) || !isString(f.label)) fail(`Field ${i} needs a key and label`);
+    if (f.value !== undefined && f.value !== null && !isString(f.value)) fail(`Field ${f.key} value must be a string`);
+  });
+  if (!Array.isArray(task.attachments)) fail('Task attachments must be an array');
+  if (task.data !== undefined && (task.data === null || typeof task.data !== 'object')) fail('Task data must be an object');
+  if (!task.requester || !isString(task.requester.sub)) fail('Task requester is required');
+  if (!isString(task.createdAt) || !isString(task.updatedAt)) fail('Task timestamps are required');
+  if (!Array.isArray(task.history)) fail('Task history must be an array');
+  return task;
+}
@@ -0,0 +1,42 @@
+/**
+ * task-types.js
+ *
+ * Registry of task types created under tasks/create. Keys match the `type`
+ * stored on each task record and the create subpage that produces it.
+ *
+ *   label         — display name in the Approve queue and filters
+ *   category      — broader grouping for the reporting/* breakdowns
+ *   approverRole  — minimum role (zitadel-auth ROLE_HIERARCHY) required to
+ *                   approve, reject or reassign tasks of this type
+ *   slaHours      — target time from submission to approval or rejection,
+ *                   used by the reporting/* metrics pages
+ */
+
+import { hasMinimumRole } from '../auth/zitadel-auth.js';
+
+export const TASK_TYPES = {
+  'bank-validation':         { label: 'Bank validation',         category: 'Vendor data', approverRole: '03_org_super_admin', slaHours: 48 },
+  'tin-validation':          { label: 'TIN validation',          category: 'Vendor data', approverRole: '04_org_audit_admin', slaHours: 48 },
+  'address-validation':      { label: 'Address validation',      category: 'Vendor data', approverRole: '05_org_admin',       slaHours: 24 },
+  'create-scac':             { label: 'Create SCAC',             category: 'Logistics',   approverRole: '05_org_admin',       slaHours: 24 },
+  'change-payment-terms':    { label: 'Change payment terms',    category: 'Finance',     approverRole: '03_org_super_admin', slaHours: 72 },
+  'change-invoice-approver': { label: 'Change invoice approver', category: 'Finance',     approverRole: '04_org_audit_admin', slaHours: 48 },
+  'vendor-request':          { label: 'Vendor request',          category: 'Vendor data', approverRole: '03_org_super_admin', slaHours: 72 },
+  'user-permission-request': { label: 'User permission request', category: 'Access',      approverRole: '02_org_owner',       slaHours: 24 }
+};
+
+/**
+ * Look up a task type. Unknown types fall back to their raw key as the
+ * label, an "Other" category, the most restrictive approver role and a
+ * 48-hour SLA.
+ */
+export function getTaskType(type) {
+  return TASK_TYPES[type] || { label: type, category: 'Other',       approverRole: '01_system_admin', slaHours: 48 };
+}
+
+/**
+ * Whether the signed-in user may act on tasks of `type`.
+ */
+export function canApprove(type) {
+  return hasMinimumRole(getTaskType(type).approverRole);
+}
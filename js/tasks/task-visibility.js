@@ -0,0 +1,250 @@
+/**
+ * task-visibility.js
+ *
+ * tasks/visibility — the requester's own view of everything they have
+ * submitted and where each task sits in the approval pipeline.
+ *
+ *   - Table of the signed-in user's tasks, newest first, using the shared
+ *     .table-main markup.
+ *   - Status and type filters (multi_select_component_engine). An empty
+ *     selection means "no filter".
+ *   - Clicking a row expands it to show the pipeline stage and the audit
+ *     timeline from the task's history — who acted, what they did and
+ *     when, in the user's time zone.
+ *
+ * The table re-renders on every tasksChanged event, so approvals made in
+ * another part of the app show up without a reload.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+import { listTasks, currentRequester, onTasksChanged } from './task-repository.js';
+import { TASK_STATUSES } from './task-schema.js';
+import { TASK_TYPES, getTaskType } from './task-types.js';
+import { setFormStatus } from './task-form.js';
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  closed: 'Closed'
+};
+
+// History actions → timeline wording. Status actions use the status name.
+const ACTION_LABELS = {
+  created: 'Created',
+  submitted: 'Submitted',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  closed: 'Closed',
+  draft: 'Returned to draft',
+  reassigned: 'Reassigned',
+  updated: 'Updated'
+};
+
+// Pipeline stages in display order. The decision stage shows whichever
+// outcome the task reached.
+const PIPELINE = ['draft', 'submitted', 'decision', 'closed'];
+const STAGE_LABELS = { draft: 'Draft', submitted: 'Submitted', closed: 'Closed' };
+
+// ─── Table rows ─────────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function statusText(task) {
+  if (task.status === 'submitted' && task.assignee) {
+    return `${STATUS_LABELS.submitted} (${task.assignee})`;
+  }
+  return STATUS_LABELS[task.status] || task.status;
+}
+
+function buildRow(task, isOpen, onToggle) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-queue__row';
+  if (isOpen) tr.classList.add('task-queue__row--open');
+  tr.dataset.taskId = task.id;
+  tr.tabIndex = 0;
+  tr.setAttribute('aria-expanded', String(isOpen));
+  tr.appendChild(textCell(formatLocalTimestamp(task.createdAt)));
+  tr.appendChild(textCell(getTaskType(task.type).label));
+  tr.appendChild(textCell(task.title));
+  tr.appendChild(textCell(statusText(task)));
+  tr.appendChild(textCell(formatLocalTimestamp(task.updatedAt)));
+  tr.addEventListener('click', () => onToggle(task.id));
+  tr.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') onToggle(task.id);
+  });
+  return tr;
+}
+
+// ─── Timeline ───────────────────────────────────────────────────────────────
+
+/**
+ * Stage strip: Draft → Submitted → Approved/Rejected → Closed, with the
+ * stages already passed marked done and the task's current stage marked
+ * current.
+ */
+function buildPipeline(task) {
+  const reached = new Set(task.history.map((h) => h.action));
+  const decision = task.status === 'rejected' || reached.has('rejected') ? 'rejected' : 'approved';
+  const currentStage = ['approved', 'rejected'].includes(task.status) ? 'decision' : task.status;
+
+  const ol = document.createElement('ol');
+  ol.className = 'task-timeline__pipeline';
+  PIPELINE.forEach((stage) => {
+    const li = document.createElement('li');
+    li.className = 'task-timeline__stage';
+    li.textContent = stage === 'decision' ? ACTION_LABELS[decision] : STAGE_LABELS[stage];
+
+    const done = stage === 'draft'
+      ? reached.has('created')
+      : stage === 'decision' ? reached.has(decision) : reached.has(stage);
+    if (stage === currentStage) li.classList.add('task-timeline__stage--current');
+    else if (done) li.classList.add('task-timeline__stage--done');
+    if (stage === 'decision' && decision === 'rejected' && done) {
+      li.classList.add('task-timeline__stage--rejected');
+    }
+    ol.appendChild(li);
+  });
+  return ol;
+}
+
+function buildTimeline(task) {
+  const ol = document.createElement('ol');
+  ol.className = 'task-timeline';
+  task.history.forEach((entry) => {
+    const li = document.createElement('li');
+    li.className = `task-timeline__entry task-timeline__entry--${entry.action}`;
+
+    const what = document.createElement('p');
+    what.className = 'task-timeline__action';
+    what.textContent = `${ACTION_LABELS[entry.action] || entry.action} by ${entry.by || 'unknown'}`;
+
+    const when = document.createElement('time');
+    when.className = 'task-timeline__time';
+    when.dateTime = entry.at;
+    when.textContent = formatLocalTimestamp(entry.at);
+
+    li.appendChild(what);
+    li.appendChild(when);
+    if (entry.comment) {
+      const comment = document.createElement('p');
+      comment.className = 'task-timeline__comment';
+      comment.textContent = entry.comment;
+      li.appendChild(comment);
+    }
+    ol.appendChild(li);
+  });
+  return ol;
+}
+
+function buildDetailRow(task, columns) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-visibility__detail';
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  td.colSpan = columns;
+  td.appendChild(buildPipeline(task));
+  td.appendChild(buildTimeline(task));
+  tr.appendChild(td);
+  return tr;
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/visibility.
+ */
+export function initializeTaskVisibility() {
+  const root = document.getElementById('task-visibility');
+  const tbody = document.getElementById('task-visibility-body');
+  const emptyEl = document.getElementById('task-visibility-empty');
+  const statusEl = document.getElementById('task-visibility-status');
+  if (!root || !tbody || !emptyEl || !statusEl) {
+    console.error('[Task Visibility] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Task Visibility] init');
+
+  const columns = root.querySelectorAll('thead th').length;
+  const filters = { statuses: [], types: [] };
+  let openTaskId = null;
+
+  const render = async () => {
+    let mine;
+    try {
+      mine = await listTasks({ requesterSub: currentRequester().sub });
+    } catch (err) {
+      console.error('[Task Visibility] Failed to load tasks:', err);
+      setFormStatus(statusEl, `Could not load tasks: ${err.message}`, 'error');
+      return;
+    }
+    setFormStatus(statusEl, '', null);
+
+    const visible = mine.filter((t) =>
+      (filters.statuses.length === 0 || filters.statuses.includes(t.status))
+      && (filters.types.length === 0 || filters.types.includes(t.type))
+    );
+
+    tbody.innerHTML = '';
+    visible.forEach((task) => {
+      const isOpen = task.id === openTaskId;
+      tbody.appendChild(buildRow(task, isOpen, toggle));
+      if (isOpen) tbody.appendChild(buildDetailRow(task, columns));
+    });
+    emptyEl.hidden = visible.length > 0;
+    emptyEl.textContent = mine.length === 0
+      ? 'You have not submitted any tasks yet.'
+      : 'No tasks match the current filters.';
+  };
+
+  function toggle(id) {
+    openTaskId = openTaskId === id ? null : id;
+    render();
+  }
+
+  // ── Filters ──
+  componentFactory.createMultiSelect('task-visibility-filter-status', {
+    id: 'task-visibility-status-filter',
+    options: TASK_STATUSES.map((s) => ({ value: s, text: STATUS_LABELS[s] })),
+    selectedValues: []
+  }, (values) => {
+    filters.statuses = [...values];
+    render();
+  });
+
+  componentFactory.createMultiSelect('task-visibility-filter-type', {
+    id: 'task-visibility-type-filter',
+    options: Object.entries(TASK_TYPES).map(([value, t]) => ({ value, text: t.label })),
+    selectedValues: []
+  }, (values) => {
+    filters.types = [...values];
+    render();
+  });
+
+  // Live updates; unsubscribe once the page has been swapped out.
+  const unsubscribe = onTasksChanged(() => {
+    if (!root.isConnected) {
+      unsubscribe();
+      return;
+    }
+    render();
+  });
+
+  render();
+}
@@ -0,0 +1,266 @@
+/**
+ * tin-rules.js
+ *
+ * Per-country tax identifier (TIN) registry for the TIN Validations form.
+ * Plays the same role for TINs that country-overrides.js plays for
+ * addresses: the form knows nothing country-specific, it asks this file
+ * which identifiers a country issues, what each is called locally, and how
+ * to check one.
+ *
+ * Shape of a country entry:
+ *   {
+ *     types: [
+ *       {
+ *         key:      string,          // stored identifier type, e.g. 'ein'
+ *         label:    string,          // country-specific label shown in the UI
+ *         example:  string,          // shown in the format error message
+ *         prefix:   string,          // optional — VAT country prefix that is
+ *                                    //   stripped before matching and
+ *                                    //   re-added on normalise (e.g. 'DE')
+ *         pattern:  RegExp,          // matched against the compacted value
+ *         checksum: (value) => bool  // optional — run after the pattern
+ *       },
+ *       ...
+ *     ]
+ *   }
+ *
+ * "Compacted" means upper-cased with spaces, dots, dashes and slashes
+ * removed, so users can type identifiers the way they're printed.
+ */
+
+// ─── Checksum helpers ───────────────────────────────────────────────────────
+
+const digitsOf = (value) => value.split('').map(Number);
+
+// Luhn (mod 10) — Canadian BN, Italian Partita IVA.
+function luhnValid(value) {
+  let sum = 0;
+  digitsOf(value).reverse().forEach((d, i) => {
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  });
+  return sum % 10 === 0;
+}
+
+// Weighted sum of digits against a weight vector (shorter of the two wins).
+function weightedSum(value, weights) {
+  return weights.reduce((acc, w, i) => acc + Number(value[i]) * w, 0);
+}
+
+// Reject strings made of a single repeated digit (000…, 111…) — these pass
+// several mod-11 schemes but are never issued.
+const allSameDigit = (value) => /^(\d)\1+$/.test(value);
+
+// US SSN: area 001-665 / 667-899, group 01-99, serial 0001-9999.
+function ssnValid(value) {
+  const area = Number(value.slice(0, 3));
+  const group = Number(value.slice(3, 5));
+  const serial = Number(value.slice(5));
+  return area !== 0 && area !== 666 && area < 900 && group !== 0 && serial !== 0;
+}
+
+// US EIN: the two-digit campus prefix must be one the IRS assigns.
+const EIN_UNUSED_PREFIXES = new Set([
+  '00', '07', '08', '09', '17', '18', '19', '28', '29', '49', '69', '70', '78', '79', '89', '96', '97'
+]);
+const einValid = (value) => !EIN_UNUSED_PREFIXES.has(value.slice(0, 2));
+
+// US ITIN: starts with 9, digits 4-5 in the IRS-assigned ranges.
+function itinValid(value) {
+  const mid = Number(value.slice(3, 5));
+  return (mid >= 50 && mid <= 65) || (mid >= 70 && mid <= 88)
+    || (mid >= 90 && mid <= 92) || (mid >= 94 && mid <= 99);
+}
+
+// UK UTR: first digit is a check digit over the remaining nine.
+function utrValid(value) {
+  const sum = weightedSum(value.slice(1), [6, 7, 8, 9, 10, 5, 4, 3, 2]);
+  const check = [2, 1, 9, 8, 7, 6, 5, 4, 3, 2, 1][sum % 11];
+  return Number(value[0]) === check;
+}
+
+// UK VAT: weights 8…2 over the first seven digits plus the two check
+// digits must be ≡ 0 (mod 97), or ≡ 0 after adding 55 (post-2010 series).
+function ukVatValid(value) {
+  const total = weightedSum(value, [8, 7, 6, 5, 4, 3, 2]) + Number(value.slice(7, 9));
+  return total % 97 === 0 || (total + 55) % 97 === 0;
+}
+
+// German USt-IdNr.: ISO 7064 MOD 11,10.
+function deVatValid(value) {
+  let product = 10;
+  for (let i = 0; i < 8; i++) {
+    let sum = (Number(value[i]) + product) % 10;
+    if (sum === 0) sum = 10;
+    product = (sum * 2) % 11;
+  }
+  const check = (11 - product) % 10;
+  return check === Number(value[8]);
+}
+
+// Belgian VAT: last two digits = 97 - (first eight mod 97).
+const beVatValid = (value) => 97 - (Number(value.slice(0, 8)) % 97) === Number(value.slice(8));
+
+// French TVA: numeric key = (12 + 3 × (SIREN mod 97)) mod 97. Alphabetic
+// keys (new-style numbers) aren't checkable client-side.
+function frVatValid(value) {
+  if (!/^\d{2}/.test(value)) return true;
+  const siren = Number(value.slice(2));
+  return (12 + 3 * (siren % 97)) % 97 === Number(value.slice(0, 2));
+}
+
+// Polish NIP: weighted mod 11.
+function plVatValid(value) {
+  const check = weightedSum(value, [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11;
+  return check !== 10 && check === Number(value[9]);
+}
+
+// Brazilian CPF: two mod-11 check digits.
+function cpfValid(value) {
+  if (allSameDigit(value)) return false;
+  const checkDigit = (len) => {
+    const weights = Array.from({ length: len }, (_, i) => len + 1 - i);
+    const rem = (weightedSum(value, weights) * 10) % 11;
+    return rem === 10 ? 0 : rem;
+  };
+  return checkDigit(9) === Number(value[9]) && checkDigit(10) === Number(value[10]);
+}
+
+// Brazilian CNPJ: two mod-11 check digits with 5…2,9…2 weights.
+function cnpjValid(value) {
+  if (allSameDigit(value)) return false;
+  const checkDigit = (weights) => {
+    const rem = weightedSum(value, weights) % 11;
+    return rem < 2 ? 0 : 11 - rem;
+  };
+  const w1 = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+  const w2 = [6, ...w1];
+  return checkDigit(w1) === Number(value[12]) && checkDigit(w2) === Number(value[13]);
+}
+
+// Indian GSTIN: base-36 weighted check character (factors alternate 1, 2).
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+function gstinValid(value) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+}
+
+// Australian ABN: subtract 1 from the first digit, weighted sum mod 89.
+function abnValid(value) {
+  const digits = digitsOf(value);
+  digits[0] -= 1;
+  const weights = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+  return digits.reduce((acc, d, i) => acc + d * weights[i], 0) % 89 === 0;
+}
+
+// ─── EU VAT formats (regex-only unless a checksum is listed above) ──────────
+
+const euVat = (prefix, label, pattern, example, checksum = null) => ({
+  key: 'vat', label, prefix, pattern, example, checksum
+});
+
+// ─── Registry ───────────────────────────────────────────────────────────────
+
+export const TIN_RULES = {
+  US: {
+    types: [
+      { key: 'ein', label: 'EIN (Employer Identification Number)', pattern: /^\d{9}$/, example: '12-3456789', checksum: einValid },
+      { key: 'ssn', label: 'SSN (Social Security Number)', pattern: /^\d{9}$/, example: '123-45-6789', checksum: ssnValid },
+      { key: 'itin', label: 'ITIN (Individual Taxpayer ID)', pattern: /^9\d{8}$/, example: '912-70-1234', checksum: itinValid }
+    ]
+  },
+  GB: {
+    types: [
+      { key: 'utr', label: 'UTR (Unique Taxpayer Reference)', pattern: /^\d{10}$/, example: '1234567890', checksum: utrValid },
+      { key: 'vat', label: 'VAT registration number', prefix: 'GB', pattern: /^\d{9}(\d{3})?$/, example: 'GB 123 4567 89', checksum: ukVatValid }
+    ]
+  },
+  AT: { types: [euVat('AT', 'UID-Nummer', /^U\d{8}$/, 'ATU12345678')] },
+  BE: { types: [euVat('BE', 'BTW / TVA number', /^[01]\d{9}$/, 'BE0123456789', beVatValid)] },
+  DE: { types: [euVat('DE', 'USt-IdNr.', /^\d{9}$/, 'DE123456789', deVatValid)] },
+  DK: { types: [euVat('DK', 'CVR / moms number', /^\d{8}$/, 'DK12345678')] },
+  ES: { types: [euVat('ES', 'NIF-IVA', /^[A-Z0-9]\d{7}[A-Z0-9]$/, 'ESX1234567X')] },
+  FI: { types: [euVat('FI', 'ALV-numero', /^\d{8}$/, 'FI12345678')] },
+  FR: { types: [euVat('FR', 'Numéro de TVA', /^[A-HJ-NP-Z0-9]{2}\d{9}$/, 'FR12345678901', frVatValid)] },
+  IE: { types: [euVat('IE', 'VAT number', /^(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/, 'IE1234567WA')] },
+  IT: { types: [euVat('IT', 'Partita IVA', /^\d{11}$/, 'IT12345678901', luhnValid)] },
+  NL: { types: [euVat('NL', 'btw-identificatienummer', /^\d{9}B\d{2}$/, 'NL123456789B01')] },
+  PL: { types: [euVat('PL', 'NIP', /^\d{10}$/, 'PL1234567890', plVatValid)] },
+  PT: { types: [euVat('PT', 'NIF', /^\d{9}$/, 'PT123456789')] },
+  SE: { types: [euVat('SE', 'Momsregistreringsnummer', /^\d{10}01$/, 'SE123456789001')] },
+  IN: {
+    types: [
+      { key: 'pan', label: 'PAN (Permanent Account Number)', pattern: /^[A-Z]{3}[PCHFATBLJG][A-Z]\d{4}[A-Z]$/, example: 'ABCPE1234F' },
+      { key: 'gstin', label: 'GSTIN', pattern: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, example: '27AAPFU0939F1ZV', checksum: gstinValid }
+    ]
+  },
+  BR: {
+    types: [
+      { key: 'cnpj', label: 'CNPJ (company)', pattern: /^\d{14}$/, example: '11.222.333/0001-81', checksum: cnpjValid },
+      { key: 'cpf', label: 'CPF (individual)', pattern: /^\d{11}$/, example: '123.456.789-09', checksum: cpfValid }
+    ]
+  },
+  CA: {
+    types: [
+      { key: 'bn', label: 'Business Number (BN)', pattern: /^\d{9}$/, example: '123456782', checksum: luhnValid }
+    ]
+  },
+  AU: {
+    types: [
+      { key: 'abn', label: 'ABN (Australian Business Number)', pattern: /^\d{11}$/, example: '51 824 753 556', checksum: abnValid }
+    ]
+  },
+  MX: {
+    types: [
+      { key: 'rfc', label: 'RFC (Registro Federal de Contribuyentes)', pattern: /^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/, example: 'ABC680524P76' }
+    ]
+  }
+};
+
+/**
+ * Look up the TIN rules for a country code. Returns `{ types: [] }` if the
+ * country isn't in the registry, so callers can always read `types`.
+ */
+export function getTinRules(code) {
+  return TIN_RULES[code] || { types: [] };
+}
+
+/**
+ * Upper-case and strip the separators people type into tax identifiers.
+ */
+export function compactTin(rawValue) {
+  return String(rawValue || '').replace(/[\s.\-/]/g, '').toUpperCase();
+}
+
+// Strip the VAT country prefix if the user typed it.
+function stripPrefix(type, value) {
+  return type.prefix && value.startsWith(type.prefix) ? value.slice(type.prefix.length) : value;
+}
+
+/**
+ * Build a validator for one identifier type: required → format → checksum.
+ */
+export function makeTinValidator(type) {
+  return (rawValue) => {
+    const value = stripPrefix(type, compactTin(rawValue));
+    if (!value) return 'Required';
+    if (!type.pattern.test(value)) return `Invalid format (e.g. ${type.example})`;
+    if (type.checksum && !type.checksum(value)) return `${type.label.split(' (')[0]} check digit does not match`;
+    return null;
+  };
+}
+
+/**
+ * Canonical stored form: compacted, with the VAT country prefix restored.
+ */
+export function normaliseTin(type, rawValue) {
+  const value = stripPrefix(type, compactTin(rawValue));
+  return type.prefix ? `${type.prefix}${value}` : value;
+}
@@ -0,0 +1,251 @@
+/**
+ * tin-validations.js
+ *
+ * tasks/create/tin-validations — capture a party's tax identifier, validate
+ * it inline against the per-country registry in tin-rules.js (format regex
+ * plus checksum), and submit it as a 'tin-validation' task for approval.
+ *
+ * Layout (top → bottom):
+ *   1. Legal name          floating-label text input
+ *   2. Country             list_floating_label combobox, 'Name (CODE)' —
+ *                          only countries present in TIN_RULES
+ *   3. Identifier type     list_floating_label combobox, repopulated per
+ *                          country with its country-specific labels;
+ *                          auto-selected when the country has only one
+ *   4. Identifier          floating-label text input, labelled with the
+ *                          chosen type and re-rendered when it changes;
+ *                          the value carries over to a type with the same
+ *                          key
+ *
+ * Both comboboxes fire onChange per keystroke; only committed values (an
+ * exact item, or cleared) re-render, so partial text and the blur revert
+ * to the last selection leave the fields below alone.
+ *   5. Submit
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  countryName,
+  setFormStatus,
+  renderSubmitButton
+} from './task-form.js';
+import { TIN_RULES, getTinRules, makeTinValidator, normaliseTin } from './tin-rules.js';
+import { createTask } from './task-repository.js';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+/**
+ * Mount the tax identifier fields — country, identifier type and the
+ * identifier — into `fieldsEl` / `idEl`. Shared by this page and the
+ * vendor onboarding wizard. Field ids are `${idPrefix}-<name>`.
+ *
+ * Returns a controller with the same shape as mountBankSection's:
+ * validate(), getFields(), getValues(), setValues(v), reset().
+ */
+export function mountTinSection({ fieldsEl, idEl, idPrefix = 'tin-field' }) {
+  // ── Country feed ──
+  const nameToCode = new Map();
+  const countryItems = Object.keys(TIN_RULES)
+    .map((code) => ({ code, name: countryName(code) }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ code, name }) => {
+      const display = `${name} (${code})`;
+      nameToCode.set(display, code);
+      return display;
+    });
+
+  // State shared by the change handlers below. `carried` keeps the last
+  // identifier typed, restored when the next type has the same key.
+  const state = { code: null, type: null, idEngine: null, runId: () => 'Required', carried: null };
+
+  // ── Identifier (rendered on type selection) ──
+  const renderIdentifierField = (type) => {
+    if (state.idEngine && state.type) state.carried = { key: state.type.key, value: state.idEngine.getValue() };
+    if (state.idEngine) state.idEngine.destroy();
+    idEl.innerHTML = '';
+    state.type = type;
+    state.idEngine = null;
+    state.runId = () => 'Required';
+    if (!type) return;
+
+    const { row, mountId } = makeEngineRow(`${idPrefix}-identifier`);
+    idEl.appendChild(row);
+    const engine = componentFactory.createTextInputFloatingLabel(mountId, {
+      id: `${idPrefix}-identifier`,
+      label: type.label,
+      placeholder: type.example,
+      expandable: false
+    });
+    if (!engine || !engine.element) {
+      console.error('[TIN Validations] Failed to render identifier field');
+      return;
+    }
+    state.idEngine = engine;
+    state.runId = attachValidator(engine.element, makeTinValidator(type), INVALID_CLASS);
+    if (state.carried && state.carried.key === type.key && state.carried.value) {
+      engine.setValue(state.carried.value);
+      engine.updateLabelFloatedState();
+    }
+  };
+
+  // ── Country + identifier type ──
+  const countryRow = makeEngineRow(`${idPrefix}-country`);
+  countryRow.row.classList.add('task-form__row--combobox');
+  fieldsEl.appendChild(countryRow.row);
+
+  const typeRow = makeEngineRow(`${idPrefix}-type`);
+  typeRow.row.classList.add('task-form__row--combobox');
+  fieldsEl.appendChild(typeRow.row);
+
+  const typeEngine = componentFactory.createListFloatingLabel(typeRow.mountId, {
+    id: `${idPrefix}-type`,
+    label: 'Identifier type',
+    placeholder: 'Identifier type',
+    items: [],
+    onChange: (label) => {
+      const types = getTinRules(state.code).types;
+      if (label !== '' && !types.some((t) => t.label === label)) return;   // still typing
+      const type = types.find((t) => t.label === label) || null;
+      if (type !== state.type) renderIdentifierField(type);
+    }
+  });
+  const runType = attachValidator(
+    typeEngine.element,
+    (value) => (getTinRules(state.code).types.some((t) => t.label === value) ? null : 'Select an identifier type'),
+    INVALID_CLASS
+  );
+
+  const countryEngine = componentFactory.createListFloatingLabel(countryRow.mountId, {
+    id: `${idPrefix}-country`,
+    label: 'Country',
+    placeholder: 'Country',
+    items: countryItems,
+    onChange: (display) => {
+      if (display !== '' && !nameToCode.has(display)) return;   // still typing
+      const code = nameToCode.get(display) || null;
+      if (code === state.code) return;
+      state.code = code;
+      const types = getTinRules(code).types;
+      typeEngine.setItems(types.map((t) => t.label));
+      renderIdentifierField(null);
+      // Single-identifier countries (most EU VAT registries) skip the pick.
+      if (types.length === 1) typeEngine.selectItem(types[0].label);
+    }
+  });
+  const runCountry = attachValidator(
+    countryEngine.element,
+    (value) => (nameToCode.has(value) ? null : 'Select a country'),
+    INVALID_CLASS
+  );
+
+  return {
+    getCountryCode: () => state.code,
+    getType: () => state.type,
+    validate() {
+      return validateAll([runCountry, runType, () => state.runId()]);
+    },
+    getFields() {
+      return [
+        { key: 'taxCountry', label: 'Tax country', value: countryEngine.getValue() },
+        { key: 'tinType', label: 'Identifier type', value: state.type ? state.type.label : '' },
+        { key: 'tin', label: 'Identifier', value: state.type && state.idEngine ? normaliseTin(state.type, state.idEngine.getValue()) : '' }
+      ];
+    },
+    getValues() {
+      return {
+        taxCountry: countryEngine.getValue(),
+        tinType: typeEngine.getValue(),
+        tin: state.idEngine ? state.idEngine.getValue() : ''
+      };
+    },
+    setValues(values = {}) {
+      // Country and type selections re-render synchronously.
+      state.carried = null;
+      countryEngine.selectItem(nameToCode.has(values.taxCountry) ? values.taxCountry : '');
+      if (values.tinType && getTinRules(state.code).types.some((t) => t.label === values.tinType)) {
+        typeEngine.selectItem(values.tinType);
+      }
+      if (state.idEngine) {
+        state.idEngine.setValue(values.tin || '');
+        state.idEngine.updateLabelFloatedState();
+      }
+    },
+    reset() {
+      countryEngine.selectItem('');
+      state.carried = null;
+    }
+  };
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/create/tin-validations.
+ */
+export function initializeTinValidations() {
+  const form = document.getElementById('tin-validation-form');
+  const fieldsEl = document.getElementById('tin-fields');
+  const idEl = document.getElementById('tin-identifier-field');
+  const statusEl = document.getElementById('tin-form-status');
+  if (!form || !fieldsEl || !idEl || !statusEl) {
+    console.error('[TIN Validations] Required DOM nodes missing.');
+    return;
+  }
+  if (form.dataset.initialized === 'true') return;
+  form.dataset.initialized = 'true';
+
+  console.log('[TIN Validations] init');
+
+  // ── 1. Legal name ──
+  const nameRow = makeEngineRow('tin-field-name');
+  fieldsEl.appendChild(nameRow.row);
+  const nameEngine = componentFactory.createTextInputFloatingLabel(nameRow.mountId, {
+    id: 'tin-field-name',
+    label: 'Legal name',
+    placeholder: 'Legal name',
+    expandable: false
+  });
+  const runName = attachValidator(nameEngine.element, makeRequiredValidator(true), INVALID_CLASS);
+
+  // ── 2–4. Country, identifier type, identifier ──
+  const tin = mountTinSection({ fieldsEl, idEl });
+
+  // ── 5. Submit ──
+  const submit = async () => {
+    // Run both so every invalid field lights up at once.
+    const nameOk = !runName();
+    if (!tin.validate() || !nameOk) {
+      setFormStatus(statusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+
+    const legalName = nameEngine.getValue().trim();
+    try {
+      await createTask({
+        type: 'tin-validation',
+        title: `TIN — ${legalName} (${tin.getCountryCode()} ${tin.getType().key.toUpperCase()})`,
+        fields: [
+          { key: 'legalName', label: 'Legal name', value: legalName },
+          ...tin.getFields()
+        ]
+      });
+    } catch (err) {
+      console.error('[TIN Validations] Submit failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+
+    nameEngine.setValue('');
+    nameEngine.updateLabelFloatedState();
+    tin.reset();
+    setFormStatus(statusEl, 'Submitted — the request is now in the Approve queue.', 'success');
+  };
+
+  renderSubmitButton('tin-submit-container', {
+    id: 'tin-submit',
+    text: 'Submit for Validation'
+  }, submit);
+}
@@ -0,0 +1,349 @@
+/**
+ * user-permission-request.js
+ *
+ * tasks/create/user-permission-request — request a project role for
+ * yourself or a colleague, submitted as a 'user-permission-request' task.
+ * Org owners approve it in the Approve queue, which applies the grant
+ * through the API proxy (permission-grants.js).
+ *
+ * Layout (top → bottom):
+ *   1. Request for     combobox — Myself / A colleague
+ *   2. Colleague       combobox of project users (fetchProjectUsers);
+ *                      only for A colleague
+ *   3. Role            combobox of project roles (fetchProjectRoles — the
+ *                      list users/system-roles shows). Roles above the
+ *                      requester's highest role are left out unless they
+ *                      are an admin (canRequestRole).
+ *   4. Justification
+ *   5. Access          combobox — Permanent / Until a date; the latter
+ *                      reveals an expiry calendar
+ *   6. Submit
+ *   7. Approved, not yet applied — for approvers only: approved requests
+ *      whose grant has not been made (e.g. the proxy was unreachable at
+ *      approval time), each with an Apply button.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { isAuthenticated, getUserInfo, getUserRoles, getHighestRole } from '../auth/zitadel-auth.js';
+import { fetchProjectRoles, fetchProjectUsers } from '../api/zitadel-api.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  setFormStatus,
+  renderActionButton,
+  renderSubmitButton
+} from './task-form.js';
+import { createTask, listTasks, currentRequester, onTasksChanged } from './task-repository.js';
+import { canApprove } from './task-types.js';
+import { canRequestRole, isGrantApplied, applyPermissionGrant } from './permission-grants.js';
+import { formatUserDate, getFirstDayIndex } from '../settings/userDatePreferences.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+const FOR_SELF = 'Myself';
+const FOR_COLLEAGUE = 'A colleague';
+const ACCESS_PERMANENT = 'Permanent';
+const ACCESS_UNTIL = 'Until a date';
+
+const MIN_JUSTIFICATION = 20;
+
+const tomorrow = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+};
+
+// yyyy-mm-dd from a local calendar date.
+function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function roleLabel(role) {
+  return role.displayName && role.displayName !== role.key
+    ? `${role.displayName} (${role.key})`
+    : role.key;
+}
+
+function userLabel(user) {
+  return user.preferredLoginName || user.userName || user.displayName || user.email || user.userId;
+}
+
+function validateJustification(raw) {
+  const value = (raw || '').trim();
+  if (!value) return 'Required';
+  if (value.length < MIN_JUSTIFICATION) return `At least ${MIN_JUSTIFICATION} characters`;
+  return null;
+}
+
+// ─── Approved, not yet applied ─────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+async function renderPendingGrants(tbody, emptyEl, statusEl) {
+  let approved;
+  try {
+    approved = await listTasks({ type: 'user-permission-request', status: 'approved' });
+  } catch (err) {
+    console.error('[Permission Request] Failed to load approved requests:', err);
+    setFormStatus(statusEl, `Could not load approved requests: ${err.message}`, 'error');
+    return;
+  }
+  const pending = approved.filter((t) => t.data && !isGrantApplied(t));
+
+  tbody.innerHTML = '';
+  emptyEl.hidden = pending.length > 0;
+  pending.forEach((task) => {
+    const tr = document.createElement('tr');
+    tr.className = 'table-body-row';
+    tr.appendChild(textCell(formatLocalTimestamp(task.updatedAt)));
+    tr.appendChild(textCell(task.data.userName || task.data.userId));
+    tr.appendChild(textCell(task.data.roleKey));
+    tr.appendChild(textCell(task.data.expiresOn || 'Permanent'));
+
+    const actionTd = textCell('');
+    const slot = document.createElement('div');
+    slot.id = `permission-apply-${task.id}`;
+    actionTd.querySelector('.cell-fit').replaceChildren(slot);
+    tr.appendChild(actionTd);
+    tbody.appendChild(tr);
+
+    renderActionButton(slot.id, { id: `${slot.id}-btn`, text: 'Apply' }, async () => {
+      try {
+        await applyPermissionGrant(task.id);
+        setFormStatus(statusEl, `Granted ${task.data.roleKey} to ${task.data.userName}.`, 'success');
+      } catch (err) {
+        console.error('[Permission Request] Apply failed:', err);
+        setFormStatus(statusEl, err.message, 'error');
+      }
+    });
+  });
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/create/user-permission-request.
+ */
+export async function initializeUserPermissionRequest() {
+  const form = document.getElementById('permission-request-form');
+  const fieldsEl = document.getElementById('permission-request-fields');
+  const expiryEl = document.getElementById('permission-request-expiry');
+  const hintEl = document.getElementById('permission-request-role-hint');
+  const statusEl = document.getElementById('permission-request-form-status');
+  const pendingEl = document.getElementById('permission-request-pending');
+  const pendingBody = document.getElementById('permission-request-pending-body');
+  const pendingEmptyEl = document.getElementById('permission-request-pending-empty');
+  const pendingStatusEl = document.getElementById('permission-request-pending-status');
+  if (!form || !fieldsEl || !expiryEl || !hintEl || !statusEl
+    || !pendingEl || !pendingBody || !pendingEmptyEl || !pendingStatusEl) {
+    console.error('[Permission Request] Required DOM nodes missing.');
+    return;
+  }
+  if (form.dataset.initialized === 'true') return;
+  form.dataset.initialized = 'true';
+
+  console.log('[Permission Request] init');
+
+  if (!isAuthenticated()) {
+    setFormStatus(statusEl, 'Sign in to request permissions.', 'error');
+    return;
+  }
+
+  let roles = [];
+  let users = [];
+  try {
+    [roles, users] = await Promise.all([
+      fetchProjectRoles(),
+      fetchProjectUsers().catch((err) => {
+        // Without the user list only "Myself" requests are possible.
+        console.warn('[Permission Request] Could not load users:', err);
+        return [];
+      })
+    ]);
+  } catch (err) {
+    console.error('[Permission Request] Failed to load roles:', err);
+    setFormStatus(statusEl, `Could not load roles: ${err.message}`, 'error');
+    return;
+  }
+
+  const me = getUserInfo() || {};
+  const requestable = roles.filter((r) => canRequestRole(r.key));
+  const roleByLabel = new Map(requestable.map((r) => [roleLabel(r), r]));
+  const userByLabel = new Map(users
+    .filter((u) => u.userId !== me.sub)
+    .map((u) => [userLabel(u), u]));
+
+  const hidden = roles.length - requestable.length;
+  hintEl.hidden = hidden === 0;
+  hintEl.textContent = `${hidden} role${hidden === 1 ? ' is' : 's are'} above your highest role (${getHighestRole() || 'none'}) and cannot be requested.`;
+
+  const state = { forSelf: true, expires: false, expiryDate: tomorrow() };
+
+  const addCombobox = (id, label, items, onChange, extra = {}) => {
+    const { row, mountId } = makeEngineRow(id);
+    row.classList.add('task-form__row--combobox');
+    fieldsEl.appendChild(row);
+    return componentFactory.createListFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder: label,
+      items,
+      onChange,
+      ...extra
+    });
+  };
+
+  // The selected user's current role keys, for the already-has-role check.
+  const targetRoleKeys = () => {
+    if (state.forSelf) return getUserRoles();
+    const user = userByLabel.get(colleagueEngine.getValue());
+    return user ? user.roleKeys || [] : [];
+  };
+
+  // ── 1. Request for ──
+  const forEngine = addCombobox('permission-request-for', 'Request for', [FOR_SELF, FOR_COLLEAGUE], (value) => {
+    state.forSelf = value !== FOR_COLLEAGUE;
+    colleagueRow.hidden = state.forSelf;
+    if (state.forSelf) colleagueEngine.selectItem('');
+  }, { value: FOR_SELF });
+
+  // ── 2. Colleague ──
+  const colleagueEngine = addCombobox(
+    'permission-request-user',
+    'Colleague',
+    Array.from(userByLabel.keys()).sort((a, b) => a.localeCompare(b)),
+    () => { if (roleEngine.getValue()) runRole(); }
+  );
+  const colleagueRow = colleagueEngine.element.closest('.task-form__row');
+  colleagueRow.hidden = true;
+  const runColleague = attachValidator(
+    colleagueEngine.element,
+    (value) => (state.forSelf || userByLabel.has(value) ? null : 'Select a colleague'),
+    INVALID_CLASS
+  );
+
+  // ── 3. Role ──
+  const roleEngine = addCombobox(
+    'permission-request-role',
+    'Role',
+    Array.from(roleByLabel.keys()),
+    null
+  );
+  const runRole = attachValidator(
+    roleEngine.element,
+    (value) => {
+      const role = roleByLabel.get(value);
+      if (!role) return 'Select a role';
+      if (targetRoleKeys().includes(role.key)) {
+        return state.forSelf ? 'You already have this role' : 'They already have this role';
+      }
+      return null;
+    },
+    INVALID_CLASS
+  );
+
+  // ── 4. Justification ──
+  const justificationRow = makeEngineRow('permission-request-justification');
+  fieldsEl.appendChild(justificationRow.row);
+  const justificationEngine = componentFactory.createTextInputFloatingLabel(justificationRow.mountId, {
+    id: 'permission-request-justification',
+    label: 'Justification',
+    placeholder: 'Why is this role needed?',
+    expandable: false
+  });
+  const runJustification = attachValidator(justificationEngine.element, validateJustification, INVALID_CLASS);
+
+  // ── 5. Access (optional expiry) ──
+  const accessEngine = addCombobox('permission-request-access', 'Access', [ACCESS_PERMANENT, ACCESS_UNTIL], (value) => {
+    state.expires = value === ACCESS_UNTIL;
+    expiryEl.hidden = !state.expires;
+  }, { value: ACCESS_PERMANENT });
+
+  componentFactory.createCalendarPicker('permission-request-expiry-date', {
+    id: 'permission-request-expiry-date-picker',
+    label: 'Expires on',
+    defaultDate: state.expiryDate,
+    minDate: tomorrow(),
+    firstDayOfWeek: getFirstDayIndex(),
+    expandable: false,
+    onChange: (date) => {
+      state.expiryDate = date;
+    }
+  });
+  expiryEl.hidden = true;
+
+  // ── 6. Submit ──
+  const submit = async () => {
+    if (!validateAll([runColleague, runRole, runJustification])) {
+      setFormStatus(statusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+
+    const role = roleByLabel.get(roleEngine.getValue());
+    const colleague = state.forSelf ? null : userByLabel.get(colleagueEngine.getValue());
+    const userId = colleague ? colleague.userId : me.sub;
+    const userName = colleague ? userLabel(colleague) : currentRequester().name;
+    const expiresOn = state.expires ? isoDate(state.expiryDate) : null;
+
+    try {
+      const open = await listTasks({ type: 'user-permission-request', status: ['draft', 'submitted'] });
+      if (open.some((t) => t.data && t.data.userId === userId && t.data.roleKey === role.key)) {
+        setFormStatus(statusEl, `A request for ${role.key} for ${userName} is already awaiting approval.`, 'error');
+        return;
+      }
+
+      await createTask({
+        type: 'user-permission-request',
+        title: `Role ${role.key} for ${userName}`,
+        fields: [
+          { key: 'requestFor', label: 'Request for', value: state.forSelf ? FOR_SELF : FOR_COLLEAGUE },
+          { key: 'userName', label: 'User', value: userName },
+          { key: 'role', label: 'Role', value: roleLabel(role) },
+          { key: 'justification', label: 'Justification', value: justificationEngine.getValue().trim() },
+          { key: 'expiresOn', label: 'Expires', value: expiresOn ? formatUserDate(state.expiryDate) : 'Permanent' }
+        ],
+        data: { userId, userName, roleKey: role.key, expiresOn }
+      });
+    } catch (err) {
+      console.error('[Permission Request] Submit failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+
+    roleEngine.selectItem('');
+    justificationEngine.setValue('');
+    justificationEngine.updateLabelFloatedState();
+    forEngine.selectItem(FOR_SELF);
+    accessEngine.selectItem(ACCESS_PERMANENT);
+    setFormStatus(statusEl, 'Submitted — the request is now in the Approve queue.', 'success');
+  };
+
+  renderSubmitButton('permission-request-submit-container', {
+    id: 'permission-request-submit',
+    text: 'Submit Permission Request'
+  }, submit);
+
+  // ── 7. Approved, not yet applied (approvers only) ──
+  if (!canApprove('user-permission-request')) return;
+  pendingEl.hidden = false;
+  const unsubscribe = onTasksChanged(() => {
+    if (!form.isConnected) {
+      unsubscribe();
+      return;
+    }
+    renderPendingGrants(pendingBody, pendingEmptyEl, pendingStatusEl);
+  });
+  renderPendingGrants(pendingBody, pendingEmptyEl, pendingStatusEl);
+}
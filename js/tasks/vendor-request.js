@@ -0,0 +1,439 @@
+/**
+ * vendor-request.js
+ *
+ * tasks/create/vendor-request — multi-step vendor onboarding wizard,
+ * submitted as a 'vendor-request' task. Approved vendor requests feed the
+ * vendor suggestions on the payment-terms form (field key 'vendorName').
+ *
+ * Steps:
+ *   1. Vendor        legal name, trading name
+ *   2. Address       street lines + the address-validations country /
+ *                    region / city / postal flow (mountAddressSection)
+ *   3. Bank details  holder, bank country, scheme fields (mountBankSection)
+ *   4. Tax ID        country, identifier type, identifier (mountTinSection)
+ *   5. Contacts      primary contact and accounts-payable email
+ *   6. Review        every step's values, each with an Edit button
+ *
+ * Next validates the current step before moving on; the step indicator
+ * only jumps back to steps already reached. Save draft stores the values
+ * as a 'draft' task (updated in place on later saves), and the wizard
+ * offers to resume the user's latest draft when it opens. Submitting a
+ * draft moves it to 'submitted'.
+ *
+ * Every step is mounted up front — hidden steps stay laid out (see
+ * .task-wizard__panel) so the engines can measure their containers — and
+ * drafts restore straight into the step controllers.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  setFormStatus,
+  renderActionButton,
+  renderSubmitButton
+} from './task-form.js';
+import {
+  createTask,
+  listTasks,
+  updateTask,
+  transitionTask,
+  currentRequester
+} from './task-repository.js';
+import { mountAddressSection } from './address-validations.js';
+import { mountBankSection } from './bank-validations.js';
+import { mountTinSection } from './tin-validations.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+const STEPS = [
+  { key: 'vendor',   label: 'Vendor' },
+  { key: 'address',  label: 'Address' },
+  { key: 'bank',     label: 'Bank details' },
+  { key: 'tax',      label: 'Tax ID' },
+  { key: 'contacts', label: 'Contacts' },
+  { key: 'review',   label: 'Review' }
+];
+const REVIEW_INDEX = STEPS.length - 1;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?[0-9 ()\-.]{7,20}$/;
+
+function makeEmailValidator({ required = true } = {}) {
+  return (raw) => {
+    const value = (raw || '').trim();
+    if (!value) return required ? 'Required' : null;
+    return EMAIL_PATTERN.test(value) ? null : 'Enter a valid email address';
+  };
+}
+
+function validatePhone(raw) {
+  const value = (raw || '').trim();
+  if (!value) return null;
+  return PHONE_PATTERN.test(value) ? null : 'Enter a valid phone number';
+}
+
+/**
+ * Render a list of plain text fields into `parent` and return a step
+ * controller for them. `specs` is [{ key, label, placeholder, validator? }];
+ * fields without a validator are optional. Empty optional fields are left
+ * out of getFields().
+ */
+function mountTextSection(parent, idPrefix, specs) {
+  const fields = specs.map((spec) => {
+    const id = `${idPrefix}-${spec.key}`;
+    const { row, mountId } = makeEngineRow(id);
+    parent.appendChild(row);
+    const engine = componentFactory.createTextInputFloatingLabel(mountId, {
+      id,
+      label: spec.label,
+      placeholder: spec.placeholder || spec.label,
+      expandable: false
+    });
+    const run = spec.validator
+      ? attachValidator(engine.element, spec.validator, INVALID_CLASS)
+      : () => null;
+    return { ...spec, engine, run };
+  });
+
+  return {
+    validate: () => validateAll(fields.map((f) => f.run)),
+    getFields: () => fields
+      .map(({ key, label, engine }) => ({ key, label, value: engine.getValue().trim() }))
+      .filter((f) => f.value),
+    getValues: () => Object.fromEntries(fields.map(({ key, engine }) => [key, engine.getValue()])),
+    setValues(values = {}) {
+      fields.forEach(({ key, engine }) => {
+        engine.setValue(values[key] || '');
+        engine.updateLabelFloatedState();
+      });
+    },
+    reset() {
+      fields.forEach(({ engine }) => {
+        engine.setValue('');
+        engine.updateLabelFloatedState();
+      });
+    }
+  };
+}
+
+/**
+ * Address step: street lines above the shared address section. The
+ * address section loads its country list asynchronously, so this resolves
+ * once it is ready.
+ */
+async function mountAddressStep(streetEl, fieldsEl) {
+  const street = mountTextSection(streetEl, 'vendor-address', [
+    { key: 'addressLine1', label: 'Street address', validator: makeRequiredValidator(true) },
+    { key: 'addressLine2', label: 'Street address line 2 (optional)', placeholder: 'Suite, unit, building' }
+  ]);
+  const address = await mountAddressSection({ countryContainerId: 'vendor-address-country', fieldsEl });
+
+  return {
+    async validate() {
+      const streetOk = street.validate();
+      return (await address.validate()) && streetOk;
+    },
+    getFields: () => [...street.getFields(), ...address.getFields()],
+    getValues: () => ({ ...street.getValues(), ...address.getValues() }),
+    async setValues(values = {}) {
+      street.setValues(values);
+      await address.setValues(values);
+    },
+    reset() {
+      street.reset();
+      address.reset();
+    }
+  };
+}
+
+function renderReview(reviewEl, sections, goTo) {
+  reviewEl.innerHTML = '';
+  STEPS.slice(0, REVIEW_INDEX).forEach((step, index) => {
+    const section = document.createElement('section');
+    section.className = 'task-wizard__review-section';
+
+    const header = document.createElement('div');
+    header.className = 'task-wizard__review-header';
+    const h3 = document.createElement('h3');
+    h3.textContent = step.label;
+    header.appendChild(h3);
+    const editMount = document.createElement('div');
+    editMount.id = `vendor-review-edit-${step.key}`;
+    header.appendChild(editMount);
+    section.appendChild(header);
+
+    const dl = document.createElement('dl');
+    dl.className = 'task-form__preview';
+    const fields = sections[step.key].getFields();
+    if (fields.length === 0) {
+      const p = document.createElement('p');
+      p.className = 'task-form__hint';
+      p.textContent = 'Nothing entered.';
+      section.appendChild(p);
+    }
+    fields.forEach(({ label, value }) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      dl.appendChild(dt);
+      dl.appendChild(dd);
+    });
+    section.appendChild(dl);
+    reviewEl.appendChild(section);
+
+    renderActionButton(editMount.id, { id: `vendor-review-edit-${step.key}-btn`, text: 'Edit' }, () => goTo(index));
+  });
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for tasks/create/vendor-request.
+ */
+export async function initializeVendorRequest() {
+  const form = document.getElementById('vendor-request-form');
+  const stepsEl = document.getElementById('vendor-request-steps');
+  const resumeEl = document.getElementById('vendor-request-resume');
+  const reviewEl = document.getElementById('vendor-review');
+  const backEl = document.getElementById('vendor-request-back');
+  const nextEl = document.getElementById('vendor-request-next');
+  const submitEl = document.getElementById('vendor-request-submit-container');
+  const statusEl = document.getElementById('vendor-request-form-status');
+  const panels = Array.from(document.querySelectorAll('#vendor-request-form .task-wizard__panel'));
+  if (!form || !stepsEl || !resumeEl || !reviewEl || !backEl || !nextEl || !submitEl || !statusEl
+    || panels.length !== STEPS.length) {
+    console.error('[Vendor Request] Required DOM nodes missing.');
+    return;
+  }
+  if (form.dataset.initialized === 'true') return;
+  form.dataset.initialized = 'true';
+
+  console.log('[Vendor Request] init');
+
+  const state = {
+    step: 0,
+    reached: 0,        // furthest step validated into
+    draftId: null,
+    busy: false        // a validation or save is in flight
+  };
+
+  // ── Steps 1–5 ──
+  const sections = {
+    vendor: mountTextSection(document.getElementById('vendor-vendor-fields'), 'vendor-field', [
+      { key: 'vendorName', label: 'Legal name', validator: makeRequiredValidator(true) },
+      { key: 'tradingName', label: 'Trading name (optional)', placeholder: 'Trading name' }
+    ]),
+    bank: mountBankSection({
+      commonEl: document.getElementById('vendor-bank-common'),
+      schemeEl: document.getElementById('vendor-bank-scheme'),
+      idPrefix: 'vendor-bank'
+    }),
+    tax: mountTinSection({
+      fieldsEl: document.getElementById('vendor-tax-fields'),
+      idEl: document.getElementById('vendor-tax-identifier'),
+      idPrefix: 'vendor-tin'
+    }),
+    contacts: mountTextSection(document.getElementById('vendor-contact-fields'), 'vendor-contact', [
+      { key: 'contactName', label: 'Contact name', validator: makeRequiredValidator(true) },
+      { key: 'contactEmail', label: 'Contact email', placeholder: 'name@vendor.com', validator: makeEmailValidator() },
+      { key: 'contactPhone', label: 'Contact phone (optional)', placeholder: '+1 555 010 0000', validator: validatePhone },
+      { key: 'apEmail', label: 'Accounts payable email (optional)', placeholder: 'ap@vendor.com', validator: makeEmailValidator({ required: false }) }
+    ])
+  };
+  try {
+    sections.address = await mountAddressStep(
+      document.getElementById('vendor-address-street'),
+      document.getElementById('vendor-address-fields')
+    );
+  } catch (err) {
+    console.error('[Vendor Request] Address step failed to load:', err);
+    setFormStatus(statusEl, `Could not load the address form: ${err.message}`, 'error');
+    return;
+  }
+
+  // ── Step indicator + navigation ──
+  const renderStepIndicator = () => {
+    stepsEl.innerHTML = '';
+    STEPS.forEach((step, index) => {
+      const li = document.createElement('li');
+      li.className = 'task-wizard__step';
+      if (index === state.step) {
+        li.classList.add('task-wizard__step--current');
+        li.setAttribute('aria-current', 'step');
+      } else if (index < state.reached) {
+        li.classList.add('task-wizard__step--done');
+      }
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'task-wizard__step-button';
+      button.textContent = `${index + 1}. ${step.label}`;
+      button.disabled = index > state.reached || index === state.step;
+      button.addEventListener('click', () => goTo(index));
+      li.appendChild(button);
+      stepsEl.appendChild(li);
+    });
+  };
+
+  const goTo = (index) => {
+    state.step = index;
+    panels.forEach((panel, i) => panel.classList.toggle('task-wizard__panel--active', i === index));
+    if (index === REVIEW_INDEX) renderReview(reviewEl, sections, goTo);
+    nextEl.hidden = index === REVIEW_INDEX;
+    submitEl.hidden = index !== REVIEW_INDEX;
+    backEl.hidden = index === 0;
+    renderStepIndicator();
+    setFormStatus(statusEl, '', null);
+  };
+
+  const next = async () => {
+    if (state.busy) return;
+    state.busy = true;
+    const ok = await sections[STEPS[state.step].key].validate();
+    state.busy = false;
+    if (!ok) {
+      setFormStatus(statusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+    state.reached = Math.max(state.reached, state.step + 1);
+    goTo(state.step + 1);
+  };
+
+  renderActionButton('vendor-request-back', { id: 'vendor-request-back-btn', text: 'Back' }, () => {
+    if (state.step > 0) goTo(state.step - 1);
+  });
+  renderActionButton('vendor-request-next', { id: 'vendor-request-next-btn', text: 'Next' }, next);
+
+  // ── Drafts ──
+  const collectValues = () => Object.fromEntries(
+    STEPS.slice(0, REVIEW_INDEX).map((s) => [s.key, sections[s.key].getValues()])
+  );
+
+  const collectFields = () => STEPS.slice(0, REVIEW_INDEX).flatMap((s) => sections[s.key].getFields());
+
+  const taskTitle = () => {
+    const name = sections.vendor.getValues().vendorName.trim();
+    return `Vendor request — ${name || 'Untitled vendor'}`;
+  };
+
+  const saveDraft = async () => {
+    if (state.busy) return;
+    state.busy = true;
+    const changes = {
+      title: taskTitle(),
+      fields: collectFields(),
+      data: { step: state.step, reached: state.reached, values: collectValues() }
+    };
+    try {
+      if (state.draftId) {
+        await updateTask(state.draftId, changes);
+      } else {
+        const task = await createTask({ type: 'vendor-request', status: 'draft', ...changes });
+        state.draftId = task.id;
+      }
+      setFormStatus(statusEl, 'Draft saved.', 'success');
+    } catch (err) {
+      console.error('[Vendor Request] Save draft failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+    } finally {
+      state.busy = false;
+    }
+  };
+
+  renderActionButton('vendor-request-draft', { id: 'vendor-request-draft-btn', text: 'Save draft' }, saveDraft);
+
+  const resumeDraft = async (draft) => {
+    const { values = {}, step = 0, reached = 0 } = draft.data || {};
+    for (const s of STEPS.slice(0, REVIEW_INDEX)) {
+      await sections[s.key].setValues(values[s.key] || {});
+    }
+    state.draftId = draft.id;
+    state.reached = reached;
+    goTo(Math.min(step, reached));
+  };
+
+  // Offer the user's latest draft, if any.
+  const offerDraft = async () => {
+    let drafts = [];
+    try {
+      drafts = await listTasks({ type: 'vendor-request', status: 'draft', requesterSub: currentRequester().sub });
+    } catch (err) {
+      console.warn('[Vendor Request] Could not load drafts:', err);
+    }
+    const latest = drafts.slice().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+    if (!latest) return;
+
+    resumeEl.querySelector('.task-wizard__resume-text').textContent =
+      `You have a draft saved ${formatLocalTimestamp(latest.updatedAt)}: ${latest.title}.`;
+    resumeEl.hidden = false;
+    renderActionButton('vendor-request-resume-open', { id: 'vendor-request-resume-btn', text: 'Resume draft' }, async () => {
+      resumeEl.hidden = true;
+      try {
+        await resumeDraft(latest);
+        setFormStatus(statusEl, 'Draft restored.', 'success');
+      } catch (err) {
+        console.error('[Vendor Request] Resume failed:', err);
+        setFormStatus(statusEl, `Could not restore the draft: ${err.message}`, 'error');
+      }
+    });
+    renderActionButton('vendor-request-resume-dismiss', { id: 'vendor-request-dismiss-btn', text: 'Start new' }, () => {
+      resumeEl.hidden = true;
+    });
+  };
+
+  // ── Submit (review step) ──
+  const resetWizard = () => {
+    Object.values(sections).forEach((section) => section.reset());
+    state.draftId = null;
+    state.reached = 0;
+    goTo(0);
+  };
+
+  const submit = async () => {
+    if (state.busy) return;
+    state.busy = true;
+    // Re-check every step — a draft may predate a validation rule.
+    let firstInvalid = -1;
+    for (let i = 0; i < REVIEW_INDEX; i++) {
+      if (!(await sections[STEPS[i].key].validate()) && firstInvalid === -1) firstInvalid = i;
+    }
+    state.busy = false;
+    if (firstInvalid !== -1) {
+      goTo(firstInvalid);
+      setFormStatus(statusEl, `Please fix the highlighted fields in ${STEPS[firstInvalid].label}.`, 'error');
+      return;
+    }
+
+    const changes = {
+      title: taskTitle(),
+      fields: collectFields(),
+      data: { values: collectValues() }
+    };
+    try {
+      if (state.draftId) {
+        await transitionTask(state.draftId, 'submitted', { changes });
+      } else {
+        await createTask({ type: 'vendor-request', ...changes });
+      }
+    } catch (err) {
+      console.error('[Vendor Request] Submit failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+
+    resetWizard();
+    setFormStatus(statusEl, 'Submitted — the request is now in the Approve queue.', 'success');
+  };
+
+  renderSubmitButton('vendor-request-submit-container', {
+    id: 'vendor-request-submit',
+    text: 'Submit Vendor Request'
+  }, submit);
+
+  goTo(0);
+  offerDraft();
+}
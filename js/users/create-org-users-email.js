@@ -0,0 +1,358 @@
+/**
+ * create-org-users-email.js
+ *
+ * users/create-org-users-email — invite many organisation users at once
+ * from a pasted list of addresses.
+ *
+ *   1. The list may be separated by commas, semicolons, new lines or
+ *      spaces, and entries may be written "Name <email>" (quoted names may
+ *      contain commas). It is parsed as it is typed; repeated addresses are
+ *      dropped.
+ *   2. Each address is checked: format, already a project user
+ *      (fetchProjectUsers), and a first and last name — taken from the
+ *      "Name <…>" part, or from a local part such as jane.doe.
+ *   3. Every ready address gets the chosen default role (at or below the
+ *      sender's own) and is created through POST /users in batches of
+ *      BATCH_SIZE, with each address's progress and failure reason shown.
+ *
+ * The single-user form (create-org-users.js) covers phone numbers and
+ * anything else per person.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { getHighestRole, hasMinimumRole, ROLE_HIERARCHY } from '../auth/zitadel-auth.js';
+import { fetchProjectRoles, fetchProjectUsers, createOrgUser } from '../api/zitadel-api.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  setFormStatus,
+  renderSubmitButton
+} from '../tasks/task-form.js';
+
+// Mirrored by USER_ADMIN_ROLE in lambda/zitadel-proxy/lambda_function.py
+const USER_ADMIN_ROLE = '05_org_admin';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Invites sent together; the next batch starts when this one settles.
+const BATCH_SIZE = 5;
+
+const ENTRY_STATES = {
+  ready:        'Ready',
+  invalid:      'Invalid',
+  exists:       'Already a user',
+  'needs-name': 'Needs a name',
+  sending:      'Sending…',
+  invited:      'Invited',
+  failed:       'Failed'
+};
+
+// Roles outside ROLE_HIERARCHY rank with 06_guest_user (as on the proxy).
+const roleRank = (key) => Math.max(ROLE_HIERARCHY.indexOf(key), 0);
+
+const fold = (text) => String(text || '').trim().toLowerCase();
+
+const capitalise = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// ─── Parsing ────────────────────────────────────────────────────────────────
+
+/**
+ * Split free-form text into { name, email } entries. Separators inside
+ * quotes or <…> are part of the entry.
+ */
+function parseAddressList(text) {
+  const tokens = [];
+  let current = '';
+  let quoted = false;
+  let bracketed = false;
+  for (const char of String(text || '')) {
+    if (char === '"') quoted = !quoted;
+    else if (char === '<' && !quoted) bracketed = true;
+    else if (char === '>' && !quoted) bracketed = false;
+    if (!quoted && !bracketed && /[,;\n\r]/.test(char)) {
+      tokens.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  tokens.push(current);
+
+  const entries = [];
+  tokens.forEach((token) => {
+    const trimmed = token.trim();
+    if (!trimmed) return;
+    const named = trimmed.match(/^(.*?)\s*<([^>]*)>\s*$/);
+    if (named) {
+      entries.push({ name: named[1].replace(/^"|"$/g, '').trim(), email: named[2].trim() });
+      return;
+    }
+    // Bare addresses may also be separated by spaces.
+    trimmed.split(/\s+/).forEach((email) => entries.push({ name: '', email }));
+  });
+  return entries;
+}
+
+/**
+ * First and last name from "Name <…>" ("Last, First" too), or from a local
+ * part such as jane.doe / jane_doe. Null when only one name can be found.
+ */
+function namesFor(entry) {
+  const [last, first] = entry.name.split(',').map((part) => part.trim());
+  if (first && last) return { firstName: first, lastName: last };
+  const words = entry.name
+    ? entry.name.split(/\s+/)
+    : entry.email.split('@')[0].split(/[._-]+/).filter((w) => /^[a-z]+$/i.test(w)).map(capitalise);
+  if (words.length < 2) return null;
+  return { firstName: words.slice(0, -1).join(' '), lastName: words[words.length - 1] };
+}
+
+// "[Zitadel API] 400: {"error": "..."}" → the proxy's message.
+function failureReason(err) {
+  const match = String(err.message).match(/^\[Zitadel API\] \d+: (.*)$/s);
+  if (!match) return err.message;
+  try {
+    return JSON.parse(match[1]).error || match[1];
+  } catch {
+    return match[1];
+  }
+}
+
+/**
+ * Parse, de-duplicate and check the list. Returns { entries, duplicates }.
+ */
+function checkEntries(text, users) {
+  const existing = new Set(users.map((u) => fold(u.email)));
+  const seen = new Set();
+  let duplicates = 0;
+  const entries = [];
+  parseAddressList(text).forEach((parsed) => {
+    const key = fold(parsed.email);
+    if (seen.has(key)) {
+      duplicates += 1;
+      return;
+    }
+    seen.add(key);
+    const entry = { ...parsed, email: parsed.email.trim(), names: null, state: 'ready', reason: '' };
+    if (!EMAIL_PATTERN.test(entry.email)) {
+      entry.state = 'invalid';
+      entry.reason = 'Not a valid email address';
+    } else if (existing.has(key)) {
+      entry.state = 'exists';
+      entry.reason = 'Already on the project';
+    } else {
+      entry.names = namesFor(entry);
+      if (!entry.names) {
+        entry.state = 'needs-name';
+        entry.reason = `Write it as "First Last <${entry.email}>"`;
+      }
+    }
+    entries.push(entry);
+  });
+  return { entries, duplicates };
+}
+
+// ─── Rows ───────────────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function badgeCell(entry) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const badge = document.createElement('span');
+  badge.className = `bulk-upload__badge bulk-upload__badge--${entry.state}`;
+  badge.textContent = ENTRY_STATES[entry.state];
+  td.appendChild(badge);
+  return td;
+}
+
+function buildRow(entry, index) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row';
+  if (entry.state === 'invalid' || entry.state === 'failed') tr.classList.add('bulk-upload__row--invalid');
+  tr.appendChild(textCell(String(index + 1)));
+  tr.appendChild(textCell(entry.names ? `${entry.names.firstName} ${entry.names.lastName}` : entry.name || '—'));
+  tr.appendChild(textCell(entry.email));
+  tr.appendChild(badgeCell(entry));
+  tr.appendChild(textCell(entry.reason));
+  return tr;
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for users/create-org-users-email.
+ */
+export function initializeCreateOrgUsersEmail() {
+  const root = document.getElementById('bulk-invite');
+  const formEl = document.getElementById('bulk-invite-form');
+  const fieldsEl = document.getElementById('bulk-invite-fields');
+  const previewEl = document.getElementById('bulk-invite-preview');
+  const summaryEl = document.getElementById('bulk-invite-summary');
+  const tbody = document.getElementById('bulk-invite-body');
+  const statusEl = document.getElementById('bulk-invite-status');
+  if (!root || !formEl || !fieldsEl || !previewEl || !summaryEl || !tbody || !statusEl) {
+    console.error('[Bulk Invite] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Bulk Invite] init');
+
+  if (!hasMinimumRole(USER_ADMIN_ROLE)) {
+    formEl.hidden = true;
+    setFormStatus(statusEl, `Inviting users requires the ${USER_ADMIN_ROLE} role or higher.`, 'error');
+    return;
+  }
+
+  const highestRole = getHighestRole();
+  let users = [];           // current project users, for the "already a user" check
+  let roles = [];           // { key, displayName } the sender may assign
+  let entries = [];
+  let duplicates = 0;
+  let sending = false;
+
+  const renderSummary = () => {
+    const count = (state) => entries.filter((e) => e.state === state).length;
+    const parts = [`${entries.length} addresses`];
+    Object.keys(ENTRY_STATES).forEach((state) => {
+      if (count(state)) parts.push(`${count(state)} ${ENTRY_STATES[state].toLowerCase()}`);
+    });
+    if (duplicates) parts.push(`${duplicates} repeated address${duplicates === 1 ? '' : 'es'} removed`);
+    summaryEl.textContent = `${parts.join(' · ')}.`;
+  };
+
+  const renderTable = () => {
+    tbody.innerHTML = '';
+    entries.forEach((entry, i) => tbody.appendChild(buildRow(entry, i)));
+    previewEl.hidden = entries.length === 0;
+    renderSummary();
+  };
+
+  const recheck = () => {
+    if (sending) return;
+    ({ entries, duplicates } = checkEntries(listEngine.getValue(), users));
+    renderTable();
+  };
+
+  // ── Address list ──
+  const listRow = makeEngineRow('bulk-invite-list');
+  fieldsEl.appendChild(listRow.row);
+  const listEngine = componentFactory.createTextInputFloatingLabel(listRow.mountId, {
+    id: 'bulk-invite-list',
+    label: 'Email addresses',
+    placeholder: 'jane.doe@company.com, "Smith, John" <john@company.com>',
+    multiline: true,
+    expandable: true,
+    maxHeight: '40vh',
+    onChange: recheck
+  });
+
+  // ── Default role ──
+  const roleRow = makeEngineRow('bulk-invite-role');
+  roleRow.row.classList.add('task-form__row--combobox');
+  fieldsEl.appendChild(roleRow.row);
+  const roleEngine = componentFactory.createListFloatingLabel(roleRow.mountId, {
+    id: 'bulk-invite-role',
+    label: 'Role for every invite',
+    placeholder: 'Role',
+    items: []
+  });
+  const runRole = attachValidator(
+    roleEngine.element,
+    (value) => (roles.some((r) => r.displayName === value) ? null : 'Select a role'),
+    INVALID_CLASS
+  );
+
+  fetchProjectRoles()
+    .then((projectRoles) => {
+      const limit = ROLE_HIERARCHY.indexOf(highestRole);
+      roles = projectRoles
+        .filter((r) => roleRank(r.key) <= limit)
+        .sort((a, b) => roleRank(a.key) - roleRank(b.key) || a.displayName.localeCompare(b.displayName));
+      roleEngine.setItems(roles.map((r) => r.displayName), { clearValue: true });
+    })
+    .catch((err) => {
+      console.error('[Bulk Invite] Failed to load roles:', err);
+      setFormStatus(statusEl, `Could not load roles: ${err.message}`, 'error');
+    });
+
+  fetchProjectUsers()
+    .then((projectUsers) => {
+      users = projectUsers;
+      recheck();
+    })
+    .catch((err) => console.warn('[Bulk Invite] Could not load project users:', err));
+
+  // ── Send ──
+  const send = async () => {
+    if (sending) return;
+    if (runRole()) {
+      setFormStatus(statusEl, 'Select a role for the invites.', 'error');
+      return;
+    }
+    const ready = entries.filter((e) => e.state === 'ready' || e.state === 'failed');
+    if (ready.length === 0) {
+      setFormStatus(statusEl, 'No addresses are ready to invite.', 'error');
+      return;
+    }
+    const role = roles.find((r) => r.displayName === roleEngine.getValue());
+
+    sending = true;
+    if (sendButton) sendButton.disable();
+    setFormStatus(statusEl, `Sending ${ready.length} invites…`, null);
+    for (let start = 0; start < ready.length; start += BATCH_SIZE) {
+      const batch = ready.slice(start, start + BATCH_SIZE);
+      batch.forEach((entry) => {
+        entry.state = 'sending';
+        entry.reason = '';
+      });
+      renderTable();
+      await Promise.all(batch.map(async (entry) => {
+        try {
+          await createOrgUser({ ...entry.names, email: entry.email, roleKey: role.key });
+          entry.state = 'invited';
+          entry.reason = `As ${role.displayName}`;
+        } catch (err) {
+          console.error(`[Bulk Invite] ${entry.email} failed:`, err);
+          entry.state = 'failed';
+          entry.reason = failureReason(err);
+        }
+      }));
+      renderTable();
+    }
+    sending = false;
+    if (sendButton) sendButton.enable();
+
+    const failed = ready.filter((e) => e.state === 'failed').length;
+    setFormStatus(statusEl,
+      failed
+        ? `${ready.length - failed} of ${ready.length} invited. Fix or retry the failed addresses — sending again only retries those.`
+        : `All ${ready.length} invites sent.`,
+      failed ? 'error' : 'success');
+    try {
+      users = await fetchProjectUsers();
+    } catch (err) {
+      console.warn('[Bulk Invite] Could not reload project users:', err);
+    }
+  };
+
+  const sendButton = renderSubmitButton('bulk-invite-submit', {
+    id: 'bulk-invite-submit-btn',
+    text: 'Send Invites'
+  }, send);
+}
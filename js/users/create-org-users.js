@@ -0,0 +1,221 @@
+/**
+ * create-org-users.js
+ *
+ * users/create-org-users — create a single organisation user and give them
+ * one project role. Zitadel emails the new user a link to finish setting
+ * up their account.
+ *
+ * Layout (top → bottom):
+ *   1. First / last name   createFirstNameInput / createLastNameInput
+ *   2. Email               floating-label text input; an email already on
+ *                          the project (fetchProjectUsers) is rejected
+ *   3. Phone               optional
+ *   4. Role                list_floating_label combobox of project roles at
+ *                          or below the creator's highest role
+ *   5. Submit
+ *
+ * A project user with the same name but another email is only a warning —
+ * two people can share a name. The proxy repeats the email and role checks
+ * (POST /users).
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { getHighestRole, hasMinimumRole, ROLE_HIERARCHY } from '../auth/zitadel-auth.js';
+import { fetchProjectRoles, fetchProjectUsers, createOrgUser } from '../api/zitadel-api.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  setFormStatus,
+  renderSubmitButton
+} from '../tasks/task-form.js';
+
+// Mirrored by USER_ADMIN_ROLE in lambda/zitadel-proxy/lambda_function.py
+const USER_ADMIN_ROLE = '05_org_admin';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?[0-9 ()\-.]{7,20}$/;
+
+// Roles outside ROLE_HIERARCHY rank with 06_guest_user (as on the proxy).
+const roleRank = (key) => Math.max(ROLE_HIERARCHY.indexOf(key), 0);
+
+const fold = (text) => String(text || '').trim().toLowerCase();
+
+const userLabel = (user) => user.displayName || user.preferredLoginName || user.userName || user.email;
+
+function validatePhone(raw) {
+  const value = (raw || '').trim();
+  if (!value) return null;
+  return PHONE_PATTERN.test(value) ? null : 'Enter a valid phone number';
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for users/create-org-users.
+ */
+export function initializeCreateOrgUsers() {
+  const form = document.getElementById('create-org-user-form');
+  const nameEl = document.getElementById('create-org-user-name-fields');
+  const fieldsEl = document.getElementById('create-org-user-fields');
+  const duplicateEl = document.getElementById('create-org-user-duplicates');
+  const submitEl = document.getElementById('create-org-user-submit');
+  const statusEl = document.getElementById('create-org-user-status');
+  if (!form || !nameEl || !fieldsEl || !duplicateEl || !submitEl || !statusEl) {
+    console.error('[Create Org Users] Required DOM nodes missing.');
+    return;
+  }
+  if (form.dataset.initialized === 'true') return;
+  form.dataset.initialized = 'true';
+
+  console.log('[Create Org Users] init');
+
+  const highestRole = getHighestRole();
+  if (!hasMinimumRole(USER_ADMIN_ROLE)) {
+    [nameEl, fieldsEl, submitEl].forEach((el) => { el.hidden = true; });
+    setFormStatus(statusEl, `Creating users requires the ${USER_ADMIN_ROLE} role or higher.`, 'error');
+    return;
+  }
+
+  let users = [];           // current project users, for duplicate checks
+  let roles = [];           // { key, displayName } the creator may assign
+
+  const refreshUsers = async () => {
+    try {
+      users = await fetchProjectUsers();
+    } catch (err) {
+      console.warn('[Create Org Users] Could not load project users:', err);
+    }
+  };
+
+  // ── 1. Name ──
+  const firstRow = makeEngineRow('create-org-user-first-name');
+  const lastRow = makeEngineRow('create-org-user-last-name');
+  nameEl.appendChild(firstRow.row);
+  nameEl.appendChild(lastRow.row);
+  const firstNameEngine = componentFactory.createFirstNameInput(firstRow.mountId, {
+    id: 'create-org-user-first-name',
+    storageKey: null,
+    required: true,
+    expandable: false
+  });
+  const lastNameEngine = componentFactory.createLastNameInput(lastRow.mountId, {
+    id: 'create-org-user-last-name',
+    storageKey: null,
+    required: true,
+    expandable: false
+  });
+
+  // Same-name project users are worth a second look, not a refusal.
+  const checkNameDuplicates = () => {
+    const name = fold(`${firstNameEngine.getValue()} ${lastNameEngine.getValue()}`);
+    const matches = name ? users.filter((u) => fold(u.displayName) === name) : [];
+    duplicateEl.hidden = matches.length === 0;
+    duplicateEl.textContent = matches.length
+      ? `Already on the project with this name: ${matches.map((u) => `${userLabel(u)} (${u.email})`).join(', ')}. Check this is a different person.`
+      : '';
+  };
+  const requireName = makeRequiredValidator(true);
+  const runFirstName = attachValidator(firstNameEngine.element, requireName, INVALID_CLASS);
+  const runLastName = attachValidator(lastNameEngine.element, requireName, INVALID_CLASS);
+  firstNameEngine.element.addEventListener('blur', checkNameDuplicates);
+  lastNameEngine.element.addEventListener('blur', checkNameDuplicates);
+
+  // ── 2–3. Email, phone ──
+  const addTextField = (id, label, placeholder) => {
+    const { row, mountId } = makeEngineRow(id);
+    fieldsEl.appendChild(row);
+    return componentFactory.createTextInputFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder,
+      expandable: false
+    });
+  };
+  const emailEngine = addTextField('create-org-user-email', 'Email', 'name@company.com');
+  const phoneEngine = addTextField('create-org-user-phone', 'Phone (optional)', '+1 555 010 0000');
+  const validateEmail = (raw) => {
+    const value = fold(raw);
+    if (!value) return 'Required';
+    if (!EMAIL_PATTERN.test(value)) return 'Enter a valid email address';
+    const existing = users.find((u) => fold(u.email) === value);
+    return existing ? `${userLabel(existing)} already uses this email` : null;
+  };
+  const runEmail = attachValidator(emailEngine.element, validateEmail, INVALID_CLASS);
+  const runPhone = attachValidator(phoneEngine.element, validatePhone, INVALID_CLASS);
+
+  // ── 4. Role ──
+  const roleRow = makeEngineRow('create-org-user-role');
+  roleRow.row.classList.add('task-form__row--combobox');
+  fieldsEl.appendChild(roleRow.row);
+  const roleEngine = componentFactory.createListFloatingLabel(roleRow.mountId, {
+    id: 'create-org-user-role',
+    label: 'Role',
+    placeholder: 'Role',
+    items: []
+  });
+  const runRole = attachValidator(
+    roleEngine.element,
+    (value) => (roles.some((r) => r.displayName === value) ? null : 'Select a role'),
+    INVALID_CLASS
+  );
+
+  fetchProjectRoles()
+    .then((projectRoles) => {
+      const limit = ROLE_HIERARCHY.indexOf(highestRole);
+      roles = projectRoles
+        .filter((r) => roleRank(r.key) <= limit)
+        .sort((a, b) => roleRank(a.key) - roleRank(b.key) || a.displayName.localeCompare(b.displayName));
+      roleEngine.setItems(roles.map((r) => r.displayName), { clearValue: true });
+    })
+    .catch((err) => {
+      console.error('[Create Org Users] Failed to load roles:', err);
+      setFormStatus(statusEl, `Could not load roles: ${err.message}`, 'error');
+    });
+
+  // ── 5. Submit ──
+  const submit = async () => {
+    // Re-read the users so someone added since the page opened is caught.
+    await refreshUsers();
+    checkNameDuplicates();
+    if (!validateAll([runFirstName, runLastName, runEmail, runPhone, runRole])) {
+      setFormStatus(statusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+
+    const role = roles.find((r) => r.displayName === roleEngine.getValue());
+    const email = emailEngine.getValue().trim();
+    try {
+      await createOrgUser({
+        firstName: firstNameEngine.getValue().trim(),
+        lastName: lastNameEngine.getValue().trim(),
+        email,
+        phone: phoneEngine.getValue().trim(),
+        roleKey: role.key
+      });
+    } catch (err) {
+      console.error('[Create Org Users] Create failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+
+    [firstNameEngine, lastNameEngine].forEach((engine) => engine.setValue(''));
+    [emailEngine, phoneEngine].forEach((engine) => {
+      engine.setValue('');
+      engine.updateLabelFloatedState();
+    });
+    roleEngine.selectItem('');
+    duplicateEl.hidden = true;
+    setFormStatus(statusEl, `Created ${email} as ${role.displayName} — they will receive an email to finish setting up.`, 'success');
+    refreshUsers();
+  };
+
+  renderSubmitButton('create-org-user-submit', {
+    id: 'create-org-user-submit-btn',
+    text: 'Create User'
+  }, submit);
+
+  refreshUsers();
+}
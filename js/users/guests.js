@@ -0,0 +1,376 @@
+/**
+ * guests.js
+ *
+ * users/guests — invite external guests and manage their access.
+ *
+ *   1. Invite form: email, first / last name, a limited role (06_guest_user
+ *      or any project role outside the admin hierarchy) and the last day of
+ *      access, picked on a wheel date picker. Inviting someone already on
+ *      the list renews their access with the new role and date.
+ *   2. Guest table: status (pending until the guest accepts the Zitadel
+ *      invitation, then active, expired or revoked) with a status filter.
+ *      Selecting a guest shows the invitation details and, while they still
+ *      have access, a Revoke button.
+ *
+ * Invitations, expiry and revocation go through the API proxy's /guests
+ * routes (zitadel-api.js); the proxy's scheduled sweep removes expired
+ * guests' roles whether or not this page is open.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { hasMinimumRole, isAuthenticated, ROLE_HIERARCHY } from '../auth/zitadel-auth.js';
+import { fetchProjectRoles, fetchGuests, inviteGuest, revokeGuest } from '../api/zitadel-api.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  makeRequiredValidator,
+  validateAll,
+  setFormStatus,
+  renderActionButton,
+  renderSubmitButton
+} from '../tasks/task-form.js';
+import { formatUserDate } from '../settings/userDatePreferences.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+
+// Mirrored by GUEST_ADMIN_ROLE in lambda/zitadel-proxy/lambda_function.py
+const GUEST_ADMIN_ROLE = '05_org_admin';
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const DEFAULT_ACCESS_DAYS = 30;
+const MAX_ACCESS_DAYS = 366;    // the proxy rejects anything later
+
+const GUEST_STATUSES = [
+  { key: 'pending', label: 'Pending' },
+  { key: 'active',  label: 'Active' },
+  { key: 'expired', label: 'Expired' },
+  { key: 'revoked', label: 'Revoked' }
+];
+
+const statusLabel = (guest) => (GUEST_STATUSES.find((s) => s.key === guest.status) || { label: guest.status }).label;
+const hasAccess = (guest) => guest.status === 'pending' || guest.status === 'active';
+const guestName = (guest) => `${guest.firstName} ${guest.lastName}`.trim() || guest.email;
+
+// Guests may hold anything below 05_org_admin.
+const isGuestRole = (roleKey) => !ROLE_HIERARCHY.slice(1).includes(roleKey);
+
+// yyyy-mm-dd ↔ local calendar date.
+function parseIsoDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function validateEmail(raw) {
+  const value = (raw || '').trim();
+  if (!value) return 'Required';
+  return EMAIL_PATTERN.test(value) ? null : 'Enter a valid email address';
+}
+
+function validateExpiry(date) {
+  const today = addDays(new Date(), 0);
+  if (date < today) return 'Pick today or a later date';
+  if (date > addDays(today, MAX_ACCESS_DAYS)) return `Access can be granted for at most ${MAX_ACCESS_DAYS} days`;
+  return null;
+}
+
+// Still-open invitations first, then by expiry.
+function compareGuests(a, b) {
+  return (Number(hasAccess(b)) - Number(hasAccess(a)))
+    || a.expiresAt.localeCompare(b.expiresAt)
+    || a.email.localeCompare(b.email);
+}
+
+// ─── Rows ───────────────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function badgeCell(guest) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const badge = document.createElement('span');
+  badge.className = `guests__badge guests__badge--${guest.status}`;
+  badge.textContent = statusLabel(guest);
+  td.appendChild(badge);
+  return td;
+}
+
+function buildRow(guest, roleName, isOpen, onToggle) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-queue__row';
+  if (isOpen) tr.classList.add('task-queue__row--open');
+  tr.tabIndex = 0;
+  tr.setAttribute('aria-expanded', String(isOpen));
+  tr.appendChild(textCell(guestName(guest)));
+  tr.appendChild(textCell(guest.email));
+  tr.appendChild(textCell(roleName(guest.roleKey)));
+  tr.appendChild(textCell(formatUserDate(parseIsoDate(guest.expiresAt))));
+  tr.appendChild(badgeCell(guest));
+  tr.addEventListener('click', () => onToggle(guest.userId));
+  tr.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') onToggle(guest.userId);
+  });
+  return tr;
+}
+
+function buildDetailRow(guest, columns) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-visibility__detail';
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  td.colSpan = columns;
+
+  const dl = document.createElement('dl');
+  dl.className = 'task-form__preview';
+  const add = (label, value) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value || '—';
+    dl.appendChild(dt);
+    dl.appendChild(dd);
+  };
+  add('Invited', `${formatLocalTimestamp(guest.invitedAt)} by ${guest.invitedBy}`);
+  if (guest.revokedAt) add('Revoked', `${formatLocalTimestamp(guest.revokedAt)} by ${guest.revokedBy}`);
+  if (guest.expiredAt) add('Access removed', formatLocalTimestamp(guest.expiredAt));
+  if (guest.status === 'pending') add('Invitation', 'Not accepted yet');
+  td.appendChild(dl);
+
+  if (hasAccess(guest)) {
+    const slot = document.createElement('div');
+    slot.id = 'guests-revoke';
+    slot.className = 'task-form__actions';
+    td.appendChild(slot);
+  }
+  tr.appendChild(td);
+  return tr;
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for users/guests.
+ */
+export function initializeGuests() {
+  const root = document.getElementById('guests');
+  const formEl = document.getElementById('guests-invite');
+  const fieldsEl = document.getElementById('guests-fields');
+  const formStatusEl = document.getElementById('guests-form-status');
+  const tableEl = document.getElementById('guests-table');
+  const headerRow = document.getElementById('guests-header-row');
+  const tbody = document.getElementById('guests-body');
+  const emptyEl = document.getElementById('guests-empty');
+  const statusEl = document.getElementById('guests-status');
+  if (!root || !formEl || !fieldsEl || !formStatusEl || !tableEl || !headerRow || !tbody || !emptyEl || !statusEl) {
+    console.error('[Guests] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Guests] init');
+
+  if (!isAuthenticated() || !hasMinimumRole(GUEST_ADMIN_ROLE)) {
+    formEl.hidden = true;
+    tableEl.hidden = true;
+    setFormStatus(statusEl, `Managing guests requires the ${GUEST_ADMIN_ROLE} role or higher.`, 'error');
+    return;
+  }
+
+  const columns = headerRow.querySelectorAll('th').length;
+  let guests = [];
+  let roles = [];           // { key, displayName } a guest may be given
+  let statuses = [];        // status filter; empty shows everyone
+  let openId = null;
+
+  const roleName = (key) => (roles.find((r) => r.key === key) || { displayName: key }).displayName;
+
+  // ── Table ──
+  const renderTable = () => {
+    const visible = guests
+      .filter((g) => statuses.length === 0 || statuses.includes(g.status))
+      .sort(compareGuests);
+    tbody.innerHTML = '';
+    visible.forEach((guest) => {
+      const isOpen = guest.userId === openId;
+      tbody.appendChild(buildRow(guest, roleName, isOpen, toggle));
+      if (isOpen) {
+        tbody.appendChild(buildDetailRow(guest, columns));
+        if (hasAccess(guest)) {
+          renderActionButton('guests-revoke', { id: 'guests-revoke-btn', text: 'Revoke Access' }, () => revoke(guest));
+        }
+      }
+    });
+    emptyEl.hidden = visible.length > 0;
+    emptyEl.textContent = guests.length === 0
+      ? 'No guests have been invited yet.'
+      : 'No guests match the status filter.';
+  };
+
+  function toggle(userId) {
+    openId = openId === userId ? null : userId;
+    renderTable();
+  }
+
+  const load = async () => {
+    setFormStatus(statusEl, 'Loading guests…', null);
+    try {
+      guests = await fetchGuests();
+    } catch (err) {
+      console.error('[Guests] Failed to load guests:', err);
+      setFormStatus(statusEl, `Could not load guests: ${err.message}`, 'error');
+      return;
+    }
+    setFormStatus(statusEl, '', null);
+    renderTable();
+  };
+
+  const revoke = async (guest) => {
+    try {
+      await revokeGuest(guest.userId);
+    } catch (err) {
+      console.error('[Guests] Revoke failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+    await load();
+    setFormStatus(statusEl, `Access revoked for ${guestName(guest)}.`, 'success');
+  };
+
+  componentFactory.createMultiSelect('guests-filter-status', {
+    id: 'guests-status-filter',
+    options: GUEST_STATUSES.map((s) => ({ value: s.key, text: s.label })),
+    selectedValues: []
+  }, (values) => {
+    statuses = [...values];
+    renderTable();
+  });
+
+  // ── Invite form ──
+  const addTextField = (id, label, placeholder) => {
+    const { row, mountId } = makeEngineRow(id);
+    fieldsEl.appendChild(row);
+    return componentFactory.createTextInputFloatingLabel(mountId, {
+      id,
+      label,
+      placeholder,
+      expandable: false
+    });
+  };
+
+  const emailEngine = addTextField('guests-field-email', 'Email', 'name@partner.com');
+  const firstNameEngine = addTextField('guests-field-first-name', 'First name', 'First name');
+  const lastNameEngine = addTextField('guests-field-last-name', 'Last name', 'Last name');
+  const runEmail = attachValidator(emailEngine.element, validateEmail, INVALID_CLASS);
+  const runFirstName = attachValidator(firstNameEngine.element, makeRequiredValidator(true), INVALID_CLASS);
+  const runLastName = attachValidator(lastNameEngine.element, makeRequiredValidator(true), INVALID_CLASS);
+
+  const roleRow = makeEngineRow('guests-field-role');
+  roleRow.row.classList.add('task-form__row--combobox');
+  fieldsEl.appendChild(roleRow.row);
+  const roleEngine = componentFactory.createListFloatingLabel(roleRow.mountId, {
+    id: 'guests-field-role',
+    label: 'Role',
+    placeholder: 'Role',
+    items: []
+  });
+  const runRole = attachValidator(
+    roleEngine.element,
+    (value) => (roles.some((r) => r.displayName === value) ? null : 'Select a role'),
+    INVALID_CLASS
+  );
+
+  // Last day of access — the wheel picker has no input to blur, so its
+  // error is written on every change.
+  const expiryRow = makeEngineRow('guests-field-expiry');
+  const expiryLabel = document.createElement('p');
+  expiryLabel.className = 'task-form__hint';
+  expiryLabel.textContent = 'Access until (inclusive)';
+  expiryRow.row.prepend(expiryLabel);
+  fieldsEl.appendChild(expiryRow.row);
+  const expiryErrEl = expiryRow.row.querySelector('.task-form__error');
+  const runExpiry = () => {
+    const msg = validateExpiry(expiryEngine.getDate());
+    expiryErrEl.textContent = msg || '';
+    return msg;
+  };
+  const expiryEngine = componentFactory.createWheelDatePicker(expiryRow.mountId, {
+    id: 'guests-field-expiry',
+    format: 'dd-MMM-yyyy',
+    value: isoDate(addDays(new Date(), DEFAULT_ACCESS_DAYS)),
+    yearRange: 2,
+    onChange: () => runExpiry()
+  });
+
+  const textEngines = [emailEngine, firstNameEngine, lastNameEngine];
+
+  const submit = async () => {
+    if (!validateAll([runEmail, runFirstName, runLastName, runRole, runExpiry])) {
+      setFormStatus(formStatusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+    const role = roles.find((r) => r.displayName === roleEngine.getValue());
+    const email = emailEngine.getValue().trim();
+    const expiresAt = isoDate(expiryEngine.getDate());
+    try {
+      await inviteGuest({
+        email,
+        firstName: firstNameEngine.getValue().trim(),
+        lastName: lastNameEngine.getValue().trim(),
+        roleKey: role.key,
+        expiresAt
+      });
+    } catch (err) {
+      console.error('[Guests] Invite failed:', err);
+      setFormStatus(formStatusEl, err.message, 'error');
+      return;
+    }
+
+    textEngines.forEach((engine) => {
+      engine.setValue('');
+      engine.updateLabelFloatedState();
+    });
+    setFormStatus(formStatusEl,
+      `Invited ${email} as ${role.displayName} until ${formatUserDate(parseIsoDate(expiresAt))}.`,
+      'success');
+    load();
+  };
+
+  renderSubmitButton('guests-submit', { id: 'guests-submit-btn', text: 'Send Invitation' }, submit);
+
+  fetchProjectRoles()
+    .then((projectRoles) => {
+      roles = projectRoles.filter((r) => isGuestRole(r.key));
+      roleEngine.setItems(roles.map((r) => r.displayName), { clearValue: true });
+      const guestRole = roles.find((r) => r.key === ROLE_HIERARCHY[0]);
+      if (guestRole) roleEngine.selectItem(guestRole.displayName);
+      renderTable();
+    })
+    .catch((err) => {
+      console.error('[Guests] Failed to load roles:', err);
+      setFormStatus(formStatusEl, `Could not load roles: ${err.message}`, 'error');
+    });
+
+  load();
+}
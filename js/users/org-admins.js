@@ -0,0 +1,329 @@
+/**
+ * org-admins.js
+ *
+ * users/org-admins — everyone holding 05_org_admin or higher, with promote /
+ * demote actions and the audit log of past changes.
+ *
+ *   1. Add Org Admin: pick a project user below the admin tier and make them
+ *      05_org_admin.
+ *   2. Admin table: highest role (ROLE_HIERARCHY order, as getHighestRole)
+ *      first. Selecting an admin shows Promote / Demote buttons, one step up
+ *      or down the hierarchy, or why the change is not allowed:
+ *        - only users ranked below you can be changed (system admins may
+ *          change anyone),
+ *        - nobody can be promoted above your own role,
+ *        - the last admin of an organisation cannot be demoted out of the
+ *          admin tier.
+ *   3. Audit log: who changed whose role, from what to what, and when.
+ *
+ * The proxy (POST /org-admins/<env>/change) repeats every check and writes
+ * the audit entry, so the rules here only decide which buttons to offer.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { getHighestRole, hasMinimumRole, isAuthenticated, ROLE_HIERARCHY } from '../auth/zitadel-auth.js';
+import { fetchProjectRoles, fetchProjectUsers, changeAdminRole, fetchAdminAudit } from '../api/zitadel-api.js';
+import {
+  attachValidator,
+  makeEngineRow,
+  validateAll,
+  setFormStatus,
+  renderActionButton,
+  renderSubmitButton
+} from '../tasks/task-form.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+
+// Mirrored by ORG_ADMIN_ROLE in lambda/zitadel-proxy/lambda_function.py
+const ORG_ADMIN_ROLE = '05_org_admin';
+const ADMIN_RANK = ROLE_HIERARCHY.indexOf(ORG_ADMIN_ROLE);
+const TOP_RANK = ROLE_HIERARCHY.length - 1;
+
+const INVALID_CLASS = 'task-form__field--invalid';
+
+// Same ordering as getHighestRole, for any user's role keys.
+function highestRoleOf(roleKeys) {
+  let highest = null, highestIndex = -1;
+  for (const key of roleKeys || []) {
+    const index = ROLE_HIERARCHY.indexOf(key);
+    if (index > highestIndex) { highestIndex = index; highest = key; }
+  }
+  return highest;
+}
+
+const rankOf = (user) => ROLE_HIERARCHY.indexOf(highestRoleOf(user.roleKeys));
+const isAdmin = (user) => rankOf(user) >= ADMIN_RANK;
+const userLabel = (user) => user.displayName || user.preferredLoginName || user.userName || user.email;
+const pickerLabel = (user) => `${userLabel(user)} (${user.email})`;
+const orgLabel = (user) => user.orgName || user.orgId || '—';
+
+function compareAdmins(a, b) {
+  return (rankOf(b) - rankOf(a))
+    || orgLabel(a).localeCompare(orgLabel(b))
+    || userLabel(a).localeCompare(userLabel(b));
+}
+
+/**
+ * Which promote / demote steps the current user may take on `user`.
+ * Each side is { role } when allowed or { reason } when not; `role` is null
+ * at the ends of the hierarchy.
+ */
+function allowedChanges(user, admins, myRank) {
+  const rank = rankOf(user);
+  const up = ROLE_HIERARCHY[rank + 1] || null;
+  const down = ROLE_HIERARCHY[rank - 1] || null;
+  if (rank >= myRank && myRank !== TOP_RANK) {
+    const reason = 'Only users ranked below you can be changed.';
+    return { promote: { reason }, demote: { reason } };
+  }
+
+  const promote = !up
+    ? { reason: 'Already holds the highest role.' }
+    : ROLE_HIERARCHY.indexOf(up) > myRank
+      ? { reason: 'Cannot promote above your own role.' }
+      : { role: up };
+
+  let demote = down ? { role: down } : { reason: 'Already holds the lowest role.' };
+  const orgAdmins = admins.filter((a) => a.orgId === user.orgId);
+  if (down && rank - 1 < ADMIN_RANK && orgAdmins.length <= 1) {
+    demote = { reason: `Last org admin of ${orgLabel(user)} — promote someone else first.` };
+  }
+  return { promote, demote };
+}
+
+// ─── Rows ───────────────────────────────────────────────────────────────────
+
+function textCell(text) {
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  const div = document.createElement('div');
+  div.className = 'cell-fit';
+  const p = document.createElement('p');
+  p.textContent = text;
+  div.appendChild(p);
+  td.appendChild(div);
+  return td;
+}
+
+function buildRow(user, roleName, isOpen, onToggle) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-queue__row';
+  if (isOpen) tr.classList.add('task-queue__row--open');
+  tr.tabIndex = 0;
+  tr.setAttribute('aria-expanded', String(isOpen));
+  tr.appendChild(textCell(userLabel(user)));
+  tr.appendChild(textCell(user.email));
+  tr.appendChild(textCell(orgLabel(user)));
+  tr.appendChild(textCell(roleName(highestRoleOf(user.roleKeys))));
+  tr.addEventListener('click', () => onToggle(user.userId));
+  tr.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') onToggle(user.userId);
+  });
+  return tr;
+}
+
+function buildDetailRow(user, changes, roleName, columns) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row task-visibility__detail';
+  const td = document.createElement('td');
+  td.className = 'table-body-cell';
+  td.colSpan = columns;
+
+  const dl = document.createElement('dl');
+  dl.className = 'task-form__preview';
+  const add = (label, value) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value || '—';
+    dl.appendChild(dt);
+    dl.appendChild(dd);
+  };
+  add('All roles', user.roleKeys.map(roleName).join(', '));
+  if (changes.promote.reason) add('Promote', changes.promote.reason);
+  if (changes.demote.reason) add('Demote', changes.demote.reason);
+  td.appendChild(dl);
+
+  const actions = document.createElement('div');
+  actions.className = 'task-form__actions';
+  ['promote', 'demote'].forEach((kind) => {
+    if (!changes[kind].role) return;
+    const slot = document.createElement('div');
+    slot.id = `org-admins-${kind}`;
+    actions.appendChild(slot);
+  });
+  if (actions.children.length) td.appendChild(actions);
+  tr.appendChild(td);
+  return tr;
+}
+
+function buildAuditRow(entry, roleName) {
+  const tr = document.createElement('tr');
+  tr.className = 'table-body-row';
+  tr.appendChild(textCell(formatLocalTimestamp(entry.at)));
+  tr.appendChild(textCell(entry.actor));
+  tr.appendChild(textCell(entry.target));
+  tr.appendChild(textCell(`${entry.fromRole ? roleName(entry.fromRole) : 'No role'} → ${roleName(entry.toRole)}`));
+  return tr;
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for users/org-admins.
+ */
+export function initializeOrgAdmins() {
+  const root = document.getElementById('org-admins');
+  const formEl = document.getElementById('org-admins-add');
+  const fieldsEl = document.getElementById('org-admins-fields');
+  const formStatusEl = document.getElementById('org-admins-form-status');
+  const tableEl = document.getElementById('org-admins-table');
+  const headerRow = document.getElementById('org-admins-header-row');
+  const tbody = document.getElementById('org-admins-body');
+  const emptyEl = document.getElementById('org-admins-empty');
+  const auditEl = document.getElementById('org-admins-audit');
+  const auditBody = document.getElementById('org-admins-audit-body');
+  const auditEmptyEl = document.getElementById('org-admins-audit-empty');
+  const statusEl = document.getElementById('org-admins-status');
+  if (!root || !formEl || !fieldsEl || !formStatusEl || !tableEl || !headerRow || !tbody || !emptyEl
+    || !auditEl || !auditBody || !auditEmptyEl || !statusEl) {
+    console.error('[Org Admins] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Org Admins] init');
+
+  if (!isAuthenticated() || !hasMinimumRole(ORG_ADMIN_ROLE)) {
+    [formEl, tableEl, auditEl].forEach((el) => { el.hidden = true; });
+    setFormStatus(statusEl, `Viewing org admins requires the ${ORG_ADMIN_ROLE} role or higher.`, 'error');
+    return;
+  }
+
+  const myRank = ROLE_HIERARCHY.indexOf(getHighestRole());
+  const columns = headerRow.querySelectorAll('th').length;
+  let users = [];
+  let admins = [];
+  let candidates = [];      // project users below the admin tier
+  let audit = [];
+  let roles = [];           // { key, displayName }
+  let openId = null;
+
+  const roleName = (key) => (roles.find((r) => r.key === key) || { displayName: key }).displayName;
+
+  // ── 2. Admin table ──
+  const renderTable = () => {
+    tbody.innerHTML = '';
+    admins.forEach((user) => {
+      const isOpen = user.userId === openId;
+      tbody.appendChild(buildRow(user, roleName, isOpen, toggle));
+      if (!isOpen) return;
+      const changes = allowedChanges(user, admins, myRank);
+      tbody.appendChild(buildDetailRow(user, changes, roleName, columns));
+      if (changes.promote.role) {
+        renderActionButton('org-admins-promote', {
+          id: 'org-admins-promote-btn',
+          text: `Promote to ${roleName(changes.promote.role)}`
+        }, () => change(user, changes.promote.role));
+      }
+      if (changes.demote.role) {
+        renderActionButton('org-admins-demote', {
+          id: 'org-admins-demote-btn',
+          text: `Demote to ${roleName(changes.demote.role)}`
+        }, () => change(user, changes.demote.role));
+      }
+    });
+    emptyEl.hidden = admins.length > 0;
+    emptyEl.textContent = 'Nobody holds an admin role yet.';
+  };
+
+  function toggle(userId) {
+    openId = openId === userId ? null : userId;
+    renderTable();
+  }
+
+  // ── 3. Audit log ──
+  const renderAudit = () => {
+    auditBody.innerHTML = '';
+    audit.forEach((entry) => auditBody.appendChild(buildAuditRow(entry, roleName)));
+    auditEmptyEl.hidden = audit.length > 0;
+    auditEmptyEl.textContent = 'No admin role changes have been recorded yet.';
+  };
+
+  const load = async () => {
+    setFormStatus(statusEl, 'Loading admins…', null);
+    try {
+      [users, audit] = await Promise.all([fetchProjectUsers(), fetchAdminAudit()]);
+    } catch (err) {
+      console.error('[Org Admins] Failed to load:', err);
+      setFormStatus(statusEl, `Could not load admins: ${err.message}`, 'error');
+      return;
+    }
+    admins = users.filter(isAdmin).sort(compareAdmins);
+    candidates = users
+      .filter((u) => !isAdmin(u))
+      .sort((a, b) => userLabel(a).localeCompare(userLabel(b)));
+    candidateEngine.setItems(candidates.map(pickerLabel), { clearValue: true });
+    setFormStatus(statusEl, '', null);
+    renderTable();
+    renderAudit();
+  };
+
+  const change = async (user, toRole) => {
+    const fromRole = highestRoleOf(user.roleKeys);
+    try {
+      await changeAdminRole({ userId: user.userId, fromRole, toRole });
+    } catch (err) {
+      console.error('[Org Admins] Role change failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return false;
+    }
+    await load();
+    setFormStatus(statusEl, `${userLabel(user)} is now ${roleName(toRole)}.`, 'success');
+    return true;
+  };
+
+  // ── 1. Add Org Admin ──
+  const candidateRow = makeEngineRow('org-admins-candidate');
+  candidateRow.row.classList.add('task-form__row--combobox');
+  fieldsEl.appendChild(candidateRow.row);
+  const candidateEngine = componentFactory.createListFloatingLabel(candidateRow.mountId, {
+    id: 'org-admins-candidate',
+    label: 'User',
+    placeholder: 'Name (email)',
+    items: []
+  });
+  const findCandidate = () => candidates.find((u) => pickerLabel(u) === candidateEngine.getValue());
+  const runCandidate = attachValidator(
+    candidateEngine.element,
+    () => (findCandidate() ? null : 'Select a project user'),
+    INVALID_CLASS
+  );
+
+  const addAdmin = async () => {
+    if (!validateAll([runCandidate])) {
+      setFormStatus(formStatusEl, 'Please fix the highlighted fields.', 'error');
+      return;
+    }
+    const user = findCandidate();
+    setFormStatus(formStatusEl, '', null);
+    if (await change(user, ORG_ADMIN_ROLE)) {
+      setFormStatus(formStatusEl, `${userLabel(user)} is now ${roleName(ORG_ADMIN_ROLE)}.`, 'success');
+    }
+  };
+
+  renderSubmitButton('org-admins-submit', { id: 'org-admins-submit-btn', text: 'Make Org Admin' }, addAdmin);
+
+  fetchProjectRoles()
+    .then((projectRoles) => {
+      roles = projectRoles;
+      renderTable();
+      renderAudit();
+    })
+    .catch((err) => {
+      console.warn('[Org Admins] Could not load role names:', err);
+    });
+
+  load();
+}
@@ -0,0 +1,159 @@
+/**
+ * org-chart-registry.js
+ *
+ * The organisation's reporting lines, as shown on users/view-org-chart.
+ * Zitadel has no manager field, so the hierarchy is kept here: one record
+ * per person with the id of their manager, in the environment's data
+ * bucket behind the API proxy's /org-chart route (replaced on
+ * users/upload-org-chart).
+ *
+ * People are keyed by lower-case email so they line up with Zitadel users
+ * and grants, which carry the same address. Replacing the chart requires
+ * ORG_CHART_EDITOR_ROLE, which the proxy checks again.
+ */
+
+import { hasMinimumRole } from '../auth/zitadel-auth.js';
+import { fetchOrgChart, replaceOrgChart } from '../api/zitadel-api.js';
+
+export const ORG_CHART_EDITOR_ROLE = '05_org_admin';
+
+/**
+ * @typedef {Object} OrgPerson
+ * @property {string} id              Lower-case email
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [title]
+ * @property {string} [department]
+ * @property {string|null} managerId  Manager's id; null at the top
+ *
+ * @typedef {Object} OrgChart
+ * @property {OrgPerson[]} people
+ * @property {string} updatedAt       ISO-8601 UTC
+ * @property {string} updatedBy
+ *
+ * @typedef {Object} OrgNode
+ * @property {OrgPerson} person
+ * @property {OrgNode|null} parent
+ * @property {OrgNode[]} children     Sorted by name
+ * @property {number} descendants     Everyone below this node
+ */
+
+export const personId = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * The stored chart, or null when none has been uploaded.
+ */
+export async function getOrgChart() {
+  const chart = await fetchOrgChart();
+  return chart.people ? chart : null;
+}
+
+export function canEditOrgChart() {
+  return hasMinimumRole(ORG_CHART_EDITOR_ROLE);
+}
+
+/**
+ * Replace the stored chart. Callers validate the hierarchy first
+ * (upload-org-chart.js); this only checks the role. `base` is the chart the
+ * replacement was previewed against (null when there was none) — the proxy
+ * refuses the save if someone has replaced it since. Resolves with the
+ * stored chart.
+ */
+export async function saveOrgChart(people, base) {
+  if (!canEditOrgChart()) {
+    throw new Error(`[Org Chart] Replacing the org chart requires the ${ORG_CHART_EDITOR_ROLE} role or higher`);
+  }
+  const rows = people.map((p) => ({
+    id: personId(p.email),
+    name: p.name,
+    email: p.email,
+    title: p.title || '',
+    department: p.department || '',
+    managerId: p.managerId ? personId(p.managerId) : null
+  }));
+  return replaceOrgChart(rows, base ? base.updatedAt : null);
+}
+
+/**
+ * Who was added, removed or moved to another manager between two lists of
+ * people. Returns { added, removed, moved: [{ person, from, to }] } where
+ * from / to are manager ids (null at the top).
+ */
+export function diffOrgCharts(before, after) {
+  const previous = new Map(before.map((p) => [p.id, p]));
+  const next = new Map(after.map((p) => [p.id, p]));
+  const added = after.filter((p) => !previous.has(p.id));
+  const removed = before.filter((p) => !next.has(p.id));
+  const moved = after
+    .filter((p) => previous.has(p.id) && (previous.get(p.id).managerId || null) !== (p.managerId || null))
+    .map((p) => ({ person: p, from: previous.get(p.id).managerId || null, to: p.managerId || null }));
+  return { added, removed, moved };
+}
+
+/**
+ * Stand-in chart from the project's users (fetchProjectUsers) when no org
+ * chart has been uploaded: everyone at the top, no reporting lines.
+ */
+export function peopleFromUsers(users) {
+  return users
+    .filter((u) => u.email)
+    .map((u) => ({
+      id: personId(u.email),
+      name: u.displayName || u.preferredLoginName || u.userName || u.email,
+      email: u.email,
+      title: '',
+      department: '',
+      managerId: null
+    }));
+}
+
+/**
+ * Link people into trees. Anyone whose manager is unknown — or whose
+ * reporting line loops back on itself — becomes a root. Returns
+ * { roots, byId } with roots and children sorted by name.
+ */
+export function buildOrgTree(people) {
+  const byId = new Map();
+  people.forEach((person) => {
+    byId.set(person.id, { person, parent: null, children: [], descendants: 0 });
+  });
+
+  // Walk each manager chain once; anything that revisits the chain it is
+  // on is part of a loop and is cut loose at that point.
+  const state = new Map(); // id → 'walking' | 'done'
+  byId.forEach((node, id) => {
+    const chain = [];
+    let currentId = id;
+    while (currentId && byId.has(currentId) && !state.has(currentId)) {
+      state.set(currentId, 'walking');
+      chain.push(currentId);
+      currentId = byId.get(currentId).person.managerId;
+    }
+    if (currentId && state.get(currentId) === 'walking') {
+      console.warn(`[Org Chart] Reporting loop through ${currentId}; showing them at the top`);
+      byId.get(currentId).loop = true;
+    }
+    chain.forEach((walked) => state.set(walked, 'done'));
+  });
+
+  const roots = [];
+  byId.forEach((node) => {
+    const manager = node.loop ? null : byId.get(node.person.managerId);
+    delete node.loop;
+    if (manager && manager !== node) {
+      node.parent = manager;
+      manager.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const byName = (a, b) => a.person.name.localeCompare(b.person.name);
+  const finish = (node) => {
+    node.children.sort(byName);
+    node.descendants = node.children.reduce((sum, child) => sum + 1 + finish(child), 0);
+    return node.descendants;
+  };
+  roots.sort(byName).forEach(finish);
+  return { roots, byId };
+}
@@ -0,0 +1,464 @@
+/**
+ * org-chart.js
+ *
+ * users/view-org-chart — the reporting hierarchy (org-chart-registry.js)
+ * drawn as a top-down SVG tree.
+ *
+ *   - Drag to pan, wheel (or the +/− buttons) to zoom around the pointer.
+ *   - Each manager's toggle shows or hides their reports. Only expanded
+ *     subtrees are laid out, and only nodes inside the visible area are
+ *     drawn (text is dropped when zoomed far out), so orgs of several
+ *     thousand people stay responsive. A manager whose reports are all
+ *     collapsed or leaves lists them in a compact column instead of a
+ *     wide row.
+ *   - Search picks a person, expands their management chain and centres
+ *     the view on them.
+ *   - Badges show each person's highest Zitadel role (fetchUserGrants).
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { isAuthenticated, ROLE_HIERARCHY } from '../auth/zitadel-auth.js';
+import { fetchUserGrants, fetchProjectUsers } from '../api/zitadel-api.js';
+import { setFormStatus, renderActionButton } from '../tasks/task-form.js';
+import { getOrgChart, peopleFromUsers, buildOrgTree, personId } from './org-chart-registry.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const NODE_W = 200;
+const NODE_H = 64;
+const GAP_X = 24;           // between neighbouring subtrees
+const GAP_Y = 56;           // between a manager and their reports' row
+const STACK_INDENT = 24;    // compact report column, shifted right of the manager
+const STACK_GAP = 12;
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 2.5;
+const DETAIL_ZOOM = 0.4;    // below this, nodes are drawn without text
+const CULL_MARGIN = 200;    // world units drawn beyond the visible edge
+
+const escapeXml = (text) => String(text == null ? '' : text).replace(/[&<>"']/g, (c) => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+const clip = (text, max) => (text && text.length > max ? `${text.slice(0, max - 1)}…` : text || '');
+
+// '02_org_owner' → 'Org owner'
+function roleBadgeLabel(roleKey) {
+  const words = roleKey.replace(/^\d+_/, '').replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function highestRole(roleKeys) {
+  return roleKeys.reduce((best, key) =>
+    (ROLE_HIERARCHY.indexOf(key) > ROLE_HIERARCHY.indexOf(best) ? key : best), roleKeys[0]);
+}
+
+/**
+ * Role keys per person id from the project's user grants.
+ */
+function rolesByPerson(grants) {
+  const roles = new Map();
+  grants.forEach((grant) => {
+    if (!grant.email) return;
+    const id = personId(grant.email);
+    const keys = roles.get(id) || [];
+    (grant.roleKeys || []).forEach((key) => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+    roles.set(id, keys);
+  });
+  return roles;
+}
+
+// ─── Layout ─────────────────────────────────────────────────────────────────
+
+/**
+ * Place every visible node. Returns { boxes: Map<id, {node, x, y}>,
+ * edges: [{ d, minX, minY, maxX, maxY }], width, height }.
+ */
+function layoutTree(roots, expanded) {
+  const boxes = new Map();
+  const edges = [];
+  let nextX = 0;
+  let height = 0;
+
+  const setBox = (node, x, y) => {
+    boxes.set(node.person.id, { node, x, y });
+    height = Math.max(height, y + NODE_H);
+  };
+  const addEdge = (d, x1, y1, x2, y2) => {
+    edges.push({ d, minX: Math.min(x1, x2), minY: Math.min(y1, y2), maxX: Math.max(x1, x2), maxY: Math.max(y1, y2) });
+  };
+  const isOpen = (node) => node.children.length > 0 && expanded.has(node.person.id);
+
+  const place = (node, y) => {
+    const kids = isOpen(node) ? node.children : [];
+
+    if (kids.length === 0) {
+      const x = nextX;
+      nextX += NODE_W + GAP_X;
+      setBox(node, x, y);
+      return x;
+    }
+
+    // Every report closed: list them in a column under the manager.
+    if (kids.length > 1 && !kids.some(isOpen)) {
+      const x = nextX;
+      nextX += STACK_INDENT + NODE_W + GAP_X;
+      setBox(node, x, y);
+      const spineX = x + STACK_INDENT / 2;
+      let kidY = y + NODE_H + GAP_Y / 2;
+      kids.forEach((kid) => {
+        setBox(kid, x + STACK_INDENT, kidY);
+        const midY = kidY + NODE_H / 2;
+        addEdge(`M${spineX},${midY}H${x + STACK_INDENT}`, spineX, midY, x + STACK_INDENT, midY);
+        kidY += NODE_H + STACK_GAP;
+      });
+      const lastMid = kidY - STACK_GAP - NODE_H / 2;
+      addEdge(`M${spineX},${y + NODE_H}V${lastMid}`, spineX, y + NODE_H, spineX, lastMid);
+      return x;
+    }
+
+    const childY = y + NODE_H + GAP_Y;
+    const xs = kids.map((kid) => place(kid, childY));
+    const x = (xs[0] + xs[xs.length - 1]) / 2;
+    setBox(node, x, y);
+    const fromX = x + NODE_W / 2;
+    const midY = y + NODE_H + GAP_Y / 2;
+    kids.forEach((kid, i) => {
+      const toX = xs[i] + NODE_W / 2;
+      addEdge(`M${fromX},${y + NODE_H}V${midY}H${toX}V${childY}`, fromX, y + NODE_H, toX, childY);
+    });
+    return x;
+  };
+
+  roots.forEach((root) => place(root, 0));
+  return { boxes, edges, width: Math.max(nextX - GAP_X, 0), height };
+}
+
+// ─── Drawing ────────────────────────────────────────────────────────────────
+
+function nodeMarkup({ node, x, y }, { detailed, focused, expanded, roles }) {
+  const { person } = node;
+  const classes = ['org-chart__node'];
+  if (focused) classes.push('org-chart__node--focused');
+  let inner = `<rect class="org-chart__card" width="${NODE_W}" height="${NODE_H}" rx="8"></rect>`;
+
+  if (detailed) {
+    inner += `<text class="org-chart__name" x="12" y="22">${escapeXml(clip(person.name, 24))}</text>`;
+    inner += `<text class="org-chart__title" x="12" y="39">${escapeXml(clip(person.title || person.department || person.email, 30))}</text>`;
+    const keys = roles.get(person.id) || [];
+    if (keys.length > 0) {
+      const role = highestRole(keys);
+      const label = roleBadgeLabel(role);
+      const width = label.length * 6 + 12;
+      inner += `<g class="org-chart__badge org-chart__badge--${escapeXml(role.replace(/^\d+_/, ''))}" transform="translate(12,45)">`
+        + `<title>${escapeXml(keys.join(', '))}</title>`
+        + `<rect width="${width}" height="14" rx="7"></rect>`
+        + `<text x="${width / 2}" y="10.5">${escapeXml(label)}</text></g>`;
+    }
+  }
+
+  if (node.children.length > 0) {
+    const open = expanded.has(person.id);
+    const hint = `${open ? 'Hide' : 'Show'} ${node.children.length} direct reports (${node.descendants} in total)`;
+    inner += `<g class="org-chart__toggle" data-toggle="${escapeXml(person.id)}" transform="translate(${NODE_W - 16},${NODE_H - 16})">`
+      + `<title>${escapeXml(hint)}</title><circle r="10"></circle>`
+      + `<text y="4">${open ? '−' : '+'}</text></g>`;
+  }
+
+  return `<g class="${classes.join(' ')}" data-id="${escapeXml(person.id)}" transform="translate(${x},${y})">`
+    + `<title>${escapeXml(`${person.name} — ${person.email}`)}</title>${inner}</g>`;
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for users/view-org-chart.
+ */
+export function initializeOrgChart() {
+  const root = document.getElementById('org-chart');
+  const canvas = document.getElementById('org-chart-canvas');
+  const statusEl = document.getElementById('org-chart-status');
+  if (!root || !canvas || !statusEl) {
+    console.error('[Org Chart] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Org Chart] init');
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'org-chart__svg');
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', 'Organisation chart');
+  svg.setAttribute('tabindex', '0');
+  const viewport = document.createElementNS(SVG_NS, 'g');
+  svg.appendChild(viewport);
+  canvas.appendChild(svg);
+
+  const state = {
+    tree: { roots: [], byId: new Map() },
+    roles: new Map(),
+    expanded: new Set(),     // person ids showing their reports
+    layout: null,
+    focusId: null,
+    view: { k: 1, tx: 0, ty: 0 }
+  };
+
+  // ── Drawing (at most once per frame) ──
+  let drawQueued = false;
+  const draw = () => {
+    drawQueued = false;
+    if (!state.layout) return;
+    const { k, tx, ty } = state.view;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const x0 = -tx / k - CULL_MARGIN;
+    const y0 = -ty / k - CULL_MARGIN;
+    const x1 = (width - tx) / k + CULL_MARGIN;
+    const y1 = (height - ty) / k + CULL_MARGIN;
+
+    const parts = [];
+    state.layout.edges.forEach((edge) => {
+      if (edge.maxX >= x0 && edge.minX <= x1 && edge.maxY >= y0 && edge.minY <= y1) {
+        parts.push(`<path class="org-chart__edge" d="${edge.d}"></path>`);
+      }
+    });
+    const options = { detailed: k >= DETAIL_ZOOM, expanded: state.expanded, roles: state.roles };
+    state.layout.boxes.forEach((box, id) => {
+      if (box.x + NODE_W >= x0 && box.x <= x1 && box.y + NODE_H >= y0 && box.y <= y1) {
+        parts.push(nodeMarkup(box, { ...options, focused: id === state.focusId }));
+      }
+    });
+    viewport.setAttribute('transform', `translate(${tx},${ty}) scale(${k})`);
+    viewport.innerHTML = parts.join('');
+  };
+  const requestDraw = () => {
+    if (drawQueued) return;
+    drawQueued = true;
+    requestAnimationFrame(draw);
+  };
+
+  const relayout = () => {
+    state.layout = layoutTree(state.tree.roots, state.expanded);
+    requestDraw();
+  };
+
+  // ── View transforms ──
+  const zoomAt = (factor, screenX, screenY) => {
+    const { k, tx, ty } = state.view;
+    const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, k * factor));
+    state.view = {
+      k: next,
+      tx: screenX - ((screenX - tx) / k) * next,
+      ty: screenY - ((screenY - ty) / k) * next
+    };
+    requestDraw();
+  };
+
+  const fit = () => {
+    if (!state.layout || state.layout.boxes.size === 0) return;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM,
+      Math.min(width / (state.layout.width + 2 * GAP_X), height / (state.layout.height + 2 * GAP_Y), 1)));
+    state.view = {
+      k,
+      tx: (width - state.layout.width * k) / 2,
+      ty: GAP_Y * k
+    };
+    requestDraw();
+  };
+
+  const centreOn = (id) => {
+    const box = state.layout && state.layout.boxes.get(id);
+    if (!box) return;
+    const k = Math.max(state.view.k, 0.8);
+    state.view = {
+      k,
+      tx: canvas.clientWidth / 2 - (box.x + NODE_W / 2) * k,
+      ty: canvas.clientHeight / 3 - (box.y + NODE_H / 2) * k
+    };
+    requestDraw();
+  };
+
+  // Show or hide a manager's reports, keeping their card where it was on screen.
+  const toggle = (id) => {
+    const before = state.layout.boxes.get(id);
+    if (state.expanded.has(id)) state.expanded.delete(id);
+    else state.expanded.add(id);
+    relayout();
+    const after = state.layout.boxes.get(id);
+    if (before && after) {
+      state.view.tx += (before.x - after.x) * state.view.k;
+      state.view.ty += (before.y - after.y) * state.view.k;
+    }
+  };
+
+  const focusPerson = (id) => {
+    const node = state.tree.byId.get(id);
+    if (!node) return;
+    for (let manager = node.parent; manager; manager = manager.parent) {
+      state.expanded.add(manager.person.id);
+    }
+    state.focusId = id;
+    relayout();
+    centreOn(id);
+  };
+
+  // ── Pointer: drag to pan, click a toggle to expand / collapse ──
+  let drag = null;
+  svg.addEventListener('pointerdown', (e) => {
+    // Pointer capture retargets pointerup to the svg, so note what was hit now.
+    drag = { x: e.clientX, y: e.clientY, moved: false, target: e.target };
+    svg.setPointerCapture(e.pointerId);
+  });
+  svg.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+    drag.moved = true;
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+    state.view.tx += dx;
+    state.view.ty += dy;
+    root.classList.add('org-chart--dragging');
+    requestDraw();
+  });
+  const endDrag = () => {
+    if (!drag) return;
+    const { moved, target } = drag;
+    drag = null;
+    root.classList.remove('org-chart--dragging');
+    if (moved) return;
+    const toggleEl = target.closest('[data-toggle]');
+    const nodeEl = target.closest('[data-id]');
+    if (toggleEl) toggle(toggleEl.getAttribute('data-toggle'));
+    else if (nodeEl) {
+      state.focusId = nodeEl.getAttribute('data-id');
+      requestDraw();
+    }
+  };
+  svg.addEventListener('pointerup', endDrag);
+  svg.addEventListener('pointercancel', () => {
+    drag = null;
+    root.classList.remove('org-chart--dragging');
+  });
+
+  svg.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const rect = svg.getBoundingClientRect();
+    zoomAt(Math.exp(-e.deltaY * 0.0015), e.clientX - rect.left, e.clientY - rect.top);
+  }, { passive: false });
+
+  svg.addEventListener('keydown', (e) => {
+    const step = 60;
+    const moves = { ArrowLeft: [step, 0], ArrowRight: [-step, 0], ArrowUp: [0, step], ArrowDown: [0, -step] };
+    if (moves[e.key]) {
+      state.view.tx += moves[e.key][0];
+      state.view.ty += moves[e.key][1];
+      requestDraw();
+    } else if (e.key === '+' || e.key === '=') {
+      zoomAt(1.2, canvas.clientWidth / 2, canvas.clientHeight / 2);
+    } else if (e.key === '-') {
+      zoomAt(1 / 1.2, canvas.clientWidth / 2, canvas.clientHeight / 2);
+    } else if ((e.key === 'Enter' || e.key === ' ') && state.focusId) {
+      toggle(state.focusId);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  });
+
+  const resizeObserver = new ResizeObserver(() => {
+    if (!root.isConnected) {
+      resizeObserver.disconnect();
+      return;
+    }
+    requestDraw();
+  });
+  resizeObserver.observe(canvas);
+
+  // ── Toolbar ──
+  const searchIds = new Map();  // "Name (email)" → person id
+  const searchEngine = componentFactory.createListFloatingLabel('org-chart-search', {
+    id: 'org-chart-search-list',
+    label: 'Find a person',
+    placeholder: 'Find a person',
+    items: [],
+    onChange: (label) => {
+      const id = searchIds.get(label);
+      if (id) focusPerson(id);
+    }
+  });
+
+  renderActionButton('org-chart-zoom-in', { id: 'org-chart-zoom-in-btn', text: '+' }, () => {
+    zoomAt(1.2, canvas.clientWidth / 2, canvas.clientHeight / 2);
+  });
+  renderActionButton('org-chart-zoom-out', { id: 'org-chart-zoom-out-btn', text: '−' }, () => {
+    zoomAt(1 / 1.2, canvas.clientWidth / 2, canvas.clientHeight / 2);
+  });
+  renderActionButton('org-chart-fit', { id: 'org-chart-fit-btn', text: 'Fit' }, fit);
+  renderActionButton('org-chart-collapse', { id: 'org-chart-collapse-btn', text: 'Collapse All' }, () => {
+    state.expanded = new Set(state.tree.roots.map((r) => r.person.id));
+    relayout();
+    fit();
+  });
+
+  // ── Data ──
+  const load = async () => {
+    setFormStatus(statusEl, 'Loading org chart…', null);
+    const signedIn = isAuthenticated();
+    const grantsReady = signedIn
+      ? fetchUserGrants().catch((err) => {
+        console.warn('[Org Chart] Could not load user grants:', err);
+        return [];
+      })
+      : Promise.resolve([]);
+
+    let chart = null;
+    try {
+      chart = signedIn ? await getOrgChart() : null;
+    } catch (err) {
+      console.error('[Org Chart] Failed to load the org chart:', err);
+      setFormStatus(statusEl, `Could not load the org chart: ${err.message}`, 'error');
+      return;
+    }
+    let people = chart ? chart.people : [];
+    let note = '';
+    if (!chart) {
+      note = 'No org chart has been uploaded (users/upload-org-chart) — showing project users without reporting lines.';
+      try {
+        people = signedIn ? peopleFromUsers(await fetchProjectUsers()) : [];
+      } catch (err) {
+        console.error('[Org Chart] Failed to load users:', err);
+        setFormStatus(statusEl, `Could not load users: ${err.message}`, 'error');
+        return;
+      }
+    }
+
+    state.tree = buildOrgTree(people);
+    state.roles = rolesByPerson(await grantsReady);
+    state.expanded = new Set(state.tree.roots.map((r) => r.person.id));
+
+    searchIds.clear();
+    people
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((p) => searchIds.set(`${p.name} (${p.email})`, p.id));
+    if (searchEngine) searchEngine.setItems(Array.from(searchIds.keys()), { clearValue: true });
+
+    relayout();
+    fit();
+    if (people.length === 0) {
+      setFormStatus(statusEl, note || 'The org chart is empty.', 'error');
+    } else {
+      setFormStatus(statusEl, note || `${people.length} people.`, null);
+    }
+  };
+
+  load();
+}
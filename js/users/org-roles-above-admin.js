@@ -0,0 +1,244 @@
+/**
+ * org-roles-above-admin.js
+ *
+ * users/org-roles-above-admin — the capability matrix for every role above
+ * 05_org_admin. One row per role, one column per capability; each circle
+ * button grants or withholds that capability.
+ *
+ *   - Toggling a circle only changes the draft. Changed cells are
+ *     highlighted and counted until saved or discarded.
+ *   - Save diffs the draft against the matrix as loaded and sends only the
+ *     changed pairs (POST /role-capabilities/<env>), then shows the matrix
+ *     the proxy returns — including cells others saved meanwhile.
+ *   - Discard puts every circle back to the loaded state.
+ *
+ * Rows for your own role and above are read-only (system admins may edit
+ * every row); the proxy enforces the same rule.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { getHighestRole, hasMinimumRole, isAuthenticated, ROLE_HIERARCHY } from '../auth/zitadel-auth.js';
+import { fetchProjectRoles, fetchRoleCapabilities, saveRoleCapabilities } from '../api/zitadel-api.js';
+import { setFormStatus, renderActionButton } from '../tasks/task-form.js';
+import { formatLocalTimestamp } from '../settings/userTimeZone.js';
+
+// Mirrored by ORG_ADMIN_ROLE / ROLE_MATRIX_EDITOR_ROLE in
+// lambda/zitadel-proxy/lambda_function.py
+const VIEWER_ROLE = '05_org_admin';
+const EDITOR_ROLE = '03_org_super_admin';
+
+const TOP_RANK = ROLE_HIERARCHY.length - 1;
+const CHANGED_CLASS = 'org-roles__cell--changed';
+
+const cellKey = (roleKey, capability) => `${roleKey}|${capability}`;
+
+// { [roleKey]: capability[] } → Map of cellKey → granted
+function toCells(roles, capabilities, grants) {
+  const cells = new Map();
+  roles.forEach((roleKey) => {
+    const held = grants[roleKey] || [];
+    capabilities.forEach((c) => cells.set(cellKey(roleKey, c.key), held.includes(c.key)));
+  });
+  return cells;
+}
+
+/**
+ * Draft cells that differ from the loaded ones, as proxy changes.
+ */
+function diffCells(loaded, draft) {
+  const changes = [];
+  draft.forEach((granted, key) => {
+    if (loaded.get(key) === granted) return;
+    const [roleKey, capability] = key.split('|');
+    changes.push({ roleKey, capability, granted });
+  });
+  return changes;
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for users/org-roles-above-admin.
+ */
+export function initializeOrgRolesAboveAdmin() {
+  const root = document.getElementById('org-roles');
+  const tableEl = document.getElementById('org-roles-table');
+  const headerRow = document.getElementById('org-roles-header-row');
+  const tbody = document.getElementById('org-roles-body');
+  const summaryEl = document.getElementById('org-roles-summary');
+  const actionsEl = document.getElementById('org-roles-actions');
+  const statusEl = document.getElementById('org-roles-status');
+  if (!root || !tableEl || !headerRow || !tbody || !summaryEl || !actionsEl || !statusEl) {
+    console.error('[Org Roles Above Admin] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Org Roles Above Admin] init');
+
+  if (!isAuthenticated() || !hasMinimumRole(VIEWER_ROLE)) {
+    tableEl.hidden = true;
+    actionsEl.hidden = true;
+    setFormStatus(statusEl, `Viewing role capabilities requires the ${VIEWER_ROLE} role or higher.`, 'error');
+    return;
+  }
+
+  const myRank = ROLE_HIERARCHY.indexOf(getHighestRole());
+  const canEditRole = (roleKey) => hasMinimumRole(EDITOR_ROLE)
+    && (ROLE_HIERARCHY.indexOf(roleKey) < myRank || myRank === TOP_RANK);
+
+  let matrix = null;        // last response from the proxy
+  let loaded = new Map();   // cellKey → granted, as loaded
+  let draft = new Map();    // cellKey → granted, with unsaved toggles
+  let roleNames = {};       // roleKey → displayName
+  let saving = false;
+  const buttons = new Map();  // cellKey → circle button engine
+  const cellEls = new Map();  // cellKey → <td>
+
+  const roleName = (key) => roleNames[key] || key;
+
+  // ── Unsaved-change tracking ──
+  const updateSummary = () => {
+    const count = diffCells(loaded, draft).length;
+    cellEls.forEach((td, key) => td.classList.toggle(CHANGED_CLASS, loaded.get(key) !== draft.get(key)));
+    const saved = matrix && matrix.updatedAt
+      ? `Last saved ${formatLocalTimestamp(matrix.updatedAt)} by ${matrix.updatedBy}.`
+      : 'Not saved yet.';
+    summaryEl.textContent = count
+      ? `${count} unsaved change${count === 1 ? '' : 's'}. ${saved}`
+      : saved;
+    const enabled = count > 0 && !saving;
+    [saveButton, discardButton].forEach((b) => (enabled ? b.enable() : b.disable()));
+  };
+
+  // The circle has already flipped itself; it is set back from the draft so
+  // a click during a save changes nothing.
+  const toggle = (key) => {
+    if (!saving) draft.set(key, !draft.get(key));
+    buttons.get(key).setActive(draft.get(key));
+    updateSummary();
+  };
+
+  // ── Matrix ──
+  const renderMatrix = () => {
+    while (headerRow.children.length > 1) headerRow.lastChild.remove();
+    matrix.capabilities.forEach((c) => {
+      const th = document.createElement('th');
+      th.className = 'table-header-cell';
+      const h3 = document.createElement('h3');
+      h3.textContent = c.label;
+      th.appendChild(h3);
+      headerRow.appendChild(th);
+    });
+
+    tbody.innerHTML = '';
+    buttons.clear();
+    cellEls.clear();
+    // Highest role first, as on users/org-admins.
+    [...matrix.roles].reverse().forEach((roleKey) => {
+      const tr = document.createElement('tr');
+      tr.className = 'table-body-row';
+      const nameTd = document.createElement('td');
+      nameTd.className = 'table-body-cell';
+      const p = document.createElement('p');
+      p.textContent = roleName(roleKey);
+      nameTd.appendChild(p);
+      tr.appendChild(nameTd);
+
+      const slots = matrix.capabilities.map((c) => {
+        const td = document.createElement('td');
+        td.className = 'table-button-cell';
+        const slot = document.createElement('div');
+        slot.className = 'table-button-slot';
+        slot.id = `org-roles-${roleKey}-${c.key}`;
+        slot.title = `${roleName(roleKey)} — ${c.label}`;
+        td.appendChild(slot);
+        tr.appendChild(td);
+        cellEls.set(cellKey(roleKey, c.key), td);
+        return slot;
+      });
+      tbody.appendChild(tr);
+
+      // Circle buttons render into slots already in the document.
+      const editable = canEditRole(roleKey);
+      matrix.capabilities.forEach((c, i) => {
+        const key = cellKey(roleKey, c.key);
+        const button = componentFactory.createButton(slots[i].id, {
+          id: `${slots[i].id}-btn`,
+          text: '•', // Triggers circle mode in button_component_engine
+          value: key,
+          active: draft.get(key),
+          disabled: !editable
+        }, () => toggle(key));
+        buttons.set(key, button);
+      });
+    });
+    updateSummary();
+  };
+
+  const apply = (data) => {
+    matrix = data;
+    loaded = toCells(data.roles, data.capabilities, data.grants);
+    draft = new Map(loaded);
+    renderMatrix();
+  };
+
+  const load = async () => {
+    setFormStatus(statusEl, 'Loading role capabilities…', null);
+    try {
+      const [data, projectRoles] = await Promise.all([
+        fetchRoleCapabilities(),
+        fetchProjectRoles().catch((err) => {
+          console.warn('[Org Roles Above Admin] Could not load role names:', err);
+          return [];
+        })
+      ]);
+      roleNames = Object.fromEntries(projectRoles.map((r) => [r.key, r.displayName]));
+      apply(data);
+    } catch (err) {
+      console.error('[Org Roles Above Admin] Failed to load:', err);
+      setFormStatus(statusEl, `Could not load role capabilities: ${err.message}`, 'error');
+      return;
+    }
+    setFormStatus(statusEl, hasMinimumRole(EDITOR_ROLE)
+      ? ''
+      : `Editing requires the ${EDITOR_ROLE} role or higher.`, null);
+  };
+
+  // ── Save / Discard ──
+  const save = async () => {
+    const changes = diffCells(loaded, draft);
+    if (changes.length === 0 || saving) return;
+    saving = true;
+    updateSummary();
+    setFormStatus(statusEl, `Saving ${changes.length} change${changes.length === 1 ? '' : 's'}…`, null);
+    try {
+      apply(await saveRoleCapabilities(changes));
+    } catch (err) {
+      console.error('[Org Roles Above Admin] Save failed:', err);
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    } finally {
+      saving = false;
+      updateSummary();
+    }
+    setFormStatus(statusEl, `Saved ${changes.length} change${changes.length === 1 ? '' : 's'}.`, 'success');
+  };
+
+  const discard = () => {
+    if (saving) return;
+    draft = new Map(loaded);
+    buttons.forEach((button, key) => button.setActive(draft.get(key)));
+    updateSummary();
+    setFormStatus(statusEl, 'Changes discarded.', null);
+  };
+
+  const saveButton = renderActionButton('org-roles-save', { id: 'org-roles-save-btn', text: 'Save' }, save);
+  const discardButton = renderActionButton('org-roles-discard', { id: 'org-roles-discard-btn', text: 'Discard' }, discard);
+  saveButton.disable();
+  discardButton.disable();
+
+  load();
+}
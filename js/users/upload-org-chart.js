@@ -0,0 +1,385 @@
+/**
+ * upload-org-chart.js
+ *
+ * users/upload-org-chart — replace the org chart (org-chart-registry.js)
+ * from a CSV file with one row per employee: name, email and manager
+ * email, optionally title and department.
+ *
+ *   1. Columns are mapped as on the other bulk uploads (csv-import.js).
+ *   2. The file must describe a forest: every manager listed as an
+ *      employee, each email once with a single manager, and no reporting
+ *      cycles. Offending rows are flagged in the preview grid and can be
+ *      downloaded with their errors.
+ *   3. A valid file is previewed as a tree, marked up with the changes
+ *      against the current chart (added, moved, removed). Import replaces
+ *      the chart as a whole, so it is only offered when every row is valid.
+ */
+
+import { componentFactory } from '../factory/ComponentFactory.js';
+import { readCsvFile } from '../core/csv.js';
+import {
+  mountColumnMapping,
+  mapRows,
+  renderPreview,
+  downloadRejectedRows
+} from '../core/csv-import.js';
+import { setFormStatus, renderActionButton } from '../tasks/task-form.js';
+import {
+  ORG_CHART_EDITOR_ROLE,
+  canEditOrgChart,
+  getOrgChart,
+  saveOrgChart,
+  diffOrgCharts,
+  buildOrgTree,
+  personId
+} from './org-chart-registry.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const ORG_FIELDS = [
+  { key: 'name',       label: 'Employee',      aliases: ['name', 'employee name', 'full name'] },
+  { key: 'email',      label: 'Email',         aliases: ['employee email', 'email address', 'work email'] },
+  { key: 'manager',    label: 'Manager email', aliases: ['manager', 'reports to', 'supervisor', 'supervisor email'] },
+  { key: 'title',      label: 'Title',         aliases: ['job title', 'position'] },
+  { key: 'department', label: 'Department',    aliases: ['dept', 'team'] }
+];
+
+// Diff lists stop here; the tree shows everything.
+const DIFF_LIST_LIMIT = 100;
+
+/**
+ * Turn mapped rows into people and flag everything that keeps the file
+ * from being a forest: missing / malformed emails, duplicate employees,
+ * employees with more than one manager, managers who are not employees
+ * themselves, and reporting cycles.
+ */
+function validateRows(importRows) {
+  const rowsById = new Map();   // person id → rows naming that employee
+
+  importRows.forEach((row) => {
+    const { values } = row;
+    row.person = {
+      id: personId(values.email),
+      name: values.name,
+      email: values.email,
+      title: values.title,
+      department: values.department,
+      managerId: personId(values.manager) || null
+    };
+    if (!values.name) row.errors.push('Employee: Required');
+    if (!values.email) row.errors.push('Email: Required');
+    else if (!EMAIL_PATTERN.test(values.email)) row.errors.push('Email: Not a valid email address');
+    if (values.manager && !EMAIL_PATTERN.test(values.manager)) row.errors.push('Manager email: Not a valid email address');
+    if (row.person.id) rowsById.set(row.person.id, [...(rowsById.get(row.person.id) || []), row]);
+  });
+
+  // Duplicates: identical reporting lines are a repeat; different ones
+  // leave the employee with several managers, and every row is suspect.
+  rowsById.forEach((rows) => {
+    if (rows.length < 2) return;
+    const managers = new Set(rows.map((row) => row.person.managerId));
+    if (managers.size > 1) {
+      const lines = rows.map((row) => row.line).join(', ');
+      rows.forEach((row) => row.errors.push(`${row.values.email} has more than one manager (lines ${lines})`));
+    } else {
+      rows.slice(1).forEach((row) => row.errors.push(`Duplicate email — ${row.values.email} is already on line ${rows[0].line}`));
+    }
+  });
+
+  importRows.forEach((row) => {
+    const { id, managerId } = row.person;
+    if (managerId && managerId !== id && !rowsById.has(managerId)) {
+      row.errors.push(`Manager ${row.values.manager} is not listed as an employee`);
+    }
+  });
+
+  // Cycles: follow each manager chain once; reaching a person already on
+  // the current walk closes a loop, and everyone on it is flagged.
+  const managerOf = new Map();
+  rowsById.forEach((rows, id) => managerOf.set(id, rows[0].person.managerId));
+  const state = new Map();      // id → 'walking' | 'done'
+  managerOf.forEach((_, start) => {
+    const path = [];
+    let current = start;
+    while (current && managerOf.has(current) && !state.has(current)) {
+      state.set(current, 'walking');
+      path.push(current);
+      current = managerOf.get(current);
+    }
+    if (current && state.get(current) === 'walking') {
+      const cycle = path.slice(path.indexOf(current));
+      const message = cycle.length === 1
+        ? `${rowsById.get(current)[0].values.email} reports to themselves`
+        : `Reporting cycle: ${[...cycle, current].map((id) => rowsById.get(id)[0].values.email).join(' → ')}`;
+      cycle.forEach((id) => rowsById.get(id).forEach((row) => row.errors.push(message)));
+    }
+    path.forEach((id) => state.set(id, 'done'));
+  });
+
+  return importRows;
+}
+
+const PREVIEW_COLUMNS = [
+  { label: 'Employee',   value: (row) => row.values.name },
+  { label: 'Email',      value: (row) => row.values.email },
+  { label: 'Manager',    value: (row) => row.values.manager },
+  { label: 'Title',      value: (row) => row.values.title },
+  { label: 'Department', value: (row) => row.values.department }
+];
+
+// ─── Tree preview ───────────────────────────────────────────────────────────
+
+/**
+ * One list item per person. Reports are built when a manager is first
+ * opened, so a large chart renders only what is on screen.
+ */
+function renderTreeNode(node, marks) {
+  const item = document.createElement('li');
+  const label = document.createElement('span');
+  label.className = 'org-tree__label';
+  const name = document.createElement('strong');
+  name.textContent = node.person.name;
+  label.appendChild(name);
+  const detail = [node.person.title, node.person.email].filter(Boolean).join(' · ');
+  label.appendChild(document.createTextNode(` ${detail}`));
+  const mark = marks.get(node.person.id);
+  if (mark) {
+    const tag = document.createElement('span');
+    tag.className = `org-tree__tag org-tree__tag--${mark.kind}`;
+    tag.textContent = mark.text;
+    if (mark.title) tag.title = mark.title;
+    label.appendChild(tag);
+  }
+
+  if (node.children.length === 0) {
+    item.appendChild(label);
+    return item;
+  }
+
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.appendChild(label);
+  const count = document.createElement('span');
+  count.className = 'org-tree__count';
+  count.textContent = `${node.children.length} direct / ${node.descendants} total`;
+  summary.appendChild(count);
+  details.appendChild(summary);
+  details.addEventListener('toggle', () => {
+    if (!details.open || details.dataset.built === 'true') return;
+    details.dataset.built = 'true';
+    const list = document.createElement('ul');
+    list.className = 'org-tree__list';
+    node.children.forEach((child) => list.appendChild(renderTreeNode(child, marks)));
+    details.appendChild(list);
+  });
+  item.appendChild(details);
+  return item;
+}
+
+function renderTree(container, people, marks) {
+  container.innerHTML = '';
+  const { roots } = buildOrgTree(people);
+  const list = document.createElement('ul');
+  list.className = 'org-tree__list org-tree__list--root';
+  roots.forEach((root) => {
+    const item = renderTreeNode(root, marks);
+    const details = item.querySelector('details');
+    if (details) details.open = true;
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+// ─── Diff ───────────────────────────────────────────────────────────────────
+
+function renderDiffList(container, title, entries, describe) {
+  const section = document.createElement('section');
+  section.className = 'bulk-upload__diff-group';
+  const h3 = document.createElement('h3');
+  h3.textContent = `${title} (${entries.length})`;
+  section.appendChild(h3);
+  if (entries.length === 0) {
+    const none = document.createElement('p');
+    none.className = 'task-form__hint';
+    none.textContent = 'None.';
+    section.appendChild(none);
+  } else {
+    const list = document.createElement('ul');
+    entries.slice(0, DIFF_LIST_LIMIT).forEach((entry) => {
+      const item = document.createElement('li');
+      item.textContent = describe(entry);
+      list.appendChild(item);
+    });
+    if (entries.length > DIFF_LIST_LIMIT) {
+      const more = document.createElement('li');
+      more.textContent = `…and ${entries.length - DIFF_LIST_LIMIT} more`;
+      list.appendChild(more);
+    }
+    section.appendChild(list);
+  }
+  container.appendChild(section);
+}
+
+/**
+ * Main initialisation entry point — called from main.js on subpageLoaded
+ * for users/upload-org-chart.
+ */
+export function initializeUploadOrgChart() {
+  const root = document.getElementById('upload-org-chart');
+  const mappingSection = document.getElementById('upload-org-chart-mapping');
+  const mappingEl = document.getElementById('upload-org-chart-mapping-fields');
+  const previewEl = document.getElementById('upload-org-chart-preview');
+  const headerRow = document.getElementById('upload-org-chart-preview-header');
+  const tbody = document.getElementById('upload-org-chart-preview-body');
+  const summaryEl = document.getElementById('upload-org-chart-summary');
+  const permissionEl = document.getElementById('upload-org-chart-permission');
+  const changesEl = document.getElementById('upload-org-chart-changes');
+  const diffEl = document.getElementById('upload-org-chart-diff');
+  const treeEl = document.getElementById('upload-org-chart-tree');
+  const importSlot = document.getElementById('upload-org-chart-import');
+  const downloadSlot = document.getElementById('upload-org-chart-download');
+  const statusEl = document.getElementById('upload-org-chart-status');
+  if (!root || !mappingSection || !mappingEl || !previewEl || !headerRow || !tbody || !summaryEl || !permissionEl
+    || !changesEl || !diffEl || !treeEl || !importSlot || !downloadSlot || !statusEl) {
+    console.error('[Upload Org Chart] Required DOM nodes missing.');
+    return;
+  }
+  if (root.dataset.initialized === 'true') return;
+  root.dataset.initialized = 'true';
+
+  console.log('[Upload Org Chart] init');
+
+  const editable = canEditOrgChart();
+  permissionEl.hidden = editable;
+  permissionEl.textContent = editable ? '' : `Replacing the org chart requires the ${ORG_CHART_EDITOR_ROLE} role or higher. You can still check a file.`;
+
+  let headers = [];
+  let dataRows = [];
+  let importRows = [];
+  let people = [];          // the file's people once every row is valid
+  let mapping = null;       // mountColumnMapping controller for the current file
+  let current = null;       // the stored chart the file is compared with; null when none
+
+  const loadCurrent = async () => {
+    try {
+      current = await getOrgChart();
+    } catch (err) {
+      console.error('[Upload Org Chart] Failed to load the org chart:', err);
+      setFormStatus(statusEl, `Could not load the current org chart: ${err.message}`, 'error');
+    }
+  };
+
+  const refreshChanges = () => {
+    const before = current ? current.people : [];
+    const diff = diffOrgCharts(before, people);
+    const names = new Map([...before, ...people].map((p) => [p.id, p.name]));
+    const managerName = (id) => (id ? names.get(id) || id : 'top level');
+
+    const marks = new Map();
+    diff.added.forEach((p) => marks.set(p.id, { kind: 'added', text: 'New' }));
+    diff.moved.forEach(({ person, from }) => marks.set(person.id, { kind: 'moved', text: 'Moved', title: `Was under ${managerName(from)}` }));
+
+    diffEl.innerHTML = '';
+    renderDiffList(diffEl, 'Added', diff.added, (p) => `${p.name} (${p.email}) under ${managerName(p.managerId)}`);
+    renderDiffList(diffEl, 'Moved', diff.moved, ({ person, from, to }) => `${person.name}: ${managerName(from)} → ${managerName(to)}`);
+    renderDiffList(diffEl, 'Removed', diff.removed, (p) => `${p.name} (${p.email})`);
+    renderTree(treeEl, people, marks);
+
+    const changeCount = diff.added.length + diff.moved.length + diff.removed.length;
+    importSlot.hidden = !editable || changeCount === 0;
+    return diff;
+  };
+
+  const refreshPreview = () => {
+    importRows = validateRows(mapRows(dataRows, mapping.getMapping()));
+    renderPreview(headerRow, tbody, importRows, PREVIEW_COLUMNS);
+    const rejected = importRows.filter((row) => row.errors.length > 0).length;
+    downloadSlot.hidden = rejected === 0;
+
+    if (rejected > 0) {
+      summaryEl.textContent = `${importRows.length} rows — ${rejected} with errors. Fix them to preview the tree; the chart is only replaced by a fully valid file.`;
+      people = [];
+      changesEl.hidden = true;
+      return;
+    }
+    summaryEl.textContent = `${importRows.length} rows — all valid.`;
+    people = importRows.map((row) => row.person);
+    changesEl.hidden = false;
+    refreshChanges();
+  };
+
+  const loadFile = async (file) => {
+    setFormStatus(statusEl, '', null);
+    if (mapping) mapping.destroy();
+    mapping = null;
+    mappingSection.hidden = true;
+    previewEl.hidden = true;
+    changesEl.hidden = true;
+    if (!file) return;
+
+    let rows;
+    try {
+      rows = await readCsvFile(file);
+    } catch (err) {
+      console.error('[Upload Org Chart] Could not read file:', err);
+      setFormStatus(statusEl, `Could not read ${file.name}.`, 'error');
+      return;
+    }
+    if (rows.length < 2) {
+      setFormStatus(statusEl, `${file.name} has no data rows below the header.`, 'error');
+      return;
+    }
+    [headers, ...dataRows] = rows;
+    await loadCurrent();
+
+    // Unhide before mounting — the comboboxes measure their container.
+    mappingSection.hidden = false;
+    previewEl.hidden = false;
+    mapping = mountColumnMapping(mappingEl, {
+      idPrefix: 'upload-org-chart',
+      headers,
+      fields: ORG_FIELDS,
+      onChange: refreshPreview
+    });
+    refreshPreview();
+  };
+
+  componentFactory.createFileUpload('upload-org-chart-file', {
+    id: 'upload-org-chart-csv',
+    text: 'Drag & Drop a CSV File or Click to Browse',
+    acceptedFiles: '.csv,text/csv',
+    multiple: false,
+    maxSize: 5 * 1024 * 1024, // 5MB
+    icon: '📊'
+  }, (files, errors) => {
+    if (errors && errors.length > 0) {
+      setFormStatus(statusEl, errors.join(' '), 'error');
+      return;
+    }
+    loadFile(files[0]);
+  });
+
+  renderActionButton('upload-org-chart-import', { id: 'upload-org-chart-import-btn', text: 'Replace Org Chart' }, async () => {
+    if (people.length === 0) return;
+    const diff = refreshChanges();
+    try {
+      current = await saveOrgChart(people, current);
+    } catch (err) {
+      console.error('[Upload Org Chart] Import failed:', err);
+      // Someone may have replaced the chart meanwhile; show the changes
+      // against what is stored now.
+      await loadCurrent();
+      refreshChanges();
+      setFormStatus(statusEl, err.message, 'error');
+      return;
+    }
+    setFormStatus(statusEl,
+      `Org chart replaced: ${people.length} people (${diff.added.length} added, ${diff.moved.length} moved, ${diff.removed.length} removed).`,
+      'success');
+    refreshChanges();
+  });
+
+  renderActionButton('upload-org-chart-download', { id: 'upload-org-chart-download-btn', text: 'Download Rejected Rows' }, () => {
+    downloadRejectedRows('org-chart-upload-errors.csv', headers, importRows);
+  });
+}
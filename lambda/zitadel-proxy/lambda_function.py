@@ -7,16 +7,22 @@ The browser sends the user's access token; this function:
   2. Authenticates as the claude-admin service account (JWT bearer grant)
   3. Calls the requested Management API endpoint
   4. Returns the result to the browser
+An hourly EventBridge schedule also invokes it to take away time-limited
+access once it has expired (handle_scheduled_sweep).
 
 Environment variables:
   ZITADEL_ISSUER       — e.g. https://dynamicsite-hgyhhz.us1.zitadel.cloud
   ZITADEL_PROJECT_ID   — e.g. 339930261431031889
   SECRET_NAME          — Secrets Manager key name for the service account key
   ALLOWED_ORIGINS      — comma-separated list of allowed CORS origins
+  DATA_BUCKET_DEVELOPMENT, DATA_BUCKET_SANDBOX, DATA_BUCKET_PRODUCTION
+                       — private application data buckets (optional; see
+                         ENV_DATA_BUCKETS for the defaults)
 """
 
 import json
 import os
+import re
 import time
 import urllib.request
 import urllib.parse
@@ -173,28 +179,59 @@ def handle_get_roles():
 
 
 def handle_get_users():
-    """Fetch all users with grants on this project."""
-    return call_zitadel_management('POST',
-        f'/management/v1/projects/{PROJECT_ID}/grants/_search',
-        {'query': {'offset': '0', 'limit': 100}}
-    )
+    """Fetch all users with grants on this project.
+    Collapses the project's user grants to one entry per user, with the
+    union of their role keys.
+    """
+    grants = handle_get_user_grants().get('result', [])
+    users = {}
+    for grant in grants:
+        user_id = grant.get('userId')
+        if not user_id:
+            continue
+        user = users.setdefault(user_id, {
+            'userId': user_id,
+            'userName': grant.get('userName', ''),
+            'preferredLoginName': grant.get('preferredLoginName', ''),
+            'displayName': grant.get('displayName', ''),
+            'email': grant.get('email', ''),
+            'orgId': grant.get('orgId', ''),
+            'orgName': grant.get('orgName', ''),
+            'roleKeys': [],
+        })
+        for key in grant.get('roleKeys', []):
+            if key not in user['roleKeys']:
+                user['roleKeys'].append(key)
+    return {'result': list(users.values())}
+
+
+# Page size for Zitadel list searches
+USER_GRANTS_PAGE_SIZE = 100
 
 
 def handle_get_user_grants():
-    """Fetch all user grants (role assignments) for the project."""
-    return call_zitadel_management('POST',
-        '/management/v1/users/grants/_search',
-        {
-            'query': {'offset': '0', 'limit': 100},
-            'queries': [
-                {
-                    'projectIdQuery': {
-                        'projectId': PROJECT_ID
+    """Fetch all user grants (role assignments) for the project.
+    Zitadel returns at most one page per search, so this pages through
+    offset until the result is exhausted.
+    """
+    grants = []
+    while True:
+        page = call_zitadel_management('POST',
+            '/management/v1/users/grants/_search',
+            {
+                'query': {'offset': str(len(grants)), 'limit': USER_GRANTS_PAGE_SIZE},
+                'queries': [
+                    {
+                        'projectIdQuery': {
+                            'projectId': PROJECT_ID
+                        }
                     }
-                }
-            ]
-        }
-    )
+                ]
+            }
+        ).get('result', [])
+        grants.extend(page)
+        if len(page) < USER_GRANTS_PAGE_SIZE:
+            return {'result': grants}
 
 
 # ─── Security Settings Handlers ──────────────────────────────────────────────
@@ -527,6 +564,1254 @@ def handle_revert_font_variables(body=None):
     }
 
 
+# ─── Private Data Store ──────────────────────────────────────────────────────
+#
+# Application data (tasks, and the stores below that follow it) lives in
+# per-environment buckets of its own. ENV_FONT_BUCKETS are published as the
+# static site by the aws-s3-deploy workflows, so nothing holding bank, tax
+# or user data may go there; the data buckets block all public access and
+# only this function's role can read them.
+#
+# Every write is conditional on the ETag read (If-Match, or If-None-Match
+# for a new object), and update_private_json retries the whole
+# read-modify-write when another invocation got in first, so concurrent
+# writers never drop each other's changes.
+
+ENV_DATA_BUCKETS = {
+    'development': os.environ.get('DATA_BUCKET_DEVELOPMENT', 'tnjdynamicsite-data-dev'),
+    'sandbox': os.environ.get('DATA_BUCKET_SANDBOX', 'tnjdynamicsite-data-sandbox'),
+    'production': os.environ.get('DATA_BUCKET_PRODUCTION', 'tnjdynamicsite-data'),
+}
+
+# Read-modify-write attempts before giving up on a contended object
+STORE_WRITE_ATTEMPTS = 5
+
+
+class StoreConflictError(Exception):
+    """Raised when a conditional write loses to a concurrent one."""
+
+
+def read_private_json(env, key, default):
+    """Read a JSON document from the environment's data bucket.
+    Returns (data, etag); etag is None when the object does not exist yet.
+    """
+    bucket = ENV_DATA_BUCKETS.get(env, ENV_DATA_BUCKETS['development'])
+    s3 = boto3.client('s3', region_name='us-west-2')
+    try:
+        resp = s3.get_object(Bucket=bucket, Key=key)
+        return json.loads(resp['Body'].read().decode('utf-8')), resp['ETag']
+    except ClientError as e:
+        if e.response['Error']['Code'] == 'NoSuchKey':
+            return json.loads(json.dumps(default)), None
+        raise
+
+
+def write_private_json(env, key, data, etag):
+    """Write a JSON document only if it is still at `etag` (None: only if
+    it does not exist). Raises StoreConflictError otherwise.
+    """
+    bucket = ENV_DATA_BUCKETS.get(env, ENV_DATA_BUCKETS['development'])
+    s3 = boto3.client('s3', region_name='us-west-2')
+    condition = {'IfMatch': etag} if etag else {'IfNoneMatch': '*'}
+    try:
+        s3.put_object(
+            Bucket=bucket,
+            Key=key,
+            Body=json.dumps(data, indent=2).encode('utf-8'),
+            ContentType='application/json',
+            **condition
+        )
+    except ClientError as e:
+        if e.response['Error']['Code'] in ('PreconditionFailed', 'ConditionalRequestConflict'):
+            raise StoreConflictError(f'{key} was modified concurrently')
+        raise
+
+
+def update_private_json(env, key, default, mutate):
+    """Read-modify-write a JSON document. `mutate(data)` changes data in
+    place and returns the caller's result; it runs again on fresh data if
+    the write loses a race, so it must not have side effects. Exceptions
+    from mutate abort without writing.
+    """
+    for attempt in range(STORE_WRITE_ATTEMPTS):
+        data, etag = read_private_json(env, key, default)
+        result = mutate(data)
+        data['environment'] = env
+        try:
+            write_private_json(env, key, data, etag)
+            return result
+        except StoreConflictError:
+            print(f'[lambda] {key} changed during write (attempt {attempt + 1}); retrying')
+            time.sleep(0.05 * (attempt + 1))
+    raise StoreConflictError(f'{key} is busy; try again')
+
+
+# ─── Task Repository Handlers ────────────────────────────────────────────────
+#
+# Backing store for the SPA's HTTP task backend (js/tasks/task-backends.js).
+# All tasks for an environment live in one JSON document in that
+# environment's data bucket. Writes carry the client's last-seen updatedAt
+# so concurrent edits are detected (409) instead of silently overwritten.
+#
+# The proxy is the authority on who may do what, whatever the browser
+# allows:
+#   - requester, createdAt, type and history are written here, never taken
+#     from the client; a write sends the stored history plus one new entry,
+#     whose action and comment are kept and whose author and time are ours
+#   - approving, rejecting and reassigning need the task type's approver
+#     role, and nobody decides their own request; approvers change only
+#     status and assignee
+#   - every other change is the requester's, and content (fields, data,
+#     title, …) only changes while the task is a draft
+#   - reads return only the tasks the caller may see (can_see_task)
+
+TASKS_KEY = 'tasks.json'
+
+TASK_STATUSES = ('draft', 'submitted', 'approved', 'rejected', 'closed')
+
+# Mirrors STATUS_TRANSITIONS in js/tasks/task-schema.js
+TASK_TRANSITIONS = {
+    'draft': ('submitted', 'closed'),
+    'submitted': ('approved', 'rejected'),
+    'approved': ('closed',),
+    'rejected': ('closed', 'draft'),
+    'closed': (),
+}
+
+# Mirrors approverRole in TASK_TYPES (js/tasks/task-types.js). Unknown types
+# need the top role, as getTaskType's fallback does.
+TASK_APPROVER_ROLES = {
+    'bank-validation': '03_org_super_admin',
+    'tin-validation': '04_org_audit_admin',
+    'address-validation': '05_org_admin',
+    'create-scac': '05_org_admin',
+    'change-payment-terms': '03_org_super_admin',
+    'change-invoice-approver': '04_org_audit_admin',
+    'vendor-request': '03_org_super_admin',
+    'user-permission-request': '02_org_owner',
+}
+
+# Actions that need the approver role
+TASK_APPROVER_ACTIONS = ('approved', 'rejected', 'reassigned')
+
+# Keys a task write may change outside of a draft
+TASK_STATE_KEYS = ('status', 'assignee', 'updatedAt', 'history')
+
+# Keys that never change after creation
+TASK_FIXED_KEYS = ('type', 'requester', 'createdAt')
+
+
+class TaskConflictError(Exception):
+    """Raised when a task write is based on a stale version."""
+
+
+def task_approver_role(task_type):
+    return TASK_APPROVER_ROLES.get(task_type, '01_system_admin')
+
+
+def caller_identity(user_info):
+    """The caller as tasks record people (task-repository currentRequester)."""
+    sub = user_info.get('sub', '?')
+    return {
+        'sub': sub,
+        'name': user_info.get('preferred_username') or user_info.get('email') or user_info.get('name') or sub,
+    }
+
+
+def task_history_entry(action, me, at, comment=None):
+    entry = {'action': action, 'by': me['name'], 'byId': me['sub'], 'at': at}
+    if comment:
+        entry['comment'] = str(comment)
+    return entry
+
+
+def can_see_task(task, user_info):
+    """Requesters see their own tasks, assignees the tasks assigned to them,
+    and approvers every submitted-or-later task of a type they can approve.
+    """
+    me = caller_identity(user_info)
+    if (task.get('requester') or {}).get('sub') == me['sub']:
+        return True
+    if task.get('assignee') and task.get('assignee') == me['name']:
+        return True
+    return task.get('status') != 'draft' and has_minimum_role(user_info, task_approver_role(task.get('type')))
+
+
+def get_tasks(env='development'):
+    """Read every task for an environment from the data bucket."""
+    data, _ = read_private_json(env, TASKS_KEY, {'tasks': []})
+    return data
+
+
+def handle_get_tasks(env, user_info):
+    """The environment's tasks the caller may see."""
+    tasks = get_tasks(env).get('tasks', [])
+    return {'tasks': [t for t in tasks if can_see_task(t, user_info)], 'environment': env}
+
+
+def checked_task_update(existing, task, user_info, at):
+    """The stored form of an update to `existing`, or raise if the caller
+    may not make it.
+    """
+    me = caller_identity(user_info)
+    for key in TASK_FIXED_KEYS:
+        if task.get(key) != existing.get(key):
+            raise ForbiddenError(f'{key} cannot be changed')
+
+    stored_history = existing.get('history', [])
+    history = task.get('history') or []
+    if len(history) != len(stored_history) + 1 or history[:-1] != stored_history:
+        raise ForbiddenError('history cannot be changed; send the stored history plus one new entry')
+    entry = history[-1] if isinstance(history[-1], dict) else {}
+
+    previous_status = existing.get('status')
+    if task['status'] != previous_status:
+        if task['status'] not in TASK_TRANSITIONS.get(previous_status, ()):
+            raise ValueError(f'Cannot move task from {previous_status} to {task["status"]}')
+        action = task['status']
+    else:
+        action = entry.get('action')
+        if action not in ('updated', 'reassigned'):
+            raise ValueError(f'Unknown task action: {action}')
+
+    is_requester = (existing.get('requester') or {}).get('sub') == me['sub']
+    changed = sorted(key for key in set(task) | set(existing)
+                     if key not in TASK_STATE_KEYS and task.get(key) != existing.get(key))
+    if action in TASK_APPROVER_ACTIONS:
+        role = task_approver_role(existing.get('type'))
+        if not has_minimum_role(user_info, role):
+            raise ForbiddenError(f'Acting on {existing.get("type")} tasks requires {role} or higher')
+        if action != 'reassigned' and is_requester:
+            raise ForbiddenError('You cannot approve or reject your own request')
+        if changed:
+            raise ForbiddenError(f'Approvers cannot change {", ".join(changed)}')
+    else:
+        if not is_requester:
+            raise ForbiddenError('Only the requester can change this task')
+        if changed and previous_status != 'draft':
+            raise ForbiddenError(f'{", ".join(changed)} can only change while the task is a draft')
+
+    return {
+        **task,
+        'updatedAt': at,
+        'history': stored_history + [task_history_entry(action, me, at, entry.get('comment'))],
+    }
+
+
+def handle_put_task(env, body, user_info):
+    """Create or replace one task.
+    Body: {task: {...}, expectedUpdatedAt: <ISO string> | null}
+    A null expectedUpdatedAt means "create"; it fails if the id exists.
+    Returns the task as stored, with the server-written keys.
+    """
+    task = body.get('task')
+    expected = body.get('expectedUpdatedAt')
+    if not isinstance(task, dict) or not task.get('id') or not task.get('type'):
+        raise ValueError('task with id and type is required')
+    if task.get('status') not in TASK_STATUSES:
+        raise ValueError(f'Invalid task status: {task.get("status")}')
+
+    def write(data):
+        tasks = data.setdefault('tasks', [])
+        index = next((i for i, t in enumerate(tasks) if t.get('id') == task['id']), None)
+        existing = tasks[index] if index is not None else None
+        at = now_utc()
+
+        if expected is None:
+            if existing is not None:
+                raise TaskConflictError(f'Task {task["id"]} already exists')
+            if task['status'] not in ('draft', 'submitted'):
+                raise ValueError('New tasks must be draft or submitted')
+            me = caller_identity(user_info)
+            history = [task_history_entry('created', me, at)]
+            if task['status'] == 'submitted':
+                history.append(task_history_entry('submitted', me, at))
+            saved = {**task, 'requester': me, 'createdAt': at, 'updatedAt': at, 'history': history}
+            tasks.append(saved)
+            return saved
+
+        if existing is None or existing.get('updatedAt') != expected:
+            raise TaskConflictError(f'Task {task["id"]} was modified since {expected}')
+        saved = checked_task_update(existing, task, user_info, at)
+        tasks[index] = saved
+        return saved
+
+    saved = update_private_json(env, TASKS_KEY, {'tasks': []}, write)
+    print(f'[lambda] Task {saved["id"]} saved by {user_info.get("sub", "?")} ({saved["status"]})')
+    return {'task': saved}
+
+
+# ─── Permission Request Handlers ─────────────────────────────────────────────
+#
+# Applies an approved 'user-permission-request' task (tasks/create/
+# user-permission-request) as a Zitadel user grant. The task is read from
+# the environment's task store, so only requests approved through the HTTP
+# task backend can be applied — the approval must be a history entry the
+# proxy wrote — and only by callers holding the task type's approver role
+# and at least the role being granted.
+#
+# Zitadel grants do not expire, so a request with an expiry date is
+# recorded in the environment's permission-grants.json and the scheduled
+# sweep (handle_scheduled_sweep) takes the role away once the date has
+# passed. A role the user already held is left alone.
+
+# Mirrors ROLE_HIERARCHY in js/auth/zitadel-auth.js (lowest → highest)
+ROLE_HIERARCHY = ('06_guest_user', '05_org_admin', '04_org_audit_admin',
+                  '03_org_super_admin', '02_org_owner', '01_system_admin')
+
+# Mirrors TASK_TYPES['user-permission-request'].approverRole in js/tasks/task-types.js
+PERMISSION_APPROVER_ROLE = '02_org_owner'
+
+PERMISSION_GRANTS_KEY = 'permission-grants.json'
+
+
+class ForbiddenError(Exception):
+    """Raised when the caller lacks the role an action requires."""
+
+
+class TaskNotFoundError(Exception):
+    """Raised when a task id is not in the environment's task store."""
+
+
+def user_role_keys(user_info):
+    """Project role keys from the caller's userinfo claims."""
+    claims = (user_info.get(f'urn:zitadel:iam:org:project:{PROJECT_ID}:roles')
+              or user_info.get('urn:zitadel:iam:org:project:roles')
+              or {})
+    return list(claims.keys())
+
+
+def has_minimum_role(user_info, minimum_role):
+    minimum = ROLE_HIERARCHY.index(minimum_role)
+    return any(ROLE_HIERARCHY.index(role) >= minimum
+               for role in user_role_keys(user_info) if role in ROLE_HIERARCHY)
+
+
+def find_project_grant(user_id):
+    """The user's grant on this project, or None."""
+    grants = call_zitadel_management('POST',
+        '/management/v1/users/grants/_search',
+        {
+            'query': {'offset': '0', 'limit': 10},
+            'queries': [
+                {'projectIdQuery': {'projectId': PROJECT_ID}},
+                {'userIdQuery': {'userId': user_id}}
+            ]
+        }
+    ).get('result', [])
+    return grants[0] if grants else None
+
+
+def add_project_role(user_id, role_key):
+    """Add a role to the user's project grant, creating the grant if needed.
+    Returns the grant id. Adding a role the user already has is harmless.
+    """
+    grant = find_project_grant(user_id)
+    if grant:
+        grant_id = grant.get('id')
+        role_keys = grant.get('roleKeys', [])
+        if role_key not in role_keys:
+            call_zitadel_management('PUT',
+                f'/management/v1/users/{user_id}/grants/{grant_id}',
+                {'roleKeys': role_keys + [role_key]}
+            )
+        return grant_id
+    created = call_zitadel_management('POST',
+        f'/management/v1/users/{user_id}/grants',
+        {'projectId': PROJECT_ID, 'roleKeys': [role_key]}
+    )
+    return created.get('userGrantId')
+
+
+def remove_project_role(user_id, role_key):
+    """Take a role off the user's project grant; the grant goes with its
+    last role. Removing a role the user does not have is harmless.
+    """
+    grant = find_project_grant(user_id)
+    if not grant or role_key not in grant.get('roleKeys', []):
+        return
+    grant_id = grant.get('id')
+    remaining = [key for key in grant.get('roleKeys', []) if key != role_key]
+    if remaining:
+        call_zitadel_management('PUT',
+            f'/management/v1/users/{user_id}/grants/{grant_id}',
+            {'roleKeys': remaining}
+        )
+    else:
+        call_zitadel_management('DELETE', f'/management/v1/users/{user_id}/grants/{grant_id}')
+
+
+def approving_entry(task):
+    """The history entry that approved the task, if the proxy wrote it:
+    only entries written by handle_put_task carry byId, and that handler
+    checks the approver's role and that they are not the requester.
+    """
+    requester = (task.get('requester') or {}).get('sub')
+    approvals = [entry for entry in task.get('history', [])
+                 if entry.get('action') == 'approved' and entry.get('byId')]
+    if not approvals or approvals[-1]['byId'] == requester:
+        return None
+    return approvals[-1]
+
+
+def handle_apply_permission_request(env, body, user_info):
+    """Grant the role named by an approved permission request.
+    Body: {taskId: <id>}
+    Adds the role to the user's existing project grant, or creates one, and
+    records the grant on the task (data.appliedAt, data.grantId, an
+    'applied' history entry). Applying the same request twice is harmless.
+    """
+    task_id = body.get('taskId')
+    if not task_id:
+        raise ValueError('taskId is required')
+    if not has_minimum_role(user_info, PERMISSION_APPROVER_ROLE):
+        raise ForbiddenError(f'Applying permission requests requires {PERMISSION_APPROVER_ROLE} or higher')
+
+    tasks = get_tasks(env).get('tasks', [])
+    task = next((t for t in tasks if t.get('id') == task_id), None)
+    if task is None:
+        raise TaskNotFoundError(f'Task not found: {task_id}')
+    if task.get('type') != 'user-permission-request':
+        raise ValueError(f'Task {task_id} is not a permission request')
+    if task.get('status') != 'approved':
+        raise ValueError(f'Task {task_id} is {task.get("status")}, not approved')
+    if approving_entry(task) is None:
+        raise ForbiddenError(f'Task {task_id} has no approval recorded by the proxy')
+
+    data = task.get('data') or {}
+    user_id = data.get('userId')
+    role_key = data.get('roleKey')
+    if not user_id or not role_key:
+        raise ValueError(f'Task {task_id} has no userId / roleKey')
+    project_roles = [r.get('key') for r in handle_get_roles().get('result', [])]
+    if role_key not in project_roles:
+        raise ValueError(f'Unknown role: {role_key}')
+    if role_rank(role_key) > highest_rank(user_info):
+        raise ForbiddenError(f'You cannot grant {role_key}, which is above your own role')
+    expires_on = data.get('expiresOn')
+    if expires_on is not None and (not re.match(r'^\d{4}-\d{2}-\d{2}$', str(expires_on))
+                                   or expires_on < today_utc()):
+        raise ValueError(f'Task {task_id} expiry {expires_on} is not a date from today on')
+
+    grants, _ = read_private_json(env, PERMISSION_GRANTS_KEY, {'grants': []})
+    tracked = any(g.get('userId') == user_id and g.get('roleKey') == role_key and not g.get('expiredAt')
+                  for g in grants.get('grants', []))
+    grant = find_project_grant(user_id)
+    held = bool(grant) and role_key in grant.get('roleKeys', [])
+    grant_id = add_project_role(user_id, role_key)
+
+    # A role held from elsewhere (not through an expiring grant) stays
+    # permanent; otherwise this request's expiry replaces any earlier one.
+    if tracked or not held:
+        def track(store):
+            kept = [g for g in store.setdefault('grants', [])
+                    if g.get('expiredAt') or g.get('userId') != user_id or g.get('roleKey') != role_key]
+            if expires_on:
+                kept.append({
+                    'taskId': task_id,
+                    'userId': user_id,
+                    'roleKey': role_key,
+                    'expiresOn': expires_on,
+                    'grantedAt': now_utc(),
+                    'grantedBy': caller_identity(user_info)['name'],
+                    'expiredAt': None,
+                })
+            store['grants'] = kept
+
+        update_private_json(env, PERMISSION_GRANTS_KEY, {'grants': []}, track)
+
+    def record(data):
+        stored = next((t for t in data.get('tasks', []) if t.get('id') == task_id), None)
+        if stored is None:
+            raise TaskNotFoundError(f'Task not found: {task_id}')
+        at = now_utc()
+        stored['data'] = {**(stored.get('data') or {}), 'appliedAt': at, 'grantId': grant_id}
+        stored['updatedAt'] = at
+        user_name = stored['data'].get('userName') or user_id
+        stored.setdefault('history', []).append(task_history_entry(
+            'applied', caller_identity(user_info), at, f'Granted {role_key} to {user_name}'
+        ))
+
+    update_private_json(env, TASKS_KEY, {'tasks': []}, record)
+
+    print(f'[lambda] Permission request {task_id}: {role_key} granted to {user_id} '
+          f'until {expires_on or "revoked"} by {user_info.get("sub", "?")}')
+    return {'taskId': task_id, 'userId': user_id, 'roleKey': role_key, 'grantId': grant_id}
+
+
+def sweep_expired_permission_grants(env):
+    """Remove roles granted by permission requests whose expiry date has
+    passed. Returns how many were removed.
+    """
+    today = today_utc()
+    data, _ = read_private_json(env, PERMISSION_GRANTS_KEY, {'grants': []})
+    expired = [g for g in data.get('grants', [])
+               if not g.get('expiredAt') and g.get('expiresOn', '') < today]
+    for grant in expired:
+        remove_project_role(grant['userId'], grant['roleKey'])
+        print(f'[lambda] Permission grant {grant["taskId"]} expired; {grant["roleKey"]} removed from {grant["userId"]}')
+    if not expired:
+        return 0
+
+    done = {g['taskId'] for g in expired}
+
+    def mark(store):
+        for grant in store.get('grants', []):
+            if grant.get('taskId') in done and not grant.get('expiredAt'):
+                grant['expiredAt'] = now_utc()
+
+    update_private_json(env, PERMISSION_GRANTS_KEY, {'grants': []}, mark)
+    return len(expired)
+
+
+# ─── Guest Handlers ──────────────────────────────────────────────────────────
+#
+# External guests invited by org admins (users/guests). A guest is a
+# Zitadel human user holding one limited project role — anything below
+# 05_org_admin — until an expiry date. Invitation records are kept in the
+# environment's data bucket next to the tasks. Guests lose their role when
+# revoked, or on the first scheduled sweep after their expiry date
+# (sweep_expired_guests).
+
+GUESTS_KEY = 'guests.json'
+
+# Mirrors GUEST_ADMIN_ROLE in js/users/guests.js
+GUEST_ADMIN_ROLE = '05_org_admin'
+
+# Longest access a single invitation may grant
+GUEST_MAX_DAYS = 366
+
+EMAIL_PATTERN = re.compile(r'^[^\s@]+@[^\s@]+\.[^\s@]{2,}$')
+
+
+class GuestNotFoundError(Exception):
+    """Raised when a user id has no guest record."""
+
+
+def get_guests(env='development'):
+    """Read every guest record for an environment from the data bucket."""
+    data, _ = read_private_json(env, GUESTS_KEY, {'guests': []})
+    return data
+
+
+def update_guest(env, user_id, change):
+    """Apply `change(guest)`, which edits the record in place, to one
+    stored guest and save it. Returns the stored record.
+    """
+    def write(data):
+        guests = data.setdefault('guests', [])
+        for i, guest in enumerate(guests):
+            if guest.get('userId') == user_id:
+                change(guest)
+                return guest
+        raise GuestNotFoundError(f'Guest not found: {user_id}')
+
+    return update_private_json(env, GUESTS_KEY, {'guests': []}, write)
+
+
+def is_guest_role(role_key):
+    """Guests may hold 06_guest_user or any project role outside the admin hierarchy."""
+    return role_key not in ROLE_HIERARCHY[1:]
+
+
+def today_utc():
+    return time.strftime('%Y-%m-%d', time.gmtime())
+
+
+def now_utc():
+    return time.strftime('%Y-%m-%dT%H:%M:%SZ', time.gmtime())
+
+
+def search_users(queries, limit=100):
+    """Management API user search; returns the raw user objects."""
+    return call_zitadel_management('POST',
+        '/management/v1/users/_search',
+        {'query': {'offset': '0', 'limit': limit}, 'queries': queries}
+    ).get('result', [])
+
+
+def guest_status(guest, user_state):
+    """revoked / expired / pending (invitation not yet accepted) / active."""
+    if guest.get('revokedAt'):
+        return 'revoked'
+    if guest.get('expiredAt') or guest.get('expiresAt', '') < today_utc():
+        return 'expired'
+    if user_state == 'USER_STATE_INITIAL':
+        return 'pending'
+    return 'active'
+
+
+def sweep_expired_guests(env):
+    """Remove the role of every guest past their expiry date. Run by the
+    scheduled sweep; returns how many guests were expired.
+    """
+    today = today_utc()
+    expired = [g for g in get_guests(env).get('guests', [])
+               if not g.get('revokedAt') and not g.get('expiredAt') and g.get('expiresAt', '') < today]
+    for guest in expired:
+        remove_project_role(guest['userId'], guest['roleKey'])
+
+        def mark(stored):
+            # Re-invited since we read it: the new invitation stands.
+            if stored.get('invitedAt') == guest.get('invitedAt'):
+                stored['expiredAt'] = now_utc()
+
+        update_guest(env, guest['userId'], mark)
+        print(f'[lambda] Guest {guest["email"]} expired; {guest["roleKey"]} removed')
+    return len(expired)
+
+
+def handle_get_guests(env, user_info):
+    """Every guest with their current status."""
+    if not has_minimum_role(user_info, GUEST_ADMIN_ROLE):
+        raise ForbiddenError(f'Managing guests requires {GUEST_ADMIN_ROLE} or higher')
+
+    guests = get_guests(env).get('guests', [])
+    user_ids = [g['userId'] for g in guests]
+    states = {}
+    if user_ids:
+        users = search_users([{'inUserIdsQuery': {'userIds': user_ids}}], limit=len(user_ids))
+        states = {u.get('id'): u.get('state') for u in users}
+    return {'result': [{**g, 'status': guest_status(g, states.get(g['userId']))} for g in guests]}
+
+
+def handle_invite_guest(env, body, user_info):
+    """Invite (or re-invite) an external guest.
+    Body: {email, firstName, lastName, roleKey, expiresAt: 'YYYY-MM-DD'}
+    Unknown emails get a new Zitadel user, which sends the invitation
+    mail; existing users just receive the role. Org members already
+    holding an admin role cannot be made guests.
+    """
+    if not has_minimum_role(user_info, GUEST_ADMIN_ROLE):
+        raise ForbiddenError(f'Managing guests requires {GUEST_ADMIN_ROLE} or higher')
+
+    email = (body.get('email') or '').strip().lower()
+    first_name = (body.get('firstName') or '').strip()
+    last_name = (body.get('lastName') or '').strip()
+    role_key = body.get('roleKey')
+    expires_at = body.get('expiresAt') or ''
+    if not EMAIL_PATTERN.match(email):
+        raise ValueError('A valid email is required')
+    if not first_name or not last_name:
+        raise ValueError('firstName and lastName are required')
+    project_roles = [r.get('key') for r in handle_get_roles().get('result', [])]
+    if role_key not in project_roles:
+        raise ValueError(f'Unknown role: {role_key}')
+    if not is_guest_role(role_key):
+        raise ValueError(f'{role_key} cannot be given to guests')
+    latest = time.strftime('%Y-%m-%d', time.gmtime(time.time() + GUEST_MAX_DAYS * 86400))
+    if not re.match(r'^\d{4}-\d{2}-\d{2}$', expires_at) or not today_utc() <= expires_at <= latest:
+        raise ValueError(f'expiresAt must be a date between today and {latest}')
+
+    existing = search_users([{'emailQuery': {
+        'emailAddress': email, 'method': 'TEXT_QUERY_METHOD_EQUALS_IGNORE_CASE'}}], limit=1)
+    if existing:
+        user_id = existing[0].get('id')
+        grant = find_project_grant(user_id)
+        if grant and not all(is_guest_role(key) for key in grant.get('roleKeys', [])):
+            raise ValueError(f'{email} is already an org member')
+    else:
+        # No password: Zitadel mails an initialisation link, and the user
+        # stays USER_STATE_INITIAL (pending) until they complete it.
+        created = call_zitadel_management('POST', '/management/v1/users/human/_import', {
+            'userName': email,
+            'profile': {'firstName': first_name, 'lastName': last_name},
+            'email': {'email': email, 'isEmailVerified': False}
+        })
+        user_id = created.get('userId')
+
+    guests = get_guests(env).get('guests', [])
+    previous = next((g for g in guests if g.get('userId') == user_id), None)
+    if previous and previous.get('roleKey') != role_key \
+            and not previous.get('revokedAt') and not previous.get('expiredAt'):
+        remove_project_role(user_id, previous['roleKey'])
+    add_project_role(user_id, role_key)
+
+    guest = {
+        'userId': user_id,
+        'email': email,
+        'firstName': first_name,
+        'lastName': last_name,
+        'roleKey': role_key,
+        'expiresAt': expires_at,
+        'invitedAt': now_utc(),
+        'invitedBy': user_info.get('name') or user_info.get('email') or user_info.get('sub', '?'),
+        'revokedAt': None,
+        'revokedBy': None,
+        'expiredAt': None,
+    }
+
+    def write(data):
+        data['guests'] = [g for g in data.get('guests', []) if g.get('userId') != user_id] + [guest]
+
+    update_private_json(env, GUESTS_KEY, {'guests': []}, write)
+    print(f'[lambda] Guest {email} invited as {role_key} until {expires_at} by {user_info.get("sub", "?")}')
+    state = 'USER_STATE_ACTIVE' if existing else 'USER_STATE_INITIAL'
+    return {'guest': {**guest, 'status': guest_status(guest, state)}}
+
+
+def handle_revoke_guest(env, body, user_info):
+    """Remove a guest's role now. Body: {userId}
+    The Zitadel user is kept, so the guest can be invited again later.
+    """
+    if not has_minimum_role(user_info, GUEST_ADMIN_ROLE):
+        raise ForbiddenError(f'Managing guests requires {GUEST_ADMIN_ROLE} or higher')
+    user_id = body.get('userId')
+    if not user_id:
+        raise ValueError('userId is required')
+
+    guest = next((g for g in get_guests(env).get('guests', []) if g.get('userId') == user_id), None)
+    if guest is None:
+        raise GuestNotFoundError(f'Guest not found: {user_id}')
+    if not guest.get('revokedAt'):
+        if not guest.get('expiredAt'):
+            remove_project_role(user_id, guest['roleKey'])
+        revoked_by = user_info.get('name') or user_info.get('email') or user_info.get('sub', '?')
+
+        def revoke(stored):
+            if not stored.get('revokedAt'):
+                stored['revokedAt'] = now_utc()
+                stored['revokedBy'] = revoked_by
+
+        guest = update_guest(env, user_id, revoke)
+        print(f'[lambda] Guest {guest["email"]} revoked by {user_info.get("sub", "?")}')
+    return {'guest': {**guest, 'status': 'revoked'}}
+
+
+# ─── Org User Handlers ───────────────────────────────────────────────────────
+#
+# Org admins create organisation users one at a time (users/create-org-users).
+# A caller may only hand out roles at or below their own highest role; roles
+# outside ROLE_HIERARCHY rank with 06_guest_user.
+
+# Mirrors USER_ADMIN_ROLE in js/users/create-org-users.js
+USER_ADMIN_ROLE = '05_org_admin'
+
+
+def role_rank(role_key):
+    return ROLE_HIERARCHY.index(role_key) if role_key in ROLE_HIERARCHY else 0
+
+
+def highest_rank(user_info):
+    ranks = [role_rank(key) for key in user_role_keys(user_info) if key in ROLE_HIERARCHY]
+    return max(ranks) if ranks else -1
+
+
+def handle_create_user(body, user_info):
+    """Create an organisation user and grant them one project role.
+    Body: {firstName, lastName, email, phone?, roleKey}
+    Zitadel mails the new user an initialisation link.
+    """
+    if not has_minimum_role(user_info, USER_ADMIN_ROLE):
+        raise ForbiddenError(f'Creating users requires {USER_ADMIN_ROLE} or higher')
+
+    first_name = (body.get('firstName') or '').strip()
+    last_name = (body.get('lastName') or '').strip()
+    email = (body.get('email') or '').strip().lower()
+    phone = (body.get('phone') or '').strip()
+    role_key = body.get('roleKey')
+    if not first_name or not last_name:
+        raise ValueError('firstName and lastName are required')
+    if not EMAIL_PATTERN.match(email):
+        raise ValueError('A valid email is required')
+    project_roles = [r.get('key') for r in handle_get_roles().get('result', [])]
+    if role_key not in project_roles:
+        raise ValueError(f'Unknown role: {role_key}')
+    if role_rank(role_key) > highest_rank(user_info):
+        raise ForbiddenError(f'You cannot assign {role_key}, which is above your own role')
+
+    existing = search_users([{'emailQuery': {
+        'emailAddress': email, 'method': 'TEXT_QUERY_METHOD_EQUALS_IGNORE_CASE'}}], limit=1)
+    if existing:
+        raise ValueError(f'A user with the email {email} already exists')
+
+    user = {
+        'userName': email,
+        'profile': {'firstName': first_name, 'lastName': last_name},
+        'email': {'email': email, 'isEmailVerified': False}
+    }
+    if phone:
+        user['phone'] = {'phone': phone, 'isPhoneVerified': False}
+    created = call_zitadel_management('POST', '/management/v1/users/human/_import', user)
+    user_id = created.get('userId')
+    add_project_role(user_id, role_key)
+
+    print(f'[lambda] User {email} created with {role_key} by {user_info.get("sub", "?")}')
+    return {'user': {
+        'userId': user_id,
+        'userName': email,
+        'preferredLoginName': email,
+        'displayName': f'{first_name} {last_name}',
+        'email': email,
+        'roleKeys': [role_key],
+    }}
+
+
+# ─── Org Admin Handlers ──────────────────────────────────────────────────────
+#
+# Promote / demote users within the admin tier (users/org-admins): anyone
+# holding 05_org_admin or higher. A caller may only change users ranked
+# below them (system admins excepted) and only to roles at or below their
+# own. The last admin of an org cannot be demoted out of the tier. Every
+# change is appended to the environment's org admin audit log in the data
+# bucket, with a conditional write so concurrent changes all land.
+
+ORG_ADMIN_AUDIT_KEY = 'org-admin-audit.json'
+
+# Lowest role that counts as an org admin
+ORG_ADMIN_ROLE = '05_org_admin'
+
+
+class StaleRoleError(Exception):
+    """Raised when a user's role changed since the caller last looked."""
+
+
+def get_admin_audit(env='development'):
+    """Read the org admin audit log for an environment from the data bucket."""
+    data, _ = read_private_json(env, ORG_ADMIN_AUDIT_KEY, {'entries': []})
+    return data
+
+
+def append_admin_audit(env, entry):
+    """Append one entry to the audit log, retrying if another write lands first."""
+    def append(data):
+        data['entries'] = data.get('entries', []) + [entry]
+
+    update_private_json(env, ORG_ADMIN_AUDIT_KEY, {'entries': []}, append)
+
+
+def highest_hierarchy_role(role_keys):
+    ranked = [key for key in role_keys if key in ROLE_HIERARCHY]
+    return max(ranked, key=ROLE_HIERARCHY.index) if ranked else None
+
+
+def handle_get_admin_audit(env, user_info):
+    """The org admin audit log, newest first."""
+    if not has_minimum_role(user_info, ORG_ADMIN_ROLE):
+        raise ForbiddenError(f'Viewing org admins requires {ORG_ADMIN_ROLE} or higher')
+    entries = get_admin_audit(env).get('entries', [])
+    return {'result': list(reversed(entries))}
+
+
+def handle_change_admin_role(env, body, user_info):
+    """Move a user to another role of the hierarchy.
+    Body: {userId, fromRole, toRole}
+    fromRole is the highest role the caller saw (null for none); the change
+    is refused if it no longer matches. Roles outside the hierarchy are kept.
+    """
+    user_id = body.get('userId')
+    from_role = body.get('fromRole') or None
+    to_role = body.get('toRole')
+    if not user_id:
+        raise ValueError('userId is required')
+    if to_role not in ROLE_HIERARCHY:
+        raise ValueError(f'Unknown role: {to_role}')
+    if not has_minimum_role(user_info, ORG_ADMIN_ROLE):
+        raise ForbiddenError(f'Managing org admins requires {ORG_ADMIN_ROLE} or higher')
+
+    actor_rank = highest_rank(user_info)
+    is_system_admin = actor_rank == len(ROLE_HIERARCHY) - 1
+    grant = find_project_grant(user_id)
+    role_keys = grant.get('roleKeys', []) if grant else []
+    current = highest_hierarchy_role(role_keys)
+    if current != from_role:
+        raise StaleRoleError(f'The user\'s role is now {current or "none"}; reload and try again')
+    if current == to_role:
+        raise ValueError(f'The user already holds {to_role}')
+    if current and ROLE_HIERARCHY.index(current) >= actor_rank and not is_system_admin:
+        raise ForbiddenError('You can only change users ranked below you')
+    if ROLE_HIERARCHY.index(to_role) > actor_rank:
+        raise ForbiddenError(f'You cannot assign {to_role}, which is above your own role')
+
+    admin_rank = ROLE_HIERARCHY.index(ORG_ADMIN_ROLE)
+    org_id = (grant or {}).get('orgId', '')
+    leaving_tier = current and ROLE_HIERARCHY.index(current) >= admin_rank > ROLE_HIERARCHY.index(to_role)
+    if leaving_tier:
+        # handle_get_users pages through every grant, so no admin is missed.
+        admins = [u for u in handle_get_users().get('result', [])
+                  if u.get('orgId') == org_id
+                  and any(key in ROLE_HIERARCHY and ROLE_HIERARCHY.index(key) >= admin_rank
+                          for key in u.get('roleKeys', []))]
+        if len(admins) <= 1:
+            raise ValueError('This is the last org admin of the organisation; promote someone else first')
+
+    new_keys = [key for key in role_keys if key not in ROLE_HIERARCHY] + [to_role]
+    if grant:
+        call_zitadel_management('PUT',
+            f'/management/v1/users/{user_id}/grants/{grant.get("id")}',
+            {'roleKeys': new_keys}
+        )
+    else:
+        add_project_role(user_id, to_role)
+
+    target = (grant or {}).get('displayName') or (grant or {}).get('email') or user_id
+    entry = {
+        'at': now_utc(),
+        'actorId': user_info.get('sub', '?'),
+        'actor': user_info.get('name') or user_info.get('email') or user_info.get('sub', '?'),
+        'targetId': user_id,
+        'target': target,
+        'orgId': org_id,
+        'fromRole': current,
+        'toRole': to_role,
+    }
+    append_admin_audit(env, entry)
+    print(f'[lambda] {entry["actor"]} moved {user_id} from {current} to {to_role}')
+    return {'entry': entry}
+
+
+# ─── Role Capability Handlers ────────────────────────────────────────────────
+#
+# The roles-above-admin matrix (users/org-roles-above-admin): which app
+# capabilities each role from 04_org_audit_admin up holds. Saves carry only
+# the changed role/capability pairs and are applied to the stored matrix
+# with a conditional write (update_private_json), so two editors working on
+# different cells do not overwrite each other. A caller may only change
+# roles ranked below their own (system admins excepted).
+
+ROLE_CAPABILITIES_KEY = 'role-capabilities.json'
+
+# Lowest role that may edit the matrix
+ROLE_MATRIX_EDITOR_ROLE = '03_org_super_admin'
+
+# Roles shown in the matrix: everything above 05_org_admin
+MATRIX_ROLES = ROLE_HIERARCHY[ROLE_HIERARCHY.index(ORG_ADMIN_ROLE) + 1:]
+
+# (key, label) in column order
+ROLE_CAPABILITIES = (
+    ('create_tasks', 'Create Tasks'),
+    ('approve_tasks', 'Approve Tasks'),
+    ('view_task_audit', 'Task Audit'),
+    ('manage_users', 'Manage Users'),
+    ('manage_guests', 'Manage Guests'),
+    ('manage_org_admins', 'Manage Org Admins'),
+    ('edit_org_chart', 'Edit Org Chart'),
+    ('upload_banks', 'Upload Banks'),
+    ('upload_invoice_approvers', 'Upload Invoice Approvers'),
+    ('upload_scac', 'Upload SCAC'),
+    ('view_team_metrics', 'Team Metrics'),
+    ('view_organisation_metrics', 'Organisation Metrics'),
+    ('development_tools', 'Development Tools'),
+)
+
+
+def get_role_capabilities(env='development'):
+    """Read the role capability matrix for an environment from the data bucket."""
+    data, _ = read_private_json(env, ROLE_CAPABILITIES_KEY, {'grants': {}})
+    return data
+
+
+def role_capabilities_response(data):
+    known = [key for key, _ in ROLE_CAPABILITIES]
+    grants = data.get('grants', {})
+    return {
+        'roles': list(MATRIX_ROLES),
+        'capabilities': [{'key': key, 'label': label} for key, label in ROLE_CAPABILITIES],
+        'grants': {role: [c for c in known if c in grants.get(role, [])] for role in MATRIX_ROLES},
+        'updatedAt': data.get('updatedAt'),
+        'updatedBy': data.get('updatedBy'),
+    }
+
+
+def handle_get_role_capabilities(env, user_info):
+    """The capability matrix for the roles above 05_org_admin."""
+    if not has_minimum_role(user_info, ORG_ADMIN_ROLE):
+        raise ForbiddenError(f'Viewing role capabilities requires {ORG_ADMIN_ROLE} or higher')
+    return role_capabilities_response(get_role_capabilities(env))
+
+
+def handle_update_role_capabilities(env, body, user_info):
+    """Apply changed matrix cells.
+    Body: {changes: [{roleKey, capability, granted}]}
+    Every change is checked before any is written.
+    """
+    if not has_minimum_role(user_info, ROLE_MATRIX_EDITOR_ROLE):
+        raise ForbiddenError(f'Editing role capabilities requires {ROLE_MATRIX_EDITOR_ROLE} or higher')
+    changes = body.get('changes')
+    if not isinstance(changes, list) or not changes:
+        raise ValueError('changes must be a non-empty list')
+
+    actor_rank = highest_rank(user_info)
+    is_system_admin = actor_rank == len(ROLE_HIERARCHY) - 1
+    known = [key for key, _ in ROLE_CAPABILITIES]
+    for change in changes:
+        role_key = change.get('roleKey')
+        if role_key not in MATRIX_ROLES:
+            raise ValueError(f'Unknown role: {role_key}')
+        if change.get('capability') not in known:
+            raise ValueError(f'Unknown capability: {change.get("capability")}')
+        if not isinstance(change.get('granted'), bool):
+            raise ValueError('granted must be true or false')
+        if ROLE_HIERARCHY.index(role_key) >= actor_rank and not is_system_admin:
+            raise ForbiddenError(f'You can only change roles ranked below your own, not {role_key}')
+
+    updated_by = user_info.get('name') or user_info.get('email') or user_info.get('sub', '?')
+
+    def apply(data):
+        grants = data.setdefault('grants', {})
+        for change in changes:
+            held = set(grants.get(change['roleKey'], []))
+            if change['granted']:
+                held.add(change['capability'])
+            else:
+                held.discard(change['capability'])
+            grants[change['roleKey']] = sorted(held)
+        data['updatedAt'] = now_utc()
+        data['updatedBy'] = updated_by
+        return data
+
+    data = update_private_json(env, ROLE_CAPABILITIES_KEY, {'grants': {}}, apply)
+    print(f'[lambda] {updated_by} changed {len(changes)} role capabilities')
+    return role_capabilities_response(data)
+
+
+# ─── Registry Handlers ───────────────────────────────────────────────────────
+#
+# Organisation master data edited in the SPA, one JSON document per registry
+# in the environment's data bucket so every user works from the same list:
+#   scac                carriers on logistics/view-scac
+#                       (js/logistics/scac-registry.js)
+#   invoice-approvers   invoice approval chains on finance/invoice-approvers
+#                       (js/finance/invoice-approver-registry.js)
+#   banks               banks approved for payments on finance/banks
+#                       (js/finance/bank-registry.js)
+#
+# Any signed-in user may read a registry; saving needs the registry's editor
+# role, the approver role of the task type that feeds it. A save carries
+# only the added or changed items, which replace stored items with the same
+# identity through a conditional write, so editors of different items do
+# not overwrite each other.
+#
+# Items that joined through approved tasks are collected here from the task
+# store: a browser only sees the tasks its user may see.
+
+def task_field_values(task):
+    """A task's fields as {key: value}."""
+    return {f.get('key'): f.get('value', '') for f in task.get('fields', []) if isinstance(f, dict)}
+
+
+def was_approved(task):
+    return task.get('status') in ('approved', 'closed') \
+        and any(h.get('action') == 'approved' for h in task.get('history', []))
+
+
+def normalise_scac(raw):
+    """Mirrors normaliseScac in js/logistics/scac-rules.js."""
+    return re.sub(r'\s+', '', str(raw or '')).upper()
+
+
+def scac_from_tasks(tasks):
+    """Approved SCAC requests join the list; open ones reserve their code."""
+    requests = [t for t in tasks if t.get('type') == 'create-scac']
+    return {
+        'approved': [{**task_field_values(t), 'updatedAt': t.get('updatedAt')}
+                     for t in requests if was_approved(t)],
+        'requested': [{'scac': normalise_scac(task_field_values(t).get('scac')),
+                       'requester': (t.get('requester') or {}).get('name', '')}
+                      for t in requests if t.get('status') in ('draft', 'submitted')],
+    }
+
+
+# Mirrors SCOPE_TYPES in js/finance/invoice-approver-registry.js
+CHAIN_SCOPE_TYPES = ('cost-center', 'vendor')
+
+
+def chain_identity(chain):
+    """Mirrors chainKey in invoice-approver-registry.js; '' when unusable."""
+    scope = str(chain.get('scope') or '').strip()
+    if chain.get('scopeType') not in CHAIN_SCOPE_TYPES or not scope \
+            or not isinstance(chain.get('approvers'), list):
+        return ''
+    return f'{chain["scopeType"]}:{scope.lower()}'
+
+
+def chains_from_tasks(tasks):
+    """An approved change request's proposed chain replaces the scope's chain."""
+    return {
+        'approved': [{
+            'scopeType': t['data'].get('scopeType'),
+            'scope': t['data'].get('scope'),
+            'approvers': t['data'].get('after', []),
+            'updatedAt': t.get('updatedAt'),
+        } for t in tasks
+            if t.get('type') == 'change-invoice-approver' and t.get('data') and was_approved(t)],
+    }
+
+
+REGISTRIES = {
+    'scac': {
+        'key': 'scac-registry.json',
+        'editor_role': TASK_APPROVER_ROLES['create-scac'],
+        'identity': lambda item: normalise_scac(item.get('scac')),
+        'normalise': lambda item: {**item, 'scac': normalise_scac(item.get('scac'))},
+        'from_tasks': scac_from_tasks,
+    },
+    'invoice-approvers': {
+        'key': 'invoice-approver-chains.json',
+        'editor_role': TASK_APPROVER_ROLES['change-invoice-approver'],
+        'identity': chain_identity,
+        'normalise': lambda chain: {
+            'scopeType': chain['scopeType'],
+            'scope': chain['scope'].strip(),
+            'approvers': chain['approvers'],
+        },
+        'from_tasks': chains_from_tasks,
+    },
+    'banks': {
+        'key': 'banks.json',
+        'editor_role': TASK_APPROVER_ROLES['bank-validation'],
+        'identity': lambda bank: str(bank.get('id') or '') if str(bank.get('name') or '').strip() else '',
+    },
+}
+
+
+def handle_get_registry(name, env, user_info):
+    """Every stored item of a registry, plus what approved tasks add to it."""
+    registry = REGISTRIES[name]
+    data, _ = read_private_json(env, registry['key'], {'items': []})
+    result = {'items': data.get('items', [])}
+    if registry.get('from_tasks'):
+        result.update(registry['from_tasks'](get_tasks(env).get('tasks', [])))
+    return result
+
+
+def handle_save_registry(name, env, body, user_info):
+    """Add or replace registry items by identity.
+    Body: {items: [...]}
+    Returns the items as stored, stamped with updatedAt / updatedBy.
+    """
+    registry = REGISTRIES[name]
+    if not has_minimum_role(user_info, registry['editor_role']):
+        raise ForbiddenError(f'Editing {name} requires {registry["editor_role"]} or higher')
+    items = body.get('items')
+    if not isinstance(items, list) or not items:
+        raise ValueError('items must be a non-empty list')
+    if not all(isinstance(item, dict) and registry['identity'](item) for item in items):
+        raise ValueError(f'Every {name} item needs its identifying key')
+
+    at = now_utc()
+    by = caller_identity(user_info)['name']
+
+    def write(data):
+        by_identity = {registry['identity'](item): item for item in data.get('items', [])}
+        saved = []
+        for item in items:
+            normalise = registry.get('normalise', lambda i: i)
+            stored = {**normalise(item), 'updatedAt': at, 'updatedBy': by}
+            by_identity[registry['identity'](item)] = stored
+            saved.append(stored)
+        data['items'] = list(by_identity.values())
+        return saved
+
+    saved = update_private_json(env, registry['key'], {'items': []}, write)
+    print(f'[lambda] {by} saved {len(saved)} {name} items')
+    return {'items': saved}
+
+
+# ─── Org Chart Handlers ──────────────────────────────────────────────────────
+#
+# The reporting hierarchy behind users/view-org-chart and the team and
+# organisation metrics (js/users/org-chart-registry.js). Zitadel has no
+# manager field, so the chart is one private document, replaced whole from
+# users/upload-org-chart. A replacement names the updatedAt of the chart it
+# was previewed against and is refused if the stored chart has changed
+# since, so one upload never silently discards another.
+
+ORG_CHART_KEY = 'org-chart.json'
+
+# Lowest role that may replace the chart (ORG_CHART_EDITOR_ROLE in the JS)
+ORG_CHART_EDITOR_ROLE = ORG_ADMIN_ROLE
+
+
+class StaleOrgChartError(Exception):
+    """Raised when a replacement was previewed against an older chart."""
+
+
+def org_person_id(email):
+    """Mirrors personId in js/users/org-chart-registry.js."""
+    return str(email or '').strip().lower()
+
+
+def org_chart_response(data):
+    return {
+        'people': data.get('people'),
+        'updatedAt': data.get('updatedAt'),
+        'updatedBy': data.get('updatedBy'),
+    }
+
+
+def handle_get_org_chart(env, user_info):
+    """The stored chart; people is None until one has been uploaded."""
+    data, _ = read_private_json(env, ORG_CHART_KEY, {'people': None})
+    return org_chart_response(data)
+
+
+def handle_replace_org_chart(env, body, user_info):
+    """Replace the whole chart.
+    Body: {people: [{name, email, title, department, managerId}], baseUpdatedAt}
+    baseUpdatedAt is the updatedAt of the chart the caller last read (null
+    when there was none).
+    """
+    if not has_minimum_role(user_info, ORG_CHART_EDITOR_ROLE):
+        raise ForbiddenError(f'Replacing the org chart requires {ORG_CHART_EDITOR_ROLE} or higher')
+    people = body.get('people')
+    if not isinstance(people, list) or not people:
+        raise ValueError('people must be a non-empty list')
+    if not all(isinstance(p, dict) and org_person_id(p.get('email')) and str(p.get('name') or '').strip()
+               for p in people):
+        raise ValueError('Every person needs a name and an email')
+    stored_people = [{
+        'id': org_person_id(p['email']),
+        'name': str(p['name']).strip(),
+        'email': str(p['email']).strip(),
+        'title': str(p.get('title') or ''),
+        'department': str(p.get('department') or ''),
+        'managerId': org_person_id(p.get('managerId')) or None,
+    } for p in people]
+    if len({p['id'] for p in stored_people}) != len(stored_people):
+        raise ValueError('Every person needs a different email')
+    base = body.get('baseUpdatedAt') or None
+    updated_by = caller_identity(user_info)['name']
+
+    def replace(data):
+        if (data.get('updatedAt') or None) != base:
+            raise StaleOrgChartError(
+                f'The org chart was replaced by {data.get("updatedBy") or "someone else"} '
+                f'at {data.get("updatedAt")}; review the changes again before replacing it')
+        data['people'] = stored_people
+        data['updatedAt'] = now_utc()
+        data['updatedBy'] = updated_by
+        return org_chart_response(data)
+
+    chart = update_private_json(env, ORG_CHART_KEY, {'people': None}, replace)
+    print(f'[lambda] {updated_by} replaced the org chart ({len(stored_people)} people)')
+    return chart
+
+
+# ─── Scheduled Sweep ─────────────────────────────────────────────────────────
+#
+# An EventBridge schedule (hourly) invokes the function with a
+# 'Scheduled Event' instead of an API Gateway request. Each run takes away
+# access whose date has passed, in every environment, whether or not
+# anyone is using the site.
+
+def handle_scheduled_sweep():
+    """Expire time-limited access in every environment."""
+    result = {}
+    for env in ENV_DATA_BUCKETS:
+        try:
+            result[env] = {
+                'permissionGrants': sweep_expired_permission_grants(env),
+                'guests': sweep_expired_guests(env),
+            }
+        except Exception as e:
+            # One environment failing must not stop the others.
+            print(f'[lambda] Sweep failed for {env}: {type(e).__name__}: {e}')
+            result[env] = {'error': str(e)}
+    print(f'[lambda] Scheduled sweep: {json.dumps(result)}')
+    return result
+
+
 # ─── Route Map ───────────────────────────────────────────────────────────────
 
 ROUTES = {
@@ -539,11 +1824,31 @@ ROUTES = {
 # GET  /security-settings/<env>  → handle_get_security_settings
 # POST /security-settings/<env>  → handle_update_security_settings
 # POST /push-client-config/<env> → handle_push_client_config
+# GET  /tasks/<env>              → handle_get_tasks
+# POST /tasks/<env>              → handle_put_task
+# POST /permission-requests/<env>/apply → handle_apply_permission_request
+# POST /users                    → handle_create_user
+# GET  /guests/<env>             → handle_get_guests
+# POST /guests/<env>             → handle_invite_guest
+# POST /guests/<env>/revoke      → handle_revoke_guest
+# GET  /org-admins/<env>/audit   → handle_get_admin_audit
+# POST /org-admins/<env>/change  → handle_change_admin_role
+# GET  /role-capabilities/<env>  → handle_get_role_capabilities
+# POST /role-capabilities/<env>  → handle_update_role_capabilities
+# GET  /<registry>/<env>         → handle_get_registry (REGISTRIES keys)
+# POST /<registry>/<env>         → handle_save_registry
+# GET  /org-chart/<env>          → handle_get_org_chart
+# POST /org-chart/<env>          → handle_replace_org_chart
 
 # ─── Lambda Entry Point ──────────────────────────────────────────────────────
 
 def lambda_handler(event, context):
-    """Main Lambda handler for API Gateway proxy integration."""
+    """Main Lambda handler for API Gateway proxy integration, and for the
+    EventBridge schedule that runs handle_scheduled_sweep.
+    """
+    if event.get('source') == 'aws.events':
+        return handle_scheduled_sweep()
+
     origin = (event.get('headers') or {}).get('origin', '')
     http_method = event.get('httpMethod', event.get('requestContext', {}).get('http', {}).get('method', ''))
     path = event.get('path', event.get('rawPath', ''))
@@ -624,6 +1929,108 @@ def lambda_handler(event, context):
             data = handle_revert_font_variables(body)
             return respond(200, data, origin)
 
+        # Dynamic routes: /tasks/<env>
+        if path.startswith('/tasks/'):
+            env = path.split('/')[-1]
+            if env not in ('development', 'sandbox', 'production'):
+                return respond(400, {'error': f'Invalid environment: {env}'}, origin)
+            if http_method == 'GET':
+                data = handle_get_tasks(env, user_info)
+                return respond(200, data, origin)
+            elif http_method == 'POST':
+                body = json.loads(event.get('body') or '{}')
+                data = handle_put_task(env, body, user_info)
+                return respond(200, data, origin)
+
+        # Dynamic routes: /permission-requests/<env>/apply
+        if path.startswith('/permission-requests/') and path.endswith('/apply') and http_method == 'POST':
+            env = path.split('/')[-2]
+            if env not in ('development', 'sandbox', 'production'):
+                return respond(400, {'error': f'Invalid environment: {env}'}, origin)
+            body = json.loads(event.get('body') or '{}')
+            data = handle_apply_permission_request(env, body, user_info)
+            return respond(200, data, origin)
+
+        # POST /users
+        if path == '/users' and http_method == 'POST':
+            body = json.loads(event.get('body') or '{}')
+            data = handle_create_user(body, user_info)
+            return respond(200, data, origin)
+
+        # Dynamic routes: /guests/<env>, /guests/<env>/revoke
+        if path.startswith('/guests/'):
+            parts = path.split('/')
+            env = parts[2] if len(parts) > 2 else ''
+            if env not in ('development', 'sandbox', 'production'):
+                return respond(400, {'error': f'Invalid environment: {env}'}, origin)
+            if len(parts) == 3 and http_method == 'GET':
+                data = handle_get_guests(env, user_info)
+                return respond(200, data, origin)
+            body = json.loads(event.get('body') or '{}')
+            if len(parts) == 3 and http_method == 'POST':
+                data = handle_invite_guest(env, body, user_info)
+                return respond(200, data, origin)
+            if len(parts) == 4 and parts[3] == 'revoke' and http_method == 'POST':
+                data = handle_revoke_guest(env, body, user_info)
+                return respond(200, data, origin)
+
+        # Dynamic route: /role-capabilities/<env>
+        if path.startswith('/role-capabilities/'):
+            parts = path.split('/')
+            env = parts[2] if len(parts) == 3 else ''
+            if env not in ('development', 'sandbox', 'production'):
+                return respond(400, {'error': f'Invalid environment: {env}'}, origin)
+            if http_method == 'GET':
+                data = handle_get_role_capabilities(env, user_info)
+                return respond(200, data, origin)
+            if http_method == 'POST':
+                body = json.loads(event.get('body') or '{}')
+                data = handle_update_role_capabilities(env, body, user_info)
+                return respond(200, data, origin)
+
+        # Dynamic routes: /org-admins/<env>/audit, /org-admins/<env>/change
+        if path.startswith('/org-admins/'):
+            parts = path.split('/')
+            env = parts[2] if len(parts) > 2 else ''
+            if env not in ('development', 'sandbox', 'production'):
+                return respond(400, {'error': f'Invalid environment: {env}'}, origin)
+            action = parts[3] if len(parts) == 4 else ''
+            if action == 'audit' and http_method == 'GET':
+                data = handle_get_admin_audit(env, user_info)
+                return respond(200, data, origin)
+            if action == 'change' and http_method == 'POST':
+                body = json.loads(event.get('body') or '{}')
+                data = handle_change_admin_role(env, body, user_info)
+                return respond(200, data, origin)
+
+        # Dynamic route: /org-chart/<env>
+        if path.startswith('/org-chart/'):
+            parts = path.split('/')
+            env = parts[2] if len(parts) == 3 else ''
+            if env not in ('development', 'sandbox', 'production'):
+                return respond(400, {'error': f'Invalid environment: {env}'}, origin)
+            if http_method == 'GET':
+                data = handle_get_org_chart(env, user_info)
+                return respond(200, data, origin)
+            if http_method == 'POST':
+                body = json.loads(event.get('body') or '{}')
+                data = handle_replace_org_chart(env, body, user_info)
+                return respond(200, data, origin)
+
+        # Dynamic routes: /<registry>/<env> for each of REGISTRIES
+        parts = path.split('/')
+        if len(parts) == 3 and parts[1] in REGISTRIES:
+            name, env = parts[1], parts[2]
+            if env not in ('development', 'sandbox', 'production'):
+                return respond(400, {'error': f'Invalid environment: {env}'}, origin)
+            if http_method == 'GET':
+                data = handle_get_registry(name, env, user_info)
+                return respond(200, data, origin)
+            if http_method == 'POST':
+                body = json.loads(event.get('body') or '{}')
+                data = handle_save_registry(name, env, body, user_info)
+                return respond(200, data, origin)
+
         # GET /font-state-history/<env>
         if path.startswith('/font-state-history') and http_method == 'GET':
             env = path.split('/')[-1] if '/' in path[1:] else 'development'
@@ -639,8 +2046,44 @@ def lambda_handler(event, context):
                                  'POST /push-client-config/<env>',
                                  'POST /push-font-variables',
                                  'POST /revert-font-variables',
-                                 'GET /font-state-history/<env>'
-                             ]}, origin)
+                                 'GET /font-state-history/<env>',
+                                 'GET /tasks/<env>',
+                                 'POST /tasks/<env>',
+                                 'POST /permission-requests/<env>/apply',
+                                 'POST /users',
+                                 'GET /guests/<env>',
+                                 'POST /guests/<env>',
+                                 'POST /guests/<env>/revoke',
+                                 'GET /org-admins/<env>/audit',
+                                 'POST /org-admins/<env>/change',
+                                 'GET /role-capabilities/<env>',
+                                 'POST /role-capabilities/<env>',
+                                 'GET /org-chart/<env>',
+                                 'POST /org-chart/<env>'
+                             ] + [f'{method} /{name}/<env>' for name in REGISTRIES for method in ('GET', 'POST')]},
+                       origin)
+
+    except TaskConflictError as e:
+        print(f'[lambda] 409 TaskConflictError: {e}')
+        return respond(409, {'error': str(e)}, origin)
+    except StoreConflictError as e:
+        print(f'[lambda] 503 StoreConflictError: {e}')
+        return respond(503, {'error': str(e)}, origin)
+    except ForbiddenError as e:
+        print(f'[lambda] 403 ForbiddenError: {e}')
+        return respond(403, {'error': str(e)}, origin)
+    except TaskNotFoundError as e:
+        print(f'[lambda] 404 TaskNotFoundError: {e}')
+        return respond(404, {'error': str(e)}, origin)
+    except StaleRoleError as e:
+        print(f'[lambda] 409 StaleRoleError: {e}')
+        return respond(409, {'error': str(e)}, origin)
+    except StaleOrgChartError as e:
+        print(f'[lambda] 409 StaleOrgChartError: {e}')
+        return respond(409, {'error': str(e)}, origin)
+    except GuestNotFoundError as e:
+        print(f'[lambda] 404 GuestNotFoundError: {e}')
+        return respond(404, {'error': str(e)}, origin)
 
     except RuntimeError as e:
         print(f'[lambda] 502 RuntimeError: {e}')